@@ -0,0 +1,245 @@
+#!/usr/bin/env node
+const fs = require('fs');
+const { parseArgs } = require('util');
+const { ApiError, streamClarify, streamBatch, listModes } = require('../lib/api');
+
+/*
+  clarity — Clarity AI from the terminal.
+
+    clarity "I keep rewriting this email and can't send it"
+    cat notes.txt | clarity --mode next-step
+    clarity --json "…" | jq -r .output
+    clarity --batch tickets.txt --mode tldr
+
+  Exit codes are stable so the CLI can gate shell scripts and git hooks.
+*/
+
+const EXIT = {
+    OK: 0,
+    ERROR: 1,          // server error (5xx), network failure, bad response
+    USAGE: 2,          // bad arguments or rejected input (400)
+    RATE_LIMITED: 3,   // 429 — retry later (Retry-After is printed)
+    UNAUTHORIZED: 4,   // 401/403 — missing/invalid key or mode not allowed
+    PARTIAL: 5,        // batch finished but some items failed
+    FLAGGED: 6,        // input flagged by the safety check; its response was printed
+};
+
+const HELP = `Usage:
+  clarity [options] "text"
+  <command> | clarity [options]
+  clarity --batch <file|-> [options]
+
+Options:
+  -m, --mode <id>     Clarification mode (default: server default)
+  -j, --json          Print the final result as JSON instead of streaming text
+  -b, --batch <file>  Clarify each non-empty line of <file> ("-" for stdin)
+      --url <url>     Server URL (default: $CLARITY_URL or http://localhost:8080)
+      --key <key>     API key (default: $CLARITY_API_KEY)
+      --list-modes    Print the available modes and exit
+  -h, --help          Show this help
+
+Exit codes: 0 ok, 1 error, 2 bad input, 3 rate limited, 4 unauthorized, 5 batch partially failed,
+            6 input flagged by the safety check (its response, e.g. support lines, is printed)`;
+
+function exitCodeFor(error) {
+    if (!(error instanceof ApiError)) return EXIT.ERROR;
+    if (error.status === 400 || error.status === 413) return EXIT.USAGE;
+    if (error.status === 429) return EXIT.RATE_LIMITED;
+    if (error.status === 401 || error.status === 403) return EXIT.UNAUTHORIZED;
+    return EXIT.ERROR;
+}
+
+async function readStdin() {
+    let data = '';
+    for await (const chunk of process.stdin) data += chunk;
+    return data;
+}
+
+// ─── Single clarification ─────────────────────────────────────────────────────
+
+/*
+  The server's safety response as plain text: title, message, any support
+  resources and the closing note.  Printed to stderr so a pipeline never
+  mistakes it for an answer, while a person at the terminal still sees it.
+*/
+function formatSafety({ title, message, resources = [], note }) {
+    const lines = [title, message];
+    if (resources.length > 0) {
+        lines.push('', ...resources.map(({ name, contact, url }) => `  - ${[name, contact, url].filter(Boolean).join(' · ')}`));
+    }
+    if (note) lines.push('', note);
+    return `${lines.filter((line) => line !== undefined).join('\n')}\n`;
+}
+
+/*
+  Erase text already printed on the current line(s) of a TTY so a `replace`
+  event can overwrite it.  Accounts for soft-wrapped lines.
+*/
+function eraseStreamed(text) {
+    const columns = process.stdout.columns || 80;
+    const rows = Math.max(1, Math.ceil(text.length / columns));
+    process.stdout.write(`\r${rows > 1 ? `\x1b[${rows - 1}A` : ''}\x1b[J`);
+}
+
+async function clarifyOne({ baseUrl, apiKey, text, mode, json, signal }) {
+    // Stream tokens live only to a terminal; pipes get the final text once
+    const live = !json && process.stdout.isTTY;
+    let output = '';
+    let safety = null;
+    const meta = {};
+
+    for await (const { event, data } of streamClarify({ baseUrl, apiKey, text, mode, signal })) {
+        if (event === 'meta') {
+            const { candidate: _candidate, ...fields } = data;
+            Object.assign(meta, fields);
+        } else if (event === 'token') {
+            output += data.text;
+            if (live) process.stdout.write(data.text);
+        } else if (event === 'replace') {
+            if (live) {
+                eraseStreamed(output);
+                process.stdout.write(data.text);
+            }
+            output = data.text;
+        } else if (event === 'safety') {
+            // Sent in place of every answer: the input was not clarified
+            safety = data;
+        } else if (event === 'error') {
+            // The upstream failed mid-answer; finish the partial line before reporting
+            if (live && output) process.stdout.write('\n');
+            throw new ApiError(data.message, { status: data.code === 'busy' ? 429 : 502 });
+        } else if (event === 'done') {
+            Object.assign(meta, { requestId: data.requestId, latencyMs: data.latencyMs, usage: data.usage });
+        }
+    }
+
+    if (json) {
+        process.stdout.write(`${JSON.stringify({ output: safety ? null : output, ...meta, ...(safety && { safety }) })}\n`);
+    } else if (safety) {
+        process.stderr.write(formatSafety(safety));
+    } else if (live) {
+        process.stdout.write('\n');
+    } else {
+        process.stdout.write(`${output}\n`);
+    }
+    return safety ? EXIT.FLAGGED : EXIT.OK;
+}
+
+// ─── Batch ────────────────────────────────────────────────────────────────────
+
+async function clarifyBatch({ baseUrl, apiKey, source, mode, json, signal }) {
+    const content = source === '-' ? await readStdin() : fs.readFileSync(source, 'utf8');
+
+    // Keep 1-based line numbers as ids so results map back to the file
+    const items = content
+        .split(/\r?\n/)
+        .map((text, index) => ({ id: index + 1, text }))
+        .filter((item) => item.text.trim());
+
+    if (items.length === 0) {
+        console.error('clarity: batch input has no non-empty lines');
+        return EXIT.USAGE;
+    }
+
+    let failed = 0;
+    let flagged = 0;
+    for await (const result of streamBatch({ baseUrl, apiKey, items, mode, signal })) {
+        if (result.error) failed += 1;
+        if (result.safety) flagged += 1;
+        if (json) {
+            process.stdout.write(`${JSON.stringify(result)}\n`);
+            continue;
+        }
+        if (result.summary) {
+            const { succeeded, total, ms } = result.summary;
+            console.error(`clarity: ${succeeded}/${total} succeeded${result.summary.flagged ? `, ${result.summary.flagged} flagged` : ''} in ${ms} ms`);
+        } else if (result.error) {
+            console.error(`${result.id}: error: ${result.error}`);
+        } else if (result.safety) {
+            process.stderr.write(`${result.id}: flagged: ${formatSafety(result.safety)}`);
+        } else {
+            process.stdout.write(`${result.id}: ${result.output}\n`);
+        }
+    }
+
+    if (failed > 0) return EXIT.PARTIAL;
+    return flagged > 0 ? EXIT.FLAGGED : EXIT.OK;
+}
+
+// ─── Main ─────────────────────────────────────────────────────────────────────
+
+async function main() {
+    let values;
+    let positionals;
+    try {
+        ({ values, positionals } = parseArgs({
+            allowPositionals: true,
+            options: {
+                'mode': { type: 'string', short: 'm' },
+                'json': { type: 'boolean', short: 'j' },
+                'batch': { type: 'string', short: 'b' },
+                'url': { type: 'string' },
+                'key': { type: 'string' },
+                'list-modes': { type: 'boolean' },
+                'help': { type: 'boolean', short: 'h' },
+            },
+        }));
+    } catch (error) {
+        console.error(`clarity: ${error.message}\n\n${HELP}`);
+        return EXIT.USAGE;
+    }
+
+    if (values.help) {
+        console.log(HELP);
+        return EXIT.OK;
+    }
+
+    const baseUrl = (values.url || process.env.CLARITY_URL || 'http://localhost:8080').replace(/\/+$/, '');
+    const apiKey = values.key || process.env.CLARITY_API_KEY;
+
+    // Ctrl+C aborts the request cleanly instead of leaving a half-written line
+    const controller = new AbortController();
+    process.once('SIGINT', () => controller.abort());
+    const signal = controller.signal;
+
+    try {
+        if (values['list-modes']) {
+            const { default: defaultMode, modes } = await listModes({ baseUrl });
+            for (const { id, label } of modes) {
+                console.log(`${id.padEnd(16)}${label}${id === defaultMode ? ' (default)' : ''}`);
+            }
+            return EXIT.OK;
+        }
+
+        if (values.batch) {
+            return await clarifyBatch({ baseUrl, apiKey, source: values.batch, mode: values.mode, json: values.json, signal });
+        }
+
+        let text = positionals.join(' ');
+        if (!text && !process.stdin.isTTY) text = await readStdin();
+        if (!text.trim()) {
+            console.error(`clarity: no input text\n\n${HELP}`);
+            return EXIT.USAGE;
+        }
+
+        return await clarifyOne({ baseUrl, apiKey, text, mode: values.mode, json: values.json, signal });
+
+    } catch (error) {
+        if (signal.aborted) return 130; // conventional exit status for SIGINT
+        if (error.code === 'ENOENT') {
+            console.error(`clarity: cannot read ${error.path}`);
+            return EXIT.USAGE;
+        }
+
+        const message = error instanceof ApiError
+            ? error.message
+            : `cannot reach ${baseUrl} (${error.cause?.code || error.message})`;
+        console.error(`clarity: ${message}`);
+        if (error.retryAfter) console.error(`clarity: retry after ${error.retryAfter}s`);
+        return exitCodeFor(error);
+    }
+}
+
+main().then((code) => {
+    process.exitCode = code;
+});
@@ -0,0 +1,105 @@
+/*
+  Thin HTTP layer over the Clarity server API.  Uses the global fetch
+  (Node 18+), so the CLI has no dependencies at all.
+*/
+
+/*
+  Error for any non-2xx response.  `status` drives the CLI's exit code;
+  `retryAfter` is the server's Retry-After in seconds, when it sent one.
+*/
+class ApiError extends Error {
+    constructor(message, { status, retryAfter } = {}) {
+        super(message);
+        this.name = 'ApiError';
+        this.status = status;
+        this.retryAfter = retryAfter;
+    }
+}
+
+function headersFor({ apiKey, contentType = 'application/json' }) {
+    return {
+        'Content-Type': contentType,
+        ...(apiKey && { Authorization: `Bearer ${apiKey}` }),
+    };
+}
+
+async function ensureOk(res) {
+    if (res.ok) return;
+    let message = `Request failed with status ${res.status}`;
+    try {
+        message = (await res.json()).error || message;
+    } catch {
+        // Non-JSON error body — keep the generic message
+    }
+    const retryAfter = Number(res.headers.get('Retry-After')) || undefined;
+    throw new ApiError(message, { status: res.status, retryAfter });
+}
+
+/*
+  Split a streamed body into complete lines or SSE events.  Buffers across
+  chunk boundaries so nothing is parsed half-received.
+*/
+async function* splitStream(body, separator) {
+    const decoder = new TextDecoder();
+    let buffer = '';
+    for await (const chunk of body) {
+        buffer += decoder.decode(chunk, { stream: true });
+        let index;
+        while ((index = buffer.indexOf(separator)) !== -1) {
+            yield buffer.slice(0, index);
+            buffer = buffer.slice(index + separator.length);
+        }
+    }
+    if (buffer.trim()) yield buffer;
+}
+
+/*
+  POST /api/clarify and yield each server event as { event, data }:
+  start, meta, token, replace, safety, error and done (see server/lib/sse.js).
+  Heartbeat comments are skipped.
+*/
+async function* streamClarify({ baseUrl, apiKey, text, mode, signal }) {
+    const res = await fetch(`${baseUrl}/api/clarify`, {
+        method: 'POST',
+        headers: headersFor({ apiKey }),
+        body: JSON.stringify({ text, mode, protocol: 2 }),
+        signal,
+    });
+    await ensureOk(res);
+
+    for await (const block of splitStream(res.body, '\n\n')) {
+        let event = 'message';
+        const data = [];
+        for (const line of block.split(/\r?\n/)) {
+            if (line.startsWith('event:')) event = line.slice(6).trim();
+            else if (line.startsWith('data:')) data.push(line.slice(5).replace(/^ /, ''));
+        }
+        if (data.length > 0) yield { event, data: JSON.parse(data.join('\n')) };
+    }
+}
+
+/*
+  POST /api/clarify/batch with an NDJSON body and yield each result line.
+*/
+async function* streamBatch({ baseUrl, apiKey, items, mode, signal }) {
+    const body = items.map((item) => JSON.stringify({ ...item, mode: item.mode ?? mode })).join('\n');
+    const res = await fetch(`${baseUrl}/api/clarify/batch`, {
+        method: 'POST',
+        headers: headersFor({ apiKey, contentType: 'application/x-ndjson' }),
+        body,
+        signal,
+    });
+    await ensureOk(res);
+
+    for await (const line of splitStream(res.body, '\n')) {
+        if (line.trim()) yield JSON.parse(line);
+    }
+}
+
+async function listModes({ baseUrl }) {
+    const res = await fetch(`${baseUrl}/api/modes`);
+    await ensureOk(res);
+    return res.json();
+}
+
+module.exports = { ApiError, streamClarify, streamBatch, listModes };
@@ -1,8 +1,25 @@
 import React, { useReducer, useCallback, useRef, useEffect, memo } from 'react';
-import { Sparkles, Copy, ThumbsUp, ThumbsDown, RefreshCw, Check, Sun, Moon } from 'lucide-react';
+import { Sparkles, Copy, ThumbsUp, ThumbsDown, RefreshCw, Check, Sun, Moon, History, ShieldCheck, Paperclip, Languages } from 'lucide-react';
+import { MODES, DEFAULT_MODE } from './modes';
+import { OUTPUT_LANGUAGES, AUTO_LANGUAGE } from './languages';
+import { LOCALES, useI18n } from './i18n';
+import { useHistory } from './history';
+import HistoryPanel from './HistoryPanel';
+import { streamClarify } from './clarifyStream';
+import { getClientId } from './clientId';
+import { useLimits, estimateTokens } from './limits';
+import { API_URL, API_BASE } from './api';
+import ShareButton from './ShareButton';
 
-const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:8080/api/clarify';
-const MAX_INPUT_LENGTH = 2000;
+const FILE_URL = `${API_URL.replace(/\/$/, '')}/file`;
+const FEEDBACK_URL = `${API_BASE}/feedback`;
+const LIMITS_URL = `${API_BASE}/limits`;
+const MAX_GUIDANCE_LENGTH = 300;
+// Earlier answers sent with a refinement — matches the server's limit
+const MAX_REFINE_TURNS = 5;
+// Candidate answers to compare side by side — matches the server's limit
+const CANDIDATE_COUNTS = [1, 2, 3];
+const CANDIDATE_GRID = { 2: 'md:grid-cols-2', 3: 'md:grid-cols-3' };
 
 const initialRequestState = {
   loading: false,
@@ -10,84 +27,346 @@ const initialRequestState = {
   error: '',
   copied: false,
   feedback: null,
+  meta: {},
+  // Refinement chain for the current input: { output, meta, guidance, feedback, historyId }
+  versions: [],
+  activeVersion: 0,
+  // Side-by-side answers awaiting the user's pick: { output, meta, error }
+  candidates: [],
+  // Automatic retry in progress: { reason, attempt, maxAttempts, retryAt }
+  retry: null,
+  // When a failed request may be tried again (epoch ms), from Retry-After
+  retryAt: null,
+  // Shown instead of an answer when the server flagged the input: { category, title, message, resources?, note? }
+  safety: null,
+  // A long input being read in parts: { stage: 'map' | 'reduce', completed, total }
+  progress: null,
 };
 
+function updateCandidate(state, index, update) {
+  return {
+    ...state,
+    candidates: state.candidates.map((candidate, i) => (i === index ? update(candidate) : candidate)),
+  };
+}
+
 function requestReducer(state, action) {
   switch (action.type) {
     case 'START':
-      return { ...state, loading: true, output: '', error: '', feedback: null, copied: false };
+      // A refinement keeps the chain it builds on; a new question starts a new one
+      return {
+        ...state,
+        loading: true,
+        output: '',
+        error: '',
+        feedback: null,
+        copied: false,
+        meta: {},
+        versions: action.refining ? state.versions : [],
+        candidates: Array.from({ length: action.candidates || 0 }, () => ({ output: '', meta: {}, error: null })),
+        retry: null,
+        retryAt: null,
+        safety: null,
+        progress: null,
+      };
+    case 'RETRYING':
+      return { ...state, retry: action.payload };
+    case 'RESTART':
+      // The connection dropped mid-answer and the request starts over
+      return {
+        ...state,
+        output: '',
+        meta: {},
+        candidates: state.candidates.map(() => ({ output: '', meta: {}, error: null })),
+        progress: null,
+      };
     case 'STREAM_UPDATE':
       return { ...state, output: state.output + action.payload };
-    case 'SUCCESS':
-      return { ...state, loading: false, output: action.payload || state.output };
-    case 'ERROR':
-      return { ...state, loading: false, error: action.payload };
+    case 'STREAM_REPLACE':
+      return { ...state, output: action.payload };
+    case 'STREAM_META':
+      return { ...state, meta: { ...state.meta, ...action.payload } };
+    case 'PROGRESS':
+      return { ...state, progress: action.payload };
+    case 'SAFETY':
+      // No answer for this input — the refinement chain it would have extended is dropped too
+      return { ...state, loading: false, output: '', meta: {}, versions: [], candidates: [], retry: null, progress: null, safety: action.payload };
+    case 'SUCCESS': {
+      const output = action.payload || state.output;
+      const meta = action.meta || state.meta;
+      const version = { output, meta, guidance: action.guidance ?? null, feedback: null, historyId: action.historyId ?? null };
+      // Refining an earlier version drops the versions that came after it
+      const versions = action.refining ? [...state.versions.slice(0, state.activeVersion + 1), version] : [version];
+      return { ...state, loading: false, error: '', feedback: null, output, meta, versions, activeVersion: versions.length - 1, candidates: [], retry: null, safety: null, progress: null };
+    }
+    case 'ERROR': {
+      // A failed refinement leaves the version it started from on screen
+      const current = state.versions[state.activeVersion];
+      return {
+        ...state,
+        loading: false,
+        error: action.payload,
+        output: current?.output ?? '',
+        meta: current?.meta ?? {},
+        candidates: [],
+        retry: null,
+        retryAt: action.retryAt ?? null,
+        progress: null,
+      };
+    }
+    case 'CANDIDATE_UPDATE':
+      return updateCandidate(state, action.index, (candidate) => ({ ...candidate, output: candidate.output + action.payload }));
+    case 'CANDIDATE_REPLACE':
+      return updateCandidate(state, action.index, (candidate) => ({ ...candidate, output: action.payload }));
+    case 'CANDIDATE_META':
+      return updateCandidate(state, action.index, (candidate) => ({ ...candidate, meta: { ...candidate.meta, ...action.payload } }));
+    case 'CANDIDATE_ERROR':
+      return updateCandidate(state, action.index, (candidate) => ({ ...candidate, error: action.payload }));
+    case 'CANDIDATES_READY':
+      return { ...state, loading: false, retry: null };
+    case 'PICK_CANDIDATE': {
+      // The chosen candidate becomes the answer on screen, starting a new chain
+      const { output, meta } = state.candidates[action.payload];
+      const version = { output, meta, guidance: null, feedback: null, historyId: action.historyId ?? null };
+      return { ...state, output, meta, feedback: null, versions: [version], activeVersion: 0, candidates: [] };
+    }
     case 'SET_COPIED':
       return { ...state, copied: action.payload };
     case 'SET_FEEDBACK':
-      return { ...state, feedback: action.payload };
+      return {
+        ...state,
+        feedback: action.payload,
+        versions: state.versions.map((version, index) => (index === state.activeVersion ? { ...version, feedback: action.payload } : version)),
+      };
+    case 'SELECT_VERSION': {
+      const version = state.versions[action.payload];
+      if (!version) return state;
+      return { ...state, output: version.output, meta: version.meta, feedback: version.feedback, copied: false, error: '', activeVersion: action.payload };
+    }
+    case 'RESTORE': {
+      // Show an earlier answer from history as if it had just been produced
+      const { output, meta, feedback, historyId } = action.payload;
+      return {
+        ...initialRequestState,
+        output,
+        meta,
+        feedback,
+        versions: [{ output, meta, guidance: null, feedback, historyId }],
+      };
+    }
     default:
       return state;
   }
 }
 
+// Body of POST /api/clarify/file: the document plus the options a JSON request would carry
+function uploadForm(file, { mode, n, fresh, outputLanguage }) {
+  const form = new FormData();
+  form.append('file', file);
+  form.append('mode', mode);
+  if (outputLanguage !== AUTO_LANGUAGE) form.append('outputLanguage', outputLanguage);
+  if (n > 1) form.append('n', String(n));
+  if (fresh) form.append('refine', 'true');
+  return form;
+}
+
 // ─── InputField Component ───────────────────────────────────────────────
 // Extracted to prevent rapid full-page re-renders on keystrokes
-const InputField = memo(React.forwardRef(({ onClarify, isDark, loading, outputHasContent }, ref) => {
+const InputField = memo(React.forwardRef(({ onClarify, isDark, loading, outputHasContent, limits }, ref) => {
+  const { t } = useI18n();
   const [input, setInput] = React.useState('');
+  const [mode, setMode] = React.useState(DEFAULT_MODE);
+  const [count, setCount] = React.useState(1);
+  const [outputLanguage, setOutputLanguage] = React.useState(AUTO_LANGUAGE);
+  const [dragging, setDragging] = React.useState(false);
+  const [fileError, setFileError] = React.useState('');
+  const fileInputRef = useRef(null);
+  const upload = limits?.upload ?? null;
+
+  // A long input is read in parts and gets a single answer
+  const tokens = estimateTokens(input, limits);
+  const isLong = Boolean(limits) && tokens > limits.chunkTokens;
+  const n = isLong ? 1 : count;
 
   React.useImperativeHandle(ref, () => ({
-    getValue: () => input
+    getValue: () => input,
+    getMode: () => mode,
+    setValue: (text, nextMode) => {
+      setInput(text);
+      if (nextMode) setMode(nextMode);
+    },
   }));
 
   const handleInputChange = useCallback((e) => {
     setInput(e.target.value);
+    setFileError('');
+  }, []);
+
+  // Refuse what the server would refuse anyway, before sending the whole file
+  const clarifyFile = useCallback((file) => {
+    if (!file || !upload) return;
+    const dot = file.name.lastIndexOf('.');
+    const extension = dot === -1 ? '' : file.name.slice(dot).toLowerCase();
+    if (!upload.extensions.includes(extension)) {
+      setFileError(t('input.fileUnsupported', { extensions: upload.extensions.join(', ') }));
+    } else if (file.size > upload.maxBytes) {
+      setFileError(t('input.fileTooLarge', { size: Math.floor(upload.maxBytes / 1024) }));
+    } else {
+      setFileError('');
+      onClarify('', { mode, n: count, outputLanguage, file });
+    }
+  }, [upload, onClarify, mode, count, outputLanguage, t]);
+
+  const handleFileChange = useCallback((e) => {
+    clarifyFile(e.target.files[0]);
+    // Picking the same file again should still fire a change
+    e.target.value = '';
+  }, [clarifyFile]);
+
+  // Only dragged files are taken over; dragged text still drops into the textarea
+  const handleDragOver = useCallback((e) => {
+    if (!upload || loading || !e.dataTransfer.types.includes('Files')) return;
+    e.preventDefault();
+    setDragging(true);
+  }, [upload, loading]);
+
+  const handleDragLeave = useCallback((e) => {
+    if (!e.currentTarget.contains(e.relatedTarget)) setDragging(false);
+  }, []);
+
+  const handleDrop = useCallback((e) => {
+    if (!upload || e.dataTransfer.files.length === 0) return;
+    e.preventDefault();
+    setDragging(false);
+    if (!loading) clarifyFile(e.dataTransfer.files[0]);
+  }, [upload, loading, clarifyFile]);
+
+  const handleModeChange = useCallback((e) => {
+    setMode(e.target.value);
+  }, []);
+
+  const handleCountChange = useCallback((e) => {
+    setCount(Number(e.target.value));
+  }, []);
+
+  const handleLanguageChange = useCallback((e) => {
+    setOutputLanguage(e.target.value);
   }, []);
 
   const handleKeyDown = useCallback((e) => {
     if (e.key === 'Enter' && (e.metaKey || e.ctrlKey)) {
-      onClarify(input);
+      onClarify(input, { mode, n, outputLanguage });
     }
-  }, [onClarify, input]);
+  }, [onClarify, input, mode, n, outputLanguage]);
 
   const handleClarifyClick = () => {
-    onClarify(input);
+    onClarify(input, { mode, n, outputLanguage });
   };
 
   return (
     <div className={`relative transition-all duration-500 ${outputHasContent ? 'opacity-80 hover:opacity-100' : 'opacity-100'}`}>
-      <div className={`relative rounded-2xl p-1 transition-all shadow-lg ${isDark ? 'bg-[#111] border border-white/10 focus-within:ring-2 focus-within:ring-emerald-500/50 focus-within:border-emerald-500/50' : 'bg-white border border-gray-200 focus-within:ring-2 focus-within:ring-emerald-500/20 focus-within:border-emerald-500'}`}>
-        <label htmlFor="clarity-input" className="sr-only">Enter your complex thought</label>
+      <div
+        onDragOver={handleDragOver}
+        onDragLeave={handleDragLeave}
+        onDrop={handleDrop}
+        className={`relative rounded-2xl p-1 transition-all shadow-lg ${isDark ? 'bg-[#111] border border-white/10 focus-within:ring-2 focus-within:ring-emerald-500/50 focus-within:border-emerald-500/50' : 'bg-white border border-gray-200 focus-within:ring-2 focus-within:ring-emerald-500/20 focus-within:border-emerald-500'}`}
+      >
+        {dragging && (
+          <div className={`absolute inset-0 z-10 flex items-center justify-center rounded-2xl border-2 border-dashed pointer-events-none text-sm font-medium ${isDark ? 'bg-[#111]/90 border-emerald-500/60 text-emerald-400' : 'bg-white/90 border-emerald-500 text-emerald-600'}`}>
+            {t('input.drop')}
+          </div>
+        )}
+        <label htmlFor="clarity-input" className="sr-only">{t('input.label')}</label>
         <textarea
           id="clarity-input"
+          dir="auto"
           className={`w-full h-32 bg-transparent text-lg p-4 resize-none outline-none transition-colors duration-300 ${isDark ? 'text-gray-200 placeholder:text-gray-600' : 'text-gray-800 placeholder:text-gray-400'}`}
-          placeholder="Paste your complex thought here..."
+          placeholder={upload ? t('input.placeholderFile') : t('input.placeholder')}
           value={input}
           onChange={handleInputChange}
           onKeyDown={handleKeyDown}
-          maxLength={MAX_INPUT_LENGTH}
-          aria-label="Complex thought input"
+          maxLength={limits ? limits.maxInputTokens * limits.charsPerToken : undefined}
+          aria-label={t('input.ariaLabel')}
           aria-describedby="clarity-hint"
         />
 
         <div className="flex justify-between items-center px-4 pb-3">
-          <span id="clarity-hint" className={`text-xs font-medium transition-colors duration-300 ${isDark ? 'text-gray-600' : 'text-gray-400'}`}>
-            {input.length > 0 ? `${input.length} / ${MAX_INPUT_LENGTH}` : 'Ready'}
-          </span>
+          <div className="flex items-center gap-3">
+            <label htmlFor="clarity-mode" className="sr-only">{t('input.mode')}</label>
+            <select
+              id="clarity-mode"
+              value={mode}
+              onChange={handleModeChange}
+              disabled={loading}
+              className={`text-xs font-medium rounded-lg px-2 py-1 outline-none cursor-pointer transition-colors duration-300 ${isDark ? 'bg-white/5 text-gray-300 border border-white/10 hover:bg-white/10' : 'bg-gray-50 text-gray-600 border border-gray-200 hover:bg-gray-100'}`}
+            >
+              {MODES.map(({ id }) => (
+                <option key={id} value={id}>{t(`mode.${id}`)}</option>
+              ))}
+            </select>
+            <label htmlFor="clarity-count" className="sr-only">{t('input.count')}</label>
+            <select
+              id="clarity-count"
+              value={n}
+              onChange={handleCountChange}
+              disabled={loading || isLong}
+              className={`text-xs font-medium rounded-lg px-2 py-1 outline-none cursor-pointer transition-colors duration-300 ${isDark ? 'bg-white/5 text-gray-300 border border-white/10 hover:bg-white/10' : 'bg-gray-50 text-gray-600 border border-gray-200 hover:bg-gray-100'}`}
+            >
+              {CANDIDATE_COUNTS.map((n) => (
+                <option key={n} value={n}>{t('input.answers', { count: n })}</option>
+              ))}
+            </select>
+            <label htmlFor="clarity-language" className="sr-only">{t('input.language')}</label>
+            <select
+              id="clarity-language"
+              value={outputLanguage}
+              onChange={handleLanguageChange}
+              disabled={loading}
+              title={t('input.language')}
+              className={`text-xs font-medium rounded-lg px-2 py-1 outline-none cursor-pointer transition-colors duration-300 ${isDark ? 'bg-white/5 text-gray-300 border border-white/10 hover:bg-white/10' : 'bg-gray-50 text-gray-600 border border-gray-200 hover:bg-gray-100'}`}
+            >
+              <option value={AUTO_LANGUAGE}>{t('input.languageAuto')}</option>
+              {OUTPUT_LANGUAGES.map(({ code, name }) => (
+                <option key={code} value={code} lang={code}>{name}</option>
+              ))}
+            </select>
+            {upload && (
+              <>
+                <input ref={fileInputRef} type="file" accept={upload.extensions.join(',')} onChange={handleFileChange} className="hidden" />
+                <button
+                  type="button"
+                  onClick={() => fileInputRef.current?.click()}
+                  disabled={loading}
+                  title={t('input.fileTitle', { extensions: upload.extensions.join(', ') })}
+                  aria-label={t('input.file')}
+                  className={`p-1 rounded-lg transition-colors disabled:opacity-50 disabled:cursor-not-allowed ${isDark ? 'text-gray-500 hover:text-gray-300 hover:bg-white/5' : 'text-gray-400 hover:text-gray-600 hover:bg-gray-100'}`}
+                >
+                  <Paperclip className="w-4 h-4" aria-hidden="true" />
+                </button>
+              </>
+            )}
+            <span id="clarity-hint" className={`text-xs font-medium transition-colors duration-300 ${fileError ? (isDark ? 'text-amber-400' : 'text-amber-600') : (isDark ? 'text-gray-600' : 'text-gray-400')}`}>
+              {fileError || (input.length === 0
+                ? t('input.ready')
+                : limits
+                  ? t(isLong ? 'input.tokensLong' : 'input.tokens', { tokens, max: limits.maxInputTokens })
+                  : t('input.characters', { count: input.length }))}
+            </span>
+          </div>
           <button
             onClick={handleClarifyClick}
             disabled={loading || !input.trim()}
             className={`flex items-center gap-2 px-6 py-2 rounded-xl font-medium transition-all duration-200 ${loading || !input.trim() ? (isDark ? 'bg-white/5 text-gray-500 cursor-not-allowed' : 'bg-gray-100 text-gray-400 cursor-not-allowed') : (isDark ? 'bg-white text-black hover:bg-gray-200 hover:scale-105 active:scale-95' : 'bg-gray-900 text-white hover:bg-gray-800 hover:scale-105 active:scale-95')}`}
-            aria-label={loading ? 'Processing your request' : 'Clarify'}
+            aria-label={loading ? t('input.processingLabel') : t('input.clarify')}
           >
             {loading ? (
               <>
                 <RefreshCw className="w-4 h-4 animate-spin" aria-hidden="true" />
-                <span>Processing</span>
+                <span>{t('input.processing')}</span>
               </>
             ) : (
               <>
-                <span>Clarify</span>
+                <span>{t('input.clarify')}</span>
                 <Sparkles className="w-4 h-4" aria-hidden="true" />
               </>
             )}
@@ -96,17 +375,183 @@ const InputField = memo(React.forwardRef(({ onClarify, isDark, loading, outputHa
       </div>
       <div className="mt-3 text-center">
         <p className={`text-xs transition-colors duration-300 ${isDark ? 'text-gray-600' : 'text-gray-400'}`}>
-          Powered by Groq Llama 3 • One sentence output guaranteed
+          {t('app.footer')}
         </p>
       </div>
     </div>
   );
 }));
 
+// ─── RefineControls Component ───────────────────────────────────────────
+// Owns the guidance text so typing in it doesn't re-render the whole page
+const RefineControls = memo(({ onRefine, isDark, loading }) => {
+  const { t } = useI18n();
+  const [guidance, setGuidance] = React.useState('');
+
+  const submit = () => {
+    onRefine(guidance.trim());
+    setGuidance('');
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      submit();
+    }
+  };
+
+  return (
+    <div className="flex flex-1 items-center justify-end gap-3 min-w-0">
+      <label htmlFor="refine-guidance" className="sr-only">{t('refine.label')}</label>
+      <input
+        id="refine-guidance"
+        type="text"
+        dir="auto"
+        value={guidance}
+        onChange={(e) => setGuidance(e.target.value)}
+        onKeyDown={handleKeyDown}
+        maxLength={MAX_GUIDANCE_LENGTH}
+        disabled={loading}
+        placeholder={t('refine.placeholder')}
+        className={`w-full max-w-[16rem] bg-transparent text-sm px-2 py-1 rounded-lg border outline-none transition-colors ${isDark ? 'border-white/5 text-gray-300 placeholder:text-gray-600 focus:border-white/20' : 'border-gray-100 text-gray-700 placeholder:text-gray-400 focus:border-gray-300'}`}
+      />
+      <button
+        onClick={submit}
+        disabled={loading}
+        className={`flex items-center gap-2 text-sm shrink-0 transition-colors ${isDark ? 'text-gray-500 hover:text-white' : 'text-gray-400 hover:text-gray-900'}`}
+      >
+        <RefreshCw className="w-3 h-3" />
+        <span>{t('refine.button')}</span>
+      </button>
+    </div>
+  );
+});
+
+// ─── CandidateList Component ────────────────────────────────────────────
+// n answers streaming side by side; picking one makes it the result
+const CandidateList = memo(({ candidates, onPick, isDark, loading }) => {
+  const { t } = useI18n();
+  return (
+    <div>
+      <p className={`mb-4 text-sm ${isDark ? 'text-gray-500' : 'text-gray-400'}`}>
+        {loading ? t('candidates.writing') : t('candidates.pick')}
+      </p>
+      <ol className={`grid gap-3 ${CANDIDATE_GRID[candidates.length] || ''}`}>
+        {candidates.map((candidate, index) => (
+          <li
+            key={index}
+            className={`flex flex-col rounded-xl border p-4 transition-colors ${isDark ? 'border-white/10 bg-white/[0.02]' : 'border-gray-200 bg-gray-50/50'}`}
+          >
+            <span className={`text-[11px] font-medium uppercase tracking-wider ${isDark ? 'text-gray-500' : 'text-gray-400'}`}>
+              {t('candidates.option', { letter: String.fromCharCode(65 + index) })}
+            </span>
+            <p dir="auto" className={`mt-2 flex-1 text-base font-medium leading-relaxed ${isDark ? 'text-gray-100' : 'text-gray-800'}`}>
+              {candidate.error ? <span className="text-red-500">{candidate.error}</span> : candidate.output}
+              {loading && !candidate.error && <span className="inline-block w-2 h-4 ms-1 bg-emerald-500 animate-pulse align-middle" />}
+            </p>
+            <button
+              onClick={() => onPick(index)}
+              disabled={loading || !candidate.output || !!candidate.error}
+              className={`mt-4 flex items-center justify-center gap-2 rounded-lg px-3 py-1.5 text-sm font-medium transition-colors disabled:opacity-40 disabled:cursor-not-allowed ${isDark ? 'bg-white/5 text-gray-200 hover:bg-white/10' : 'bg-white border border-gray-200 text-gray-700 hover:bg-gray-100'}`}
+            >
+              <Check className="w-3.5 h-3.5" aria-hidden="true" />
+              <span>{t('candidates.use')}</span>
+            </button>
+          </li>
+        ))}
+      </ol>
+    </div>
+  );
+});
+
+// ─── Countdown ──────────────────────────────────────────────────────────
+// Whole seconds left until `until` (epoch ms), ticking while it is set
+function useSecondsUntil(until) {
+  const [now, setNow] = React.useState(() => Date.now());
+  useEffect(() => {
+    if (!until) return undefined;
+    const timer = setInterval(() => setNow(Date.now()), 250);
+    return () => clearInterval(timer);
+  }, [until]);
+  return until ? Math.max(0, Math.ceil((until - now) / 1000)) : 0;
+}
+
+// Shown in the result card while the stream waits before another attempt
+const RetryNotice = memo(({ retry, isDark }) => {
+  const { t } = useI18n();
+  const seconds = useSecondsUntil(retry.retryAt);
+  return (
+    <p role="status" className={`mb-4 text-sm ${isDark ? 'text-amber-400' : 'text-amber-600'}`}>
+      {t(seconds > 0 ? 'status.retryingIn' : 'status.retrying', { reason: retry.reason, seconds, attempt: retry.attempt, max: retry.maxAttempts })}
+    </p>
+  );
+});
+
+// A long input read in parts: which part is being read, then the answer being put together
+const ProgressNotice = memo(({ progress, isDark }) => {
+  const { t } = useI18n();
+  return (
+    <p role="status" className={`mb-4 text-sm ${isDark ? 'text-gray-400' : 'text-gray-500'}`}>
+      {t(progress.stage === 'map' ? 'status.reading' : 'status.combining', { completed: progress.completed, total: progress.total })}
+    </p>
+  );
+});
+
+// "Try again" for a failed request, held back until the server's Retry-After has passed
+const TryAgainButton = memo(({ retryAt, onClick, loading }) => {
+  const { t } = useI18n();
+  const seconds = useSecondsUntil(retryAt);
+  return (
+    <button
+      onClick={onClick}
+      disabled={loading || seconds > 0}
+      className="ms-2 px-2 py-0.5 rounded-md font-medium underline underline-offset-2 disabled:no-underline disabled:opacity-60 disabled:cursor-not-allowed"
+    >
+      {seconds > 0 ? t('status.tryAgainIn', { seconds }) : t('status.tryAgain')}
+    </button>
+  );
+});
+
+/*
+  Shown instead of an answer when the server flagged the input (see
+  server/safety).  A crisis lists support resources; other categories
+  explain why there is no clarification.
+*/
+const SafetyNotice = memo(({ safety, isDark }) => (
+  <div role={safety.category === 'crisis' ? 'alert' : 'status'} className="space-y-4">
+    <p className={`text-xl md:text-2xl font-medium leading-relaxed ${isDark ? 'text-gray-100' : 'text-gray-800'}`}>{safety.title}</p>
+    <p className={`leading-relaxed ${isDark ? 'text-gray-300' : 'text-gray-600'}`}>{safety.message}</p>
+    {safety.resources?.length > 0 && (
+      <ul className="space-y-2">
+        {safety.resources.map((resource) => {
+          const Item = resource.url ? 'a' : 'div';
+          return (
+            <li key={resource.name}>
+              <Item
+                {...(resource.url && { href: resource.url, target: '_blank', rel: 'noopener noreferrer' })}
+                className={`flex items-center justify-between gap-4 rounded-xl px-4 py-3 transition-colors ${isDark ? 'bg-sky-400/10 hover:bg-sky-400/15 text-sky-300' : 'bg-sky-50 hover:bg-sky-100 text-sky-700'}`}
+              >
+                <span className="font-medium">{resource.name}</span>
+                {resource.contact && <span className="text-sm shrink-0 opacity-80">{resource.contact}</span>}
+              </Item>
+            </li>
+          );
+        })}
+      </ul>
+    )}
+    {safety.note && <p className={`text-sm ${isDark ? 'text-gray-500' : 'text-gray-400'}`}>{safety.note}</p>}
+  </div>
+));
+
 // ─── App Component ───────────────────────────────────────────────────────
 function App() {
+  const { t, locale, setLocale } = useI18n();
   const [theme, setTheme] = React.useState('dark'); // 'dark' | 'light'
-  const [{ loading, output, error, copied, feedback }, dispatch] = useReducer(
+  const [historyOpen, setHistoryOpen] = React.useState(false);
+  const history = useHistory();
+  const { addEntry, updateEntry } = history;
+  const limits = useLimits(LIMITS_URL);
+  const [{ loading, output, error, copied, feedback, meta, versions, activeVersion, candidates, retry, retryAt, safety, progress }, dispatch] = useReducer(
     requestReducer,
     initialRequestState,
   );
@@ -114,6 +559,10 @@ function App() {
   const abortRef = useRef(null);
   const copyTimerRef = useRef(null);
   const inputFieldRef = useRef(null);
+  // Input and mode behind the answer on screen, for refining it and attaching feedback
+  const lastRequestRef = useRef(null);
+  // Arguments of the last executeClarify call, for "Try again" after an error
+  const lastCallRef = useRef(null);
   
   // Cache to store previous queries and eliminate unneeded API calls
   const cacheMap = useRef(new Map());
@@ -129,13 +578,34 @@ function App() {
     setTheme(prev => (prev === 'dark' ? 'light' : 'dark'));
   }, []);
 
-  const executeClarify = useCallback(async (text, { refine = false } = {}) => {
+  const handleLocaleChange = useCallback((e) => {
+    setLocale(e.target.value);
+  }, [setLocale]);
+
+  /*
+    fresh: skip both caches for a new answer to the same question.
+    previous/guidance: refine the answer on screen — the earlier answers (and
+    the guidance given on each) go to the server as a follow-up conversation.
+    n: stream n candidate answers side by side for the user to pick from.
+    file: upload a document instead — the server extracts its text and
+    sends it back in the start event, where it takes the place of `text`.
+    outputLanguage: a language code the answer must be written in, or
+    "auto" for the language of the input.
+  */
+  const executeClarify = useCallback(async (text, { fresh = false, mode = DEFAULT_MODE, previous, guidance, n = 1, file, outputLanguage = AUTO_LANGUAGE } = {}) => {
     if (loading) return;
-    const trimmed = text.trim();
-    if (!trimmed) return;
+    let trimmed = text.trim();
+    if (!trimmed && !file) return;
+    const refining = Array.isArray(previous);
+    const comparing = n > 1;
 
-    if (!refine && cacheMap.current.has(trimmed)) {
-      dispatch({ type: 'SUCCESS', payload: cacheMap.current.get(trimmed) });
+    // Same text in a different mode or answer language is a different answer
+    const keyFor = (input) => `${mode}\u0000${outputLanguage}\u0000${input}`;
+    let cacheKey = keyFor(trimmed);
+    if (!file && !fresh && !refining && !comparing && cacheMap.current.has(cacheKey)) {
+      const cached = cacheMap.current.get(cacheKey);
+      lastRequestRef.current = { text: trimmed, mode, outputLanguage };
+      dispatch({ type: 'SUCCESS', payload: cached.output, meta: cached.meta, historyId: cached.historyId });
       return;
     }
 
@@ -145,76 +615,209 @@ function App() {
     const controller = new AbortController();
     abortRef.current = controller;
 
-    dispatch({ type: 'START' });
+    dispatch({ type: 'START', refining, candidates: comparing ? n : 0 });
+    lastRequestRef.current = { text: trimmed, mode, outputLanguage };
+    lastCallRef.current = { text: trimmed, options: { fresh, mode, previous, guidance, n, file, outputLanguage } };
+
+    let fullOutput = '';
+    let streamMeta = {};
+    let flagged = false;
+
+    const handleEvent = ({ event, data }) => {
+      if (event === 'safety') {
+        // The server answered with support resources or a notice instead of a clarification
+        flagged = true;
+        dispatch({ type: 'SAFETY', payload: data });
+      } else if (event === 'start') {
+        // A retry got through — drop the countdown
+        dispatch({ type: 'RETRYING', payload: null });
+        streamMeta = { ...streamMeta, requestId: data.requestId };
+        dispatch({ type: 'STREAM_META', payload: { requestId: data.requestId } });
+        // An uploaded file's text becomes the input, so it can be read, edited and refined
+        if (data.file) {
+          trimmed = data.file.text;
+          cacheKey = keyFor(trimmed);
+          lastRequestRef.current = { text: trimmed, mode, outputLanguage };
+          inputFieldRef.current?.setValue(trimmed, mode);
+        }
+      } else if (event === 'done') {
+        // Latency and token usage for the whole request
+        const summary = { requestId: data.requestId, latencyMs: data.latencyMs, usage: data.usage };
+        streamMeta = { ...streamMeta, ...summary };
+        dispatch({ type: 'STREAM_META', payload: summary });
+      } else if (event === 'progress') {
+        // A long input is read in parts before the answer streams
+        const { candidate: _candidate, ...step } = data;
+        dispatch({ type: 'PROGRESS', payload: step });
+      } else if (comparing) {
+        // Side-by-side answers: every event names the candidate it belongs to
+        const index = data.candidate;
+        if (event === 'token') {
+          dispatch({ type: 'CANDIDATE_UPDATE', index, payload: data.text });
+        } else if (event === 'meta') {
+          dispatch({ type: 'CANDIDATE_META', index, payload: data });
+        } else if (event === 'replace') {
+          dispatch({ type: 'CANDIDATE_REPLACE', index, payload: data.text });
+        } else if (event === 'error') {
+          dispatch({ type: 'CANDIDATE_ERROR', index, payload: data.message });
+        }
+      } else if (event === 'token') {
+        dispatch({ type: 'STREAM_UPDATE', payload: data.text });
+        fullOutput += data.text;
+      } else if (event === 'meta') {
+        const { candidate: _candidate, ...eventMeta } = data;
+        dispatch({ type: 'STREAM_META', payload: eventMeta });
+        streamMeta = { ...streamMeta, ...eventMeta };
+      } else if (event === 'replace') {
+        // Server corrected the streamed answer after checking its output rules
+        dispatch({ type: 'STREAM_REPLACE', payload: data.text });
+        fullOutput = data.text;
+      }
+    };
 
     try {
-      const response = await fetch(API_URL, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ text: trimmed }),
+      await streamClarify(file ? FILE_URL : API_URL, file ? uploadForm(file, { mode, n, fresh, outputLanguage }) : {
+        text: trimmed,
+        mode,
+        outputLanguage: outputLanguage === AUTO_LANGUAGE ? undefined : outputLanguage,
+        // refine: true asks the server for a fresh answer instead of its cached one
+        refine: fresh || undefined,
+        previous,
+        n: comparing ? n : undefined,
+      }, {
+        headers: { 'X-Client-Id': getClientId() },
         signal: controller.signal,
+        onEvent: handleEvent,
+        onRetry: (retry) => dispatch({ type: 'RETRYING', payload: retry }),
+        onRestart: () => {
+          fullOutput = '';
+          streamMeta = {};
+          dispatch({ type: 'RESTART' });
+        },
       });
 
-      if (!response.ok) {
-        let msg = 'Unable to process request.';
-        try {
-          const data = await response.json();
-          msg = data.error || msg;
-        } catch {
-          if (response.status === 429) msg = 'System busy. Please try again in a moment.';
-        }
-        throw new Error(msg);
-      }
+      // Neither kept in history nor cached, so the same input is checked again
+      if (flagged) return;
 
-      // Read SSE stream
-      const reader = response.body.getReader();
-      const decoder = new TextDecoder();
-      let done = false;
-      let fullOutput = '';
-
-      while (!done) {
-        const { value, done: readerDone } = await reader.read();
-        done = readerDone;
-        if (value) {
-          const textChunk = decoder.decode(value, { stream: true });
-          const lines = textChunk.split('\n');
-          for (const line of lines) {
-            if (line.startsWith('data: ')) {
-              const dataStr = line.replace('data: ', '').trim();
-              if (dataStr === '[DONE]') {
-                done = true;
-                break;
-              }
-              if (dataStr) {
-                try {
-                  const dataObj = JSON.parse(dataStr);
-                  if (dataObj.text) {
-                    dispatch({ type: 'STREAM_UPDATE', payload: dataObj.text });
-                    fullOutput += dataObj.text;
-                  }
-                } catch (err) {
-                  console.error("Failed to parse SSE JSON chunk:", err);
-                }
-              }
-            }
-          }
-        }
+      // Nothing is kept until the user picks one of the candidates
+      if (comparing) {
+        dispatch({ type: 'CANDIDATES_READY' });
+        return;
       }
 
-      dispatch({ type: 'SUCCESS' });
-      cacheMap.current.set(trimmed, fullOutput.trim());
+      const historyId = addEntry({
+        input: trimmed,
+        output: fullOutput,
+        mode,
+        provider: streamMeta.provider,
+        model: streamMeta.model,
+      });
+      dispatch({ type: 'SUCCESS', refining, guidance, historyId });
+      // Only first answers are cached — a refinement belongs to its chain
+      if (!refining) {
+        cacheMap.current.set(cacheKey, { output: fullOutput.trim(), meta: streamMeta, historyId });
+      }
       
     } catch (err) {
       if (err.name === 'AbortError') return;
-      dispatch({ type: 'ERROR', payload: err.message });
+      dispatch({ type: 'ERROR', payload: err.message, retryAt: err.retryAt });
     }
-  }, [loading]);
+  }, [loading, addEntry]);
+
+  /*
+    Refine the version on screen.  Each earlier answer travels with the
+    guidance the user gave on it: the next version's guidance, or for the
+    version being refined, the new guidance.
+  */
+  const handleRefine = useCallback((guidance) => {
+    const request = lastRequestRef.current;
+    if (!request) return;
+    const chain = versions.slice(0, activeVersion + 1);
+    const previous = chain
+      .map((version, index) => ({
+        output: version.output,
+        guidance: (index < chain.length - 1 ? chain[index + 1].guidance : guidance) || null,
+      }))
+      .slice(-MAX_REFINE_TURNS);
+    executeClarify(request.text, { mode: request.mode, outputLanguage: request.outputLanguage, previous, guidance: guidance || null });
+  }, [executeClarify, versions, activeVersion]);
 
-  const handleRefine = useCallback(() => {
-    const text = inputFieldRef.current?.getValue() || '';
-    executeClarify(text, { refine: true });
+  /*
+    Keep the chosen candidate and tell the server which phrasing won over
+    which — a preference signal, separate from thumbs up/down.
+  */
+  const handlePickCandidate = useCallback((index) => {
+    const request = lastRequestRef.current;
+    const chosen = candidates[index];
+    if (!request || !chosen?.output) return;
+
+    const historyId = addEntry({
+      input: request.text,
+      output: chosen.output,
+      mode: request.mode,
+      provider: chosen.meta.provider,
+      model: chosen.meta.model,
+    });
+    dispatch({ type: 'PICK_CANDIDATE', payload: index, historyId });
+
+    const rejected = candidates
+      .filter((candidate, i) => i !== index && candidate.output.trim())
+      .map((candidate) => candidate.output.trim());
+    if (rejected.length === 0) return;
+    fetch(FEEDBACK_URL, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        input: request.text,
+        output: chosen.output.trim(),
+        mode: request.mode,
+        provider: chosen.meta.provider,
+        model: chosen.meta.model,
+        temperature: chosen.meta.temperature,
+        experiment: chosen.meta.experiment,
+        rejected,
+      }),
+    }).catch(console.error);
+  }, [candidates, addEntry]);
+
+  const handleSelectVersion = useCallback((index) => {
+    dispatch({ type: 'SELECT_VERSION', payload: index });
+  }, []);
+
+  const toggleHistory = useCallback(() => {
+    setHistoryOpen(prev => !prev);
+  }, []);
+
+  const closeHistory = useCallback(() => {
+    setHistoryOpen(false);
+  }, []);
+
+  // Put an earlier clarification back on screen without calling the API
+  const handleOpenEntry = useCallback((entry) => {
+    if (abortRef.current) abortRef.current.abort();
+    inputFieldRef.current?.setValue(entry.input, entry.mode);
+    lastRequestRef.current = { text: entry.input, mode: entry.mode };
+    dispatch({
+      type: 'RESTORE',
+      payload: {
+        output: entry.output,
+        feedback: entry.feedback,
+        meta: { mode: entry.mode, provider: entry.provider, model: entry.model },
+        historyId: entry.id,
+      },
+    });
+    setHistoryOpen(false);
+  }, []);
+
+  const handleRerunEntry = useCallback((entry) => {
+    inputFieldRef.current?.setValue(entry.input, entry.mode);
+    executeClarify(entry.input, { fresh: true, mode: entry.mode });
+    setHistoryOpen(false);
   }, [executeClarify]);
 
+  // Input and mode behind the answer on screen, read when a share link is made
+  const getLastRequest = useCallback(() => lastRequestRef.current, []);
+
   const handleCopy = useCallback(() => {
     if (!output) return;
     navigator.clipboard.writeText(output).catch(console.error);
@@ -226,13 +829,48 @@ function App() {
     );
   }, [output]);
 
+  /*
+    Record the rating server-side.  Fire-and-forget: a failed feedback call
+    must never disturb the result the user is looking at.  Toggling a rating
+    off sends null, which retracts it.
+  */
+  const sendFeedback = useCallback((rating) => {
+    const request = lastRequestRef.current;
+    if (!request || !output) return;
+    const historyId = versions[activeVersion]?.historyId;
+    if (historyId) updateEntry(historyId, { feedback: rating });
+    fetch(FEEDBACK_URL, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        input: request.text,
+        output,
+        mode: request.mode,
+        provider: meta.provider,
+        model: meta.model,
+        // Credits the rating to the A/B variant that wrote the answer
+        experiment: meta.experiment,
+        rating,
+      }),
+    }).catch(console.error);
+  }, [output, meta, versions, activeVersion, updateEntry]);
+
   const handleThumbsUp = useCallback(() => {
-    dispatch({ type: 'SET_FEEDBACK', payload: feedback === 'up' ? null : 'up' });
-  }, [feedback]);
+    const rating = feedback === 'up' ? null : 'up';
+    dispatch({ type: 'SET_FEEDBACK', payload: rating });
+    sendFeedback(rating);
+  }, [feedback, sendFeedback]);
 
   const handleThumbsDown = useCallback(() => {
-    dispatch({ type: 'SET_FEEDBACK', payload: feedback === 'down' ? null : 'down' });
-  }, [feedback]);
+    const rating = feedback === 'down' ? null : 'down';
+    dispatch({ type: 'SET_FEEDBACK', payload: rating });
+    sendFeedback(rating);
+  }, [feedback, sendFeedback]);
+
+  const handleTryAgain = useCallback(() => {
+    const call = lastCallRef.current;
+    if (call) executeClarify(call.text, call.options);
+  }, [executeClarify]);
 
   const isDark = theme === 'dark';
 
@@ -245,11 +883,46 @@ function App() {
         <div className={`absolute bottom-[-10%] right-[-10%] w-[40%] h-[40%] rounded-full blur-[120px] transition-colors duration-700 transform-gpu ${isDark ? 'bg-blue-500/10' : 'bg-blue-500/5'}`} />
       </div>
 
-      <div className="absolute top-6 right-6">
+      <HistoryPanel
+        open={historyOpen}
+        onClose={closeHistory}
+        isDark={isDark}
+        loading={loading}
+        history={history}
+        onOpen={handleOpenEntry}
+        onRerun={handleRerunEntry}
+      />
+
+      <div className="absolute top-6 start-6">
+        <button
+          onClick={toggleHistory}
+          className={`p-3 rounded-full shadow-lg border transition-all duration-300 hover:scale-105 active:scale-95 ${isDark ? 'bg-[#1a1a1a] border-white/10 text-gray-300 hover:bg-[#252525]' : 'bg-white border-gray-200 text-gray-600 hover:bg-gray-50'}`}
+          title={t('app.history')}
+          aria-expanded={historyOpen}
+        >
+          <History className="w-5 h-5" />
+        </button>
+      </div>
+
+      <div className="absolute top-6 end-6 flex items-center gap-3">
+        <div className={`flex items-center gap-2 px-3 py-2.5 rounded-full shadow-lg border transition-colors duration-300 ${isDark ? 'bg-[#1a1a1a] border-white/10 text-gray-300' : 'bg-white border-gray-200 text-gray-600'}`}>
+          <Languages className="w-4 h-4 shrink-0" aria-hidden="true" />
+          <label htmlFor="clarity-locale" className="sr-only">{t('app.locale')}</label>
+          <select
+            id="clarity-locale"
+            value={locale}
+            onChange={handleLocaleChange}
+            className="bg-transparent text-xs font-medium outline-none cursor-pointer"
+          >
+            {LOCALES.map(({ code, name }) => (
+              <option key={code} value={code} lang={code} className="text-gray-900">{name}</option>
+            ))}
+          </select>
+        </div>
         <button
           onClick={toggleTheme}
           className={`p-3 rounded-full shadow-lg border transition-all duration-300 hover:scale-105 active:scale-95 ${isDark ? 'bg-[#1a1a1a] border-white/10 text-emerald-400 hover:bg-[#252525]' : 'bg-white border-gray-200 text-yellow-500 hover:bg-gray-50'}`}
-          title={`Switch to ${isDark ? 'Light' : 'Dark'} Mode`}
+          title={isDark ? t('app.themeToLight') : t('app.themeToDark')}
         >
           {isDark ? <Moon className="w-5 h-5 fill-current" /> : <Sun className="w-5 h-5 fill-current" />}
         </button>
@@ -267,61 +940,94 @@ function App() {
             Clarity AI
           </h1>
           <p className={`text-sm font-medium tracking-wide uppercase transition-colors duration-300 ${isDark ? 'text-gray-400' : 'text-gray-500'}`}>
-            Simplify overthinking into one clear idea.
+            {t('app.tagline')}
           </p>
         </header>
 
         <div className="flex flex-col gap-8 order-2 w-full">
           
           {/* Animated layout shift grid container */}
-          <div className={`grid transition-[grid-template-rows,opacity,margin] duration-500 ease-out ${output || loading ? 'grid-rows-[1fr] opacity-100 mb-2' : 'grid-rows-[0fr] opacity-0 mb-0'}`}>
+          <div className={`grid transition-[grid-template-rows,opacity,margin] duration-500 ease-out ${output || loading || candidates.length > 0 || safety ? 'grid-rows-[1fr] opacity-100 mb-2' : 'grid-rows-[0fr] opacity-0 mb-0'}`}>
             <div className="overflow-hidden">
               <section
                 aria-live="polite"
                 className={`group relative rounded-2xl p-6 md:p-8 shadow-2xl transition-colors duration-300 ${isDark ? 'bg-[#111] border border-white/10 hover:border-white/20' : 'bg-white border border-gray-200 shadow-gray-200/50'}`}
               >
-                <div className="absolute top-4 right-4 flex items-center gap-2 opacity-0 group-hover:opacity-100 transition-opacity">
-                  <button
-                    onClick={handleCopy}
-                    className={`p-2 rounded-lg transition-colors ${isDark ? 'hover:bg-white/10 text-gray-400 hover:text-white' : 'hover:bg-gray-100 text-gray-400 hover:text-gray-900'}`}
-                    title="Copy to clipboard"
-                  >
-                    {copied ? <Check className="w-4 h-4 text-emerald-500" /> : <Copy className="w-4 h-4" />}
-                  </button>
-                </div>
+                {candidates.length === 0 && !safety && (
+                  <div className="absolute top-4 end-4 z-10 flex items-center gap-2 opacity-0 group-hover:opacity-100 focus-within:opacity-100 has-[[aria-expanded=true]]:opacity-100 transition-opacity">
+                    <ShareButton key={output} output={output} getRequest={getLastRequest} isDark={isDark} disabled={loading || !output} />
+                    <button
+                      onClick={handleCopy}
+                      className={`p-2 rounded-lg transition-colors ${isDark ? 'hover:bg-white/10 text-gray-400 hover:text-white' : 'hover:bg-gray-100 text-gray-400 hover:text-gray-900'}`}
+                      title={t('result.copy')}
+                    >
+                      {copied ? <Check className="w-4 h-4 text-emerald-500" /> : <Copy className="w-4 h-4" />}
+                    </button>
+                  </div>
+                )}
 
-                <div className="mb-6">
-                  <span className="text-xs font-semibold tracking-wider text-emerald-500 uppercase">Result</span>
+                <div className="mb-6 flex items-center gap-3">
+                  <span className="text-xs font-semibold tracking-wider text-emerald-500 uppercase">{safety ? t('result.notice') : t('result.title')}</span>
+                  {versions.length > 1 && (
+                    <div className="flex items-center gap-1" role="group" aria-label={t('result.versions')}>
+                      {versions.map((version, index) => (
+                        <button
+                          key={index}
+                          onClick={() => handleSelectVersion(index)}
+                          disabled={loading}
+                          aria-pressed={index === activeVersion}
+                          title={version.guidance ? t('result.refinedWith', { guidance: version.guidance }) : t(index === 0 ? 'result.firstAnswer' : 'result.refined')}
+                          className={`px-2 py-0.5 rounded-md text-[11px] font-medium transition-colors ${index === activeVersion ? (isDark ? 'bg-emerald-400/10 text-emerald-400' : 'bg-emerald-50 text-emerald-600') : (isDark ? 'text-gray-500 hover:text-gray-300 hover:bg-white/5' : 'text-gray-400 hover:text-gray-600 hover:bg-gray-100')}`}
+                        >
+                          v{index + 1}
+                        </button>
+                      ))}
+                    </div>
+                  )}
+                  {meta.redacted && (
+                    <span
+                      title={t('result.maskedTitle')}
+                      className={`flex items-center gap-1 text-[11px] font-medium ${isDark ? 'text-gray-500' : 'text-gray-400'}`}
+                    >
+                      <ShieldCheck className="w-3.5 h-3.5" aria-hidden="true" />
+                      {t('result.masked')}
+                    </span>
+                  )}
                 </div>
 
-                <p className={`text-xl md:text-2xl font-medium leading-relaxed transition-colors duration-300 min-h-[4rem] ${isDark ? 'text-gray-100' : 'text-gray-800'}`}>
-                  {output}
-                  {loading && <span className="inline-block w-2h-6 ml-1 lg:h-8 lg:w-3 bg-emerald-500 animate-pulse align-middle" />}
-                </p>
+                {loading && retry && <RetryNotice retry={retry} isDark={isDark} />}
+                {loading && progress && !output && <ProgressNotice progress={progress} isDark={isDark} />}
 
-                <div className={`mt-8 flex items-center justify-between border-t pt-4 transition-colors duration-300 ${isDark ? 'border-white/5' : 'border-gray-100'}`}>
-                  <div className="flex gap-2" role="group">
-                    <button onClick={handleThumbsUp} className={`p-2 rounded-lg transition-colors ${feedback === 'up' ? (isDark ? 'text-emerald-400 bg-emerald-400/10' : 'text-emerald-600 bg-emerald-50') : (isDark ? 'text-gray-500 hover:text-gray-300 hover:bg-white/5' : 'text-gray-400 hover:text-gray-600 hover:bg-gray-100')}`}>
-                      <ThumbsUp className="w-4 h-4" />
-                    </button>
-                    <button onClick={handleThumbsDown} className={`p-2 rounded-lg transition-colors ${feedback === 'down' ? (isDark ? 'text-red-400 bg-red-400/10' : 'text-red-600 bg-red-50') : (isDark ? 'text-gray-500 hover:text-gray-300 hover:bg-white/5' : 'text-gray-400 hover:text-gray-600 hover:bg-gray-100')}`}>
-                      <ThumbsDown className="w-4 h-4" />
-                    </button>
-                  </div>
+                {safety ? (
+                  <SafetyNotice safety={safety} isDark={isDark} />
+                ) : candidates.length > 0 ? (
+                  <CandidateList candidates={candidates} onPick={handlePickCandidate} isDark={isDark} loading={loading} />
+                ) : (
+                  <>
+                    <p dir="auto" className={`text-xl md:text-2xl font-medium leading-relaxed transition-colors duration-300 min-h-[4rem] ${isDark ? 'text-gray-100' : 'text-gray-800'}`}>
+                      {output}
+                      {loading && <span className="inline-block w-2h-6 ms-1 lg:h-8 lg:w-3 bg-emerald-500 animate-pulse align-middle" />}
+                    </p>
 
-                  <button
-                    onClick={handleRefine}
-                    className={`flex items-center gap-2 text-sm transition-colors ${isDark ? 'text-gray-500 hover:text-white' : 'text-gray-400 hover:text-gray-900'}`}
-                  >
-                    <RefreshCw className="w-3 h-3" />
-                    <span>Refine</span>
-                  </button>
-                </div>
+                    <div className={`mt-8 flex items-center justify-between gap-4 border-t pt-4 transition-colors duration-300 ${isDark ? 'border-white/5' : 'border-gray-100'}`}>
+                      <div className="flex gap-2" role="group">
+                        <button onClick={handleThumbsUp} className={`p-2 rounded-lg transition-colors ${feedback === 'up' ? (isDark ? 'text-emerald-400 bg-emerald-400/10' : 'text-emerald-600 bg-emerald-50') : (isDark ? 'text-gray-500 hover:text-gray-300 hover:bg-white/5' : 'text-gray-400 hover:text-gray-600 hover:bg-gray-100')}`}>
+                          <ThumbsUp className="w-4 h-4" />
+                        </button>
+                        <button onClick={handleThumbsDown} className={`p-2 rounded-lg transition-colors ${feedback === 'down' ? (isDark ? 'text-red-400 bg-red-400/10' : 'text-red-600 bg-red-50') : (isDark ? 'text-gray-500 hover:text-gray-300 hover:bg-white/5' : 'text-gray-400 hover:text-gray-600 hover:bg-gray-100')}`}>
+                          <ThumbsDown className="w-4 h-4" />
+                        </button>
+                      </div>
+
+                      <RefineControls onRefine={handleRefine} isDark={isDark} loading={loading} />
+                    </div>
+                  </>
+                )}
               </section>
             </div>
           </div>
 
-          <InputField ref={inputFieldRef} onClarify={executeClarify} isDark={isDark} loading={loading} outputHasContent={!!output || loading} />
+          <InputField ref={inputFieldRef} onClarify={executeClarify} isDark={isDark} loading={loading} limits={limits} outputHasContent={!!output || loading || candidates.length > 0 || !!safety} />
 
         </div>
 
@@ -329,6 +1035,7 @@ function App() {
           <div role="alert" className={`order-3 p-4 rounded-xl flex items-center justify-center gap-2 text-sm animate-fade-in ${isDark ? 'bg-red-500/10 border border-red-500/20 text-red-400' : 'bg-red-50 border border-red-200 text-red-600'}`}>
             <div className="w-1.5 h-1.5 rounded-full bg-red-500 shrink-0" aria-hidden="true" />
             {error}
+            <TryAgainButton retryAt={retryAt} onClick={handleTryAgain} loading={loading} />
           </div>
         )}
       </div>
@@ -0,0 +1,167 @@
+import React, { useCallback, useEffect, useMemo, useRef, memo } from 'react';
+import { X, Search, Pin, PinOff, RotateCw, Trash2, Download, Upload, ThumbsUp, ThumbsDown } from 'lucide-react';
+import { filterHistory, exportHistory, parseHistoryFile, EXPORT_FORMATS } from './history';
+import { useI18n } from './i18n';
+
+const FORMAT_LABELS = { json: 'JSON', md: 'Markdown', csv: 'CSV' };
+
+function formatTime(iso, locale) {
+  return new Date(iso).toLocaleString(locale, { dateStyle: 'medium', timeStyle: 'short' });
+}
+
+function downloadFile({ filename, type, content }) {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
+// ─── HistoryEntry Component ─────────────────────────────────────────────
+const HistoryEntry = memo(({ entry, isDark, loading, onOpen, onRerun, onTogglePin, onRemove }) => {
+  const { t, locale } = useI18n();
+  const iconButton = `p-1.5 rounded-md transition-colors ${isDark ? 'text-gray-500 hover:text-white hover:bg-white/10' : 'text-gray-400 hover:text-gray-900 hover:bg-gray-100'}`;
+
+  return (
+    <li className={`group rounded-xl border p-3 transition-colors ${isDark ? 'border-white/5 hover:border-white/15 bg-white/[0.02]' : 'border-gray-100 hover:border-gray-200 bg-gray-50/50'}`}>
+      <button onClick={() => onOpen(entry)} className="w-full text-start" title={t('history.show')}>
+        <div className={`flex items-center gap-2 text-[11px] font-medium uppercase tracking-wider ${isDark ? 'text-gray-500' : 'text-gray-400'}`}>
+          <span className="text-emerald-500">{t(`mode.${entry.mode}`)}</span>
+          <span>{formatTime(entry.createdAt, locale)}</span>
+          {entry.pinned && <Pin className="w-3 h-3 text-emerald-500" aria-label={t('history.pinned')} />}
+          {entry.feedback === 'up' && <ThumbsUp className="w-3 h-3" aria-label={t('history.helpful')} />}
+          {entry.feedback === 'down' && <ThumbsDown className="w-3 h-3" aria-label={t('history.unhelpful')} />}
+        </div>
+        <p dir="auto" className={`mt-1 text-sm font-medium line-clamp-2 ${isDark ? 'text-gray-200' : 'text-gray-800'}`}>{entry.output}</p>
+        <p dir="auto" className="mt-1 text-xs line-clamp-2 text-gray-500">{entry.input}</p>
+      </button>
+
+      <div className="mt-2 flex justify-end gap-1 opacity-0 group-hover:opacity-100 focus-within:opacity-100 transition-opacity">
+        <button onClick={() => onTogglePin(entry.id)} className={iconButton} title={entry.pinned ? t('history.unpin') : t('history.pin')}>
+          {entry.pinned ? <PinOff className="w-3.5 h-3.5" /> : <Pin className="w-3.5 h-3.5" />}
+        </button>
+        <button onClick={() => onRerun(entry)} disabled={loading} className={iconButton} title={t('history.rerun')}>
+          <RotateCw className="w-3.5 h-3.5" />
+        </button>
+        <button onClick={() => onRemove(entry.id)} className={iconButton} title={t('history.delete')}>
+          <Trash2 className="w-3.5 h-3.5" />
+        </button>
+      </div>
+    </li>
+  );
+});
+
+// ─── HistoryPanel Component ─────────────────────────────────────────────
+function HistoryPanel({ open, onClose, isDark, loading, history, onOpen, onRerun }) {
+  const { t } = useI18n();
+  const { entries, removeEntry, togglePin, importEntries } = history;
+  const [query, setQuery] = React.useState('');
+  const [notice, setNotice] = React.useState('');
+  const fileInputRef = useRef(null);
+
+  const visible = useMemo(() => filterHistory(entries, query), [entries, query]);
+
+  useEffect(() => {
+    if (!open) return undefined;
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') onClose();
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [open, onClose]);
+
+  const handleRemove = useCallback((id) => {
+    if (window.confirm(t('history.confirmDelete'))) removeEntry(id);
+  }, [removeEntry, t]);
+
+  // Exports what the search currently shows, so a filtered subset can be shared
+  const handleExport = useCallback((format) => {
+    downloadFile(exportHistory(visible, format));
+  }, [visible]);
+
+  const handleImport = useCallback(async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      const count = importEntries(parseHistoryFile(file.name, await file.text()));
+      setNotice(count ? t('history.imported', { count }) : t('history.importEmpty'));
+    } catch (err) {
+      console.error('Failed to import history:', err);
+      setNotice(t('history.importFailed'));
+    }
+  }, [importEntries, t]);
+
+  const footerButton = `flex items-center gap-1 px-2 py-1 rounded-md text-xs font-medium transition-colors ${isDark ? 'text-gray-400 hover:text-white hover:bg-white/10' : 'text-gray-500 hover:text-gray-900 hover:bg-gray-100'}`;
+
+  return (
+    <aside
+      aria-label={t('history.label')}
+      aria-hidden={!open}
+      inert={!open}
+      className={`fixed top-0 start-0 z-20 h-full w-full sm:w-96 flex flex-col border-e shadow-2xl transition-transform duration-300 ${open ? 'translate-x-0' : '-translate-x-full rtl:translate-x-full'} ${isDark ? 'bg-[#0f0f0f] border-white/10' : 'bg-white border-gray-200'}`}
+    >
+      <div className="flex items-center justify-between px-5 pt-5 pb-3">
+        <h2 className="text-xs font-semibold tracking-wider text-emerald-500 uppercase">{t('history.title')}</h2>
+        <button onClick={onClose} className={`p-1.5 rounded-lg transition-colors ${isDark ? 'text-gray-400 hover:text-white hover:bg-white/10' : 'text-gray-400 hover:text-gray-900 hover:bg-gray-100'}`} title={t('history.close')}>
+          <X className="w-4 h-4" />
+        </button>
+      </div>
+
+      <div className="px-5 pb-3">
+        <label htmlFor="history-search" className="sr-only">{t('history.search')}</label>
+        <div className={`flex items-center gap-2 rounded-lg px-3 py-2 border ${isDark ? 'bg-white/5 border-white/10' : 'bg-gray-50 border-gray-200'}`}>
+          <Search className={`w-4 h-4 shrink-0 ${isDark ? 'text-gray-500' : 'text-gray-400'}`} aria-hidden="true" />
+          <input
+            id="history-search"
+            type="search"
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            placeholder={t('history.searchPlaceholder')}
+            className={`w-full bg-transparent text-sm outline-none ${isDark ? 'text-gray-200 placeholder:text-gray-600' : 'text-gray-800 placeholder:text-gray-400'}`}
+          />
+        </div>
+      </div>
+
+      <ul className="flex-1 overflow-y-auto px-5 space-y-2">
+        {visible.map((entry) => (
+          <HistoryEntry
+            key={entry.id}
+            entry={entry}
+            isDark={isDark}
+            loading={loading}
+            onOpen={onOpen}
+            onRerun={onRerun}
+            onTogglePin={togglePin}
+            onRemove={handleRemove}
+          />
+        ))}
+        {visible.length === 0 && (
+          <li className={`py-8 text-center text-sm ${isDark ? 'text-gray-600' : 'text-gray-400'}`}>
+            {entries.length === 0 ? t('history.empty') : t('history.noMatch')}
+          </li>
+        )}
+      </ul>
+
+      <div className={`px-5 py-3 border-t space-y-2 ${isDark ? 'border-white/5' : 'border-gray-100'}`}>
+        {notice && <p role="status" className={`text-xs ${isDark ? 'text-gray-400' : 'text-gray-500'}`}>{notice}</p>}
+        <div className="flex flex-wrap items-center gap-1">
+          <Download className={`w-3.5 h-3.5 me-1 ${isDark ? 'text-gray-500' : 'text-gray-400'}`} aria-hidden="true" />
+          {EXPORT_FORMATS.map((format) => (
+            <button key={format} onClick={() => handleExport(format)} disabled={visible.length === 0} className={footerButton} title={t('history.export', { format: FORMAT_LABELS[format] })}>
+              {FORMAT_LABELS[format]}
+            </button>
+          ))}
+          <button onClick={() => fileInputRef.current?.click()} className={`${footerButton} ms-auto`} title={t('history.importTitle')}>
+            <Upload className="w-3.5 h-3.5" aria-hidden="true" />
+            <span>{t('history.import')}</span>
+          </button>
+          <input ref={fileInputRef} type="file" accept=".json,.md,.markdown,.csv" onChange={handleImport} className="hidden" />
+        </div>
+      </div>
+    </aside>
+  );
+}
+
+export default memo(HistoryPanel);
@@ -0,0 +1,161 @@
+import React, { useCallback, useEffect, useRef, memo } from 'react';
+import { Share2, Copy, Check, Trash2, X } from 'lucide-react';
+import { createShare, deleteShare, SHARE_EXPIRY_DAYS, DEFAULT_SHARE_DAYS } from './share';
+import { useI18n } from './i18n';
+
+/*
+  Share action of the result card: a small menu that turns the answer on
+  screen into a link.  The original text goes along only when the user ticks
+  the box.  Once made, the link can be copied or deleted from here; the menu
+  starts over for every new answer (App keys it by the output).
+*/
+function ShareButton({ output, getRequest, isDark, disabled }) {
+  const { t, locale } = useI18n();
+  const [open, setOpen] = React.useState(false);
+  const [includeInput, setIncludeInput] = React.useState(false);
+  const [days, setDays] = React.useState(DEFAULT_SHARE_DAYS);
+  const [share, setShare] = React.useState(null);
+  const [busy, setBusy] = React.useState(false);
+  const [copied, setCopied] = React.useState(false);
+  const [notice, setNotice] = React.useState('');
+  const rootRef = useRef(null);
+
+  // Close on Escape or a click anywhere else
+  useEffect(() => {
+    if (!open) return undefined;
+    const onKeyDown = (e) => {
+      if (e.key === 'Escape') setOpen(false);
+    };
+    const onPointerDown = (e) => {
+      if (!rootRef.current?.contains(e.target)) setOpen(false);
+    };
+    document.addEventListener('keydown', onKeyDown);
+    document.addEventListener('pointerdown', onPointerDown);
+    return () => {
+      document.removeEventListener('keydown', onKeyDown);
+      document.removeEventListener('pointerdown', onPointerDown);
+    };
+  }, [open]);
+
+  useEffect(() => {
+    if (!copied) return undefined;
+    const timer = setTimeout(() => setCopied(false), 2000);
+    return () => clearTimeout(timer);
+  }, [copied]);
+
+  const handleCreate = useCallback(async () => {
+    const request = getRequest();
+    setBusy(true);
+    setNotice('');
+    try {
+      setShare(await createShare({
+        output,
+        input: includeInput ? request?.text : null,
+        mode: request?.mode,
+        expiresInDays: days,
+      }));
+    } catch (err) {
+      console.error('Failed to create share link:', err);
+      setNotice(t('share.failed'));
+    } finally {
+      setBusy(false);
+    }
+  }, [output, getRequest, includeInput, days, t]);
+
+  const handleCopy = useCallback(() => {
+    navigator.clipboard.writeText(share.url).catch(console.error);
+    setCopied(true);
+  }, [share]);
+
+  const handleDelete = useCallback(async () => {
+    setBusy(true);
+    try {
+      await deleteShare(share.id);
+      setShare(null);
+      setNotice(t('share.deleted'));
+    } catch (err) {
+      console.error('Failed to delete share link:', err);
+      setNotice(t('share.deleteFailed'));
+    } finally {
+      setBusy(false);
+    }
+  }, [share, t]);
+
+  const iconButton = `p-2 rounded-lg transition-colors ${isDark ? 'hover:bg-white/10 text-gray-400 hover:text-white' : 'hover:bg-gray-100 text-gray-400 hover:text-gray-900'}`;
+  const field = `rounded-lg border outline-none text-sm transition-colors ${isDark ? 'bg-transparent border-white/10 text-gray-200 focus:border-white/30' : 'bg-white border-gray-200 text-gray-700 focus:border-gray-400'}`;
+
+  return (
+    <div ref={rootRef} className="relative">
+      <button
+        onClick={() => setOpen((prev) => !prev)}
+        disabled={disabled}
+        className={iconButton}
+        title={t('share.button')}
+        aria-expanded={open}
+        aria-haspopup="dialog"
+      >
+        <Share2 className="w-4 h-4" />
+      </button>
+
+      {open && (
+        <div
+          role="dialog"
+          aria-label={t('share.title')}
+          className={`absolute end-0 top-full mt-2 z-20 w-72 rounded-xl border p-4 shadow-2xl text-start space-y-3 animate-fade-in ${isDark ? 'bg-[#1a1a1a] border-white/10 text-gray-200' : 'bg-white border-gray-200 text-gray-800'}`}
+        >
+          <div className="flex items-center justify-between">
+            <span className="text-xs font-semibold tracking-wider text-emerald-500 uppercase">{t('share.title')}</span>
+            <button onClick={() => setOpen(false)} className={`p-1 rounded-md ${isDark ? 'text-gray-500 hover:text-white' : 'text-gray-400 hover:text-gray-900'}`} title={t('share.close')}>
+              <X className="w-3.5 h-3.5" />
+            </button>
+          </div>
+
+          {share ? (
+            <>
+              <div className="flex items-center gap-2">
+                <label htmlFor="share-link" className="sr-only">{t('share.link')}</label>
+                <input id="share-link" readOnly value={share.url} dir="ltr" onFocus={(e) => e.target.select()} className={`flex-1 min-w-0 px-2 py-1.5 ${field}`} />
+                <button onClick={handleCopy} className={iconButton} title={t('share.copyLink')}>
+                  {copied ? <Check className="w-4 h-4 text-emerald-500" /> : <Copy className="w-4 h-4" />}
+                </button>
+              </div>
+              <div className="flex items-center justify-between gap-2 text-xs text-gray-500">
+                <span>{t('share.expiresOn', { date: new Date(share.expiresAt).toLocaleDateString(locale, { dateStyle: 'medium' }) })}</span>
+                <button onClick={handleDelete} disabled={busy} className="flex items-center gap-1 hover:text-red-500 transition-colors">
+                  <Trash2 className="w-3.5 h-3.5" />
+                  {t('share.delete')}
+                </button>
+              </div>
+            </>
+          ) : (
+            <>
+              <label className="flex items-center gap-2 text-sm cursor-pointer">
+                <input type="checkbox" checked={includeInput} onChange={(e) => setIncludeInput(e.target.checked)} className="accent-emerald-500" />
+                {t('share.includeInput')}
+              </label>
+              <label className="flex items-center justify-between gap-2 text-sm">
+                {t('share.expiry')}
+                <select value={days} onChange={(e) => setDays(Number(e.target.value))} className={`px-2 py-1 cursor-pointer ${field}`}>
+                  {SHARE_EXPIRY_DAYS.map((count) => (
+                    <option key={count} value={count} className="text-gray-900">{t('share.days', { count })}</option>
+                  ))}
+                </select>
+              </label>
+              <button
+                onClick={handleCreate}
+                disabled={busy}
+                className="w-full py-2 rounded-lg text-sm font-medium bg-emerald-500 text-white hover:bg-emerald-600 disabled:opacity-60 transition-colors"
+              >
+                {busy ? t('share.creating') : t('share.create')}
+              </button>
+            </>
+          )}
+
+          {notice && <p role="status" className="text-xs text-gray-500">{notice}</p>}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default memo(ShareButton);
@@ -0,0 +1,95 @@
+import React, { useCallback, useEffect } from 'react';
+import { Sparkles, Trash2 } from 'lucide-react';
+import { fetchShare, deleteShare, canDeleteShare } from './share';
+import { useI18n } from './i18n';
+
+/*
+  Read-only view of a share link (/s/:id).  Shows the answer, the original
+  text when it was shared, and when the link expires.  The browser that made
+  the link can delete it from here.
+*/
+function SharedView({ id }) {
+  const { t, locale } = useI18n();
+  // { status: 'loading' | 'ready' | 'missing' | 'error' | 'deleted', share }
+  const [{ status, share }, setState] = React.useState({ status: 'loading', share: null });
+  const [deleting, setDeleting] = React.useState(false);
+
+  useEffect(() => {
+    const controller = new AbortController();
+    fetchShare(id, { signal: controller.signal })
+      .then((data) => setState({ status: 'ready', share: data }))
+      .catch((err) => {
+        if (err.name === 'AbortError') return;
+        setState({ status: err.status === 404 ? 'missing' : 'error', share: null });
+      });
+    return () => controller.abort();
+  }, [id]);
+
+  // Shares made without a mode (through the API) are labelled as plain results
+  const label = share && (share.mode ? t(`mode.${share.mode}`) : t('result.title'));
+
+  useEffect(() => {
+    if (label) document.title = `Clarity AI — ${label}`;
+  }, [label]);
+
+  const handleDelete = useCallback(async () => {
+    setDeleting(true);
+    try {
+      await deleteShare(id);
+      setState({ status: 'deleted', share: null });
+    } catch (err) {
+      console.error('Failed to delete share link:', err);
+      setDeleting(false);
+    }
+  }, [id]);
+
+  const message = {
+    loading: t('shared.loading'),
+    missing: t('shared.missing'),
+    error: t('shared.failed'),
+    deleted: t('share.deleted'),
+  }[status];
+
+  return (
+    <div className="min-h-screen flex flex-col items-center justify-center gap-8 p-4 bg-[#0a0a0a] text-gray-100 selection:bg-emerald-500/30">
+      <a href="/" className="flex items-center gap-2 text-lg font-semibold tracking-tight">
+        <Sparkles className="w-5 h-5 text-emerald-500" aria-hidden="true" />
+        Clarity AI
+      </a>
+
+      <section aria-live="polite" className="w-full max-w-2xl rounded-2xl p-6 md:p-8 shadow-2xl bg-[#111] border border-white/10">
+        {share ? (
+          <>
+            <span className="text-xs font-semibold tracking-wider text-emerald-500 uppercase">{label}</span>
+            <p dir="auto" lang={share.language ?? undefined} className="mt-6 text-xl md:text-2xl font-medium leading-relaxed text-gray-100">
+              {share.output}
+            </p>
+
+            {share.input && (
+              <details className="mt-6 text-sm text-gray-400">
+                <summary className="cursor-pointer">{t('shared.original')}</summary>
+                <p dir="auto" className="mt-2 whitespace-pre-wrap">{share.input}</p>
+              </details>
+            )}
+
+            <div className="mt-8 flex items-center justify-between gap-4 border-t border-white/5 pt-4 text-xs text-gray-500">
+              <span>{t('share.expiresOn', { date: new Date(share.expiresAt).toLocaleDateString(locale, { dateStyle: 'medium' }) })}</span>
+              {canDeleteShare(id) && (
+                <button onClick={handleDelete} disabled={deleting} className="flex items-center gap-1 hover:text-red-400 transition-colors">
+                  <Trash2 className="w-3.5 h-3.5" />
+                  {t('share.delete')}
+                </button>
+              )}
+            </div>
+          </>
+        ) : (
+          <p className="text-center text-gray-400">{message}</p>
+        )}
+      </section>
+
+      <a href="/" className="text-sm font-medium text-emerald-500 hover:text-emerald-400 transition-colors">{t('shared.own')}</a>
+    </div>
+  );
+}
+
+export default SharedView;
@@ -0,0 +1,3 @@
+// Server endpoints.  VITE_API_URL points at /api/clarify; the other routes are its siblings under /api
+export const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:8080/api/clarify';
+export const API_BASE = API_URL.replace(/\/clarify\/?$/, '');
@@ -0,0 +1,261 @@
+/*
+  Streaming client for POST /api/clarify and /api/clarify/file (SSE
+  protocol 2, see server/lib/sse.js), with the failure handling a long-lived stream needs:
+
+    - connect timeout   no response headers within connectTimeoutMs
+    - idle timeout      no bytes (not even a heartbeat) for idleTimeoutMs
+    - retries           429/503 wait for Retry-After; 5xx, timeouts and
+                        network errors back off exponentially
+    - resume/restart    if the connection drops after every answer was
+                        already complete, the stream is resumed as finished;
+                        otherwise the request is restarted from scratch (the
+                        server does not replay streams)
+
+  Progress is reported through callbacks rather than state, so the caller
+  decides how to render it:
+    onEvent({ event, data })   every server event, in order
+    onRetry({ reason, attempt, maxAttempts, retryAt })   before each wait
+    onRestart()                partial output so far must be discarded
+*/
+
+export const STREAM_DEFAULTS = {
+  connectTimeoutMs: 30_000,
+  // Twice the server's heartbeat interval
+  idleTimeoutMs: 35_000,
+  maxAttempts: 3,
+  // Longer Retry-After waits are handed back to the user instead
+  maxRetryAfterMs: 30_000,
+  backoffMs: 1_000,
+};
+
+/*
+  Failure after all attempts.  `retryAt` (epoch ms) is set when the server
+  said when to come back, so the UI can count down to it.
+*/
+export class ClarifyStreamError extends Error {
+  constructor(message, { status = null, code = null, retryAt = null } = {}) {
+    super(message);
+    this.name = 'ClarifyStreamError';
+    this.status = status;
+    this.code = code;
+    this.retryAt = retryAt;
+  }
+}
+
+// A failed attempt: `retryable` decides whether another attempt is made
+class AttemptError extends Error {
+  constructor(message, { status = null, code = null, retryable = false, retryAfterMs = null, streamed = false } = {}) {
+    super(message);
+    this.status = status;
+    this.code = code;
+    this.retryable = retryable;
+    this.retryAfterMs = retryAfterMs;
+    this.streamed = streamed;
+  }
+}
+
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+  const timer = setTimeout(resolve, ms);
+  signal?.addEventListener('abort', () => {
+    clearTimeout(timer);
+    reject(signal.reason ?? new DOMException('Aborted', 'AbortError'));
+  }, { once: true });
+});
+
+function retryAfterMs(response) {
+  const header = response.headers.get('Retry-After');
+  if (!header) return null;
+  const seconds = Number(header);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(header);
+  return Number.isFinite(date) ? Math.max(0, date - Date.now()) : null;
+}
+
+// ─── Event parsing ──────────────────────────────────────────────────────
+
+function parseEvent(block) {
+  let event = 'message';
+  const data = [];
+  for (const line of block.split('\n')) {
+    if (line.startsWith('event:')) event = line.slice(6).trim();
+    else if (line.startsWith('data:')) data.push(line.slice(5).replace(/^ /, ''));
+  }
+  if (data.length === 0) return null; // heartbeat comment
+  try {
+    return { event, data: JSON.parse(data.join('\n')) };
+  } catch (err) {
+    console.error('Failed to parse SSE event:', err);
+    return null;
+  }
+}
+
+/*
+  Yield { event, data } per server event.  Network chunks can end anywhere —
+  mid-line or mid-JSON — so text is buffered until a blank line completes an
+  event.  `onChunk` fires for every chunk, heartbeats included.
+*/
+export async function* readServerEvents(body, { onChunk = () => {} } = {}) {
+  const reader = body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  for (;;) {
+    const { value, done } = await reader.read();
+    onChunk();
+    buffer += decoder.decode(value, { stream: !done });
+    // Normalise CRLF so the event separator is always a blank \n line
+    buffer = buffer.replace(/\r\n/g, '\n');
+
+    let boundary;
+    while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+      const parsed = parseEvent(buffer.slice(0, boundary));
+      buffer = buffer.slice(boundary + 2);
+      if (parsed) yield parsed;
+    }
+
+    if (done) {
+      const parsed = buffer.trim() && parseEvent(buffer);
+      if (parsed) yield parsed;
+      return;
+    }
+  }
+}
+
+// ─── One attempt ────────────────────────────────────────────────────────
+
+async function attempt(url, { headers, body, signal, onEvent, connectTimeoutMs, idleTimeoutMs }) {
+  const controller = new AbortController();
+  const abort = () => controller.abort();
+  signal?.addEventListener('abort', abort, { once: true });
+
+  let timedOut = null;
+  let timer = null;
+  const arm = (ms, reason) => {
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      timedOut = reason;
+      controller.abort();
+    }, ms);
+  };
+
+  // A file upload (FormData) carries n as a form field
+  const upload = body instanceof FormData;
+  const candidates = (upload ? Number(body.get('n')) : body.n) || 1;
+  const finished = new Set();
+  let streamed = false;
+  let done = false;
+
+  try {
+    arm(connectTimeoutMs, 'connect');
+    const response = await fetch(url, {
+      method: 'POST',
+      // The browser sets the multipart boundary itself
+      headers: upload ? headers : { 'Content-Type': 'application/json', ...headers },
+      body: upload ? body : JSON.stringify(body),
+      signal: controller.signal,
+    });
+
+    if (!response.ok) {
+      let message = 'Unable to process request.';
+      try {
+        message = (await response.json()).error || message;
+      } catch {
+        // Non-JSON error body — keep the generic message
+      }
+      const status = response.status;
+      throw new AttemptError(message, {
+        status,
+        retryable: status === 429 || status >= 500,
+        retryAfterMs: retryAfterMs(response),
+      });
+    }
+
+    arm(idleTimeoutMs, 'idle');
+    for await (const message of readServerEvents(response.body, { onChunk: () => arm(idleTimeoutMs, 'idle') })) {
+      const { event, data } = message;
+      streamed = true;
+
+      // A failed single answer fails the attempt; with several, the others still stand
+      if (event === 'error' && candidates === 1) {
+        throw new AttemptError(data.message, {
+          code: data.code,
+          retryable: data.code === 'busy' || data.code === 'timeout',
+          streamed,
+        });
+      }
+      // The post-check meta (or an error) is the last event of an answer
+      if ((event === 'meta' && data.violations) || event === 'error') finished.add(data.candidate);
+      // A safety response stands in for every answer
+      if (event === 'safety') {
+        for (let candidate = 0; candidate < candidates; candidate++) finished.add(candidate);
+      }
+      if (event === 'done') done = true;
+
+      onEvent(message);
+    }
+
+    if (done) return;
+    if (finished.size >= candidates) return; // only `done` was lost — resume as finished
+    throw new AttemptError('Connection lost before the answer was complete.', { retryable: true, streamed });
+  } catch (err) {
+    if (err instanceof AttemptError) throw err;
+    if (signal?.aborted) throw err;
+    // Every answer already complete: nothing worth restarting for
+    if (streamed && finished.size >= candidates) return;
+
+    const message = timedOut === 'connect'
+      ? 'The server took too long to respond.'
+      : timedOut === 'idle'
+        ? 'The connection stalled.'
+        : 'Connection lost. Check your network and try again.';
+    throw new AttemptError(message, { code: timedOut ? 'timeout' : 'network', retryable: true, streamed });
+  } finally {
+    clearTimeout(timer);
+    signal?.removeEventListener('abort', abort);
+    // Close the connection if the attempt ended early (error event, bad JSON)
+    controller.abort();
+  }
+}
+
+// ─── Public API ─────────────────────────────────────────────────────────
+
+/*
+  Stream one clarification, retrying as configured.  Resolves when the
+  stream has finished; rejects with ClarifyStreamError once retries are
+  exhausted, or with the AbortError if `signal` aborts.
+*/
+export async function streamClarify(url, body, {
+  headers = {},
+  signal,
+  onEvent = () => {},
+  onRetry = () => {},
+  onRestart = () => {},
+  ...options
+} = {}) {
+  const { connectTimeoutMs, idleTimeoutMs, maxAttempts, maxRetryAfterMs, backoffMs } = { ...STREAM_DEFAULTS, ...options };
+
+  for (let attemptNumber = 1; ; attemptNumber++) {
+    try {
+      await attempt(url, { headers, body, signal, onEvent, connectTimeoutMs, idleTimeoutMs });
+      return;
+    } catch (err) {
+      if (!(err instanceof AttemptError)) throw err;
+
+      const retryAt = err.retryAfterMs != null ? Date.now() + err.retryAfterMs : null;
+      const waitTooLong = err.retryAfterMs != null && err.retryAfterMs > maxRetryAfterMs;
+      if (!err.retryable || attemptNumber >= maxAttempts || waitTooLong) {
+        throw new ClarifyStreamError(err.message, { status: err.status, code: err.code, retryAt });
+      }
+
+      const delay = err.retryAfterMs ?? backoffMs * 2 ** (attemptNumber - 1) + Math.random() * 250;
+      if (err.streamed) onRestart();
+      onRetry({
+        reason: err.message,
+        attempt: attemptNumber + 1,
+        maxAttempts,
+        retryAt: Date.now() + delay,
+      });
+      await sleep(delay, signal);
+    }
+  }
+}
@@ -0,0 +1,29 @@
+/*
+  Anonymous, random id for this browser, sent as X-Client-Id so the server
+  can keep the user in the same A/B experiment variant across visits.  It
+  identifies nothing but the browser profile, and clearing site data resets
+  it.  Falls back to a per-tab id when storage is unavailable.
+*/
+
+const STORAGE_KEY = 'clarity.client.v1';
+
+let fallbackId = null;
+
+function newId() {
+  return globalThis.crypto?.randomUUID?.()
+    || `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 12)}`;
+}
+
+export function getClientId() {
+  try {
+    let id = localStorage.getItem(STORAGE_KEY);
+    if (!id) {
+      id = newId();
+      localStorage.setItem(STORAGE_KEY, id);
+    }
+    return id;
+  } catch {
+    fallbackId ??= newId();
+    return fallbackId;
+  }
+}
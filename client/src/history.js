@@ -0,0 +1,278 @@
+import { useCallback, useEffect, useMemo, useReducer } from 'react';
+import { MODES, DEFAULT_MODE, modeLabel } from './modes';
+
+/*
+  Clarification history — every input/output pair the user has seen, with
+  its mode, timestamp and rating.  Kept in localStorage so it survives
+  reloads; entries are small, and a synchronous store keeps the first render
+  free of a loading state.  Pinned entries are never pruned.
+*/
+
+const STORAGE_KEY = 'clarity.history.v1';
+const HISTORY_LIMIT = 500;
+const MODE_IDS = MODES.map((mode) => mode.id);
+
+// Export/CSV column order — also what CSV import expects in the header row
+const FIELDS = ['id', 'createdAt', 'mode', 'input', 'output', 'feedback', 'pinned', 'provider', 'model'];
+
+function newId() {
+  return globalThis.crypto?.randomUUID?.()
+    || `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+/*
+  Coerce anything read from storage or an imported file into a well-formed
+  entry, or null.  Imports are user-supplied files, so nothing is trusted.
+*/
+function normalizeEntry(raw) {
+  if (!raw || typeof raw !== 'object') return null;
+  const input = typeof raw.input === 'string' ? raw.input.trim() : '';
+  const output = typeof raw.output === 'string' ? raw.output.trim() : '';
+  if (!input || !output) return null;
+
+  const createdAt = Date.parse(raw.createdAt);
+  return {
+    id: typeof raw.id === 'string' && raw.id ? raw.id : newId(),
+    createdAt: new Date(Number.isFinite(createdAt) ? createdAt : Date.now()).toISOString(),
+    mode: MODE_IDS.includes(raw.mode) ? raw.mode : DEFAULT_MODE,
+    input,
+    output,
+    feedback: raw.feedback === 'up' || raw.feedback === 'down' ? raw.feedback : null,
+    pinned: raw.pinned === true || raw.pinned === 'true',
+    provider: typeof raw.provider === 'string' && raw.provider ? raw.provider : null,
+    model: typeof raw.model === 'string' && raw.model ? raw.model : null,
+  };
+}
+
+// Newest first; keep every pinned entry plus the newest unpinned up to the limit
+function prune(entries) {
+  const sorted = [...entries].sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  let unpinnedBudget = Math.max(0, HISTORY_LIMIT - sorted.filter((entry) => entry.pinned).length);
+  return sorted.filter((entry) => entry.pinned || unpinnedBudget-- > 0);
+}
+
+function loadHistory() {
+  try {
+    const parsed = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+    return Array.isArray(parsed) ? prune(parsed.map(normalizeEntry).filter(Boolean)) : [];
+  } catch (err) {
+    console.error('Failed to load clarification history:', err);
+    return [];
+  }
+}
+
+function saveHistory(entries) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(entries));
+  } catch (err) {
+    // Quota exceeded or storage disabled (private mode) — history stays in memory
+    console.error('Failed to save clarification history:', err);
+  }
+}
+
+function historyReducer(entries, action) {
+  switch (action.type) {
+    case 'LOAD':
+      return action.payload;
+    case 'ADD':
+      return prune([action.payload, ...entries]);
+    case 'UPDATE':
+      return entries.map((entry) => (entry.id === action.id ? { ...entry, ...action.payload } : entry));
+    case 'REMOVE':
+      return entries.filter((entry) => entry.id !== action.id);
+    case 'TOGGLE_PIN':
+      return entries.map((entry) => (entry.id === action.id ? { ...entry, pinned: !entry.pinned } : entry));
+    case 'MERGE': {
+      // Entries already present (same id) win, so re-importing an export is a no-op
+      const known = new Set(entries.map((entry) => entry.id));
+      return prune([...entries, ...action.payload.filter((entry) => !known.has(entry.id))]);
+    }
+    default:
+      return entries;
+  }
+}
+
+export function useHistory() {
+  const [entries, dispatch] = useReducer(historyReducer, undefined, loadHistory);
+
+  useEffect(() => {
+    saveHistory(entries);
+  }, [entries]);
+
+  // Keep several open tabs in step with each other
+  useEffect(() => {
+    const handleStorage = (e) => {
+      if (e.key === STORAGE_KEY) dispatch({ type: 'LOAD', payload: loadHistory() });
+    };
+    window.addEventListener('storage', handleStorage);
+    return () => window.removeEventListener('storage', handleStorage);
+  }, []);
+
+  // Returns the new entry's id so later feedback can be attached to it
+  const addEntry = useCallback((fields) => {
+    const entry = normalizeEntry({ ...fields, id: newId(), createdAt: new Date().toISOString() });
+    if (!entry) return null;
+    dispatch({ type: 'ADD', payload: entry });
+    return entry.id;
+  }, []);
+
+  const updateEntry = useCallback((id, patch) => {
+    dispatch({ type: 'UPDATE', id, payload: patch });
+  }, []);
+
+  const removeEntry = useCallback((id) => {
+    dispatch({ type: 'REMOVE', id });
+  }, []);
+
+  const togglePin = useCallback((id) => {
+    dispatch({ type: 'TOGGLE_PIN', id });
+  }, []);
+
+  // Returns how many entries were read from the file
+  const importEntries = useCallback((imported) => {
+    const valid = imported.map(normalizeEntry).filter(Boolean);
+    dispatch({ type: 'MERGE', payload: valid });
+    return valid.length;
+  }, []);
+
+  return useMemo(
+    () => ({ entries, addEntry, updateEntry, removeEntry, togglePin, importEntries }),
+    [entries, addEntry, updateEntry, removeEntry, togglePin, importEntries],
+  );
+}
+
+// ─── Search ─────────────────────────────────────────────────────────────
+
+// Pinned first, then newest first; every word of the query must match somewhere
+export function filterHistory(entries, query) {
+  const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+  return entries
+    .filter((entry) => {
+      const haystack = `${entry.input}\n${entry.output}\n${modeLabel(entry.mode)}`.toLowerCase();
+      return words.every((word) => haystack.includes(word));
+    })
+    .sort((a, b) => Number(b.pinned) - Number(a.pinned) || b.createdAt.localeCompare(a.createdAt));
+}
+
+// ─── Export ─────────────────────────────────────────────────────────────
+
+function csvCell(value) {
+  const text = value == null ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toMarkdown(entries) {
+  const blocks = entries.map((entry) => {
+    const details = [`Mode: \`${entry.mode}\``];
+    if (entry.feedback) details.push(`Feedback: ${entry.feedback === 'up' ? '👍' : '👎'}`);
+    if (entry.pinned) details.push('Pinned');
+    const quoted = entry.input.split(/\r?\n/).map((line) => `> ${line}`.trimEnd()).join('\n');
+    return [
+      `## ${modeLabel(entry.mode)} — ${entry.createdAt}`,
+      details.join(' · '),
+      quoted,
+      `**Clarity:** ${entry.output}`,
+    ].join('\n\n');
+  });
+  return `# Clarity history\n\n${blocks.join('\n\n')}\n`;
+}
+
+export const EXPORT_FORMATS = ['json', 'md', 'csv'];
+
+// Returns { filename, type, content } ready to be wrapped in a Blob
+export function exportHistory(entries, format) {
+  const stamp = new Date().toISOString().slice(0, 10);
+  switch (format) {
+    case 'md':
+      return { filename: `clarity-history-${stamp}.md`, type: 'text/markdown', content: toMarkdown(entries) };
+    case 'csv': {
+      const rows = entries.map((entry) => FIELDS.map((field) => csvCell(entry[field])).join(','));
+      return { filename: `clarity-history-${stamp}.csv`, type: 'text/csv', content: `${[FIELDS.join(','), ...rows].join('\r\n')}\r\n` };
+    }
+    default:
+      return {
+        filename: `clarity-history-${stamp}.json`,
+        type: 'application/json',
+        content: JSON.stringify({ version: 1, entries }, null, 2),
+      };
+  }
+}
+
+// ─── Import ─────────────────────────────────────────────────────────────
+
+// RFC 4180: quoted fields may contain commas, doubled quotes and newlines
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quoted) {
+      if (c === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (c === '"') {
+        quoted = false;
+      } else {
+        field += c;
+      }
+    } else if (c === '"') {
+      quoted = true;
+    } else if (c === ',') {
+      row.push(field);
+      field = '';
+    } else if (c === '\n' || c === '\r') {
+      if (c === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += c;
+    }
+  }
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const [header = [], ...records] = rows;
+  return records.map((record) => Object.fromEntries(header.map((name, index) => [name.trim(), record[index]])));
+}
+
+// Reads back the layout produced by toMarkdown()
+function parseMarkdown(text) {
+  return text.split(/^## /m).slice(1).map((block) => {
+    const lines = block.split(/\r?\n/);
+    const output = lines.find((line) => line.startsWith('**Clarity:** '));
+    return {
+      createdAt: lines[0].split(' — ').pop(),
+      mode: block.match(/^Mode: `([^`]+)`/m)?.[1],
+      feedback: block.includes('Feedback: 👍') ? 'up' : block.includes('Feedback: 👎') ? 'down' : null,
+      pinned: /(^| · )Pinned$/m.test(block),
+      input: lines.filter((line) => /^>( |$)/.test(line)).map((line) => line.slice(2)).join('\n'),
+      output: output ? output.slice('**Clarity:** '.length) : '',
+    };
+  });
+}
+
+/*
+  Parse an exported file back into raw entries (normalised by importEntries).
+  The extension picks the format, falling back to sniffing the content.
+  Throws on malformed JSON so the caller can tell the user.
+*/
+export function parseHistoryFile(name, text) {
+  const extension = name.toLowerCase().split('.').pop();
+  const trimmed = text.trimStart();
+
+  if (extension === 'json' || trimmed.startsWith('{') || trimmed.startsWith('[')) {
+    const parsed = JSON.parse(text);
+    return Array.isArray(parsed) ? parsed : Array.isArray(parsed?.entries) ? parsed.entries : [];
+  }
+  if (extension === 'md' || extension === 'markdown' || trimmed.startsWith('#')) {
+    return parseMarkdown(text);
+  }
+  return parseCsv(text);
+}
@@ -0,0 +1,97 @@
+import { useCallback, useMemo, useSyncExternalStore } from 'react';
+import { languageName } from './languages';
+import en from './locales/en';
+import es from './locales/es';
+import fr from './locales/fr';
+import de from './locales/de';
+import ar from './locales/ar';
+import he from './locales/he';
+
+/*
+  The interface language — separate from the language answers are written
+  in, which the server takes from the input (or the answer-language picker).
+  The choice is kept in localStorage; until one is made, the browser's
+  preferred languages decide.  The <html> element carries the locale's
+  `lang` and `dir`, so right-to-left locales mirror the whole layout.
+
+  Messages are flat tables keyed by id, with {name} placeholders.  A message
+  that varies with a count has one key per plural category ("x.one",
+  "x.other", …, see Intl.PluralRules).  A message missing from a locale falls
+  back to English.
+*/
+
+export const LOCALES = [
+  { code: 'en', messages: en },
+  { code: 'es', messages: es },
+  { code: 'fr', messages: fr },
+  { code: 'de', messages: de },
+  { code: 'ar', messages: ar, dir: 'rtl' },
+  { code: 'he', messages: he, dir: 'rtl' },
+].map((locale) => ({ ...locale, name: languageName(locale.code), dir: locale.dir || 'ltr' }));
+
+const STORAGE_KEY = 'clarity.locale.v1';
+const DEFAULT_LOCALE = LOCALES[0];
+
+const findLocale = (code) => LOCALES.find((locale) => locale.code === code) ?? null;
+
+function initialLocale() {
+  try {
+    const stored = findLocale(localStorage.getItem(STORAGE_KEY));
+    if (stored) return stored;
+  } catch {
+    // Storage unavailable — fall through to the browser's preference
+  }
+  const preferred = globalThis.navigator?.languages ?? [];
+  for (const tag of preferred) {
+    const locale = findLocale(tag.toLowerCase().split('-')[0]);
+    if (locale) return locale;
+  }
+  return DEFAULT_LOCALE;
+}
+
+function applyToDocument(locale) {
+  document.documentElement.lang = locale.code;
+  document.documentElement.dir = locale.dir;
+}
+
+let current = initialLocale();
+applyToDocument(current);
+const listeners = new Set();
+
+function subscribe(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+export function setLocale(code) {
+  const locale = findLocale(code);
+  if (!locale || locale === current) return;
+  current = locale;
+  try {
+    localStorage.setItem(STORAGE_KEY, locale.code);
+  } catch {
+    // Not persisted — the choice still holds for this tab
+  }
+  applyToDocument(locale);
+  listeners.forEach((listener) => listener());
+}
+
+function lookup(messages, key, count, pluralRules) {
+  if (count === undefined) return messages[key];
+  return messages[`${key}.${pluralRules.select(count)}`] ?? messages[`${key}.other`];
+}
+
+export function translate(locale, key, vars = {}) {
+  const count = typeof vars.count === 'number' ? vars.count : undefined;
+  const message = lookup(locale.messages, key, count, new Intl.PluralRules(locale.code))
+    ?? lookup(DEFAULT_LOCALE.messages, key, count, new Intl.PluralRules(DEFAULT_LOCALE.code))
+    ?? key;
+  return message.replace(/\{(\w+)\}/g, (placeholder, name) => (name in vars ? String(vars[name]) : placeholder));
+}
+
+// { locale, dir, t(key, vars), setLocale } — re-renders the caller when the locale changes
+export function useI18n() {
+  const locale = useSyncExternalStore(subscribe, () => current);
+  const t = useCallback((key, vars) => translate(locale, key, vars), [locale]);
+  return useMemo(() => ({ locale: locale.code, dir: locale.dir, t, setLocale }), [locale, t]);
+}
@@ -0,0 +1,30 @@
+// Mirrors the language codes in server/languages.js, named in their own language
+export const OUTPUT_LANGUAGES = [
+  { code: 'en', name: 'English' },
+  { code: 'es', name: 'Español' },
+  { code: 'fr', name: 'Français' },
+  { code: 'de', name: 'Deutsch' },
+  { code: 'it', name: 'Italiano' },
+  { code: 'pt', name: 'Português' },
+  { code: 'nl', name: 'Nederlands' },
+  { code: 'pl', name: 'Polski' },
+  { code: 'tr', name: 'Türkçe' },
+  { code: 'sv', name: 'Svenska' },
+  { code: 'ru', name: 'Русский' },
+  { code: 'uk', name: 'Українська' },
+  { code: 'el', name: 'Ελληνικά' },
+  { code: 'ar', name: 'العربية' },
+  { code: 'he', name: 'עברית' },
+  { code: 'fa', name: 'فارسی' },
+  { code: 'hi', name: 'हिन्दी' },
+  { code: 'zh', name: '中文' },
+  { code: 'ja', name: '日本語' },
+  { code: 'ko', name: '한국어' },
+  { code: 'th', name: 'ไทย' },
+];
+// Answer in the language of the input
+export const AUTO_LANGUAGE = 'auto';
+
+export function languageName(code) {
+  return OUTPUT_LANGUAGES.find((language) => language.code === code)?.name || code;
+}
@@ -0,0 +1,63 @@
+import { useEffect, useState } from 'react';
+
+/*
+  Input limits, read from the server (GET /api/limits) so the client never
+  keeps a second copy that can drift.  Lengths are in estimated tokens,
+  counted the way the server counts them:
+
+    { maxInputTokens, chunkTokens, charsPerToken, scriptWeights, upload: { maxBytes, extensions } | null }
+
+  scriptWeights lists the scripts whose characters cost more than
+  1/charsPerToken of a token (a CJK character is about a whole one):
+  [{ scripts: ['Han', …], tokensPerChar }].
+
+  Inputs over chunkTokens are read in parts (map-reduce) and can only have
+  one answer.  Until the limits arrive — or if they never do — the client
+  caps nothing and the server's 400 is the only check.  Files can only be
+  attached once the limits say the server takes them (`upload` not null).
+*/
+
+// The scriptWeights of one limits object as regular expressions, built once
+const weightPatterns = new WeakMap();
+
+function patternsFor(limits) {
+  if (!Array.isArray(limits?.scriptWeights)) return [];
+  if (!weightPatterns.has(limits)) {
+    weightPatterns.set(limits, limits.scriptWeights.map(({ scripts, tokensPerChar }) => ({
+      pattern: new RegExp(`[${scripts.map((script) => `\\p{Script=${script}}`).join('')}]`, 'gu'),
+      tokensPerChar,
+    })));
+  }
+  return weightPatterns.get(limits);
+}
+
+export function estimateTokens(text, limits) {
+  let tokens = 0;
+  let rest = text.length;
+  for (const { pattern, tokensPerChar } of patternsFor(limits)) {
+    const matches = text.match(pattern);
+    if (!matches) continue;
+    tokens += matches.length * tokensPerChar;
+    rest -= matches.join('').length;
+  }
+  return Math.ceil(tokens + rest / (limits?.charsPerToken || 4));
+}
+
+export function useLimits(url) {
+  const [limits, setLimits] = useState(null);
+
+  useEffect(() => {
+    const controller = new AbortController();
+    fetch(url, { signal: controller.signal })
+      .then((response) => (response.ok ? response.json() : null))
+      .then((data) => {
+        if (Number.isInteger(data?.maxInputTokens) && Number.isInteger(data?.chunkTokens)) setLimits(data);
+      })
+      .catch(() => {
+        // Offline or an older server — the server still enforces its limits
+      });
+    return () => controller.abort();
+  }, [url]);
+
+  return limits;
+}
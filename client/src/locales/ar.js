@@ -0,0 +1,125 @@
+export default {
+  'app.tagline': 'حوّل كثرة التفكير إلى فكرة واحدة واضحة.',
+  'app.footer': 'مدعوم بـ Groq Llama 3 • جملة واحدة مضمونة',
+  'app.history': 'السجل',
+  'app.themeToLight': 'التبديل إلى الوضع الفاتح',
+  'app.themeToDark': 'التبديل إلى الوضع الداكن',
+  'app.locale': 'لغة الواجهة',
+
+  'mode.core-issue': 'المشكلة الأساسية',
+  'mode.core-question': 'السؤال الأساسي',
+  'mode.decision': 'القرار المطلوب',
+  'mode.feeling': 'الشعور الكامن',
+  'mode.next-step': 'الخطوة العملية التالية',
+  'mode.tldr': 'ملخص للمدير',
+
+  'input.label': 'اكتب فكرتك المعقدة',
+  'input.ariaLabel': 'حقل إدخال الفكرة',
+  'input.placeholder': 'الصق فكرتك المعقدة هنا...',
+  'input.placeholderFile': 'الصق فكرتك المعقدة هنا أو أفلت ملفًا...',
+  'input.drop': 'أفلت الملف لتوضيحه',
+  'input.ready': 'جاهز',
+  'input.tokens': '~{tokens} / {max} رمز',
+  'input.tokensLong': '~{tokens} / {max} رمز · يُقرأ على أجزاء',
+  'input.characters.zero': '{count} حرف',
+  'input.characters.one': 'حرف واحد',
+  'input.characters.two': 'حرفان',
+  'input.characters.few': '{count} أحرف',
+  'input.characters.many': '{count} حرفًا',
+  'input.characters.other': '{count} حرف',
+  'input.mode': 'نمط التوضيح',
+  'input.count': 'عدد الإجابات للمقارنة',
+  'input.answers.one': 'إجابة واحدة',
+  'input.answers.two': 'خياران',
+  'input.answers.few': '{count} خيارات',
+  'input.answers.other': '{count} خيار',
+  'input.language': 'لغة الإجابة',
+  'input.languageAuto': 'لغة النص نفسها',
+  'input.file': 'توضيح ملف',
+  'input.fileTitle': 'توضيح ملف ({extensions})',
+  'input.fileUnsupported': 'نوع الملف غير مدعوم — استخدم {extensions}',
+  'input.fileTooLarge': 'حجم الملف أكبر من {size} كيلوبايت',
+  'input.clarify': 'وضّح',
+  'input.processing': 'جارٍ المعالجة',
+  'input.processingLabel': 'جارٍ معالجة طلبك',
+
+  'result.title': 'النتيجة',
+  'result.notice': 'تنبيه',
+  'result.copy': 'نسخ إلى الحافظة',
+  'result.versions': 'النسخ المحسّنة',
+  'result.refinedWith': 'محسّنة: «{guidance}»',
+  'result.firstAnswer': 'الإجابة الأولى',
+  'result.refined': 'محسّنة',
+  'result.masked': 'تم إخفاء البيانات الشخصية',
+  'result.maskedTitle': 'أُخفيت عناوين البريد وأرقام الهواتف وأرقام البطاقات والروابط والأسماء قبل إرسال نصك إلى النموذج',
+
+  'share.button': 'مشاركة',
+  'share.title': 'مشاركة هذه الإجابة',
+  'share.close': 'إغلاق',
+  'share.includeInput': 'تضمين نصي الأصلي',
+  'share.expiry': 'تنتهي صلاحية الرابط بعد',
+  'share.days.zero': '{count} يوم',
+  'share.days.one': 'يوم واحد',
+  'share.days.two': 'يومين',
+  'share.days.few': '{count} أيام',
+  'share.days.many': '{count} يومًا',
+  'share.days.other': '{count} يوم',
+  'share.create': 'إنشاء رابط',
+  'share.creating': 'جارٍ الإنشاء…',
+  'share.link': 'رابط المشاركة',
+  'share.copyLink': 'نسخ الرابط',
+  'share.expiresOn': 'تنتهي الصلاحية في {date}',
+  'share.delete': 'حذف الرابط',
+  'share.deleted': 'تم حذف الرابط.',
+  'share.failed': 'تعذّر إنشاء الرابط.',
+  'share.deleteFailed': 'تعذّر حذف الرابط.',
+
+  'shared.loading': 'جارٍ التحميل…',
+  'shared.original': 'النص الأصلي',
+  'shared.missing': 'انتهت صلاحية هذا الرابط أو تم حذفه.',
+  'shared.failed': 'تعذّر تحميل هذا الرابط.',
+  'shared.own': 'وضّح أفكارك أنت',
+
+  'refine.label': 'ما الذي يجب تغييره في الإجابة المحسّنة؟',
+  'refine.placeholder': 'ما الذي يجب تغييره؟ (اختياري)',
+  'refine.button': 'حسّن',
+
+  'candidates.writing': 'جارٍ كتابة عدة صيغ…',
+  'candidates.pick': 'اختر الصيغة الأنسب.',
+  'candidates.option': 'الخيار {letter}',
+  'candidates.use': 'استخدم هذه',
+
+  'status.retryingIn': '{reason} إعادة المحاولة خلال {seconds} ث (المحاولة {attempt} من {max})…',
+  'status.retrying': '{reason} إعادة المحاولة (المحاولة {attempt} من {max})…',
+  'status.reading': 'جارٍ قراءة نصك على أجزاء — قُرئ {completed} من {total}…',
+  'status.combining': 'جارٍ جمع الأجزاء الـ {total}…',
+  'status.tryAgain': 'حاول مجددًا',
+  'status.tryAgainIn': 'حاول مجددًا خلال {seconds} ث',
+
+  'history.label': 'سجل التوضيحات',
+  'history.title': 'السجل',
+  'history.close': 'إغلاق السجل',
+  'history.search': 'البحث في السجل',
+  'history.searchPlaceholder': 'ابحث في النصوص والإجابات',
+  'history.empty': 'ستظهر توضيحاتك هنا.',
+  'history.noMatch': 'لا توجد نتائج مطابقة.',
+  'history.show': 'عرض هذا التوضيح',
+  'history.pinned': 'مثبّت',
+  'history.helpful': 'قُيّم بأنه مفيد',
+  'history.unhelpful': 'قُيّم بأنه غير مفيد',
+  'history.pin': 'تثبيت',
+  'history.unpin': 'إلغاء التثبيت',
+  'history.rerun': 'تشغيل مجددًا',
+  'history.delete': 'حذف',
+  'history.confirmDelete': 'حذف هذا التوضيح من السجل؟',
+  'history.export': 'تصدير بصيغة {format}',
+  'history.import': 'استيراد',
+  'history.importTitle': 'استيراد ملف تصدير JSON أو Markdown أو CSV',
+  'history.imported.zero': 'لم يُستورد أي إدخال.',
+  'history.imported.one': 'استُورد إدخال واحد.',
+  'history.imported.two': 'استُورد إدخالان.',
+  'history.imported.few': 'استُوردت {count} إدخالات.',
+  'history.imported.other': 'استُورد {count} إدخالًا.',
+  'history.importEmpty': 'لم يُعثر على توضيحات في هذا الملف.',
+  'history.importFailed': 'تعذّرت قراءة هذا الملف.',
+};
@@ -0,0 +1,112 @@
+export default {
+  'app.tagline': 'Aus Grübeln wird ein klarer Gedanke.',
+  'app.footer': 'Mit Groq Llama 3 • Garantiert ein einziger Satz',
+  'app.history': 'Verlauf',
+  'app.themeToLight': 'Zum hellen Modus wechseln',
+  'app.themeToDark': 'Zum dunklen Modus wechseln',
+  'app.locale': 'Sprache der Oberfläche',
+
+  'mode.core-issue': 'Kernproblem',
+  'mode.core-question': 'Kernfrage',
+  'mode.decision': 'Anstehende Entscheidung',
+  'mode.feeling': 'Gefühl dahinter',
+  'mode.next-step': 'Nächster konkreter Schritt',
+  'mode.tldr': 'Kurzfassung für Vorgesetzte',
+
+  'input.label': 'Gib deinen komplexen Gedanken ein',
+  'input.ariaLabel': 'Eingabe für deinen Gedanken',
+  'input.placeholder': 'Füge deinen komplexen Gedanken hier ein...',
+  'input.placeholderFile': 'Füge deinen komplexen Gedanken hier ein oder lege eine Datei ab...',
+  'input.drop': 'Datei ablegen, um sie zu klären',
+  'input.ready': 'Bereit',
+  'input.tokens': '~{tokens} / {max} Tokens',
+  'input.tokensLong': '~{tokens} / {max} Tokens · wird in Teilen gelesen',
+  'input.characters.one': '{count} Zeichen',
+  'input.characters.other': '{count} Zeichen',
+  'input.mode': 'Klärungsmodus',
+  'input.count': 'Anzahl der Antworten zum Vergleichen',
+  'input.answers.one': '{count} Antwort',
+  'input.answers.other': '{count} Varianten',
+  'input.language': 'Sprache der Antwort',
+  'input.languageAuto': 'Wie die Eingabe',
+  'input.file': 'Eine Datei klären',
+  'input.fileTitle': 'Eine Datei klären ({extensions})',
+  'input.fileUnsupported': 'Dateityp nicht unterstützt – verwende {extensions}',
+  'input.fileTooLarge': 'Die Datei ist größer als {size} kB',
+  'input.clarify': 'Klären',
+  'input.processing': 'Wird verarbeitet',
+  'input.processingLabel': 'Deine Anfrage wird verarbeitet',
+
+  'result.title': 'Ergebnis',
+  'result.notice': 'Hinweis',
+  'result.copy': 'In die Zwischenablage kopieren',
+  'result.versions': 'Überarbeitete Versionen',
+  'result.refinedWith': 'Überarbeitet: „{guidance}“',
+  'result.firstAnswer': 'Erste Antwort',
+  'result.refined': 'Überarbeitet',
+  'result.masked': 'Persönliche Daten maskiert',
+  'result.maskedTitle': 'E-Mail-Adressen, Telefonnummern, Kartennummern, Links und Namen wurden maskiert, bevor dein Text an das Modell ging',
+
+  'share.button': 'Teilen',
+  'share.title': 'Diese Antwort teilen',
+  'share.close': 'Schließen',
+  'share.includeInput': 'Meinen ursprünglichen Text mitteilen',
+  'share.expiry': 'Link läuft ab nach',
+  'share.days.one': '{count} Tag',
+  'share.days.other': '{count} Tagen',
+  'share.create': 'Link erstellen',
+  'share.creating': 'Wird erstellt…',
+  'share.link': 'Link zum Teilen',
+  'share.copyLink': 'Link kopieren',
+  'share.expiresOn': 'Läuft am {date} ab',
+  'share.delete': 'Link löschen',
+  'share.deleted': 'Der Link wurde gelöscht.',
+  'share.failed': 'Der Link konnte nicht erstellt werden.',
+  'share.deleteFailed': 'Der Link konnte nicht gelöscht werden.',
+
+  'shared.loading': 'Wird geladen…',
+  'shared.original': 'Ursprünglicher Text',
+  'shared.missing': 'Dieser Link ist abgelaufen oder wurde gelöscht.',
+  'shared.failed': 'Dieser Link konnte nicht geladen werden.',
+  'shared.own': 'Kläre deine eigenen Gedanken',
+
+  'refine.label': 'Was soll sich an der überarbeiteten Antwort ändern?',
+  'refine.placeholder': 'Was soll sich ändern? (optional)',
+  'refine.button': 'Überarbeiten',
+
+  'candidates.writing': 'Einige Formulierungen werden geschrieben…',
+  'candidates.pick': 'Wähle die Formulierung, die am besten passt.',
+  'candidates.option': 'Variante {letter}',
+  'candidates.use': 'Übernehmen',
+
+  'status.retryingIn': '{reason} Neuer Versuch in {seconds} s (Versuch {attempt} von {max})…',
+  'status.retrying': '{reason} Neuer Versuch (Versuch {attempt} von {max})…',
+  'status.reading': 'Dein Text wird in Teilen gelesen – {completed} von {total} gelesen…',
+  'status.combining': '{total} Teile werden zusammengeführt…',
+  'status.tryAgain': 'Erneut versuchen',
+  'status.tryAgainIn': 'Erneut versuchen in {seconds} s',
+
+  'history.label': 'Verlauf der Klärungen',
+  'history.title': 'Verlauf',
+  'history.close': 'Verlauf schließen',
+  'history.search': 'Verlauf durchsuchen',
+  'history.searchPlaceholder': 'Eingaben und Antworten durchsuchen',
+  'history.empty': 'Deine Klärungen erscheinen hier.',
+  'history.noMatch': 'Keine Treffer für diese Suche.',
+  'history.show': 'Diese Klärung anzeigen',
+  'history.pinned': 'Angeheftet',
+  'history.helpful': 'Als hilfreich bewertet',
+  'history.unhelpful': 'Als nicht hilfreich bewertet',
+  'history.pin': 'Anheften',
+  'history.unpin': 'Lösen',
+  'history.rerun': 'Erneut ausführen',
+  'history.delete': 'Löschen',
+  'history.confirmDelete': 'Diese Klärung aus dem Verlauf löschen?',
+  'history.export': 'Als {format} exportieren',
+  'history.import': 'Importieren',
+  'history.importTitle': 'Einen JSON-, Markdown- oder CSV-Export importieren',
+  'history.imported.one': '{count} Eintrag importiert.',
+  'history.imported.other': '{count} Einträge importiert.',
+  'history.importEmpty': 'In dieser Datei wurden keine Klärungen gefunden.',
+  'history.importFailed': 'Diese Datei konnte nicht gelesen werden.',
+};
@@ -0,0 +1,110 @@
+import { MODES } from '../modes';
+
+// Source of every message id (see i18n.js); other locales translate these
+export default {
+  'app.tagline': 'Simplify overthinking into one clear idea.',
+  'app.footer': 'Powered by Groq Llama 3 • One sentence output guaranteed',
+  'app.history': 'History',
+  'app.themeToLight': 'Switch to Light Mode',
+  'app.themeToDark': 'Switch to Dark Mode',
+  'app.locale': 'Interface language',
+
+  ...Object.fromEntries(MODES.map(({ id, label }) => [`mode.${id}`, label])),
+
+  'input.label': 'Enter your complex thought',
+  'input.ariaLabel': 'Complex thought input',
+  'input.placeholder': 'Paste your complex thought here...',
+  'input.placeholderFile': 'Paste your complex thought here, or drop a file...',
+  'input.drop': 'Drop the file to clarify it',
+  'input.ready': 'Ready',
+  'input.tokens': '~{tokens} / {max} tokens',
+  'input.tokensLong': '~{tokens} / {max} tokens · read in parts',
+  'input.characters.one': '{count} character',
+  'input.characters.other': '{count} characters',
+  'input.mode': 'Clarification mode',
+  'input.count': 'Number of answers to compare',
+  'input.answers.one': '{count} answer',
+  'input.answers.other': '{count} options',
+  'input.language': 'Answer language',
+  'input.languageAuto': 'Same as input',
+  'input.file': 'Clarify a file',
+  'input.fileTitle': 'Clarify a file ({extensions})',
+  'input.fileUnsupported': 'Unsupported file type — use {extensions}',
+  'input.fileTooLarge': 'File is larger than {size} kB',
+  'input.clarify': 'Clarify',
+  'input.processing': 'Processing',
+  'input.processingLabel': 'Processing your request',
+
+  'result.title': 'Result',
+  'result.notice': 'Notice',
+  'result.copy': 'Copy to clipboard',
+  'result.versions': 'Refinement versions',
+  'result.refinedWith': 'Refined: “{guidance}”',
+  'result.firstAnswer': 'First answer',
+  'result.refined': 'Refined',
+  'result.masked': 'Personal details masked',
+  'result.maskedTitle': 'Emails, phone numbers, card numbers, links and names were masked before your text was sent to the model',
+
+  'share.button': 'Share',
+  'share.title': 'Share this answer',
+  'share.close': 'Close',
+  'share.includeInput': 'Include my original text',
+  'share.expiry': 'Link expires after',
+  'share.days.one': '{count} day',
+  'share.days.other': '{count} days',
+  'share.create': 'Create link',
+  'share.creating': 'Creating…',
+  'share.link': 'Share link',
+  'share.copyLink': 'Copy link',
+  'share.expiresOn': 'Expires {date}',
+  'share.delete': 'Delete link',
+  'share.deleted': 'The link was deleted.',
+  'share.failed': 'Could not create the link.',
+  'share.deleteFailed': 'Could not delete the link.',
+
+  'shared.loading': 'Loading…',
+  'shared.original': 'Original text',
+  'shared.missing': 'This link has expired or was deleted.',
+  'shared.failed': 'Could not load this link.',
+  'shared.own': 'Clarify your own thoughts',
+
+  'refine.label': 'What should change in the refined answer?',
+  'refine.placeholder': 'What should change? (optional)',
+  'refine.button': 'Refine',
+
+  'candidates.writing': 'Writing a few phrasings…',
+  'candidates.pick': 'Pick the phrasing that fits best.',
+  'candidates.option': 'Option {letter}',
+  'candidates.use': 'Use this',
+
+  'status.retryingIn': '{reason} Retrying in {seconds}s (attempt {attempt} of {max})…',
+  'status.retrying': '{reason} Retrying (attempt {attempt} of {max})…',
+  'status.reading': 'Reading your text in parts — {completed} of {total} read…',
+  'status.combining': 'Bringing {total} parts together…',
+  'status.tryAgain': 'Try again',
+  'status.tryAgainIn': 'Try again in {seconds}s',
+
+  'history.label': 'Clarification history',
+  'history.title': 'History',
+  'history.close': 'Close history',
+  'history.search': 'Search history',
+  'history.searchPlaceholder': 'Search inputs and answers',
+  'history.empty': 'Your clarifications will appear here.',
+  'history.noMatch': 'Nothing matches that search.',
+  'history.show': 'Show this clarification',
+  'history.pinned': 'Pinned',
+  'history.helpful': 'Rated helpful',
+  'history.unhelpful': 'Rated unhelpful',
+  'history.pin': 'Pin',
+  'history.unpin': 'Unpin',
+  'history.rerun': 'Run again',
+  'history.delete': 'Delete',
+  'history.confirmDelete': 'Delete this clarification from your history?',
+  'history.export': 'Export as {format}',
+  'history.import': 'Import',
+  'history.importTitle': 'Import a JSON, Markdown or CSV export',
+  'history.imported.one': 'Imported {count} entry.',
+  'history.imported.other': 'Imported {count} entries.',
+  'history.importEmpty': 'No clarifications found in that file.',
+  'history.importFailed': 'That file could not be read.',
+};
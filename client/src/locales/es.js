@@ -0,0 +1,112 @@
+export default {
+  'app.tagline': 'Convierte el exceso de pensamientos en una idea clara.',
+  'app.footer': 'Con Groq Llama 3 • Siempre una sola frase',
+  'app.history': 'Historial',
+  'app.themeToLight': 'Cambiar a modo claro',
+  'app.themeToDark': 'Cambiar a modo oscuro',
+  'app.locale': 'Idioma de la interfaz',
+
+  'mode.core-issue': 'Problema central',
+  'mode.core-question': 'Pregunta central',
+  'mode.decision': 'Decisión por tomar',
+  'mode.feeling': 'Sentimiento de fondo',
+  'mode.next-step': 'Siguiente paso concreto',
+  'mode.tldr': 'Resumen para un responsable',
+
+  'input.label': 'Escribe tu pensamiento complejo',
+  'input.ariaLabel': 'Campo para tu pensamiento complejo',
+  'input.placeholder': 'Pega aquí tu pensamiento complejo...',
+  'input.placeholderFile': 'Pega aquí tu pensamiento complejo o suelta un archivo...',
+  'input.drop': 'Suelta el archivo para aclararlo',
+  'input.ready': 'Listo',
+  'input.tokens': '~{tokens} / {max} tokens',
+  'input.tokensLong': '~{tokens} / {max} tokens · se lee por partes',
+  'input.characters.one': '{count} carácter',
+  'input.characters.other': '{count} caracteres',
+  'input.mode': 'Modo de aclaración',
+  'input.count': 'Número de respuestas para comparar',
+  'input.answers.one': '{count} respuesta',
+  'input.answers.other': '{count} opciones',
+  'input.language': 'Idioma de la respuesta',
+  'input.languageAuto': 'El de la entrada',
+  'input.file': 'Aclarar un archivo',
+  'input.fileTitle': 'Aclarar un archivo ({extensions})',
+  'input.fileUnsupported': 'Tipo de archivo no admitido: usa {extensions}',
+  'input.fileTooLarge': 'El archivo ocupa más de {size} kB',
+  'input.clarify': 'Aclarar',
+  'input.processing': 'Procesando',
+  'input.processingLabel': 'Procesando tu solicitud',
+
+  'result.title': 'Resultado',
+  'result.notice': 'Aviso',
+  'result.copy': 'Copiar al portapapeles',
+  'result.versions': 'Versiones refinadas',
+  'result.refinedWith': 'Refinada: «{guidance}»',
+  'result.firstAnswer': 'Primera respuesta',
+  'result.refined': 'Refinada',
+  'result.masked': 'Datos personales ocultos',
+  'result.maskedTitle': 'Los correos, teléfonos, números de tarjeta, enlaces y nombres se ocultaron antes de enviar tu texto al modelo',
+
+  'share.button': 'Compartir',
+  'share.title': 'Compartir esta respuesta',
+  'share.close': 'Cerrar',
+  'share.includeInput': 'Incluir mi texto original',
+  'share.expiry': 'El enlace caduca en',
+  'share.days.one': '{count} día',
+  'share.days.other': '{count} días',
+  'share.create': 'Crear enlace',
+  'share.creating': 'Creando…',
+  'share.link': 'Enlace para compartir',
+  'share.copyLink': 'Copiar enlace',
+  'share.expiresOn': 'Caduca el {date}',
+  'share.delete': 'Eliminar enlace',
+  'share.deleted': 'El enlace se eliminó.',
+  'share.failed': 'No se pudo crear el enlace.',
+  'share.deleteFailed': 'No se pudo eliminar el enlace.',
+
+  'shared.loading': 'Cargando…',
+  'shared.original': 'Texto original',
+  'shared.missing': 'Este enlace caducó o fue eliminado.',
+  'shared.failed': 'No se pudo cargar este enlace.',
+  'shared.own': 'Aclara tus propios pensamientos',
+
+  'refine.label': '¿Qué debería cambiar en la respuesta refinada?',
+  'refine.placeholder': '¿Qué debería cambiar? (opcional)',
+  'refine.button': 'Refinar',
+
+  'candidates.writing': 'Escribiendo varias formulaciones…',
+  'candidates.pick': 'Elige la formulación que mejor encaje.',
+  'candidates.option': 'Opción {letter}',
+  'candidates.use': 'Usar esta',
+
+  'status.retryingIn': '{reason} Reintentando en {seconds} s (intento {attempt} de {max})…',
+  'status.retrying': '{reason} Reintentando (intento {attempt} de {max})…',
+  'status.reading': 'Leyendo tu texto por partes: {completed} de {total} leídas…',
+  'status.combining': 'Uniendo {total} partes…',
+  'status.tryAgain': 'Reintentar',
+  'status.tryAgainIn': 'Reintentar en {seconds} s',
+
+  'history.label': 'Historial de aclaraciones',
+  'history.title': 'Historial',
+  'history.close': 'Cerrar el historial',
+  'history.search': 'Buscar en el historial',
+  'history.searchPlaceholder': 'Buscar en entradas y respuestas',
+  'history.empty': 'Tus aclaraciones aparecerán aquí.',
+  'history.noMatch': 'Nada coincide con esa búsqueda.',
+  'history.show': 'Mostrar esta aclaración',
+  'history.pinned': 'Fijada',
+  'history.helpful': 'Valorada como útil',
+  'history.unhelpful': 'Valorada como poco útil',
+  'history.pin': 'Fijar',
+  'history.unpin': 'Dejar de fijar',
+  'history.rerun': 'Volver a ejecutar',
+  'history.delete': 'Eliminar',
+  'history.confirmDelete': '¿Eliminar esta aclaración del historial?',
+  'history.export': 'Exportar como {format}',
+  'history.import': 'Importar',
+  'history.importTitle': 'Importar una exportación JSON, Markdown o CSV',
+  'history.imported.one': 'Se importó {count} entrada.',
+  'history.imported.other': 'Se importaron {count} entradas.',
+  'history.importEmpty': 'No se encontraron aclaraciones en ese archivo.',
+  'history.importFailed': 'No se pudo leer ese archivo.',
+};
@@ -0,0 +1,112 @@
+export default {
+  'app.tagline': 'Transformez vos pensées en une idée claire.',
+  'app.footer': 'Propulsé par Groq Llama 3 • Toujours une seule phrase',
+  'app.history': 'Historique',
+  'app.themeToLight': 'Passer en mode clair',
+  'app.themeToDark': 'Passer en mode sombre',
+  'app.locale': 'Langue de l’interface',
+
+  'mode.core-issue': 'Problème central',
+  'mode.core-question': 'Question centrale',
+  'mode.decision': 'Décision à prendre',
+  'mode.feeling': 'Sentiment sous-jacent',
+  'mode.next-step': 'Prochaine étape concrète',
+  'mode.tldr': 'Résumé pour un manager',
+
+  'input.label': 'Saisissez votre pensée complexe',
+  'input.ariaLabel': 'Champ de saisie de votre pensée',
+  'input.placeholder': 'Collez ici votre pensée complexe...',
+  'input.placeholderFile': 'Collez ici votre pensée complexe ou déposez un fichier...',
+  'input.drop': 'Déposez le fichier pour le clarifier',
+  'input.ready': 'Prêt',
+  'input.tokens': '~{tokens} / {max} jetons',
+  'input.tokensLong': '~{tokens} / {max} jetons · lu par parties',
+  'input.characters.one': '{count} caractère',
+  'input.characters.other': '{count} caractères',
+  'input.mode': 'Mode de clarification',
+  'input.count': 'Nombre de réponses à comparer',
+  'input.answers.one': '{count} réponse',
+  'input.answers.other': '{count} options',
+  'input.language': 'Langue de la réponse',
+  'input.languageAuto': 'Celle du texte',
+  'input.file': 'Clarifier un fichier',
+  'input.fileTitle': 'Clarifier un fichier ({extensions})',
+  'input.fileUnsupported': 'Type de fichier non pris en charge — utilisez {extensions}',
+  'input.fileTooLarge': 'Le fichier dépasse {size} ko',
+  'input.clarify': 'Clarifier',
+  'input.processing': 'En cours',
+  'input.processingLabel': 'Traitement de votre demande',
+
+  'result.title': 'Résultat',
+  'result.notice': 'Avis',
+  'result.copy': 'Copier dans le presse-papiers',
+  'result.versions': 'Versions affinées',
+  'result.refinedWith': 'Affinée : « {guidance} »',
+  'result.firstAnswer': 'Première réponse',
+  'result.refined': 'Affinée',
+  'result.masked': 'Données personnelles masquées',
+  'result.maskedTitle': 'Les e-mails, numéros de téléphone, numéros de carte, liens et noms ont été masqués avant l’envoi de votre texte au modèle',
+
+  'share.button': 'Partager',
+  'share.title': 'Partager cette réponse',
+  'share.close': 'Fermer',
+  'share.includeInput': 'Inclure mon texte d’origine',
+  'share.expiry': 'Le lien expire après',
+  'share.days.one': '{count} jour',
+  'share.days.other': '{count} jours',
+  'share.create': 'Créer le lien',
+  'share.creating': 'Création…',
+  'share.link': 'Lien de partage',
+  'share.copyLink': 'Copier le lien',
+  'share.expiresOn': 'Expire le {date}',
+  'share.delete': 'Supprimer le lien',
+  'share.deleted': 'Le lien a été supprimé.',
+  'share.failed': 'Le lien n’a pas pu être créé.',
+  'share.deleteFailed': 'Le lien n’a pas pu être supprimé.',
+
+  'shared.loading': 'Chargement…',
+  'shared.original': 'Texte d’origine',
+  'shared.missing': 'Ce lien a expiré ou a été supprimé.',
+  'shared.failed': 'Ce lien n’a pas pu être chargé.',
+  'shared.own': 'Clarifiez vos propres pensées',
+
+  'refine.label': 'Que faut-il changer dans la réponse affinée ?',
+  'refine.placeholder': 'Que faut-il changer ? (facultatif)',
+  'refine.button': 'Affiner',
+
+  'candidates.writing': 'Rédaction de plusieurs formulations…',
+  'candidates.pick': 'Choisissez la formulation qui convient le mieux.',
+  'candidates.option': 'Option {letter}',
+  'candidates.use': 'Choisir',
+
+  'status.retryingIn': '{reason} Nouvel essai dans {seconds} s (tentative {attempt} sur {max})…',
+  'status.retrying': '{reason} Nouvel essai (tentative {attempt} sur {max})…',
+  'status.reading': 'Lecture de votre texte par parties — {completed} sur {total} lues…',
+  'status.combining': 'Assemblage des {total} parties…',
+  'status.tryAgain': 'Réessayer',
+  'status.tryAgainIn': 'Réessayer dans {seconds} s',
+
+  'history.label': 'Historique des clarifications',
+  'history.title': 'Historique',
+  'history.close': 'Fermer l’historique',
+  'history.search': 'Rechercher dans l’historique',
+  'history.searchPlaceholder': 'Rechercher dans les textes et les réponses',
+  'history.empty': 'Vos clarifications apparaîtront ici.',
+  'history.noMatch': 'Aucun résultat pour cette recherche.',
+  'history.show': 'Afficher cette clarification',
+  'history.pinned': 'Épinglée',
+  'history.helpful': 'Jugée utile',
+  'history.unhelpful': 'Jugée peu utile',
+  'history.pin': 'Épingler',
+  'history.unpin': 'Détacher',
+  'history.rerun': 'Relancer',
+  'history.delete': 'Supprimer',
+  'history.confirmDelete': 'Supprimer cette clarification de l’historique ?',
+  'history.export': 'Exporter en {format}',
+  'history.import': 'Importer',
+  'history.importTitle': 'Importer un export JSON, Markdown ou CSV',
+  'history.imported.one': '{count} entrée importée.',
+  'history.imported.other': '{count} entrées importées.',
+  'history.importEmpty': 'Aucune clarification trouvée dans ce fichier.',
+  'history.importFailed': 'Ce fichier n’a pas pu être lu.',
+};
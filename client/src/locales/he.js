@@ -0,0 +1,114 @@
+export default {
+  'app.tagline': 'הופכים מחשבות מסובכות לרעיון אחד ברור.',
+  'app.footer': 'מופעל על ידי Groq Llama 3 • תמיד משפט אחד',
+  'app.history': 'היסטוריה',
+  'app.themeToLight': 'מעבר למצב בהיר',
+  'app.themeToDark': 'מעבר למצב כהה',
+  'app.locale': 'שפת הממשק',
+
+  'mode.core-issue': 'הבעיה המרכזית',
+  'mode.core-question': 'השאלה המרכזית',
+  'mode.decision': 'ההחלטה שצריך לקבל',
+  'mode.feeling': 'הרגש שמתחת',
+  'mode.next-step': 'הצעד המעשי הבא',
+  'mode.tldr': 'תקציר למנהל',
+
+  'input.label': 'כתבו את המחשבה המסובכת שלכם',
+  'input.ariaLabel': 'שדה להזנת המחשבה',
+  'input.placeholder': 'הדביקו כאן את המחשבה המסובכת שלכם...',
+  'input.placeholderFile': 'הדביקו כאן את המחשבה המסובכת שלכם או גררו קובץ...',
+  'input.drop': 'שחררו את הקובץ כדי להבהיר אותו',
+  'input.ready': 'מוכן',
+  'input.tokens': '~{tokens} / {max} טוקנים',
+  'input.tokensLong': '~{tokens} / {max} טוקנים · ייקרא בחלקים',
+  'input.characters.one': 'תו אחד',
+  'input.characters.other': '{count} תווים',
+  'input.mode': 'מצב הבהרה',
+  'input.count': 'מספר התשובות להשוואה',
+  'input.answers.one': 'תשובה אחת',
+  'input.answers.two': 'שתי אפשרויות',
+  'input.answers.other': '{count} אפשרויות',
+  'input.language': 'שפת התשובה',
+  'input.languageAuto': 'כמו הטקסט',
+  'input.file': 'הבהרת קובץ',
+  'input.fileTitle': 'הבהרת קובץ ({extensions})',
+  'input.fileUnsupported': 'סוג הקובץ אינו נתמך — השתמשו ב-{extensions}',
+  'input.fileTooLarge': 'הקובץ גדול מ-{size} KB',
+  'input.clarify': 'הבהרה',
+  'input.processing': 'בעיבוד',
+  'input.processingLabel': 'הבקשה שלכם בעיבוד',
+
+  'result.title': 'תוצאה',
+  'result.notice': 'הודעה',
+  'result.copy': 'העתקה ללוח',
+  'result.versions': 'גרסאות משופרות',
+  'result.refinedWith': 'שופרה: „{guidance}”',
+  'result.firstAnswer': 'התשובה הראשונה',
+  'result.refined': 'שופרה',
+  'result.masked': 'פרטים אישיים הוסתרו',
+  'result.maskedTitle': 'כתובות דוא״ל, מספרי טלפון, מספרי כרטיסים, קישורים ושמות הוסתרו לפני שהטקסט נשלח למודל',
+
+  'share.button': 'שיתוף',
+  'share.title': 'שיתוף התשובה',
+  'share.close': 'סגירה',
+  'share.includeInput': 'לכלול את הטקסט המקורי שלי',
+  'share.expiry': 'הקישור יפוג בעוד',
+  'share.days.one': 'יום אחד',
+  'share.days.two': 'יומיים',
+  'share.days.other': '{count} ימים',
+  'share.create': 'יצירת קישור',
+  'share.creating': 'יוצר…',
+  'share.link': 'קישור לשיתוף',
+  'share.copyLink': 'העתקת הקישור',
+  'share.expiresOn': 'יפוג ב-{date}',
+  'share.delete': 'מחיקת הקישור',
+  'share.deleted': 'הקישור נמחק.',
+  'share.failed': 'לא ניתן היה ליצור את הקישור.',
+  'share.deleteFailed': 'לא ניתן היה למחוק את הקישור.',
+
+  'shared.loading': 'טוען…',
+  'shared.original': 'הטקסט המקורי',
+  'shared.missing': 'תוקף הקישור פג או שהוא נמחק.',
+  'shared.failed': 'לא ניתן היה לטעון את הקישור.',
+  'shared.own': 'הבהירו את המחשבות שלכם',
+
+  'refine.label': 'מה צריך להשתנות בתשובה המשופרת?',
+  'refine.placeholder': 'מה צריך להשתנות? (לא חובה)',
+  'refine.button': 'שיפור',
+
+  'candidates.writing': 'כותב כמה ניסוחים…',
+  'candidates.pick': 'בחרו את הניסוח המתאים ביותר.',
+  'candidates.option': 'אפשרות {letter}',
+  'candidates.use': 'בחירה',
+
+  'status.retryingIn': '{reason} ניסיון חוזר בעוד {seconds} שנ׳ (ניסיון {attempt} מתוך {max})…',
+  'status.retrying': '{reason} ניסיון חוזר (ניסיון {attempt} מתוך {max})…',
+  'status.reading': 'קורא את הטקסט בחלקים — {completed} מתוך {total} נקראו…',
+  'status.combining': 'מחבר {total} חלקים…',
+  'status.tryAgain': 'לנסות שוב',
+  'status.tryAgainIn': 'לנסות שוב בעוד {seconds} שנ׳',
+
+  'history.label': 'היסטוריית ההבהרות',
+  'history.title': 'היסטוריה',
+  'history.close': 'סגירת ההיסטוריה',
+  'history.search': 'חיפוש בהיסטוריה',
+  'history.searchPlaceholder': 'חיפוש בטקסטים ובתשובות',
+  'history.empty': 'ההבהרות שלכם יופיעו כאן.',
+  'history.noMatch': 'אין תוצאות לחיפוש הזה.',
+  'history.show': 'הצגת ההבהרה הזו',
+  'history.pinned': 'מוצמד',
+  'history.helpful': 'דורג כמועיל',
+  'history.unhelpful': 'דורג כלא מועיל',
+  'history.pin': 'הצמדה',
+  'history.unpin': 'ביטול הצמדה',
+  'history.rerun': 'הרצה מחדש',
+  'history.delete': 'מחיקה',
+  'history.confirmDelete': 'למחוק את ההבהרה הזו מההיסטוריה?',
+  'history.export': 'ייצוא כ-{format}',
+  'history.import': 'ייבוא',
+  'history.importTitle': 'ייבוא קובץ ייצוא JSON, Markdown או CSV',
+  'history.imported.one': 'יובאה רשומה אחת.',
+  'history.imported.other': 'יובאו {count} רשומות.',
+  'history.importEmpty': 'לא נמצאו הבהרות בקובץ הזה.',
+  'history.importFailed': 'לא ניתן היה לקרוא את הקובץ.',
+};
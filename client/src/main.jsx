@@ -2,9 +2,14 @@ import { StrictMode } from 'react'
 import { createRoot } from 'react-dom/client'
 import './index.css'
 import App from './App.jsx'
+import SharedView from './SharedView.jsx'
+import { shareIdFromPath } from './share'
+
+// /s/:id is a share link's read-only view; every other path is the app
+const shareId = shareIdFromPath(window.location.pathname)
 
 createRoot(document.getElementById('root')).render(
   <StrictMode>
-    <App />
+    {shareId ? <SharedView id={shareId} /> : <App />}
   </StrictMode>,
 )
@@ -0,0 +1,14 @@
+// Mirrors the mode ids in server/modes.js — prompts themselves live server-side
+export const MODES = [
+  { id: 'core-issue', label: 'Core issue' },
+  { id: 'core-question', label: 'Core question' },
+  { id: 'decision', label: 'Decision to make' },
+  { id: 'feeling', label: 'Underlying feeling' },
+  { id: 'next-step', label: 'Next concrete step' },
+  { id: 'tldr', label: 'TL;DR for a manager' },
+];
+export const DEFAULT_MODE = MODES[0].id;
+
+export function modeLabel(id) {
+  return MODES.find((mode) => mode.id === id)?.label || id;
+}
@@ -0,0 +1,84 @@
+import { API_BASE } from './api';
+
+/*
+  Share links (POST /api/share).  A link holds the answer and, only when the
+  user ticks the box, the text behind it; it expires after the chosen number
+  of days.  The server hands out a deletion token once: it is kept in
+  localStorage under the share's id, so this browser — and only this one —
+  can delete the link later, from the share menu or the shared view.
+*/
+
+const SHARE_URL = `${API_BASE}/share`;
+const STORAGE_KEY = 'clarity.shares.v1';
+
+export const SHARE_EXPIRY_DAYS = [1, 7, 30];
+export const DEFAULT_SHARE_DAYS = 30;
+
+// The share id in a /s/:id path, or null
+export function shareIdFromPath(pathname) {
+  return /^\/s\/([\w-]{8})\/?$/.exec(pathname)?.[1] ?? null;
+}
+
+function loadTokens() {
+  try {
+    const parsed = JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}');
+    if (!parsed || typeof parsed !== 'object') return {};
+    // Expired links are gone server-side; forget their tokens too
+    const now = Date.now();
+    return Object.fromEntries(Object.entries(parsed).filter(([, share]) => Date.parse(share?.expiresAt) > now));
+  } catch {
+    return {};
+  }
+}
+
+function saveTokens(tokens) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(tokens));
+  } catch {
+    // Not persisted — the link can still be deleted from the menu that made it
+  }
+}
+
+export function canDeleteShare(id) {
+  return Boolean(loadTokens()[id]);
+}
+
+async function failure(response, fallback) {
+  const data = await response.json().catch(() => ({}));
+  const error = new Error(data.error || fallback);
+  error.status = response.status;
+  return error;
+}
+
+// { id, url, expiresAt }; input left out (null) shares the answer only
+export async function createShare({ output, input = null, mode, expiresInDays = DEFAULT_SHARE_DAYS }) {
+  const response = await fetch(SHARE_URL, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ output, ...(input && { input }), mode, expiresInDays }),
+  });
+  if (!response.ok) throw await failure(response, 'Could not create the link');
+  const { id, url, deleteToken, expiresAt } = await response.json();
+  saveTokens({ ...loadTokens(), [id]: { deleteToken, expiresAt } });
+  // Without SHARE_URL the server answers with a path; links live on the API server
+  return { id, url: new URL(url, new URL(API_BASE, window.location.href)).href, expiresAt };
+}
+
+// { id, output, input, mode, language, createdAt, expiresAt }; error.status 404 once expired or deleted
+export async function fetchShare(id, { signal } = {}) {
+  const response = await fetch(`${SHARE_URL}/${encodeURIComponent(id)}`, { signal });
+  if (!response.ok) throw await failure(response, 'Could not load this link');
+  return response.json();
+}
+
+export async function deleteShare(id) {
+  const tokens = loadTokens();
+  const response = await fetch(`${SHARE_URL}/${encodeURIComponent(id)}`, {
+    method: 'DELETE',
+    headers: { 'X-Delete-Token': tokens[id]?.deleteToken ?? '' },
+  });
+  // Already gone counts as deleted
+  if (!response.ok && response.status !== 404) throw await failure(response, 'Could not delete the link');
+  delete tokens[id];
+  saveTokens(tokens);
+}
@@ -0,0 +1,207 @@
+/*
+  <clarity-box> — a drop-in "Clarify this" control built on the SDK.
+
+    <script type="module" src="https://clarity.example.com/sdk/clarity-box.js"></script>
+
+    <!-- Clarifies a field of the host page … -->
+    <textarea id="notes"></textarea>
+    <clarity-box for="notes" mode="tldr"></clarity-box>
+
+    <!-- … a field placed inside it … -->
+    <clarity-box><textarea></textarea></clarity-box>
+
+    <!-- … or brings a textarea of its own -->
+    <clarity-box></clarity-box>
+
+  Attributes: api (server address, defaults to the server the script was
+  loaded from), api-key, mode, output-language, for and label.  Fires
+  clarity-start, clarity-result ({ text, result }) and clarity-error
+  ({ error }), all bubbling out of the shadow root.  Styled through
+  ::part(field | button | result | copy | message) and the --clarity-*
+  custom properties below.
+*/
+import { createClient } from './index.js';
+
+const DEFAULT_API = new URL('..', import.meta.url).href;
+
+const STYLE = `
+    :host {
+        --clarity-accent: #2563eb;
+        --clarity-text: inherit;
+        --clarity-muted: #64748b;
+        --clarity-surface: #f8fafc;
+        --clarity-radius: 0.5rem;
+        display: block;
+        font: inherit;
+        color: var(--clarity-text);
+    }
+    :host([hidden]) { display: none; }
+    textarea {
+        box-sizing: border-box;
+        width: 100%;
+        min-height: 6rem;
+        margin-block-end: 0.5rem;
+        padding: 0.5rem;
+        font: inherit;
+        border: 1px solid var(--clarity-muted);
+        border-radius: var(--clarity-radius);
+    }
+    .actions { display: flex; gap: 0.5rem; align-items: center; }
+    button {
+        font: inherit;
+        cursor: pointer;
+        border: 0;
+        border-radius: var(--clarity-radius);
+        padding: 0.4rem 0.9rem;
+        color: #fff;
+        background: var(--clarity-accent);
+    }
+    button:disabled { opacity: 0.6; cursor: progress; }
+    button.copy {
+        padding: 0.2rem 0.6rem;
+        color: var(--clarity-accent);
+        background: transparent;
+        border: 1px solid currentColor;
+    }
+    .output {
+        display: flex;
+        gap: 0.5rem;
+        align-items: flex-start;
+        margin-block-start: 0.5rem;
+        padding: 0.6rem 0.8rem;
+        border-radius: var(--clarity-radius);
+        background: var(--clarity-surface);
+    }
+    .output[hidden] { display: none; }
+    p { flex: 1; margin: 0; white-space: pre-wrap; }
+    .message { color: var(--clarity-muted); }
+`;
+
+class ClarityBox extends HTMLElement {
+    static observedAttributes = ['api', 'api-key', 'label'];
+
+    #client = null;
+    #stream = null;
+    #parts;
+
+    constructor() {
+        super();
+        const root = this.attachShadow({ mode: 'open' });
+        root.innerHTML = `
+            <style>${STYLE}</style>
+            <slot><textarea part="field" dir="auto"></textarea></slot>
+            <div class="actions"><button part="button" type="button"></button></div>
+            <div class="output" hidden aria-live="polite">
+                <p part="result" dir="auto"></p>
+                <button part="copy" class="copy" type="button">Copy</button>
+            </div>
+        `;
+        this.#parts = {
+            slot: root.querySelector('slot'),
+            ownField: root.querySelector('textarea'),
+            button: root.querySelector('[part=button]'),
+            output: root.querySelector('.output'),
+            result: root.querySelector('[part=result]'),
+            copy: root.querySelector('[part=copy]'),
+        };
+        this.#parts.button.addEventListener('click', () => this.clarify());
+        this.#parts.copy.addEventListener('click', () => {
+            navigator.clipboard?.writeText(this.#parts.result.textContent).catch(() => {});
+        });
+        this.#renderLabel();
+    }
+
+    attributeChangedCallback(name) {
+        if (name === 'label') this.#renderLabel();
+        else this.#client = null;
+    }
+
+    disconnectedCallback() {
+        this.abort();
+    }
+
+    // The field being clarified: the `for` target, a slotted field or the built-in textarea
+    get field() {
+        const target = this.getAttribute('for');
+        if (target) return this.getRootNode().getElementById?.(target) ?? document.getElementById(target);
+        const slotted = this.#parts.slot.assignedElements({ flatten: true })
+            .find((element) => element.matches('textarea, input'));
+        return slotted ?? this.#parts.ownField;
+    }
+
+    get value() {
+        return this.#parts.result.textContent;
+    }
+
+    abort() {
+        this.#stream?.abort();
+        this.#stream = null;
+    }
+
+    async clarify() {
+        const text = this.field?.value?.trim();
+        if (!text) return null;
+        this.abort();
+
+        const { button, output, result } = this.#parts;
+        const stream = this.#stream = this.#getClient().clarify(text, {
+            mode: this.getAttribute('mode') || undefined,
+            outputLanguage: this.getAttribute('output-language') || undefined,
+        });
+        button.disabled = true;
+        result.textContent = '';
+        result.classList.remove('message');
+        output.hidden = false;
+        this.#emit('clarity-start', { text });
+
+        // Only the first answer is shown; a box asks for one
+        stream.addEventListener('token', ({ detail }) => {
+            if (!detail.candidate) result.textContent += detail.text;
+        });
+        stream.addEventListener('replace', ({ detail }) => {
+            if (!detail.candidate) result.textContent = detail.text;
+        });
+
+        try {
+            const outcome = await stream.result;
+            if (outcome.safety) this.#showMessage(outcome.safety.message);
+            this.#emit('clarity-result', { text: outcome.text, result: outcome });
+            return outcome;
+        } catch (error) {
+            if (error.name === 'AbortError') return null;
+            this.#showMessage(error.message);
+            this.#emit('clarity-error', { error });
+            return null;
+        } finally {
+            if (this.#stream === stream) {
+                this.#stream = null;
+                button.disabled = false;
+            }
+        }
+    }
+
+    #getClient() {
+        this.#client ??= createClient({
+            baseUrl: this.getAttribute('api') || DEFAULT_API,
+            apiKey: this.getAttribute('api-key'),
+        });
+        return this.#client;
+    }
+
+    #renderLabel() {
+        this.#parts.button.textContent = this.getAttribute('label') || 'Clarify this';
+    }
+
+    #showMessage(message) {
+        this.#parts.result.textContent = message;
+        this.#parts.result.classList.add('message');
+    }
+
+    #emit(name, detail) {
+        this.dispatchEvent(new CustomEvent(name, { detail, bubbles: true, composed: true }));
+    }
+}
+
+if (!customElements.get('clarity-box')) customElements.define('clarity-box', ClarityBox);
+
+export { ClarityBox };
@@ -0,0 +1,266 @@
+/*
+  Clarity SDK — a dependency-free client for the Clarity AI API, for any
+  page or framework.  Loaded straight from the server (GET /sdk/index.js)
+  or installed as a package:
+
+    import { createClient } from 'https://clarity.example.com/sdk/index.js';
+
+    const clarity = createClient({ baseUrl: 'https://clarity.example.com' });
+
+    // Every server event as an async iterator …
+    for await (const { event, data } of clarity.clarify(text, { mode: 'tldr' })) {
+        if (event === 'token') output.textContent += data.text;
+    }
+
+    // … or as DOM events, with the final answer as a promise
+    const stream = clarity.clarify(text);
+    stream.addEventListener('token', (e) => { output.textContent += e.detail.text; });
+    const { text: answer } = await stream.result;
+
+  Events are those of SSE protocol 2 (see server/lib/sse.js): start, meta,
+  progress, token, replace, error, safety and done.  The page's origin must
+  be allowed by the server (CORS_ORIGIN / EMBED_ORIGINS).  There are no
+  automatic retries: a refused request fails with a ClarityError that
+  carries the server's Retry-After.
+*/
+
+/*
+  A request that failed as a whole.  `status` is the HTTP status (null for
+  network failures and failed answers), `code` the stream's error code
+  where there is one, `retryAfter` the server's Retry-After in seconds.
+*/
+export class ClarityError extends Error {
+    constructor(message, { status = null, code = null, retryAfter = null } = {}) {
+        super(message);
+        this.name = 'ClarityError';
+        this.status = status;
+        this.code = code;
+        this.retryAfter = retryAfter;
+    }
+}
+
+async function ensureOk(response) {
+    if (response.ok) return;
+    let message = `Request failed with status ${response.status}`;
+    try {
+        message = (await response.json()).error || message;
+    } catch {
+        // Non-JSON error body — keep the generic message
+    }
+    const retryAfter = Number(response.headers.get('Retry-After')) || null;
+    throw new ClarityError(message, { status: response.status, retryAfter });
+}
+
+// ─── Event parsing ────────────────────────────────────────────────────────────
+
+function parseEvent(block) {
+    let event = 'message';
+    const data = [];
+    for (const line of block.split('\n')) {
+        if (line.startsWith('event:')) event = line.slice(6).trim();
+        else if (line.startsWith('data:')) data.push(line.slice(5).replace(/^ /, ''));
+    }
+    // Heartbeat comments carry no data
+    return data.length > 0 ? { event, data: JSON.parse(data.join('\n')) } : null;
+}
+
+// { event, data } per server event; buffered until a blank line completes one
+async function* readServerEvents(body) {
+    const reader = body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    for (;;) {
+        const { value, done } = await reader.read();
+        buffer = (buffer + decoder.decode(value, { stream: !done })).replace(/\r\n/g, '\n');
+        let boundary;
+        while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+            const parsed = parseEvent(buffer.slice(0, boundary));
+            buffer = buffer.slice(boundary + 2);
+            if (parsed) yield parsed;
+        }
+        if (done) {
+            const parsed = buffer.trim() && parseEvent(buffer);
+            if (parsed) yield parsed;
+            return;
+        }
+    }
+}
+
+// ─── ClarifyStream ────────────────────────────────────────────────────────────
+
+/*
+  One clarification in flight.  Reading starts at once, whether or not
+  anyone listens; events are kept, so an iterator started late still sees
+  every one from the beginning.
+
+    addEventListener(name, (e) => e.detail)   one DOM event per server event
+    for await (const { event, data } of stream)
+    stream.result   resolves to { text, answers, safety, start, done }:
+                    `answers` holds { text, meta, error } per candidate and
+                    `text` is the first answer's; a flagged input resolves
+                    with `safety` and no text.  Rejects with a ClarityError
+                    when the request fails or every answer does.
+    stream.abort()
+*/
+export class ClarifyStream extends EventTarget {
+    #controller = new AbortController();
+    #events = [];
+    #finished = false;
+    #failure = null;
+    #wake = [];
+
+    constructor(open, { signal } = {}) {
+        super();
+        if (signal?.aborted) this.abort(signal.reason);
+        else signal?.addEventListener('abort', () => this.abort(signal.reason), { once: true });
+
+        this.result = this.#run(open);
+        // Callers that only iterate, or only listen, should not see an unhandled rejection
+        this.result.catch(() => {});
+    }
+
+    abort(reason) {
+        this.#controller.abort(reason);
+    }
+
+    async #run(open) {
+        const answers = [];
+        const answer = (candidate = 0) => (answers[candidate] ??= { text: '', meta: {}, error: null });
+        let start = null;
+        let done = null;
+        let safety = null;
+
+        try {
+            let response;
+            try {
+                response = await open(this.#controller.signal);
+            } catch (error) {
+                if (error.name === 'AbortError') throw error;
+                throw new ClarityError('Could not reach the Clarity server', { code: 'network' });
+            }
+            await ensureOk(response);
+
+            // A connection dropped mid-stream fails like one that never opened
+            try {
+                for await (const message of readServerEvents(response.body)) {
+                    const { event, data } = message;
+                    if (event === 'start') start = data;
+                    else if (event === 'token') answer(data.candidate).text += data.text;
+                    else if (event === 'replace') answer(data.candidate).text = data.text;
+                    else if (event === 'meta') Object.assign(answer(data.candidate).meta, data);
+                    else if (event === 'error') answer(data.candidate).error = { code: data.code, message: data.message };
+                    else if (event === 'safety') safety = data;
+                    else if (event === 'done') done = data;
+                    this.#push(message);
+                }
+            } catch (error) {
+                if (error.name === 'AbortError') throw error;
+                throw new ClarityError('Lost the connection to the Clarity server', { code: 'network' });
+            }
+        } catch (error) {
+            this.#end(error);
+            throw error;
+        }
+        this.#end();
+
+        if (!safety && !answers.some((item) => !item.error && item.text)) {
+            const failed = answers.find((item) => item.error)?.error;
+            throw new ClarityError(failed?.message || 'The stream ended without an answer', { code: failed?.code ?? null });
+        }
+        return { text: safety ? null : answer(0).text, answers, safety, start, done };
+    }
+
+    #push(message) {
+        this.#events.push(message);
+        this.dispatchEvent(new CustomEvent(message.event, { detail: message.data }));
+        this.#notify();
+    }
+
+    #end(failure = null) {
+        this.#finished = true;
+        this.#failure = failure;
+        this.#notify();
+    }
+
+    #notify() {
+        const waiting = this.#wake;
+        this.#wake = [];
+        waiting.forEach((resolve) => resolve());
+    }
+
+    async *[Symbol.asyncIterator]() {
+        for (let index = 0; ; index++) {
+            while (index >= this.#events.length) {
+                if (this.#failure) throw this.#failure;
+                if (this.#finished) return;
+                await new Promise((resolve) => this.#wake.push(resolve));
+            }
+            yield this.#events[index];
+        }
+    }
+}
+
+// ─── Client ───────────────────────────────────────────────────────────────────
+
+/*
+  baseUrl is the server's address (without /api).  An apiKey is sent as a
+  Bearer token; on a public page it is visible to every visitor, so give
+  embeds a key of their own, limited to the modes they use.
+*/
+export function createClient({ baseUrl, apiKey = null, headers = {}, fetch: fetchImpl = globalThis.fetch.bind(globalThis) } = {}) {
+    if (!baseUrl) throw new TypeError('createClient needs a baseUrl');
+    const base = String(baseUrl).replace(/\/+$/, '');
+    const headersFor = (extra = {}) => ({
+        ...headers,
+        ...extra,
+        ...(apiKey && { Authorization: `Bearer ${apiKey}` }),
+    });
+
+    async function getJson(path, { signal } = {}) {
+        let response;
+        try {
+            response = await fetchImpl(`${base}${path}`, { headers: headersFor(), signal });
+        } catch (error) {
+            if (error.name === 'AbortError') throw error;
+            throw new ClarityError('Could not reach the Clarity server', { code: 'network' });
+        }
+        await ensureOk(response);
+        return response.json();
+    }
+
+    return {
+        /*
+          Options: mode, n, outputLanguage, previous, refine (as in the
+          POST /api/clarify body) and an AbortSignal.
+        */
+        clarify(text, { mode, n, outputLanguage, previous, refine, signal } = {}) {
+            const body = JSON.stringify({ text, mode, n, outputLanguage, previous, refine, protocol: 2 });
+            return new ClarifyStream((abortSignal) => fetchImpl(`${base}/api/clarify`, {
+                method: 'POST',
+                headers: headersFor({ 'Content-Type': 'application/json' }),
+                body,
+                signal: abortSignal,
+            }), { signal });
+        },
+
+        // A File or Blob through POST /api/clarify/file; start.file.text is what was read from it
+        clarifyFile(file, { mode, n, outputLanguage, refine, signal } = {}) {
+            const form = new FormData();
+            form.append('file', file, file.name);
+            if (mode) form.append('mode', mode);
+            if (n) form.append('n', String(n));
+            if (outputLanguage) form.append('outputLanguage', outputLanguage);
+            if (refine) form.append('refine', 'true');
+            return new ClarifyStream((abortSignal) => fetchImpl(`${base}/api/clarify/file`, {
+                method: 'POST',
+                headers: headersFor(),
+                body: form,
+                signal: abortSignal,
+            }), { signal });
+        },
+
+        modes: (options) => getJson('/api/modes', options),
+        languages: (options) => getJson('/api/languages', options),
+        limits: (options) => getJson('/api/limits', options),
+    };
+}
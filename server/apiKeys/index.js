@@ -0,0 +1,66 @@
+const path = require('path');
+const { createApiKeyStore, KEY_PREFIX } = require('./keyStore');
+const { createUsageLog, msUntilNextMonth } = require('./usageLog');
+
+/*
+  Optional API-key authentication and usage accounting.
+
+    API_KEYS_FILE     = key file (default data/api-keys.json)
+    USAGE_FILE        = per-key usage counters (default data/usage.json)
+    API_KEYS_REQUIRED = "true" to reject anonymous calls to /api/clarify.
+                        Otherwise anonymous callers are served under the
+                        default per-IP limits and keys are purely opt-in.
+*/
+const DATA_DIR = path.join(__dirname, '..', 'data');
+
+function createApiKeysFromEnv(env = process.env, { logger } = {}) {
+    return {
+        keys: createApiKeyStore({ file: env.API_KEYS_FILE || path.join(DATA_DIR, 'api-keys.json'), logger }),
+        usage: createUsageLog({ file: env.USAGE_FILE || path.join(DATA_DIR, 'usage.json') }),
+        required: env.API_KEYS_REQUIRED === 'true',
+    };
+}
+
+/*
+  Express middleware: resolves `Authorization: Bearer <key>` to req.apiKey.
+
+    no header, keys optional  → req.apiKey = null (anonymous)
+    no header, keys required  → 401
+    unknown or revoked key    → 401  (a wrong key is never silently anonymous)
+    monthly token cap reached → 429 with Retry-After until the 1st of next month
+
+  Mode restrictions are checked by the route, which knows the requested mode.
+*/
+function createAuthMiddleware({ keys, usage, required }) {
+    return (req, res, next) => {
+        const header = req.get('Authorization') || '';
+        const match = /^Bearer\s+(\S+)$/i.exec(header);
+
+        if (!match) {
+            if (header || required) {
+                res.set('WWW-Authenticate', 'Bearer');
+                return res.status(401).json({ error: 'A valid API key is required' });
+            }
+            req.apiKey = null;
+            return next();
+        }
+
+        const apiKey = match[1].startsWith(KEY_PREFIX) ? keys.verify(match[1]) : null;
+        if (!apiKey) {
+            res.set('WWW-Authenticate', 'Bearer error="invalid_token"');
+            return res.status(401).json({ error: 'Invalid or revoked API key' });
+        }
+
+        if (apiKey.monthlyTokenCap && usage.monthlyTokens(apiKey.id) >= apiKey.monthlyTokenCap) {
+            return res
+                .status(429)
+                .set('Retry-After', String(Math.ceil(msUntilNextMonth() / 1000)))
+                .json({ error: 'Monthly usage cap reached for this API key.' });
+        }
+
+        req.apiKey = apiKey;
+        return next();
+    };
+}
+
+module.exports = { createApiKeysFromEnv, createAuthMiddleware };
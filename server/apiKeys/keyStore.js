@@ -0,0 +1,122 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { sha256 } = require('../lib/hash');
+
+/*
+  API keys in a JSON file shared by the server and the admin CLI
+  (scripts/keys.js).
+
+  Only a SHA-256 hash of each key is stored — the plaintext is shown once, at
+  creation.  The server re-reads the file when its mtime changes (checked at
+  most once per second), so keys created or revoked with the CLI take effect
+  without a restart.
+
+  Key record:
+    {
+      id, name, hash, createdAt, revokedAt,
+      rateLimit:       { maxReqs, windowMs } | null   (null = server default)
+      modes:           ['core-issue', …]     | null   (null = every mode)
+      monthlyTokenCap: number                | null   (null = uncapped)
+    }
+*/
+
+const KEY_PREFIX = 'clr_';
+const RELOAD_CHECK_MS = 1000;
+
+function generateKey() {
+    return KEY_PREFIX + crypto.randomBytes(24).toString('base64url');
+}
+
+function createApiKeyStore({ file, logger = console }) {
+    let keys = [];
+    let byHash = new Map();
+    let loadedMtime = 0;
+    let lastCheck = 0;
+
+    function load() {
+        let stat;
+        try {
+            stat = fs.statSync(file);
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+            keys = [];
+            byHash = new Map();
+            loadedMtime = 0;
+            return;
+        }
+        if (stat.mtimeMs === loadedMtime) return;
+
+        keys = JSON.parse(fs.readFileSync(file, 'utf8')).keys || [];
+        byHash = new Map(keys.map((key) => [key.hash, key]));
+        loadedMtime = stat.mtimeMs;
+    }
+
+    function refresh() {
+        const now = Date.now();
+        if (now - lastCheck < RELOAD_CHECK_MS) return;
+        lastCheck = now;
+        try {
+            load();
+        } catch (error) {
+            // Keep serving the last good copy rather than locking everyone out
+            logger.error('[api-keys] could not reload the key file', { file, err: error });
+        }
+    }
+
+    function save() {
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        const tmp = `${file}.tmp`;
+        fs.writeFileSync(tmp, `${JSON.stringify({ keys }, null, 2)}\n`, { mode: 0o600 });
+        fs.renameSync(tmp, file);
+        loadedMtime = fs.statSync(file).mtimeMs;
+        byHash = new Map(keys.map((key) => [key.hash, key]));
+    }
+
+    load();
+
+    return {
+        /* Active key record for a presented plaintext key, or null. */
+        verify(plaintext) {
+            refresh();
+            const record = byHash.get(sha256(plaintext));
+            return record && !record.revokedAt ? record : null;
+        },
+
+        list() {
+            refresh();
+            return keys.map(({ hash: _hash, ...rest }) => rest);
+        },
+
+        /* Returns { key, record } — the plaintext key is not recoverable later. */
+        create({ name, rateLimit = null, modes = null, monthlyTokenCap = null }) {
+            load();
+            const key = generateKey();
+            const record = {
+                id: crypto.randomBytes(6).toString('hex'),
+                name,
+                hash: sha256(key),
+                createdAt: new Date().toISOString(),
+                revokedAt: null,
+                rateLimit,
+                modes,
+                monthlyTokenCap,
+            };
+            keys.push(record);
+            save();
+            const { hash: _hash, ...publicRecord } = record;
+            return { key, record: publicRecord };
+        },
+
+        revoke(id) {
+            load();
+            const record = keys.find((key) => key.id === id);
+            if (!record) return false;
+            record.revokedAt ??= new Date().toISOString();
+            save();
+            return true;
+        },
+    };
+}
+
+module.exports = { createApiKeyStore, KEY_PREFIX };
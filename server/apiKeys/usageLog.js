@@ -0,0 +1,95 @@
+const fs = require('fs');
+const path = require('path');
+
+/*
+  Usage accounting for API keys: requests and tokens per key and month,
+  kept as rolling counters in one JSON file.
+
+    { "2026-10": { "<keyId>": { requests, cached, tokens, byMode: { "<mode>": tokens } } } }
+
+  `cached` counts answers served from the response cache.
+
+  The file grows by one entry per key and month, not per request, so
+  neither its size nor start-up time follows traffic.  Anonymous requests
+  are not recorded — the rate limits are what bound them.
+
+  The counters live in memory (the monthly cap check never touches the
+  disk) and every change is written back through a temp file and a rename,
+  so a crash never leaves half a file.  Writes that pile up behind a slow
+  one are coalesced into the next.
+*/
+
+const monthOf = (iso) => iso.slice(0, 7); // "2026-10"
+
+function createUsageLog({ file, now = () => new Date() }) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+
+    let months = {};
+    try {
+        months = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        if (error.code !== 'ENOENT') throw new Error(`Could not read the usage file ${file}: ${error.message}`);
+    }
+
+    const currentMonth = () => monthOf(now().toISOString());
+
+    let writing = Promise.resolve();
+    let queued = null; // the write that will carry every change made so far
+
+    function persist() {
+        if (!queued) {
+            queued = writing.then(async () => {
+                queued = null;
+                const tmp = `${file}.tmp`;
+                await fs.promises.writeFile(tmp, `${JSON.stringify(months)}\n`, 'utf8');
+                await fs.promises.rename(tmp, file);
+            });
+            // A failed write is reported to its callers; the next one starts afresh
+            writing = queued.catch(() => {});
+        }
+        return queued;
+    }
+
+    function counterFor(keyId) {
+        const byKey = months[currentMonth()] ??= {};
+        return byKey[keyId] ??= { requests: 0, cached: 0, tokens: 0, byMode: {} };
+    }
+
+    return {
+        /*
+          Requests and tokens are counted apart: one request can make several
+          upstream calls (candidates, a safety model check), each recorded
+          with its own tokens.
+        */
+        async countRequest(keyId) {
+            if (!keyId) return;
+            counterFor(keyId).requests += 1;
+            await persist();
+        },
+
+        async record({ keyId, mode, tokens, cached = false }) {
+            if (!keyId) return;
+            const counters = counterFor(keyId);
+            if (cached) counters.cached += 1;
+            counters.tokens += tokens;
+            counters.byMode[mode] = (counters.byMode[mode] || 0) + tokens;
+            await persist();
+        },
+
+        monthlyTokens(keyId) {
+            return months[currentMonth()]?.[keyId]?.tokens || 0;
+        },
+
+        /* Requests and tokens per key for one month ("YYYY-MM"). */
+        summary(month = currentMonth()) {
+            return { month, byKey: structuredClone(months[month] ?? {}) };
+        },
+    };
+}
+
+/* Milliseconds until the first instant of next month (UTC), when caps reset. */
+function msUntilNextMonth(now = new Date()) {
+    return Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1) - now.getTime();
+}
+
+module.exports = { createUsageLog, msUntilNextMonth };
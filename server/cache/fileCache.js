@@ -0,0 +1,45 @@
+const fs = require('fs');
+const path = require('path');
+const { createMemoryCache } = require('./memoryCache');
+
+/*
+  Memory LRU that survives restarts: loaded from a JSON snapshot on start and
+  written back (debounced) after changes.  Writes go to a temp file first and
+  are renamed into place, so a crash mid-write never leaves a corrupt
+  snapshot.  Losing the last second of writes on a crash is fine for a cache.
+*/
+function createFileCache({ file, maxEntries, saveDelayMs = 1000, logger = console }) {
+    const memory = createMemoryCache({ maxEntries });
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+
+    try {
+        memory.load(JSON.parse(fs.readFileSync(file, 'utf8')));
+    } catch (error) {
+        if (error.code !== 'ENOENT') logger.warn('[cache] ignoring unreadable snapshot', { file, err: error });
+    }
+
+    let saveTimer = null;
+
+    function save() {
+        saveTimer = null;
+        const tmp = `${file}.tmp`;
+        fs.promises.writeFile(tmp, JSON.stringify(memory.dump()), 'utf8')
+            .then(() => fs.promises.rename(tmp, file))
+            .catch((error) => logger.error('[cache] snapshot write failed', { file, err: error }));
+    }
+
+    return {
+        kind: 'file',
+        get: memory.get,
+
+        async set(key, value, ttlMs) {
+            await memory.set(key, value, ttlMs);
+            if (!saveTimer) {
+                saveTimer = setTimeout(save, saveDelayMs);
+                saveTimer.unref(); // never keep the process alive just to save a cache
+            }
+        },
+    };
+}
+
+module.exports = { createFileCache };
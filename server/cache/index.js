@@ -0,0 +1,65 @@
+const path = require('path');
+const { sha256 } = require('../lib/hash');
+const { createMemoryCache } = require('./memoryCache');
+const { createFileCache } = require('./fileCache');
+const { createRedisCache } = require('./redisCache');
+
+/*
+  Response cache in front of the provider call.  Every backend exposes:
+
+    get(key)               → Promise<value | null>
+    set(key, value, ttlMs) → Promise<void>
+
+    CACHE_BACKEND     = memory (default) | file | redis | off
+    CACHE_TTL_MS      = entry lifetime (default 1 hour)
+    CACHE_MAX_ENTRIES = LRU size limit for memory/file (default 1000)
+    CACHE_FILE        = snapshot path for file (default data/cache.json)
+    REDIS_URL         = connection URL for redis (default redis://localhost:6379)
+*/
+const DATA_DIR = path.join(__dirname, '..', 'data');
+const DEFAULT_TTL_MS = 60 * 60_000;
+
+function createCacheFromEnv(env = process.env, { logger } = {}) {
+    const backend = env.CACHE_BACKEND || 'memory';
+    const maxEntries = parseInt(env.CACHE_MAX_ENTRIES, 10) || 1000;
+    const ttlMs = parseInt(env.CACHE_TTL_MS, 10) || DEFAULT_TTL_MS;
+
+    let store;
+    switch (backend) {
+        case 'off':
+            return null;
+        case 'memory':
+            store = createMemoryCache({ maxEntries });
+            break;
+        case 'file':
+            store = createFileCache({ file: env.CACHE_FILE || path.join(DATA_DIR, 'cache.json'), maxEntries, logger });
+            break;
+        case 'redis':
+            store = createRedisCache({ url: env.REDIS_URL, logger });
+            break;
+        default:
+            throw new Error(`Unknown CACHE_BACKEND "${backend}". Expected one of: memory, file, redis, off`);
+    }
+
+    return { ...store, ttlMs };
+}
+
+/*
+  Inputs that differ only in case, Unicode form or whitespace get the same
+  answer, so they share a cache entry.
+*/
+function normalizeText(text) {
+    return text.normalize('NFKC').replace(/\s+/g, ' ').trim().toLowerCase();
+}
+
+/*
+  Everything that changes the answer is part of the key: the text, the mode,
+  the upstream model, the exact prompt it runs with and the language it
+  answers in ("auto" when that is the input's own).  Hashed so keys stay
+  short and user text is never stored as a key.
+*/
+function cacheKey({ text, mode, provider, model, promptHash, language = 'auto' }) {
+    return sha256([normalizeText(text), mode, provider, model, promptHash, language].join('\u0000'));
+}
+
+module.exports = { createCacheFromEnv, cacheKey, normalizeText };
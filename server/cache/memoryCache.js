@@ -0,0 +1,52 @@
+/*
+  In-process LRU cache with per-entry TTL.
+
+  A Map keeps insertion order, so re-inserting a key on every hit moves it
+  to the "most recent" end and the first key is always the least recently
+  used one — no separate linked list needed.
+*/
+function createMemoryCache({ maxEntries = 1000, now = Date.now } = {}) {
+    const entries = new Map(); // key → { value, expiresAt }
+
+    return {
+        kind: 'memory',
+
+        async get(key) {
+            const entry = entries.get(key);
+            if (!entry) return null;
+
+            entries.delete(key);
+            if (now() >= entry.expiresAt) return null;
+
+            entries.set(key, entry);
+            return entry.value;
+        },
+
+        async set(key, value, ttlMs) {
+            entries.delete(key);
+            entries.set(key, { value, expiresAt: now() + ttlMs });
+
+            while (entries.size > maxEntries) {
+                entries.delete(entries.keys().next().value);
+            }
+        },
+
+        /* Raw [key, entry] pairs, oldest first — used by the file backend to persist. */
+        dump() {
+            const t = now();
+            return [...entries].filter(([, entry]) => entry.expiresAt > t);
+        },
+
+        load(pairs) {
+            const t = now();
+            for (const [key, entry] of pairs) {
+                if (entry.expiresAt > t) entries.set(key, entry);
+            }
+            while (entries.size > maxEntries) {
+                entries.delete(entries.keys().next().value);
+            }
+        },
+    };
+}
+
+module.exports = { createMemoryCache };
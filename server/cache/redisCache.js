@@ -0,0 +1,36 @@
+const { createRedisClient } = require('../lib/redis');
+
+/*
+  Shared cache for multi-instance deployments.  Entries expire via Redis'
+  own TTL (SET … PX); the size limit is Redis' maxmemory/eviction policy
+  (configure allkeys-lru) rather than an entry count here.
+
+  Cache errors are never fatal: a Redis outage degrades to "always miss".
+*/
+function createRedisCache({ url, prefix = 'clarity:cache:', logger = console }) {
+    const redis = createRedisClient(url);
+
+    return {
+        kind: 'redis',
+
+        async get(key) {
+            try {
+                const raw = await redis.command('GET', prefix + key);
+                return raw ? JSON.parse(raw) : null;
+            } catch (error) {
+                logger.warn('[cache] redis GET failed', { err: error });
+                return null;
+            }
+        },
+
+        async set(key, value, ttlMs) {
+            try {
+                await redis.command('SET', prefix + key, JSON.stringify(value), 'PX', ttlMs);
+            } catch (error) {
+                logger.warn('[cache] redis SET failed', { err: error });
+            }
+        },
+    };
+}
+
+module.exports = { createRedisCache };
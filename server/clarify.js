@@ -0,0 +1,394 @@
+const { enforceOutput, correctionMessage } = require('./outputPolicy');
+const { refinementMessage } = require('./modes');
+const { cacheKey } = require('./cache');
+const { estimateTokens } = require('./lib/tokens');
+const { PLACEHOLDER_NOTE } = require('./redaction');
+const { languageInstruction } = require('./languages');
+const { MAP_PROMPT, MAP_PROMPT_HASH, MAP_MAX_TOKENS, MAP_TEMPERATURE, splitIntoChunks, reduceInput } = require('./longInput');
+
+/*
+  The clarification pipeline, independent of how the answer is delivered
+  (SSE for /api/clarify, NDJSON for the batch endpoint):
+
+    redaction → cache lookup → [map long input] → provider chain → live
+    tokens → output enforcement → cache store
+
+  Callers observe progress through three optional hooks:
+    onProgress({ cache, stage, completed, total })
+                     long input only: stage "map" before and after each
+                     chunk, then "reduce" once before the answer streams
+    onStart({ provider, model, promptVersion, fallback, cached, cache,
+              redacted, redactions?, chunks? })
+                     once, before any token
+    onToken(text)    per streamed chunk
+
+  and get back the final result:
+    { text, streamed, provider, model, promptVersion, fallback, cached, cache,
+      redacted, redactions?, chunks?, violations, action, unresolved,
+      tokensUsed, usage }
+
+  A text longer than `chunkTokens` is read in chunks (see longInput.js):
+  the core issue of each is extracted first, and the mode prompt answers on
+  those.  `chunks` says how many; `usage` includes the extraction calls.
+
+  With a `redactor` (redaction/index.js), personal details in the text and
+  in earlier answers are replaced by placeholders before the upstream sees
+  them, and put back in `text`, `streamed` and every onToken chunk.
+  `redacted` says whether anything was masked; `redactions` counts the
+  masked values by type.  Everything between the two ends — the cache key
+  and entry, enforcement, token counts — works on the masked text.
+
+  `usage` splits tokensUsed into { promptTokens, completionTokens,
+  totalTokens, estimated } — estimated when the upstream did not report
+  usage or a regeneration call had to be added by estimate.
+
+  `streamed` is what onToken delivered; when it differs from `text`, the
+  enforcement stage changed the answer after it was streamed.
+
+  A refinement passes `previous`: the earlier answers, oldest first, each
+  with the guidance the user gave about it.  They are replayed as a
+  follow-up conversation so the model improves on its last answer instead of
+  starting over.
+
+  `temperature` overrides the mode's default (used to spread candidates).
+  Such answers are not what the cache key describes, so they bypass it.
+
+  `language` is the language to answer in, an entry of languages.js; null
+  answers in the language of the text, whichever that is.  It is part of
+  the cache key and of the output checks (a question's ending).
+*/
+
+function buildMessages(mode, text, previous, { redacted, language }) {
+    const system = [mode.systemPrompt, languageInstruction(language), redacted && PLACEHOLDER_NOTE].filter(Boolean).join('\n\n');
+    const messages = [
+        { role: 'system', content: system },
+        { role: 'user', content: text },
+    ];
+    for (const { output, guidance } of previous) {
+        messages.push(
+            { role: 'assistant', content: output },
+            { role: 'user', content: refinementMessage(guidance) },
+        );
+    }
+    return messages;
+}
+
+const promptText = (messages) => messages.map((message) => message.content).join('\n');
+
+async function collectText(chunks) {
+    let text = '';
+    let usage = null;
+    for await (const { text: content, usage: reported } of chunks) {
+        if (reported) usage = reported;
+        if (content) text += content;
+    }
+    return { text, usage };
+}
+
+// Add one upstream call's tokens to `total`: as reported, else estimated
+function addUsage(total, reported, messages, text) {
+    total.promptTokens += reported ? reported.promptTokens : estimateTokens(promptText(messages));
+    total.completionTokens += reported ? reported.completionTokens : estimateTokens(text);
+    if (!reported) total.estimated = true;
+}
+
+function createClarifier({
+    providerChain,
+    responseCache,
+    redactor = null,
+    // Longer inputs are map-reduced; null reads every input in one pass
+    chunkTokens = null,
+    mapConcurrency = 3,
+    enforceMaxRetries = 1,
+    logger = console,
+}) {
+    /*
+      Bring a finished answer in line with the mode's output rules: repair what
+      can be fixed mechanically, and ask the model again (showing it the rules it
+      broke) for what cannot.  Regeneration is best-effort — if the retry call
+      fails, the repaired text is used as-is.  `usage` sums the tokens of the
+      retry calls, correction message included.
+    */
+    async function enforce(mode, request, output, language) {
+        const firstPass = enforceOutput(mode, output, language);
+        let { text, unresolved } = firstPass;
+        let action = text === output ? 'none' : 'repaired';
+        const usage = { promptTokens: 0, completionTokens: 0, estimated: false };
+
+        for (let attempt = 0; unresolved.length > 0 && attempt < enforceMaxRetries; attempt++) {
+            try {
+                const messages = [
+                    ...request.messages,
+                    { role: 'assistant', content: text },
+                    { role: 'user', content: correctionMessage(unresolved) },
+                ];
+                const { chunks } = await providerChain.open({ ...request, messages });
+                const retry = await collectText(chunks);
+                addUsage(usage, retry.usage, messages, retry.text);
+                ({ text, unresolved } = enforceOutput(mode, retry.text, language));
+                action = 'regenerated';
+            } catch (error) {
+                if (request.signal?.aborted) throw error;
+                logger.error('[clarify] regeneration failed', { err: error });
+                break;
+            }
+        }
+
+        return { text, action, violations: firstPass.violations, unresolved, usage };
+    }
+
+    /*
+      The map step: the core issue of every chunk, in order.  Each result is
+      cached on its own (same rules as answers: primary upstream only), so
+      refining a long answer does not read the whole text again.
+    */
+    async function mapChunks(chunks, { signal, onChunk }) {
+        const primary = providerChain.upstreams[0].provider;
+        const notes = new Array(chunks.length);
+        const usage = { promptTokens: 0, completionTokens: 0, estimated: false };
+
+        async function mapChunk(chunk) {
+            const key = responseCache
+                ? cacheKey({ text: chunk, mode: 'map', provider: primary.name, model: primary.model, promptHash: MAP_PROMPT_HASH })
+                : null;
+            const cached = key && await responseCache.get(key);
+            if (cached) return cached.text;
+
+            const messages = [
+                { role: 'system', content: MAP_PROMPT },
+                { role: 'user', content: chunk },
+            ];
+            const { fallback, chunks: stream } = await providerChain.open({
+                messages,
+                maxTokens: MAP_MAX_TOKENS,
+                temperature: MAP_TEMPERATURE,
+                signal,
+            });
+            const { text, usage: reported } = await collectText(stream);
+            addUsage(usage, reported, messages, text);
+
+            const note = text.trim();
+            if (key && !fallback && note) {
+                responseCache.set(key, { text: note, provider: primary.name, model: primary.model }, responseCache.ttlMs);
+            }
+            return note;
+        }
+
+        // Bounded like the batch endpoint; notes keep chunk order
+        let next = 0;
+        let completed = 0;
+        async function worker() {
+            while (next < chunks.length) {
+                const index = next++;
+                notes[index] = await mapChunk(chunks[index]);
+                onChunk(++completed);
+            }
+        }
+        await Promise.all(Array.from({ length: Math.min(mapConcurrency, chunks.length) }, worker));
+        return { notes, usage };
+    }
+
+    async function clarify({
+        text,
+        mode,
+        refine = false,
+        previous = [],
+        language = null,
+        temperature,
+        signal,
+        onProgress = () => {},
+        onStart = () => {},
+        onToken = () => {},
+    }) {
+        // ── Redaction ──────────────────────────────────────────────────────────
+        const redaction = redactor?.start() ?? null;
+        const redact = (value) => (redaction ? redaction.redact(value) : value);
+        const restore = (value) => (redaction ? redaction.restore(value) : value);
+
+        const upstreamText = redact(text);
+        const upstreamPrevious = previous.map(({ output, guidance }) => ({
+            output: redact(output),
+            guidance: guidance && redact(guidance),
+        }));
+        const redacted = Boolean(redaction?.redacted);
+        const redactionMeta = { redacted, ...(redacted && { redactions: redaction.counts() }) };
+
+        // ── Response cache ─────────────────────────────────────────────────────
+        /*
+          Keyed on the PRIMARY upstream: fallback answers are never stored, so a
+          cached answer always comes from the model the key names.  A refine
+          request explicitly asks for a fresh answer and bypasses the cache, as
+          does every refinement conversation.  Keyed and stored masked, so
+          inputs that differ only in the personal details share an entry.
+        */
+        const primary = providerChain.upstreams[0].provider;
+        const key = responseCache && !refine && previous.length === 0 && temperature === undefined
+            ? cacheKey({
+                text: upstreamText,
+                mode: mode.id,
+                provider: primary.name,
+                model: primary.model,
+                promptHash: mode.promptHash,
+                language: language?.code,
+            })
+            : null;
+
+        if (key) {
+            const cached = await responseCache.get(key);
+            if (cached) {
+                onStart({
+                    provider: cached.provider,
+                    model: cached.model,
+                    promptVersion: mode.promptVersion,
+                    fallback: false,
+                    cached: true,
+                    cache: 'HIT',
+                    ...redactionMeta,
+                });
+                const answer = restore(cached.text);
+                onToken(answer);
+                return {
+                    text: answer,
+                    streamed: answer,
+                    provider: cached.provider,
+                    model: cached.model,
+                    promptVersion: mode.promptVersion,
+                    fallback: false,
+                    cached: true,
+                    cache: 'HIT',
+                    ...redactionMeta,
+                    violations: [],
+                    action: 'none',
+                    unresolved: [],
+                    tokensUsed: 0,
+                    usage: { promptTokens: 0, completionTokens: 0, totalTokens: 0, estimated: false },
+                };
+            }
+        }
+        const cache = key ? 'MISS' : 'BYPASS';
+
+        // ── Long input: map ────────────────────────────────────────────────────
+        const parts = chunkTokens && estimateTokens(upstreamText) > chunkTokens
+            ? splitIntoChunks(upstreamText, chunkTokens)
+            : null;
+        let answerInput = upstreamText;
+        let mapUsage = null;
+        if (parts) {
+            const total = parts.length;
+            onProgress({ cache, stage: 'map', completed: 0, total });
+            const mapped = await mapChunks(parts, {
+                signal,
+                onChunk: (completed) => onProgress({ cache, stage: 'map', completed, total }),
+            });
+            answerInput = reduceInput(mapped.notes);
+            mapUsage = mapped.usage;
+            onProgress({ cache, stage: 'reduce', completed: total, total });
+        }
+        const chunkMeta = parts ? { chunks: parts.length } : {};
+
+        // ── Provider call ──────────────────────────────────────────────────────
+        const request = {
+            messages: buildMessages(mode, answerInput, upstreamPrevious, { redacted, language }),
+            /*
+              Per-mode token budget keeps the response short (one sentence ≈
+              30-80 tokens).  Without a cap, the upstream can return up to 8k
+              tokens — massive latency waste for a one-sentence use case.
+            */
+            maxTokens: mode.maxTokens,
+            /*
+              Per-mode temperature, kept low (0.2-0.4 vs the 1.0 default) for
+              deterministic, focused output on an analysis task.
+            */
+            temperature: temperature ?? mode.temperature,
+            signal,
+        };
+
+        /*
+          open() resolves once some upstream in the chain has produced its first
+          chunk, so a failure on connect (bad key, 429 on every provider) is
+          thrown before onStart — callers can still answer with a clean error.
+        */
+        const { provider, fallback, chunks } = await providerChain.open(request);
+        onStart({
+            provider: provider.name,
+            model: provider.model,
+            promptVersion: mode.promptVersion,
+            fallback,
+            cached: false,
+            cache,
+            ...redactionMeta,
+            ...chunkMeta,
+        });
+
+        // `upstream` is the answer as the model wrote it, `streamed` as the caller saw it
+        const restorer = redaction?.restorer();
+        let upstream = '';
+        let streamed = '';
+        const emit = (content) => {
+            if (!content) return;
+            streamed += content;
+            onToken(content);
+        };
+        let usage = null;
+        for await (const { text: content, usage: reported } of chunks) {
+            if (reported) usage = reported;
+            if (content) {
+                upstream += content;
+                emit(restorer ? restorer.push(content) : content);
+            }
+        }
+        if (restorer) emit(restorer.flush());
+
+        /*
+          Tokens are streamed live for responsiveness, so rule enforcement can
+          only happen once the answer is complete.
+        */
+        const { usage: retryUsage, ...enforced } = await enforce(mode, request, upstream, language);
+
+        let promptTokens = usage ? usage.promptTokens : estimateTokens(promptText(request.messages));
+        let completionTokens = usage ? usage.completionTokens : estimateTokens(upstream);
+        // Regeneration calls are billed on top of the first answer
+        promptTokens += retryUsage.promptTokens;
+        completionTokens += retryUsage.completionTokens;
+        if (mapUsage) {
+            promptTokens += mapUsage.promptTokens;
+            completionTokens += mapUsage.completionTokens;
+        }
+        const tokensUsed = promptTokens + completionTokens;
+
+        // Only clean answers from the primary upstream are worth replaying.
+        // Not awaited: every cache backend swallows its own errors.
+        if (key && !fallback && enforced.unresolved.length === 0) {
+            responseCache.set(key, {
+                text: enforced.text,
+                provider: provider.name,
+                model: provider.model,
+            }, responseCache.ttlMs);
+        }
+
+        return {
+            ...enforced,
+            text: restore(enforced.text),
+            streamed,
+            provider: provider.name,
+            model: provider.model,
+            promptVersion: mode.promptVersion,
+            fallback,
+            cached: false,
+            cache,
+            ...redactionMeta,
+            ...chunkMeta,
+            tokensUsed,
+            usage: {
+                promptTokens,
+                completionTokens,
+                totalTokens: tokensUsed,
+                estimated: !usage || retryUsage.estimated || Boolean(mapUsage?.estimated),
+            },
+        };
+    }
+
+    return { clarify };
+}
+
+module.exports = { createClarifier };
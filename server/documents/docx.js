@@ -0,0 +1,77 @@
+const zlib = require('zlib');
+const { DocumentError } = require('./errors');
+const { decodeEntities } = require('./text');
+
+/*
+  DOCX text: a .docx is a ZIP archive, and the body text is the <w:t> runs
+  of word/document.xml.  Only the ZIP features Word and its peers write are
+  read — stored or deflated entries, no ZIP64, no encryption.
+*/
+
+const EOCD_SIGNATURE = 0x06054b50;
+const CENTRAL_SIGNATURE = 0x02014b50;
+const LOCAL_SIGNATURE = 0x04034b50;
+
+function corrupt() {
+    return new DocumentError('The DOCX file is damaged or not a Word document');
+}
+
+// The bytes of one archive entry, inflated; null if the archive has no such entry
+function readZipEntry(zip, name, { maxBytes }) {
+    // The end-of-central-directory record sits in the last 22 bytes + up to 64 kB of comment
+    let eocd = -1;
+    for (let offset = zip.length - 22; offset >= Math.max(0, zip.length - 22 - 0xffff); offset--) {
+        if (zip.readUInt32LE(offset) === EOCD_SIGNATURE) {
+            eocd = offset;
+            break;
+        }
+    }
+    if (eocd === -1) throw corrupt();
+
+    const entries = zip.readUInt16LE(eocd + 10);
+    let offset = zip.readUInt32LE(eocd + 16);
+    for (let i = 0; i < entries; i++) {
+        if (offset + 46 > zip.length || zip.readUInt32LE(offset) !== CENTRAL_SIGNATURE) throw corrupt();
+        const flags = zip.readUInt16LE(offset + 8);
+        const method = zip.readUInt16LE(offset + 10);
+        const compressedSize = zip.readUInt32LE(offset + 20);
+        const nameLength = zip.readUInt16LE(offset + 28);
+        const extraLength = zip.readUInt16LE(offset + 30);
+        const commentLength = zip.readUInt16LE(offset + 32);
+        const localOffset = zip.readUInt32LE(offset + 42);
+        const entryName = zip.toString('utf8', offset + 46, offset + 46 + nameLength);
+        offset += 46 + nameLength + extraLength + commentLength;
+        if (entryName !== name) continue;
+
+        if (flags & 1) throw new DocumentError('Password-protected DOCX files cannot be read');
+        if (localOffset + 30 > zip.length || zip.readUInt32LE(localOffset) !== LOCAL_SIGNATURE) throw corrupt();
+        const dataStart = localOffset + 30 + zip.readUInt16LE(localOffset + 26) + zip.readUInt16LE(localOffset + 28);
+        const data = zip.subarray(dataStart, dataStart + compressedSize);
+
+        if (method === 0) return data;
+        if (method !== 8) throw corrupt();
+        try {
+            // maxOutputLength guards against ZIP bombs
+            return zlib.inflateRawSync(data, { maxOutputLength: maxBytes });
+        } catch (error) {
+            if (error.code === 'ERR_BUFFER_TOO_LARGE') throw new DocumentError('The document is too large to read', { status: 413 });
+            throw corrupt();
+        }
+    }
+    return null;
+}
+
+function extractDocx(data, { maxBytes }) {
+    const xml = readZipEntry(data, 'word/document.xml', { maxBytes });
+    if (!xml) throw corrupt();
+
+    let text = '';
+    for (const [token, run] of xml.toString('utf8').matchAll(/<w:t(?:\s[^>]*)?>([^<]*)<\/w:t>|<w:tab\/>|<w:(?:br|cr)\b[^>]*\/>|<\/w:p>/g)) {
+        if (run !== undefined) text += decodeEntities(run);
+        else if (token === '<w:tab/>') text += '\t';
+        else text += '\n';
+    }
+    return text;
+}
+
+module.exports = { extractDocx, readZipEntry };
@@ -0,0 +1,109 @@
+const { decodeText, htmlToText } = require('./text');
+
+/*
+  E-mail (.eml, RFC 5322 + MIME) → the sender, the subject and the body.
+  multipart/alternative prefers the text/plain version; HTML is turned into
+  text; attachments are skipped.  Header values are decoded from RFC 2047
+  encoded words, bodies from base64 and quoted-printable in their charset.
+*/
+
+const MAX_MIME_DEPTH = 10;
+
+function splitMessage(data) {
+    const source = data.toString('latin1');
+    const match = source.match(/\r?\n\r?\n/);
+    const headerEnd = match ? match.index : source.length;
+    const bodyStart = match ? match.index + match[0].length : source.length;
+
+    const headers = {};
+    // Continuation lines start with whitespace
+    for (const line of source.slice(0, headerEnd).replace(/\r?\n[ \t]+/g, ' ').split(/\r?\n/)) {
+        const colon = line.indexOf(':');
+        if (colon > 0) headers[line.slice(0, colon).trim().toLowerCase()] ??= line.slice(colon + 1).trim();
+    }
+    return { headers, body: data.subarray(bodyStart) };
+}
+
+// `type/subtype; name=value` → { type, params }
+function parseContentType(value = 'text/plain') {
+    const [type, ...rest] = value.split(';');
+    const params = {};
+    for (const param of rest) {
+        const equals = param.indexOf('=');
+        if (equals > 0) params[param.slice(0, equals).trim().toLowerCase()] = param.slice(equals + 1).trim().replace(/^"(.*)"$/, '$1');
+    }
+    return { type: type.trim().toLowerCase() || 'text/plain', params };
+}
+
+function decodeQuotedPrintable(data) {
+    const text = data.toString('latin1').replace(/=\r?\n/g, '');
+    return Buffer.from(text.replace(/=([0-9a-f]{2})/gi, (_match, hex) => String.fromCharCode(parseInt(hex, 16))), 'latin1');
+}
+
+function decodeBody(body, encoding = '') {
+    switch (encoding.toLowerCase()) {
+        case 'base64':
+            return Buffer.from(body.toString('latin1').replace(/[^a-z0-9+/=]/gi, ''), 'base64');
+        case 'quoted-printable':
+            return decodeQuotedPrintable(body);
+        default:
+            return body;
+    }
+}
+
+// =?charset?B|Q?text?= in header values
+function decodeHeader(value = '') {
+    return value
+        .replace(/(=\?[^?]+\?[bq]\?[^?]*\?=)\s+(?==\?)/gi, '$1')
+        .replace(/=\?([^?*]+)(?:\*[^?]*)?\?([bq])\?([^?]*)\?=/gi, (_match, charset, encoding, text) => {
+            const bytes = encoding.toLowerCase() === 'b'
+                ? Buffer.from(text, 'base64')
+                : decodeQuotedPrintable(Buffer.from(text.replace(/_/g, ' '), 'latin1'));
+            return decodeText(bytes, charset);
+        })
+        // Anything left is raw 8-bit, most likely UTF-8
+        .replace(/[\x80-\xff]+/g, (raw) => decodeText(Buffer.from(raw, 'latin1')));
+}
+
+// The readable text of one MIME entity, or '' when it holds none
+function textOf({ headers, body }, depth = 0) {
+    const { type, params } = parseContentType(headers['content-type']);
+    if (/^attachment\b/i.test(headers['content-disposition'] ?? '')) return '';
+
+    if (type.startsWith('multipart/') && params.boundary && depth < MAX_MIME_DEPTH) {
+        const delimiter = `--${params.boundary}`;
+        const parts = body.toString('latin1').split(delimiter).slice(1)
+            // The closing delimiter ends in "--"; what follows it is epilogue
+            .filter((part) => !part.startsWith('--'))
+            .map((part) => splitMessage(Buffer.from(part.replace(/^[ \t]*\r?\n/, '').replace(/\r?\n$/, ''), 'latin1')));
+
+        if (type === 'multipart/alternative') {
+            const rank = (part) => ['text/plain', 'text/html'].indexOf(parseContentType(part.headers['content-type']).type);
+            const [best] = parts.filter((part) => rank(part) !== -1).sort((a, b) => rank(a) - rank(b));
+            return best ? textOf(best, depth + 1) : textOf(parts[0] ?? { headers: {}, body: Buffer.alloc(0) }, depth + 1);
+        }
+        return parts.map((part) => textOf(part, depth + 1)).filter(Boolean).join('\n\n');
+    }
+
+    if (type === 'message/rfc822' && depth < MAX_MIME_DEPTH) {
+        return messageText(splitMessage(decodeBody(body, headers['content-transfer-encoding'])), depth + 1);
+    }
+    if (type !== 'text/plain' && type !== 'text/html') return '';
+
+    const text = decodeText(decodeBody(body, headers['content-transfer-encoding']), params.charset);
+    return type === 'text/html' ? htmlToText(text) : text;
+}
+
+function messageText(message, depth = 0) {
+    const lines = [
+        message.headers.from && `From: ${decodeHeader(message.headers.from)}`,
+        message.headers.subject && `Subject: ${decodeHeader(message.headers.subject)}`,
+    ].filter(Boolean);
+    return [lines.join('\n'), textOf(message, depth)].filter(Boolean).join('\n\n');
+}
+
+function extractEmail(data) {
+    return messageText(splitMessage(data));
+}
+
+module.exports = { extractEmail };
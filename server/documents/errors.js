@@ -0,0 +1,14 @@
+/*
+  A file that cannot be read.  `status` is the HTTP status the route answers
+  with (400 malformed upload, 413 too large, 415 unsupported type, 422
+  readable type but no usable text); the message is written for the client.
+*/
+class DocumentError extends Error {
+    constructor(message, { status = 422 } = {}) {
+        super(message);
+        this.name = 'DocumentError';
+        this.status = status;
+    }
+}
+
+module.exports = { DocumentError };
@@ -0,0 +1,176 @@
+const os = require('os');
+const path = require('path');
+const { Worker } = require('worker_threads');
+const { DocumentError } = require('./errors');
+const { parseMultipart } = require('./multipart');
+const { extractPlainText, extractMarkdown } = require('./text');
+const { extractDocx } = require('./docx');
+const { extractPdf } = require('./pdf');
+const { extractEmail } = require('./eml');
+
+/*
+  Text extraction for uploaded files (POST /api/clarify/file).  Everything
+  runs locally — a file's content only leaves the server as the extracted
+  text, through the same redaction and clarification as a pasted input.
+
+    UPLOAD             = on (default) | off
+    UPLOAD_MAX_BYTES   = largest accepted file (default 2 MB)
+    UPLOAD_TIMEOUT_MS  = longest one extraction may run (default 10 s)
+
+  The type is taken from the file extension, else from the part's
+  Content-Type, and must match the file's own signature where it has one, so
+  a renamed binary is refused rather than read as text.  Compressed content
+  (DOCX entries, PDF streams) is inflated to MAX_DECOMPRESSED_BYTES at most,
+  so a small file cannot unpack into a huge one.
+
+  read() runs the extraction in a worker thread, so a file that is slow to
+  parse never holds up the event loop, and stops it after
+  UPLOAD_TIMEOUT_MS.  At most one worker per CPU runs at a time; further
+  uploads wait their turn.
+*/
+
+const DEFAULT_MAX_BYTES = 2 * 1024 * 1024;
+const DEFAULT_TIMEOUT_MS = 10_000;
+const MAX_DECOMPRESSED_BYTES = 32 * 1024 * 1024;
+// Heap of one extraction worker; decompressed content is capped separately
+const WORKER_HEAP_MB = 256;
+
+const DOCUMENT_TYPES = [
+    { type: 'text', extensions: ['.txt', '.text'], mimeTypes: ['text/plain'], extract: extractPlainText },
+    { type: 'markdown', extensions: ['.md', '.markdown'], mimeTypes: ['text/markdown', 'text/x-markdown'], extract: extractMarkdown },
+    {
+        type: 'docx',
+        extensions: ['.docx'],
+        mimeTypes: ['application/vnd.openxmlformats-officedocument.wordprocessingml.document'],
+        signature: Buffer.from('PK\x03\x04', 'latin1'),
+        extract: extractDocx,
+    },
+    { type: 'pdf', extensions: ['.pdf'], mimeTypes: ['application/pdf'], signature: Buffer.from('%PDF-'), extract: extractPdf },
+    { type: 'eml', extensions: ['.eml'], mimeTypes: ['message/rfc822'], extract: extractEmail },
+];
+
+const SUPPORTED_EXTENSIONS = DOCUMENT_TYPES.flatMap(({ extensions }) => extensions);
+
+function documentTypeOf({ filename, contentType }) {
+    const extension = path.extname(filename || '').toLowerCase();
+    const mimeType = (contentType || '').split(';')[0].trim().toLowerCase();
+    return DOCUMENT_TYPES.find(({ extensions }) => extensions.includes(extension))
+        ?? DOCUMENT_TYPES.find(({ mimeTypes }) => mimeTypes.includes(mimeType))
+        ?? null;
+}
+
+// Tidy extracted text: one kind of newline, no trailing spaces, at most one blank line in a row
+function normalize(text) {
+    return text
+        .replace(/\r\n?/g, '\n')
+        .replace(/[^\S\n]+\n/g, '\n')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+}
+
+function createDocumentReader({ maxBytes = DEFAULT_MAX_BYTES, timeoutMs = DEFAULT_TIMEOUT_MS, concurrency = os.availableParallelism() } = {}) {
+    // Resolvers of the reads waiting for a free worker
+    const waiting = [];
+    let running = 0;
+
+    function acquire() {
+        if (running < concurrency) {
+            running++;
+            return Promise.resolve();
+        }
+        return new Promise((resolve) => waiting.push(resolve));
+    }
+
+    function release() {
+        const next = waiting.shift();
+        if (next) next();
+        else running--;
+    }
+
+    function extractInWorker({ filename, contentType, data }) {
+        return new Promise((resolve, reject) => {
+            const worker = new Worker(path.join(__dirname, 'worker.js'), {
+                workerData: { file: { filename, contentType, data }, maxBytes },
+                resourceLimits: { maxOldGenerationSizeMb: WORKER_HEAP_MB },
+            });
+            const timer = setTimeout(() => {
+                worker.terminate();
+                reject(new DocumentError('The file took too long to read'));
+            }, timeoutMs);
+
+            // Whichever comes first settles the read; the rest are no-ops
+            worker.once('message', ({ result, error }) => {
+                if (error) reject(new DocumentError(error.message, { status: error.status }));
+                else resolve(result);
+            });
+            worker.once('error', reject);
+            worker.once('exit', (code) => {
+                clearTimeout(timer);
+                reject(new Error(`Extraction worker exited with code ${code}`));
+            });
+        });
+    }
+
+    return {
+        maxBytes,
+        supportedExtensions: SUPPORTED_EXTENSIONS,
+
+        /*
+          The `file` part of a multipart/form-data body plus its other fields,
+          as { fields, file: { filename, contentType, data } }.  Throws
+          DocumentError.
+        */
+        parseUpload(body, contentType) {
+            const { fields, files } = parseMultipart(body, contentType);
+            const file = files.find((part) => part.field === 'file');
+            if (!file) throw new DocumentError('Expected the document in a form field named "file"', { status: 400 });
+            if (file.data.length > maxBytes) {
+                throw new DocumentError(`File exceeds the maximum of ${Math.floor(maxBytes / 1024)} kB`, { status: 413 });
+            }
+            return { fields, file };
+        },
+
+        // The type id a file would be read as, or null
+        typeOf: (file) => documentTypeOf(file)?.type ?? null,
+
+        // { type, text } for one uploaded file.  Throws DocumentError.
+        extract({ filename, contentType, data }) {
+            const documentType = documentTypeOf({ filename, contentType });
+            if (!documentType) {
+                throw new DocumentError(`Unsupported file type. Expected one of: ${SUPPORTED_EXTENSIONS.join(', ')}`, { status: 415 });
+            }
+            if (documentType.signature && !data.subarray(0, 1024).includes(documentType.signature)) {
+                throw new DocumentError(`The file is not a valid ${documentType.type.toUpperCase()} file`, { status: 415 });
+            }
+
+            const text = normalize(documentType.extract(data, { maxBytes: MAX_DECOMPRESSED_BYTES }));
+            if (!text) {
+                throw new DocumentError(documentType.type === 'pdf'
+                    ? 'No text found in the PDF. Scanned pages have no text layer to read'
+                    : 'No text found in the file');
+            }
+            return { type: documentType.type, text };
+        },
+
+        // extract() in a worker thread, with the time limit.  Throws DocumentError.
+        async read(file) {
+            await acquire();
+            try {
+                return await extractInWorker(file);
+            } finally {
+                release();
+            }
+        },
+    };
+}
+
+// null when UPLOAD=off
+function createDocumentReaderFromEnv(env = process.env) {
+    if (env.UPLOAD === 'off') return null;
+    return createDocumentReader({
+        maxBytes: parseInt(env.UPLOAD_MAX_BYTES, 10) || DEFAULT_MAX_BYTES,
+        timeoutMs: parseInt(env.UPLOAD_TIMEOUT_MS, 10) || DEFAULT_TIMEOUT_MS,
+    });
+}
+
+module.exports = { DOCUMENT_TYPES, DocumentError, createDocumentReader, createDocumentReaderFromEnv };
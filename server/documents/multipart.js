@@ -0,0 +1,88 @@
+const { DocumentError } = require('./errors');
+
+/*
+  Minimal multipart/form-data parser for one buffered request body (the
+  body size is already capped by express.raw).  Returns
+
+    { fields: { name: value }, files: [{ field, filename, contentType, data }] }
+
+  Only what browsers and curl send: a boundary from the Content-Type header,
+  parts with Content-Disposition: form-data, and Content-Type on file parts.
+*/
+
+function boundaryOf(contentType = '') {
+    const match = contentType.match(/boundary=(?:"([^"]+)"|([^;\s]+))/i);
+    return match ? match[1] ?? match[2] : null;
+}
+
+// name="value" pairs of a header, e.g. Content-Disposition
+function headerParams(value) {
+    const params = {};
+    for (const match of value.matchAll(/;\s*([\w*-]+)=(?:"((?:[^"\\]|\\.)*)"|([^;\s]*))/g)) {
+        params[match[1].toLowerCase()] = match[2] !== undefined ? match[2].replace(/\\(.)/g, '$1') : match[3];
+    }
+    return params;
+}
+
+function parsePart(part) {
+    const headerEnd = part.indexOf('\r\n\r\n');
+    if (headerEnd === -1) throw new DocumentError('Malformed multipart body', { status: 400 });
+
+    const headers = {};
+    for (const line of part.subarray(0, headerEnd).toString('utf8').split('\r\n')) {
+        const colon = line.indexOf(':');
+        if (colon > 0) headers[line.slice(0, colon).trim().toLowerCase()] = line.slice(colon + 1).trim();
+    }
+
+    const disposition = headers['content-disposition'] ?? '';
+    if (!/^form-data\b/i.test(disposition)) return null;
+    const params = headerParams(disposition);
+    // RFC 5987 filename*=UTF-8''… wins over the plain filename when both are sent
+    const encodedName = params['filename*']?.match(/^utf-8''(.*)$/i)?.[1];
+    let filename = params.filename;
+    if (encodedName) {
+        try {
+            filename = decodeURIComponent(encodedName);
+        } catch {
+            // A malformed escape (%E9 alone, %zz) only costs the nicer name, not the upload
+        }
+    }
+
+    return {
+        field: params.name,
+        filename,
+        contentType: headers['content-type'] ?? null,
+        data: part.subarray(headerEnd + 4),
+    };
+}
+
+function parseMultipart(body, contentType) {
+    const boundary = boundaryOf(contentType);
+    if (!boundary) throw new DocumentError('Missing multipart boundary', { status: 400 });
+
+    const delimiter = Buffer.from(`--${boundary}`);
+    const fields = {};
+    const files = [];
+
+    let start = body.indexOf(delimiter);
+    if (start === -1) throw new DocumentError('Malformed multipart body', { status: 400 });
+    for (;;) {
+        start += delimiter.length;
+        // "--" after a delimiter closes the body
+        if (body.subarray(start, start + 2).toString() === '--') break;
+        const end = body.indexOf(Buffer.from(`\r\n--${boundary}`), start);
+        if (end === -1) throw new DocumentError('Malformed multipart body', { status: 400 });
+
+        // Skip the CRLF that ends the delimiter line
+        const part = parsePart(body.subarray(start + 2, end));
+        if (part?.field) {
+            if (part.filename !== undefined) files.push(part);
+            else fields[part.field] = part.data.toString('utf8');
+        }
+        start = end + 2;
+    }
+
+    return { fields, files };
+}
+
+module.exports = { parseMultipart };
@@ -0,0 +1,420 @@
+const zlib = require('zlib');
+const { DocumentError } = require('./errors');
+
+/*
+  PDF text layer.  Reads what a PDF viewer would let you select — the
+  strings shown by the text operators of each page's content streams, in
+  page order — and nothing of scanned pages, which have no text to select.
+
+    objects    every `N G obj … endobj`, plus the objects packed into object
+               streams (PDF 1.5+); later definitions win, as with
+               incremental updates
+    pages      the page tree from the catalog, with inherited resources;
+               form XObjects a page draws are read too
+    strings    decoded through the font's ToUnicode CMap when it has one,
+               else as single-byte Windows-1252 text
+
+  Only FlateDecode streams are decoded, which covers what current tools
+  write.  Encrypted PDFs are refused.
+
+  A small file can still describe a lot of work — forms drawn by forms,
+  one content stream listed on every page, CMap ranges spanning whole code
+  spaces — so each document gets a budget: content-stream tokens read,
+  characters of text produced and ToUnicode entries mapped (per CMap and in
+  total).  Past any of them the document is refused with a 422.  Each form
+  XObject is read once and its text reused wherever it is drawn.
+*/
+
+const MAX_FORM_DEPTH = 5;
+const MAX_CONTENT_TOKENS = 1_000_000;
+const MAX_TEXT_CHARS = 1_000_000;
+const MAX_CMAP_ENTRIES = 65_536;
+const MAX_DOCUMENT_CMAP_ENTRIES = 262_144;
+
+const tooComplex = () => new DocumentError('The PDF is too complex to read', { status: 422 });
+
+// spend(kind, amount) throws once a kind of work has used up its limit
+function createBudget(limits) {
+    const left = { ...limits };
+    return function spend(kind, amount = 1) {
+        left[kind] -= amount;
+        if (left[kind] < 0) throw tooComplex();
+    };
+}
+
+// ─── Object syntax ────────────────────────────────────────────────────────────
+
+const WHITESPACE = /[\0\t\n\f\r ]/;
+const DELIMITER = /[\0\t\n\f\r ()<>[\]{}/%]/;
+
+/*
+  One token of PDF syntax from `src` (a latin1 string, one char per byte) at
+  `pos`.  Values: numbers, booleans, null, { name }, { string } (raw bytes as
+  latin1), { ref }, arrays and dictionaries (plain objects keyed without the
+  slash).  Anything else is { op } — an operator in a content stream.
+*/
+function readToken(src, pos) {
+    for (;;) {
+        while (pos < src.length && WHITESPACE.test(src[pos])) pos++;
+        if (src[pos] !== '%') break;
+        while (pos < src.length && src[pos] !== '\n' && src[pos] !== '\r') pos++;
+    }
+    if (pos >= src.length) return null;
+
+    const char = src[pos];
+    if (char === '<' && src[pos + 1] === '<') {
+        const dict = {};
+        pos += 2;
+        for (;;) {
+            const key = readToken(src, pos);
+            if (!key || key.value?.op === '>>') return { value: dict, pos: key ? key.pos : src.length };
+            const value = readToken(src, key.pos);
+            if (!value) return { value: dict, pos: src.length };
+            if (key.value?.name !== undefined) dict[key.value.name] = value.value;
+            pos = value.pos;
+        }
+    }
+    if (char === '>' && src[pos + 1] === '>') return { value: { op: '>>' }, pos: pos + 2 };
+    if (char === '[') {
+        const array = [];
+        pos += 1;
+        for (;;) {
+            const item = readToken(src, pos);
+            if (!item || item.value?.op === ']') return { value: array, pos: item ? item.pos : src.length };
+            array.push(item.value);
+            pos = item.pos;
+        }
+    }
+    if (char === ']') return { value: { op: ']' }, pos: pos + 1 };
+    if (char === '(') return readLiteralString(src, pos + 1);
+    if (char === '<') {
+        const end = src.indexOf('>', pos);
+        const hex = src.slice(pos + 1, end === -1 ? src.length : end).replace(/[^0-9a-f]/gi, '');
+        return { value: { string: Buffer.from(hex.length % 2 ? `${hex}0` : hex, 'hex').toString('latin1') }, pos: end === -1 ? src.length : end + 1 };
+    }
+    if (char === '/') {
+        let end = pos + 1;
+        while (end < src.length && !DELIMITER.test(src[end])) end++;
+        const name = src.slice(pos + 1, end).replace(/#([0-9a-f]{2})/gi, (_match, hex) => String.fromCharCode(parseInt(hex, 16)));
+        return { value: { name }, pos: end };
+    }
+
+    let end = pos;
+    while (end < src.length && !DELIMITER.test(src[end])) end++;
+    if (end === pos) return { value: { op: char }, pos: pos + 1 };
+    const word = src.slice(pos, end);
+
+    if (/^[+-]?(?:\d+\.?\d*|\.\d+)$/.test(word)) {
+        // `N G R` is a reference to object N
+        const reference = /\s+(\d+)\s+R(?=[\0\t\n\f\r ()<>[\]{}/%]|$)/y;
+        reference.lastIndex = end;
+        const match = /^\d+$/.test(word) && reference.exec(src);
+        if (match) return { value: { ref: Number(word) }, pos: reference.lastIndex };
+        return { value: Number(word), pos: end };
+    }
+    if (word === 'true' || word === 'false') return { value: word === 'true', pos: end };
+    if (word === 'null') return { value: null, pos: end };
+    return { value: { op: word }, pos: end };
+}
+
+function readLiteralString(src, pos) {
+    const ESCAPES = { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f' };
+    let text = '';
+    let depth = 1;
+    while (pos < src.length) {
+        const char = src[pos++];
+        if (char === '\\') {
+            const next = src[pos++];
+            if (ESCAPES[next]) text += ESCAPES[next];
+            else if (/[0-7]/.test(next)) {
+                let octal = next;
+                while (octal.length < 3 && /[0-7]/.test(src[pos])) octal += src[pos++];
+                text += String.fromCharCode(parseInt(octal, 8) & 0xff);
+            } else if (next === '\r') {
+                if (src[pos] === '\n') pos++;
+            } else if (next !== '\n') {
+                text += next;
+            }
+        } else if (char === '(') {
+            depth++;
+            text += char;
+        } else if (char === ')') {
+            if (--depth === 0) break;
+            text += char;
+        } else {
+            text += char;
+        }
+    }
+    return { value: { string: text }, pos };
+}
+
+// ─── Objects and streams ──────────────────────────────────────────────────────
+
+function createObjectTable(data, { maxBytes }) {
+    const src = data.toString('latin1');
+    // num → { value, stream: raw bytes | null }
+    const objects = new Map();
+    const decoded = new Map();
+    let inflated = 0;
+
+    const header = /(\d+)\s+\d+\s+obj\b/g;
+    let match;
+    while ((match = header.exec(src))) {
+        const parsed = readToken(src, header.lastIndex);
+        if (!parsed) break;
+        let stream = null;
+        let end = parsed.pos;
+
+        const keyword = /\s*stream\r?\n/y;
+        keyword.lastIndex = parsed.pos;
+        if (parsed.value && typeof parsed.value === 'object' && keyword.exec(src)) {
+            const start = keyword.lastIndex;
+            const length = parsed.value.Length;
+            // A direct /Length is trusted only if `endstream` really follows it
+            const stop = Number.isInteger(length) && /^\s*endstream/.test(src.slice(start + length, start + length + 20))
+                ? start + length
+                : src.indexOf('endstream', start);
+            if (stop === -1) break;
+            stream = data.subarray(start, stop);
+            end = stop + 'endstream'.length;
+        }
+        objects.set(Number(match[1]), { value: parsed.value, stream });
+        header.lastIndex = end;
+    }
+
+    const resolve = (value, depth = 0) => (value?.ref !== undefined && depth < 10
+        ? resolve(objects.get(value.ref)?.value, depth + 1)
+        : value);
+
+    // Decoded bytes of a stream object, or null for filters this reader does not support
+    function streamOf(ref) {
+        if (decoded.has(ref)) return decoded.get(ref);
+        const object = objects.get(ref);
+        let bytes = object?.stream ?? null;
+        const filters = [resolve(object?.value?.Filter)].flat().filter(Boolean).map((filter) => resolve(filter)?.name);
+        for (const filter of filters) {
+            if (!bytes) break;
+            if (filter !== 'FlateDecode') {
+                bytes = null;
+                break;
+            }
+            try {
+                // One budget for every stream, so a stack of small bombs cannot add up either
+                bytes = zlib.inflateSync(bytes, { maxOutputLength: Math.max(1, maxBytes - inflated), finishFlush: zlib.constants.Z_SYNC_FLUSH });
+            } catch (error) {
+                if (error.code === 'ERR_BUFFER_TOO_LARGE') throw new DocumentError('The document is too large to read', { status: 413 });
+                bytes = null;
+            }
+            if (bytes) inflated += bytes.length;
+        }
+        decoded.set(ref, bytes);
+        return bytes;
+    }
+
+    // Unpack object streams; objects defined directly in the file take precedence
+    for (const [ref, object] of [...objects]) {
+        if (object.value?.Type?.name !== 'ObjStm') continue;
+        const bytes = streamOf(ref);
+        if (!bytes) continue;
+        const packed = bytes.toString('latin1');
+        const first = resolve(object.value.First);
+        const numbers = packed.slice(0, first).trim().split(/\s+/).map(Number);
+        for (let i = 0; i + 1 < numbers.length; i += 2) {
+            if (objects.has(numbers[i])) continue;
+            const parsed = readToken(packed, first + numbers[i + 1]);
+            if (parsed) objects.set(numbers[i], { value: parsed.value, stream: null });
+        }
+    }
+
+    return { src, objects, resolve, streamOf };
+}
+
+// ─── Fonts ────────────────────────────────────────────────────────────────────
+
+/*
+  A ToUnicode CMap as { codeLength, map: code → text }.  bfchar maps single
+  codes, bfrange maps runs (to consecutive code points or to an array).
+  Every entry set counts against the budget, overlapping ones included.
+*/
+function parseToUnicode(cmap, spend) {
+    const utf16 = (hex) => Buffer.from(hex.length % 4 ? hex.padStart(hex.length + 4 - (hex.length % 4), '0') : hex, 'hex').swap16().toString('utf16le');
+    const map = new Map();
+    let entries = 0;
+    const set = (code, text) => {
+        if (++entries > MAX_CMAP_ENTRIES) throw tooComplex();
+        spend('cmapEntries');
+        map.set(code, text);
+    };
+    const space = cmap.match(/begincodespacerange\s*<([0-9a-f]+)>/i);
+    const codeLength = space ? Math.max(1, space[1].length / 2) : 2;
+
+    for (const [, block] of cmap.matchAll(/beginbfchar([\s\S]*?)endbfchar/gi)) {
+        for (const [, code, text] of block.matchAll(/<([0-9a-f]+)>\s*<([0-9a-f]*)>/gi)) set(parseInt(code, 16), utf16(text));
+    }
+    for (const [, block] of cmap.matchAll(/beginbfrange([\s\S]*?)endbfrange/gi)) {
+        for (const [, low, high, start, list] of block.matchAll(/<([0-9a-f]+)>\s*<([0-9a-f]+)>\s*(?:<([0-9a-f]+)>|\[([^\]]*)\])/gi)) {
+            const from = parseInt(low, 16);
+            const to = Math.min(parseInt(high, 16), from + 0xffff);
+            if (list !== undefined) {
+                [...list.matchAll(/<([0-9a-f]*)>/gi)].forEach(([, text], index) => set(from + index, utf16(text)));
+                continue;
+            }
+            // Only the last code unit counts up
+            const prefix = utf16(start).slice(0, -1);
+            const base = parseInt(start.slice(-4), 16);
+            for (let code = from; code <= to; code++) set(code, prefix + String.fromCharCode(base + code - from));
+        }
+    }
+    return { codeLength, map };
+}
+
+const WIN_ANSI = new TextDecoder('windows-1252');
+
+function createFontDecoder(table, spend) {
+    const cache = new Map();
+    // Fonts may share a ToUnicode stream; it is parsed once
+    const cmaps = new Map();
+
+    return function decoderFor(font) {
+        const key = font?.ref ?? font;
+        if (cache.has(key)) return cache.get(key);
+
+        const dict = table.resolve(font);
+        const toUnicodeRef = dict?.ToUnicode?.ref;
+        const toUnicode = toUnicodeRef !== undefined ? table.streamOf(toUnicodeRef) : null;
+        let decode;
+        if (toUnicode) {
+            if (!cmaps.has(toUnicodeRef)) cmaps.set(toUnicodeRef, parseToUnicode(toUnicode.toString('latin1'), spend));
+            const { codeLength, map } = cmaps.get(toUnicodeRef);
+            decode = (bytes) => {
+                let text = '';
+                for (let i = 0; i + codeLength <= bytes.length; i += codeLength) {
+                    let code = 0;
+                    for (let j = 0; j < codeLength; j++) code = code * 256 + bytes.charCodeAt(i + j);
+                    text += map.get(code) ?? '';
+                }
+                return text;
+            };
+        } else if (dict?.Subtype?.name === 'Type0') {
+            // Two-byte glyph ids with no map back to characters: nothing readable
+            decode = () => '';
+        } else {
+            decode = (bytes) => WIN_ANSI.decode(Buffer.from(bytes, 'latin1'));
+        }
+        cache.set(key, decode);
+        return decode;
+    };
+}
+
+// ─── Content streams ──────────────────────────────────────────────────────────
+
+/*
+  The text of one content stream.  `context` holds what is shared across the
+  document: { table, decoderFor, spend, forms: form ref → its text }.
+*/
+function readContent(context, content, resources, depth = 0) {
+    const { table, decoderFor, spend, forms } = context;
+    const src = content.toString('latin1');
+    const fonts = table.resolve(resources?.Font) ?? {};
+    const xobjects = table.resolve(resources?.XObject) ?? {};
+    let decode = () => '';
+    let text = '';
+    let lineY = null;
+    let operands = [];
+    let pos = 0;
+
+    const newline = () => {
+        if (text && !text.endsWith('\n')) text += '\n';
+    };
+    const append = (shown) => {
+        spend('chars', shown.length);
+        text += shown;
+    };
+
+    for (;;) {
+        const token = readToken(src, pos);
+        if (!token) break;
+        spend('tokens');
+        pos = token.pos;
+        const op = token.value?.op;
+        if (op === undefined) {
+            operands.push(token.value);
+            continue;
+        }
+
+        if (op === 'Tf') {
+            decode = decoderFor(fonts[operands[0]?.name]);
+        } else if (op === 'Tj' || op === "'" || op === '"') {
+            if (op !== 'Tj') newline();
+            const shown = operands[operands.length - 1];
+            if (shown?.string !== undefined) append(decode(shown.string));
+        } else if (op === 'TJ') {
+            for (const item of operands[0] ?? []) {
+                if (item?.string !== undefined) append(decode(item.string));
+                // A wide negative adjustment is a word gap
+                else if (typeof item === 'number' && item < -200 && !text.endsWith(' ')) text += ' ';
+            }
+        } else if (op === 'Td' || op === 'TD') {
+            if (operands[1]) newline();
+            lineY = (lineY ?? 0) + (operands[1] || 0);
+        } else if (op === 'Tm') {
+            if (lineY !== null && operands[5] !== lineY) newline();
+            lineY = operands[5];
+        } else if (op === 'T*') {
+            newline();
+        } else if (op === 'Do' && depth < MAX_FORM_DEPTH) {
+            const form = xobjects[operands[0]?.name];
+            const dict = table.resolve(form);
+            if (form?.ref !== undefined && dict?.Subtype?.name === 'Form') {
+                if (!forms.has(form.ref)) {
+                    // Empty while it is read, so a form that draws itself adds nothing
+                    forms.set(form.ref, '');
+                    const bytes = table.streamOf(form.ref);
+                    if (bytes) forms.set(form.ref, readContent(context, bytes, table.resolve(dict.Resources) ?? resources, depth + 1));
+                }
+                newline();
+                append(forms.get(form.ref));
+            }
+        } else if (op === 'ID') {
+            // Inline image data is binary: skip to its EI
+            const end = src.slice(pos).search(/\sEI(?=[\0\t\n\f\r ]|$)/);
+            pos = end === -1 ? src.length : pos + end + 3;
+        }
+        operands = [];
+    }
+    return text;
+}
+
+function pagesOf(table, node, inheritedResources, seen = new Set()) {
+    const dict = table.resolve(node);
+    if (!dict || seen.has(dict)) return [];
+    seen.add(dict);
+    const resources = table.resolve(dict.Resources) ?? inheritedResources;
+    if (Array.isArray(table.resolve(dict.Kids))) {
+        return table.resolve(dict.Kids).flatMap((kid) => pagesOf(table, kid, resources, seen));
+    }
+    // One content stream, or an array of them (which may itself be a reference)
+    const contents = table.resolve(dict.Contents);
+    return [{ contents: (Array.isArray(contents) ? contents : [dict.Contents]).filter((item) => item?.ref !== undefined), resources }];
+}
+
+function extractPdf(data, { maxBytes }) {
+    const table = createObjectTable(data, { maxBytes });
+    if (/\/Encrypt\s+\d+\s+\d+\s+R/.test(table.src)) {
+        throw new DocumentError('Encrypted PDF files cannot be read');
+    }
+
+    const catalog = [...table.objects.values()].map(({ value }) => value).findLast((value) => value?.Type?.name === 'Catalog');
+    const pages = catalog ? pagesOf(table, catalog.Pages) : [];
+    if (pages.length === 0) throw new DocumentError('The PDF file is damaged or has no pages');
+
+    const spend = createBudget({ tokens: MAX_CONTENT_TOKENS, chars: MAX_TEXT_CHARS, cmapEntries: MAX_DOCUMENT_CMAP_ENTRIES });
+    const context = { table, decoderFor: createFontDecoder(table, spend), spend, forms: new Map() };
+    return pages.map(({ contents, resources }) => contents
+        .map(({ ref }) => table.streamOf(ref))
+        .filter(Boolean)
+        .map((bytes) => readContent(context, bytes, resources))
+        .join('\n')).join('\n\n');
+}
+
+module.exports = { extractPdf };
@@ -0,0 +1,94 @@
+const { DocumentError } = require('./errors');
+
+/*
+  Plain text, Markdown and HTML → the text a person would read.  Shared by
+  the .txt/.md extractors and by e-mail bodies.
+*/
+
+// Windows-1252 0x80–0x9F; Node's TextDecoder reads the label as Latin-1 and keeps control characters there
+const WINDOWS_1252 = '€\x81‚ƒ„…†‡ˆ‰Š‹Œ\x8dŽ\x8f\x90‘’“”•–—˜™š›œ\x9džŸ';
+
+function decodeWindows1252(data) {
+    return data.toString('latin1').replace(/[\x80-\x9f]/g, (char) => WINDOWS_1252[char.charCodeAt(0) - 0x80]);
+}
+
+// Decode bytes by BOM, else as UTF-8, else as Windows-1252 (old Windows editors)
+function decodeText(data, charset = null) {
+    if (data[0] === 0xef && data[1] === 0xbb && data[2] === 0xbf) return data.subarray(3).toString('utf8');
+    if (data[0] === 0xff && data[1] === 0xfe) return new TextDecoder('utf-16le').decode(data.subarray(2));
+    if (data[0] === 0xfe && data[1] === 0xff) return new TextDecoder('utf-16be').decode(data.subarray(2));
+
+    if (charset) {
+        try {
+            const decoder = new TextDecoder(charset);
+            // ISO-8859-1 and US-ASCII are labels of windows-1252 too
+            return decoder.encoding === 'windows-1252' ? decodeWindows1252(data) : decoder.decode(data);
+        } catch {
+            // Unknown label — guess below
+        }
+    }
+    try {
+        return new TextDecoder('utf-8', { fatal: true }).decode(data);
+    } catch {
+        return decodeWindows1252(data);
+    }
+}
+
+// NUL bytes do not occur in text files, and always do in binary ones
+function assertText(data) {
+    if (data.subarray(0, 8192).includes(0) && !(data[0] === 0xff && data[1] === 0xfe) && !(data[0] === 0xfe && data[1] === 0xff)) {
+        throw new DocumentError('The file is not a text file', { status: 415 });
+    }
+}
+
+function extractPlainText(data) {
+    assertText(data);
+    return decodeText(data);
+}
+
+/*
+  Markdown keeps its words and drops its markup: front matter, code fences,
+  image and link targets, heading and list markers, emphasis and HTML tags.
+*/
+function extractMarkdown(data) {
+    assertText(data);
+    return decodeText(data)
+        .replace(/^---\r?\n[\s\S]*?\r?\n---\r?\n/, '')
+        .replace(/^(`{3,}|~{3,}).*$/gm, '')
+        .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+        .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+        // [ \t], not \s: a marker never spans lines
+        .replace(/^[ \t]{0,3}(?:#{1,6}[ \t]+|>[ \t]?|[-*+][ \t]+(?:\[[ xX]\][ \t]+)?|\d+[.)][ \t]+)/gm, '')
+        .replace(/^[ \t]*(?:[-*_][ \t]*){3,}$/gm, '')
+        .replace(/(\*\*|__|~~)(.+?)\1/g, '$2')
+        .replace(/(^|\W)[*_](\S(?:.*?\S)?)[*_](?=\W|$)/g, '$1$2')
+        .replace(/`([^`]+)`/g, '$1')
+        .replace(/<[^>]+>/g, '');
+}
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+// As browsers do: NUL, surrogates and anything past U+10FFFF become U+FFFD instead of throwing
+const fromCodePoint = (code) => (code > 0 && code <= 0x10ffff && (code < 0xd800 || code > 0xdfff)
+    ? String.fromCodePoint(code)
+    : '\ufffd');
+
+function decodeEntities(text) {
+    return text.replace(/&(?:#(\d+)|#x([0-9a-f]+)|(\w+));/gi, (entity, decimal, hex, name) => {
+        if (decimal) return fromCodePoint(Number(decimal));
+        if (hex) return fromCodePoint(parseInt(hex, 16));
+        return ENTITIES[name.toLowerCase()] ?? entity;
+    });
+}
+
+// Block-level tags become line breaks; scripts, styles and quoted replies in <blockquote> go
+function htmlToText(html) {
+    return decodeEntities(html
+        .replace(/<(script|style|head|blockquote)\b[\s\S]*?<\/\1>/gi, '')
+        .replace(/<br\s*\/?>/gi, '\n')
+        .replace(/<\/(?:p|div|li|tr|h[1-6])>/gi, '\n')
+        .replace(/<[^>]+>/g, '')
+        .replace(/[ \t]+/g, ' '));
+}
+
+module.exports = { decodeText, decodeEntities, extractPlainText, extractMarkdown, htmlToText };
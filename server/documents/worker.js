@@ -0,0 +1,17 @@
+const { parentPort, workerData } = require('worker_threads');
+const { createDocumentReader, DocumentError } = require('.');
+
+/*
+  Runs one extraction off the main thread (documents/index.js read()).
+  Posts { result: { type, text } } or { error: { message, status } } for a
+  DocumentError; any other failure surfaces as the worker's error event.
+*/
+const { file, maxBytes } = workerData;
+const data = Buffer.from(file.data.buffer, file.data.byteOffset, file.data.byteLength);
+
+try {
+    parentPort.postMessage({ result: createDocumentReader({ maxBytes }).extract({ ...file, data }) });
+} catch (error) {
+    if (!(error instanceof DocumentError)) throw error;
+    parentPort.postMessage({ error: { message: error.message, status: error.status } });
+}
@@ -0,0 +1,60 @@
+/*
+  Which web origins may call the API from a browser and frame the embed
+  page (GET /embed).
+
+    CORS_ORIGIN    = origins allowed to call the API, comma-separated, or *
+                     (default *)
+    EMBED_ORIGINS  = origins allowed to frame /embed and load the SDK;
+                     they may call the API too
+    EMBED          = on (default) | off — serve /sdk and /embed at all
+
+  Origins are written as URLs (https://tools.example.com) and compared by
+  scheme, host and port.  An entry that is not a URL stops the server at
+  startup rather than silently allowing nothing.  Every other response
+  keeps X-Frame-Options: DENY.
+*/
+
+function parseOrigins(value, variable) {
+    return (value || '')
+        .split(',')
+        .map((entry) => entry.trim())
+        .filter(Boolean)
+        .map((entry) => {
+            if (entry === '*') return entry;
+            let url;
+            try {
+                url = new URL(entry);
+            } catch {
+                throw new Error(`Invalid origin "${entry}" in ${variable}. Expected a URL such as https://example.com`);
+            }
+            if (url.origin === 'null') throw new Error(`Invalid origin "${entry}" in ${variable}. Expected an http(s) URL`);
+            return url.origin;
+        });
+}
+
+function createEmbedPolicy({ corsOrigins = ['*'], embedOrigins = [], enabled = true } = {}) {
+    if (embedOrigins.includes('*')) throw new Error('EMBED_ORIGINS cannot be *. List the origins allowed to frame the embed page');
+    const anyOrigin = corsOrigins.length === 0 || corsOrigins.includes('*');
+    const allowed = new Set([...corsOrigins, ...embedOrigins]);
+
+    return {
+        enabled,
+        embedOrigins,
+
+        // The `origin` option for the cors middleware
+        corsOrigin: anyOrigin ? '*' : [...allowed],
+
+        // Content-Security-Policy for pages that approved origins may frame
+        frameAncestors: ["'self'", ...embedOrigins].join(' '),
+    };
+}
+
+function createEmbedPolicyFromEnv(env = process.env) {
+    return createEmbedPolicy({
+        corsOrigins: parseOrigins(env.CORS_ORIGIN, 'CORS_ORIGIN'),
+        embedOrigins: parseOrigins(env.EMBED_ORIGINS, 'EMBED_ORIGINS'),
+        enabled: env.EMBED !== 'off',
+    });
+}
+
+module.exports = { createEmbedPolicy, createEmbedPolicyFromEnv, parseOrigins };
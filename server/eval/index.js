@@ -0,0 +1,179 @@
+const fs = require('fs');
+const { DEFAULT_MODE, buildModes } = require('../modes');
+const { checkOutput } = require('../outputPolicy');
+const { splitSentences, countWords } = require('../lib/sentences');
+const { createClarifier } = require('../clarify');
+
+/*
+  Offline prompt evaluation: run a golden dataset through one prompt set and
+  model, score every output against the prompt's rules, and compare two runs.
+
+  Outputs are scored as the model wrote them, BEFORE output enforcement
+  repairs or regenerates anything — the point is to measure the prompt, not
+  the safety net behind it.  A run is a plain object, so it can be written to
+  disk and diffed against a later one.
+*/
+
+const DATASET_FILE = `${__dirname}/golden.jsonl`;
+
+// One { id, text, mode? } per line; blank lines and # comments are skipped
+function loadDataset(file = DATASET_FILE) {
+    return fs.readFileSync(file, 'utf8')
+        .split('\n')
+        .map((line, index) => ({ line: line.trim(), number: index + 1 }))
+        .filter(({ line }) => line && !line.startsWith('#'))
+        .map(({ line, number }) => {
+            let item;
+            try {
+                item = JSON.parse(line);
+            } catch {
+                throw new Error(`${file}:${number}: not valid JSON`);
+            }
+            if (typeof item.text !== 'string' || !item.text.trim()) {
+                throw new Error(`${file}:${number}: "text" is required`);
+            }
+            return { id: String(item.id ?? number), mode: item.mode ?? DEFAULT_MODE, text: item.text.trim() };
+        });
+}
+
+// ─── Scoring ──────────────────────────────────────────────────────────────
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Whole words only, so "here's" does not match inside "there's"
+const containsPhrase = (text, phrase) => new RegExp(`(?<![\\w'])${escapeRegExp(phrase)}(?![\\w'])`, 'i').test(text);
+
+/*
+  Every rule the output breaks: the output policy's own checks (sentence
+  count, length, advice, …) plus the prompt set's forbidden phrases.
+*/
+function scoreOutput(mode, output) {
+    const forbidden = mode.forbiddenPhrases.filter((phrase) => containsPhrase(output, phrase));
+    const violations = checkOutput(mode, output);
+    if (forbidden.length > 0) violations.push('forbidden-phrase');
+
+    return {
+        pass: violations.length === 0,
+        sentences: splitSentences(output).length,
+        words: countWords(output),
+        violations,
+        forbidden,
+    };
+}
+
+const average = (values) => (values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : 0);
+
+function summarize(results) {
+    const scored = results.filter((result) => !result.error);
+    const byRule = {};
+    for (const result of scored) {
+        for (const rule of result.violations) byRule[rule] = (byRule[rule] ?? 0) + 1;
+    }
+    const passed = scored.filter((result) => result.pass).length;
+    return {
+        total: results.length,
+        errors: results.length - scored.length,
+        passed,
+        passRate: scored.length ? passed / scored.length : 0,
+        avgWords: average(scored.map((result) => result.words)),
+        avgSentences: average(scored.map((result) => result.sentences)),
+        avgLatencyMs: average(scored.map((result) => result.latencyMs)),
+        byRule,
+    };
+}
+
+// ─── Running ──────────────────────────────────────────────────────────────
+
+/*
+  Run every item through one prompt set and provider chain.  Upstream
+  failures are recorded per item rather than aborting the run.  The cache is
+  off and enforcement retries are 0: each item is exactly one model call.
+*/
+async function runEval({ promptSet, providerChain, dataset, concurrency = 3, logger, onResult = () => {} }) {
+    const modes = buildModes(promptSet);
+    const clarifier = createClarifier({ providerChain, responseCache: null, enforceMaxRetries: 0, logger });
+    const results = new Array(dataset.length);
+
+    async function evaluate(item) {
+        const mode = modes[item.mode];
+        if (!mode) return { id: item.id, mode: item.mode, error: `Unknown mode "${item.mode}"` };
+
+        const started = Date.now();
+        try {
+            const result = await clarifier.clarify({ text: item.text, mode });
+            return {
+                id: item.id,
+                mode: mode.id,
+                output: result.streamed.trim(),
+                model: `${result.provider}/${result.model}`,
+                latencyMs: Date.now() - started,
+                tokens: result.tokensUsed,
+                ...scoreOutput(mode, result.streamed.trim()),
+            };
+        } catch (error) {
+            return { id: item.id, mode: mode.id, error: error.message };
+        }
+    }
+
+    // Same bounded worker pool as the batch endpoint; results keep dataset order
+    let next = 0;
+    async function worker() {
+        while (next < dataset.length) {
+            const index = next++;
+            results[index] = await evaluate(dataset[index]);
+            onResult(results[index]);
+        }
+    }
+    await Promise.all(Array.from({ length: Math.min(concurrency, dataset.length) }, worker));
+
+    const primary = providerChain.upstreams[0].provider;
+    return {
+        promptVersion: promptSet.version,
+        model: `${primary.name}/${primary.model}`,
+        createdAt: new Date().toISOString(),
+        summary: summarize(results),
+        results,
+    };
+}
+
+// ─── Comparing ────────────────────────────────────────────────────────────
+
+/*
+  Item-by-item comparison of two runs over the same dataset (matched by id).
+  `regressed` passed in the base run and fails in the candidate; `fixed` is
+  the reverse; `changed` kept its verdict but produced different text.
+*/
+function diffRuns(base, candidate) {
+    const baseById = new Map(base.results.map((result) => [result.id, result]));
+    const items = { regressed: [], fixed: [], changed: [], unchanged: 0 };
+
+    for (const after of candidate.results) {
+        const before = baseById.get(after.id);
+        if (!before || before.error || after.error) continue;
+
+        const entry = { id: after.id, mode: after.mode, before, after };
+        if (before.pass && !after.pass) items.regressed.push(entry);
+        else if (!before.pass && after.pass) items.fixed.push(entry);
+        else if (before.output !== after.output) items.changed.push(entry);
+        else items.unchanged += 1;
+    }
+
+    const rules = [...new Set([...Object.keys(base.summary.byRule), ...Object.keys(candidate.summary.byRule)])].sort();
+    return {
+        base: { promptVersion: base.promptVersion, model: base.model, summary: base.summary },
+        candidate: { promptVersion: candidate.promptVersion, model: candidate.model, summary: candidate.summary },
+        delta: {
+            passRate: candidate.summary.passRate - base.summary.passRate,
+            avgWords: candidate.summary.avgWords - base.summary.avgWords,
+            avgSentences: candidate.summary.avgSentences - base.summary.avgSentences,
+            avgLatencyMs: candidate.summary.avgLatencyMs - base.summary.avgLatencyMs,
+            byRule: Object.fromEntries(rules.map((rule) => [
+                rule,
+                (candidate.summary.byRule[rule] ?? 0) - (base.summary.byRule[rule] ?? 0),
+            ])),
+        },
+        ...items,
+    };
+}
+
+module.exports = { DATASET_FILE, loadDataset, scoreOutput, summarize, runEval, diffRuns };
@@ -0,0 +1,44 @@
+const fs = require('fs');
+const path = require('path');
+
+/*
+  One JSON line per answer served under an experiment:
+
+    { at, experiment, variant, mode, latencyMs, firstTokenMs, violations, cached, error }
+
+  `violations` is true when the raw answer broke any output rule (before
+  enforcement repaired it); `error` when the answer failed outright.  Read
+  back in full by the report — experiments are short-lived, so the file
+  stays small.
+*/
+function createExposureLog({ file }) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+
+    function readAll() {
+        if (!fs.existsSync(file)) return [];
+        return fs.readFileSync(file, 'utf8')
+            .split('\n')
+            .filter(Boolean)
+            .flatMap((line) => {
+                try {
+                    return [JSON.parse(line)];
+                } catch {
+                    return []; // torn line from a crash mid-write
+                }
+            });
+    }
+
+    return {
+        async record(entry) {
+            const line = { at: new Date().toISOString(), ...entry };
+            await fs.promises.appendFile(file, `${JSON.stringify(line)}\n`, 'utf8');
+        },
+
+        /* Exposures of one experiment, oldest first. */
+        entriesFor(experimentId) {
+            return readAll().filter((entry) => entry.experiment === experimentId);
+        },
+    };
+}
+
+module.exports = { createExposureLog };
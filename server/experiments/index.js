@@ -0,0 +1,204 @@
+const fs = require('fs');
+const path = require('path');
+const { MODES, MODE_IDS, buildModes } = require('../modes');
+const { loadPromptSet } = require('../prompts');
+const { createProvider } = require('../providers');
+const { createProviderChain } = require('../providers/chain');
+const { sha256 } = require('../lib/hash');
+const { createExposureLog } = require('./exposureLog');
+
+/*
+  A/B experiments on prompts and models for POST /api/clarify.
+
+  EXPERIMENTS_FILE (default data/experiments.json) lists the experiments:
+
+    {
+      "experiments": [{
+        "id": "prompt-v2",
+        "assignment": "sticky",          sticky (per client) | random (per request)
+        "modes": ["core-issue"],         optional — default every mode
+        "enabled": true,                 optional — false pauses it
+        "variants": [
+          { "id": "control", "weight": 50 },
+          { "id": "v2", "weight": 50, "promptVersion": "v2",
+            "provider": "groq", "model": "llama-3.3-70b-versatile", "temperature": 0.5 }
+        ]
+      }]
+    }
+
+  A variant overrides any of promptVersion, provider/model and temperature;
+  whatever it leaves out comes from the server's normal configuration.  A
+  variant with its own provider gets no fallback chain — falling back to
+  another model would blur the comparison, so its failures count as errors.
+
+  Sticky assignment hashes the client (API key, else the X-Client-Id the web
+  client sends, else the IP) with the experiment id, so a client keeps its
+  variant across requests and weight changes move as few clients as
+  possible.  Random assignment draws per request by weight.
+
+  A request takes part in the first enabled experiment that covers its mode.
+  Every answer is logged (EXPERIMENT_LOG_FILE, default
+  data/experiments.jsonl) for the latency and violation figures in the
+  report; approval comes from feedback tagged with the variant.
+*/
+
+const DATA_DIR = path.join(__dirname, '..', 'data');
+const ASSIGNMENTS = ['sticky', 'random'];
+const ID = /^[\w.-]{1,64}$/;
+
+function validateExperiment(experiment, index) {
+    const fail = (message) => {
+        throw new Error(`Invalid experiment ${experiment?.id ?? `#${index}`}: ${message}`);
+    };
+    if (!ID.test(experiment?.id ?? '')) fail('"id" must be 1-64 letters, digits, "_", "-" or "."');
+    if (!ASSIGNMENTS.includes(experiment.assignment ?? 'sticky')) fail(`"assignment" must be one of: ${ASSIGNMENTS.join(', ')}`);
+    if (experiment.modes !== undefined
+        && (!Array.isArray(experiment.modes) || !experiment.modes.every((mode) => MODE_IDS.includes(mode)))) {
+        fail(`"modes" must list mode ids from: ${MODE_IDS.join(', ')}`);
+    }
+    if (!Array.isArray(experiment.variants) || experiment.variants.length < 2) fail('needs at least two variants');
+
+    const seen = new Set();
+    for (const variant of experiment.variants) {
+        if (!ID.test(variant?.id ?? '') || seen.has(variant.id)) fail('every variant needs a unique id');
+        seen.add(variant.id);
+        if (typeof variant.weight !== 'number' || !(variant.weight > 0)) fail(`variant "${variant.id}" needs a positive weight`);
+        if (variant.temperature !== undefined
+            && (typeof variant.temperature !== 'number' || variant.temperature < 0 || variant.temperature > 2)) {
+            fail(`variant "${variant.id}": temperature must be a number from 0 to 2`);
+        }
+        if (variant.model !== undefined && variant.provider === undefined) fail(`variant "${variant.id}": "model" needs "provider"`);
+    }
+    return experiment;
+}
+
+function loadExperiments(file) {
+    if (!fs.existsSync(file)) return [];
+    const { experiments = [] } = JSON.parse(fs.readFileSync(file, 'utf8'));
+    return experiments.map(validateExperiment);
+}
+
+// Deterministic point in [0, 1) for a client within one experiment
+function stickyPoint(experimentId, clientId) {
+    return parseInt(sha256(`${experimentId}\u0000${clientId}`).slice(0, 8), 16) / 0x1_0000_0000;
+}
+
+function pickByWeight(variants, point) {
+    const total = variants.reduce((sum, variant) => sum + variant.weight, 0);
+    let threshold = point * total;
+    for (const variant of variants) {
+        threshold -= variant.weight;
+        if (threshold < 0) return variant;
+    }
+    return variants.at(-1);
+}
+
+const average = (values) => (values.length ? Math.round(values.reduce((sum, value) => sum + value, 0) / values.length) : null);
+
+function percentile(values, p) {
+    if (values.length === 0) return null;
+    const sorted = [...values].sort((a, b) => a - b);
+    return sorted[Math.min(sorted.length - 1, Math.ceil(p * sorted.length) - 1)];
+}
+
+const rate = (count, total) => (total ? Number((count / total).toFixed(3)) : null);
+
+/*
+  `clarifier` serves variants that keep the default provider chain;
+  `createClarifier(providerChain)` builds one the same way for a variant's
+  own provider, so every variant shares the cache and enforcement settings.
+  Throws at startup on a malformed file, an unknown prompt version or
+  provider, or a variant provider without credentials.
+*/
+function createExperimentsFromEnv(env = process.env, { clarifier: defaultClarifier, createClarifier, logger }) {
+    const experiments = loadExperiments(env.EXPERIMENTS_FILE || path.join(DATA_DIR, 'experiments.json'));
+    const exposures = createExposureLog({ file: env.EXPERIMENT_LOG_FILE || path.join(DATA_DIR, 'experiments.jsonl') });
+
+    // Everything a variant needs at request time, built once
+    const runtimes = new Map();
+    for (const experiment of experiments) {
+        for (const variant of experiment.variants) {
+            const modes = variant.promptVersion ? buildModes(loadPromptSet(variant.promptVersion)) : MODES;
+            let clarifier = defaultClarifier;
+            if (variant.provider) {
+                const provider = createProvider(variant.provider, { env, model: variant.model });
+                if (!provider.configured) {
+                    throw new Error(`Experiment ${experiment.id}: provider "${variant.provider}" of variant "${variant.id}" is not configured`);
+                }
+                clarifier = createClarifier(createProviderChain([provider], {
+                    timeoutMs: parseInt(env.LLM_TIMEOUT_MS, 10) || undefined,
+                    logger,
+                }));
+            }
+            runtimes.set(`${experiment.id}\u0000${variant.id}`, { modes, clarifier });
+        }
+    }
+
+    return {
+        experiments,
+
+        /*
+          The variant serving this request, or null when no experiment covers
+          the mode.  Returns { experiment, variant, mode, clarifier,
+          temperature }, where `mode` already carries the variant's prompt
+          and temperature.
+        */
+        assign({ mode, clientId }) {
+            const experiment = experiments.find((candidate) => candidate.enabled !== false
+                && (!candidate.modes || candidate.modes.includes(mode.id)));
+            if (!experiment) return null;
+
+            const point = (experiment.assignment ?? 'sticky') === 'sticky'
+                ? stickyPoint(experiment.id, clientId)
+                : Math.random();
+            const variant = pickByWeight(experiment.variants, point);
+            const { modes, clarifier } = runtimes.get(`${experiment.id}\u0000${variant.id}`);
+            const variantMode = modes[mode.id];
+
+            return {
+                experiment: experiment.id,
+                variant: variant.id,
+                mode: variant.temperature === undefined ? variantMode : { ...variantMode, temperature: variant.temperature },
+                clarifier,
+                temperature: variant.temperature,
+            };
+        },
+
+        record: (entry) => exposures.record(entry),
+
+        /*
+          Per-variant figures for one experiment.  `feedback` is the store's
+          stats().byExperiment[id] (approval per variant); null if unknown id.
+        */
+        report(experimentId, feedback = {}) {
+            const experiment = experiments.find((candidate) => candidate.id === experimentId);
+            if (!experiment) return null;
+
+            const entries = exposures.entriesFor(experimentId);
+            return {
+                id: experiment.id,
+                enabled: experiment.enabled !== false,
+                assignment: experiment.assignment ?? 'sticky',
+                modes: experiment.modes ?? MODE_IDS,
+                variants: experiment.variants.map((variant) => {
+                    const served = entries.filter((entry) => entry.variant === variant.id);
+                    const answered = served.filter((entry) => !entry.error);
+                    const fresh = answered.filter((entry) => !entry.cached);
+                    const latencies = fresh.map((entry) => entry.latencyMs);
+                    return {
+                        ...variant,
+                        answers: served.length,
+                        errorRate: rate(served.length - answered.length, served.length),
+                        violationRate: rate(answered.filter((entry) => entry.violations).length, answered.length),
+                        cacheHitRate: rate(answered.length - fresh.length, answered.length),
+                        latencyMs: { avg: average(latencies), p50: percentile(latencies, 0.5), p95: percentile(latencies, 0.95) },
+                        firstTokenMs: { avg: average(fresh.map((entry) => entry.firstTokenMs).filter((ms) => ms !== null)) },
+                        feedback: feedback[variant.id] ?? { up: 0, down: 0, total: 0, approvalRate: null },
+                    };
+                }),
+            };
+        },
+    };
+}
+
+module.exports = { createExperimentsFromEnv, loadExperiments, stickyPoint, pickByWeight };
@@ -0,0 +1,32 @@
+const path = require('path');
+const { createMemoryFeedbackStore } = require('./memoryStore');
+const { createJsonlFeedbackStore } = require('./jsonlStore');
+const { createSqliteFeedbackStore } = require('./sqliteStore');
+
+/*
+  Feedback store selected by configuration.  Every store exposes:
+
+    add(record)  → Promise<void>
+    stats()      → Promise<summary>   (see stats.js)
+
+    FEEDBACK_STORE = jsonl (default) | sqlite | memory
+    FEEDBACK_FILE  = path for jsonl/sqlite (default data/feedback.jsonl or .db)
+*/
+const DATA_DIR = path.join(__dirname, '..', 'data');
+
+function createFeedbackStoreFromEnv(env = process.env) {
+    const kind = env.FEEDBACK_STORE || 'jsonl';
+
+    switch (kind) {
+        case 'memory':
+            return createMemoryFeedbackStore();
+        case 'jsonl':
+            return createJsonlFeedbackStore({ file: env.FEEDBACK_FILE || path.join(DATA_DIR, 'feedback.jsonl') });
+        case 'sqlite':
+            return createSqliteFeedbackStore({ file: env.FEEDBACK_FILE || path.join(DATA_DIR, 'feedback.db') });
+        default:
+            throw new Error(`Unknown FEEDBACK_STORE "${kind}". Expected one of: jsonl, sqlite, memory`);
+    }
+}
+
+module.exports = { createFeedbackStoreFromEnv };
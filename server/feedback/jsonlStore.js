@@ -0,0 +1,45 @@
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { createSummarizer } = require('./stats');
+
+/*
+  Append-only JSON Lines file: one feedback event per line.
+
+  Appends are atomic for lines this small, the file is trivially greppable and
+  can be loaded into any analysis tool.  Stats are folded in while the file
+  is streamed line by line, so memory grows with the number of distinct
+  rated answers rather than with every click ever logged.
+*/
+function createJsonlFeedbackStore({ file }) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+
+    async function* readRecords() {
+        if (!fs.existsSync(file)) return;
+        const lines = readline.createInterface({ input: fs.createReadStream(file), crlfDelay: Infinity });
+        for await (const line of lines) {
+            if (!line.trim()) continue;
+            try {
+                yield JSON.parse(line);
+            } catch {
+                // Skip a torn last line from a crash mid-write rather than failing stats
+            }
+        }
+    }
+
+    return {
+        kind: 'jsonl',
+
+        async add(record) {
+            await fs.promises.appendFile(file, `${JSON.stringify(record)}\n`, 'utf8');
+        },
+
+        async stats() {
+            const summarizer = createSummarizer();
+            for await (const record of readRecords()) summarizer.add(record);
+            return summarizer.result();
+        },
+    };
+}
+
+module.exports = { createJsonlFeedbackStore };
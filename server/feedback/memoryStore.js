@@ -0,0 +1,23 @@
+const { summarize } = require('./stats');
+
+/*
+  Process-local store.  Lost on restart — meant for development and for
+  running the server with no writable disk.
+*/
+function createMemoryFeedbackStore() {
+    const records = [];
+
+    return {
+        kind: 'memory',
+
+        async add(record) {
+            records.push(record);
+        },
+
+        async stats() {
+            return summarize(records);
+        },
+    };
+}
+
+module.exports = { createMemoryFeedbackStore };
@@ -0,0 +1,86 @@
+const fs = require('fs');
+const path = require('path');
+const { summarize } = require('./stats');
+
+/*
+  SQLite store using the built-in node:sqlite module (Node 22.5+), so no
+  native dependency has to be compiled on deploy.  Required lazily: on older
+  Node versions only this store is unavailable, not the whole server.
+*/
+function createSqliteFeedbackStore({ file }) {
+    let DatabaseSync;
+    try {
+        ({ DatabaseSync } = require('node:sqlite'));
+    } catch {
+        throw new Error(`FEEDBACK_STORE=sqlite needs Node 22.5 or later (running ${process.version})`);
+    }
+
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const db = new DatabaseSync(file);
+
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS feedback (
+            id          INTEGER PRIMARY KEY AUTOINCREMENT,
+            created_at  TEXT NOT NULL,
+            input_hash  TEXT NOT NULL,
+            output      TEXT NOT NULL,
+            mode        TEXT,
+            provider    TEXT,
+            model       TEXT,
+            rating      TEXT,
+            comment     TEXT
+        );
+        CREATE INDEX IF NOT EXISTS feedback_pair ON feedback (input_hash, output);
+    `);
+
+    // Columns added for candidate preferences and experiments — migrate databases created before them
+    const columns = new Set(db.prepare('PRAGMA table_info(feedback)').all().map((column) => column.name));
+    for (const [name, type] of [
+        ['kind', 'TEXT'],
+        ['rejected', 'TEXT'],
+        ['temperature', 'REAL'],
+        ['experiment', 'TEXT'],
+        ['variant', 'TEXT'],
+    ]) {
+        if (!columns.has(name)) db.exec(`ALTER TABLE feedback ADD COLUMN ${name} ${type}`);
+    }
+
+    const insert = db.prepare(`
+        INSERT INTO feedback (created_at, kind, input_hash, output, mode, provider, model, rating, comment, rejected, temperature,
+                              experiment, variant)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+    const selectAll = db.prepare(`
+        SELECT created_at AS createdAt, kind, input_hash AS inputHash, output, mode, provider, model, rating, comment,
+               temperature, experiment, variant
+        FROM feedback ORDER BY id
+    `);
+
+    return {
+        kind: 'sqlite',
+
+        async add(record) {
+            insert.run(
+                record.createdAt,
+                record.kind ?? 'rating',
+                record.inputHash,
+                record.output,
+                record.mode ?? null,
+                record.provider ?? null,
+                record.model ?? null,
+                record.rating ?? null,
+                record.comment ?? null,
+                record.rejected ? JSON.stringify(record.rejected) : null,
+                record.temperature ?? null,
+                record.experiment ?? null,
+                record.variant ?? null,
+            );
+        },
+
+        async stats() {
+            return summarize(selectAll.all());
+        },
+    };
+}
+
+module.exports = { createSqliteFeedbackStore };
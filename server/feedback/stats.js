@@ -0,0 +1,81 @@
+/*
+  Aggregation shared by every feedback store.
+
+  A user can flip a rating (up → down) or retract it (rating: null), and each
+  click is stored as its own event.  Only the LATEST event per
+  (inputHash, output) pair counts, so stats reflect what users finally
+  thought rather than how often they clicked.
+
+  Preference events (kind: 'preference', a pick among candidate answers)
+  are one-off choices and are counted separately, per mode and per the
+  temperature the winning candidate was sampled at.  Records written before
+  preferences existed have no kind and are ratings.
+
+  Ratings given under an A/B experiment are also bucketed per variant in
+  byExperiment[experiment][variant].
+*/
+
+function emptyBucket() {
+    return { up: 0, down: 0, total: 0, approvalRate: null };
+}
+
+function addTo(bucket, rating) {
+    bucket[rating] += 1;
+    bucket.total += 1;
+    bucket.approvalRate = Number((bucket.up / bucket.total).toFixed(3));
+}
+
+/*
+  Folds records in one at a time, so a store can stream them in rather than
+  load them all.  Only the last rating per answer is kept, trimmed to the
+  fields the summary reads.
+*/
+function createSummarizer() {
+    const latest = new Map();
+    const preferences = { total: 0, byMode: {}, byTemperature: {} };
+
+    return {
+        add(record) {
+            if (record.kind === 'preference') {
+                preferences.total += 1;
+                const mode = record.mode || 'unknown';
+                const temperature = record.temperature ?? 'unknown';
+                preferences.byMode[mode] = (preferences.byMode[mode] ?? 0) + 1;
+                preferences.byTemperature[temperature] = (preferences.byTemperature[temperature] ?? 0) + 1;
+                return;
+            }
+            const { rating, comment, mode, provider, model, experiment, variant } = record;
+            latest.set(`${record.inputHash}\u0000${record.output}`, { rating, comment: Boolean(comment), mode, provider, model, experiment, variant });
+        },
+
+        result() {
+            const summary = { ...emptyBucket(), comments: 0, byMode: {}, byModel: {}, byExperiment: {}, preferences };
+
+            for (const record of latest.values()) {
+                if (!record.rating) continue; // retracted
+
+                addTo(summary, record.rating);
+                if (record.comment) summary.comments += 1;
+
+                const mode = record.mode || 'unknown';
+                const model = record.model ? `${record.provider || 'unknown'}/${record.model}` : 'unknown';
+                addTo(summary.byMode[mode] ??= emptyBucket(), record.rating);
+                addTo(summary.byModel[model] ??= emptyBucket(), record.rating);
+                if (record.experiment && record.variant) {
+                    const variants = summary.byExperiment[record.experiment] ??= {};
+                    addTo(variants[record.variant] ??= emptyBucket(), record.rating);
+                }
+            }
+
+            return summary;
+        },
+    };
+}
+
+function summarize(records) {
+    const summarizer = createSummarizer();
+    for (const record of records) summarizer.add(record);
+    return summarizer.result();
+}
+
+module.exports = { createSummarizer, summarize };
@@ -0,0 +1,163 @@
+/*
+  Languages the answer can be written in, and detection of the language an
+  input is written in.
+
+  A request's outputLanguage is "auto" (the default: answer in the language
+  of the input) or one of LANGUAGE_CODES (answer in that language whatever
+  the input).  The mode prompts stay as they are; the instruction for the
+  language is appended to them per request.
+
+  Detection is a small local heuristic, not a classifier: the script decides
+  for every language with one of its own (Greek, Cyrillic, Arabic, Hebrew,
+  Devanagari, Thai, CJK), and Latin-script text is scored on common function
+  words.  When nothing wins clearly the input language is unknown (null),
+  and the model is told to match whatever language the input is in.
+*/
+
+// ─── Supported languages ──────────────────────────────────────────────────────
+
+// questionMark: how the language ends a question, where that is not "?"
+const LANGUAGES = [
+    { code: 'en', name: 'English' },
+    { code: 'es', name: 'Spanish' },
+    { code: 'fr', name: 'French' },
+    { code: 'de', name: 'German' },
+    { code: 'it', name: 'Italian' },
+    { code: 'pt', name: 'Portuguese' },
+    { code: 'nl', name: 'Dutch' },
+    { code: 'pl', name: 'Polish' },
+    { code: 'tr', name: 'Turkish' },
+    { code: 'sv', name: 'Swedish' },
+    { code: 'ru', name: 'Russian' },
+    { code: 'uk', name: 'Ukrainian' },
+    { code: 'el', name: 'Greek', questionMark: ';' },
+    { code: 'ar', name: 'Arabic', questionMark: '؟' },
+    { code: 'he', name: 'Hebrew' },
+    { code: 'fa', name: 'Persian', questionMark: '؟' },
+    { code: 'hi', name: 'Hindi' },
+    { code: 'zh', name: 'Chinese', questionMark: '？' },
+    { code: 'ja', name: 'Japanese', questionMark: '？' },
+    { code: 'ko', name: 'Korean' },
+    { code: 'th', name: 'Thai' },
+];
+
+const LANGUAGE_CODES = LANGUAGES.map(({ code }) => code);
+const AUTO_LANGUAGE = 'auto';
+
+// Question marks accepted when the output language is not known
+const QUESTION_MARKS = ['?', '？', '؟'];
+
+function getLanguage(code) {
+    return LANGUAGES.find((language) => language.code === code) ?? null;
+}
+
+// ─── Detection ────────────────────────────────────────────────────────────────
+
+// The start of a long input says as much about its language as the whole of it
+const DETECT_CHARS = 2000;
+const MIN_LETTERS = 3;
+
+const SCRIPTS = {
+    latin: /\p{Script=Latin}/u,
+    cyrillic: /\p{Script=Cyrillic}/u,
+    greek: /\p{Script=Greek}/u,
+    arabic: /\p{Script=Arabic}/u,
+    hebrew: /\p{Script=Hebrew}/u,
+    devanagari: /\p{Script=Devanagari}/u,
+    thai: /\p{Script=Thai}/u,
+    hangul: /\p{Script=Hangul}/u,
+    kana: /[\p{Script=Hiragana}\p{Script=Katakana}]/u,
+    han: /\p{Script=Han}/u,
+};
+
+// Letters Persian and Ukrainian have and Arabic and Russian do not
+const PERSIAN_LETTERS = /[پچژگکی]/u;
+const UKRAINIAN_LETTERS = /[іїєґІЇЄҐ]/u;
+
+/*
+  Frequent short words of each Latin-script language.  Words several
+  languages share ("de", "la") count for all of them; the ones only one
+  language uses decide.
+*/
+const FUNCTION_WORDS = {
+    en: 'the and is are to of i my it that this with for have was but not what you me',
+    es: 'el la los las de que y es en no por para con mi me pero una lo qué cómo estoy muy',
+    fr: 'le la les de des et est je j ne pas que qui pour mon ma mais une avec suis ai c',
+    de: 'der die das und ist ich nicht ein eine zu mit mein aber was wie auf für habe sich',
+    it: 'il lo gli di che e è non per con mi ma una sono ho cosa come della anche',
+    pt: 'o os as de que e é não por para com meu minha mas uma eu estou do da em',
+    nl: 'de het een en is ik niet van dat met mijn maar op voor te wat hoe zijn',
+    pl: 'i w nie się na że to jest z do mam jak ale co czy mój moja jestem tak',
+    tr: 've bir bu ne için ile ben değil mi çok ama gibi daha da de var yok benim',
+    sv: 'och att det är jag inte en på som för med min men har vad hur om av',
+};
+const FUNCTION_WORD_SETS = Object.fromEntries(
+    Object.entries(FUNCTION_WORDS).map(([code, words]) => [code, new Set(words.split(' '))]),
+);
+
+function detectLatin(text) {
+    const scores = Object.fromEntries(Object.keys(FUNCTION_WORD_SETS).map((code) => [code, 0]));
+    for (const word of text.toLowerCase().split(/[^\p{L}]+/u)) {
+        if (!word) continue;
+        for (const [code, words] of Object.entries(FUNCTION_WORD_SETS)) {
+            if (words.has(word)) scores[code] += 1;
+        }
+    }
+    const [[best, bestScore], [, runnerUp]] = Object.entries(scores).sort((a, b) => b[1] - a[1]);
+    return bestScore >= 2 && bestScore > runnerUp ? best : null;
+}
+
+// The code of the language `text` is written in, or null when unsure
+function detectLanguage(text) {
+    const sample = String(text).slice(0, DETECT_CHARS);
+    const counts = Object.fromEntries(Object.keys(SCRIPTS).map((script) => [script, 0]));
+    let letters = 0;
+    for (const char of sample) {
+        for (const [script, pattern] of Object.entries(SCRIPTS)) {
+            if (pattern.test(char)) {
+                counts[script] += 1;
+                letters += 1;
+                break;
+            }
+        }
+    }
+    if (letters < MIN_LETTERS) return null;
+
+    // Japanese mixes kanji with kana; kana alone already means Japanese
+    const cjk = counts.han + counts.kana;
+    const [script] = Object.entries({ ...counts, han: cjk, kana: 0 }).sort((a, b) => b[1] - a[1])[0];
+    switch (script) {
+        case 'han': return counts.kana > 0 ? 'ja' : 'zh';
+        case 'hangul': return 'ko';
+        case 'arabic': return PERSIAN_LETTERS.test(sample) ? 'fa' : 'ar';
+        case 'cyrillic': return UKRAINIAN_LETTERS.test(sample) ? 'uk' : 'ru';
+        case 'greek': return 'el';
+        case 'hebrew': return 'he';
+        case 'devanagari': return 'hi';
+        case 'thai': return 'th';
+        default: return detectLatin(sample);
+    }
+}
+
+// ─── Prompt ───────────────────────────────────────────────────────────────────
+
+/*
+  Appended to the mode's system prompt.  `language` is the language the
+  answer must be in; null means the input's own, which detection could not
+  name.
+*/
+function languageInstruction(language) {
+    return language
+        ? `Write the sentence in ${language.name}, even if the user's message is in another language.`
+        : "Write the sentence in the same language as the user's message.";
+}
+
+module.exports = {
+    LANGUAGES,
+    LANGUAGE_CODES,
+    AUTO_LANGUAGE,
+    QUESTION_MARKS,
+    getLanguage,
+    detectLanguage,
+    languageInstruction,
+};
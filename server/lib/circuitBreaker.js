@@ -0,0 +1,58 @@
+/*
+  Minimal circuit breaker, one instance per upstream.
+
+    closed    → calls flow normally; consecutive failures are counted
+    open      → calls are refused until `cooldownMs` has elapsed
+    half-open → after the cooldown, ONE trial call is let through:
+                success closes the breaker, failure re-opens it
+
+  Keeps a struggling upstream from being hammered by every request (and
+  every request from paying its timeout) while it recovers.
+*/
+function createCircuitBreaker({ failureThreshold = 3, cooldownMs = 30_000, now = Date.now } = {}) {
+    let state = 'closed';
+    let failures = 0;
+    let openedAt = 0;
+    let trialInFlight = false;
+
+    return {
+        get state() {
+            if (state === 'open' && now() - openedAt >= cooldownMs) return 'half-open';
+            return state;
+        },
+
+        /* True if a call may be attempted right now. */
+        canRequest() {
+            const current = this.state;
+            if (current === 'closed') return true;
+            if (current === 'half-open' && !trialInFlight) {
+                state = 'half-open';
+                trialInFlight = true;
+                return true;
+            }
+            return false;
+        },
+
+        recordSuccess() {
+            state = 'closed';
+            failures = 0;
+            trialInFlight = false;
+        },
+
+        /* The call ended without a verdict (e.g. the client went away). */
+        release() {
+            trialInFlight = false;
+        },
+
+        recordFailure() {
+            failures += 1;
+            trialInFlight = false;
+            if (state === 'half-open' || failures >= failureThreshold) {
+                state = 'open';
+                openedAt = now();
+            }
+        },
+    };
+}
+
+module.exports = { createCircuitBreaker };
@@ -0,0 +1,11 @@
+const crypto = require('crypto');
+
+/*
+  Stable SHA-256 hex digest.  Used wherever user text has to be identified
+  (feedback, caching) without being stored verbatim.
+*/
+function sha256(value) {
+    return crypto.createHash('sha256').update(String(value), 'utf8').digest('hex');
+}
+
+module.exports = { sha256 };
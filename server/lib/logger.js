@@ -0,0 +1,78 @@
+/*
+  Structured logger: one JSON object per line, so log shippers (Loki,
+  CloudWatch, Datadog…) can index fields instead of grepping prose.
+
+    {"time":"…","level":"info","msg":"request","requestId":"…","status":200,…}
+
+  `child(fields)` returns a logger that adds `fields` to every line — the
+  request middleware hands each request one carrying its requestId.
+
+  Errors passed as `err` are reduced to { name, message, status }; outside
+  development the message is dropped, since upstream errors can quote
+  request headers (API keys) or internal hostnames.
+
+    LOG_LEVEL  = debug | info (default) | warn | error | silent
+*/
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: Infinity };
+
+function serializeError(error, { includeMessage }) {
+    if (!error || typeof error !== 'object') return error;
+    return {
+        name: error.name,
+        ...(includeMessage && { message: error.message }),
+        ...(error.status !== undefined && { status: error.status }),
+        ...(error.code !== undefined && { code: error.code }),
+    };
+}
+
+function createLogger({
+    level = 'info',
+    fields = {},
+    includeErrorMessages = true,
+    write = (line, levelName) => (LEVELS[levelName] >= LEVELS.warn ? process.stderr : process.stdout).write(line),
+} = {}) {
+    const threshold = LEVELS[level] ?? LEVELS.info;
+
+    function log(levelName, msg, extra = {}) {
+        if (LEVELS[levelName] < threshold) return;
+        const { err, ...rest } = extra;
+        const entry = {
+            time: new Date().toISOString(),
+            level: levelName,
+            msg,
+            ...fields,
+            ...rest,
+            ...(err !== undefined && { err: serializeError(err, { includeMessage: includeErrorMessages }) }),
+        };
+        write(`${JSON.stringify(entry)}\n`, levelName);
+    }
+
+    return {
+        level,
+        debug: (msg, extra) => log('debug', msg, extra),
+        info: (msg, extra) => log('info', msg, extra),
+        warn: (msg, extra) => log('warn', msg, extra),
+        error: (msg, extra) => log('error', msg, extra),
+        child: (childFields) => createLogger({
+            level,
+            fields: { ...fields, ...childFields },
+            includeErrorMessages,
+            write,
+        }),
+    };
+}
+
+function createLoggerFromEnv(env = process.env) {
+    const level = (env.LOG_LEVEL || 'info').toLowerCase();
+    if (!(level in LEVELS)) {
+        throw new Error(`Unknown LOG_LEVEL "${env.LOG_LEVEL}". Expected one of: ${Object.keys(LEVELS).join(', ')}`);
+    }
+    return createLogger({
+        level,
+        fields: { service: 'clarity-server' },
+        includeErrorMessages: env.NODE_ENV !== 'production',
+    });
+}
+
+module.exports = { LEVELS, createLogger, createLoggerFromEnv };
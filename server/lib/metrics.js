@@ -0,0 +1,158 @@
+/*
+  Minimal Prometheus instrumentation — counters and histograms with labels,
+  rendered in the text exposition format (version 0.0.4) for GET /metrics.
+  No client library: the server needs a handful of series, not a framework.
+
+  Label values must come from small fixed sets (route patterns, provider
+  names, status codes) — never from user input — or every distinct value
+  becomes a new time series.
+*/
+
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+const escapeLabel = (value) => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+
+function formatLabels(labels) {
+    const entries = Object.entries(labels);
+    if (entries.length === 0) return '';
+    return `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}`;
+}
+
+// Series are keyed by their label values in declaration order
+function seriesKey(labelNames, labels) {
+    return JSON.stringify(labelNames.map((name) => String(labels[name] ?? '')));
+}
+
+function pickLabels(labelNames, labels) {
+    return Object.fromEntries(labelNames.map((name) => [name, labels[name] ?? '']));
+}
+
+function createCounter({ name, help, labelNames = [] }) {
+    const series = new Map();
+    return {
+        inc(labels = {}, value = 1) {
+            const key = seriesKey(labelNames, labels);
+            const current = series.get(key) ?? { labels: pickLabels(labelNames, labels), value: 0 };
+            current.value += value;
+            series.set(key, current);
+        },
+        render() {
+            const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} counter`];
+            for (const { labels, value } of series.values()) lines.push(`${name}${formatLabels(labels)} ${value}`);
+            return lines.join('\n');
+        },
+    };
+}
+
+function createHistogram({ name, help, labelNames = [], buckets = DEFAULT_BUCKETS }) {
+    const series = new Map();
+    return {
+        observe(labels, value) {
+            const key = seriesKey(labelNames, labels);
+            let current = series.get(key);
+            if (!current) {
+                current = { labels: pickLabels(labelNames, labels), counts: buckets.map(() => 0), sum: 0, count: 0 };
+                series.set(key, current);
+            }
+            buckets.forEach((bound, index) => {
+                if (value <= bound) current.counts[index] += 1;
+            });
+            current.sum += value;
+            current.count += 1;
+        },
+        render() {
+            const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} histogram`];
+            for (const { labels, counts, sum, count } of series.values()) {
+                buckets.forEach((bound, index) => {
+                    lines.push(`${name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[index]}`);
+                });
+                lines.push(`${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+                lines.push(`${name}_sum${formatLabels(labels)} ${sum}`);
+                lines.push(`${name}_count${formatLabels(labels)} ${count}`);
+            }
+            return lines.join('\n');
+        },
+    };
+}
+
+// Sampled when scraped rather than tracked
+function createGauge({ name, help, collect }) {
+    return {
+        render() {
+            return [`# HELP ${name} ${help}`, `# TYPE ${name} gauge`, `${name} ${collect()}`].join('\n');
+        },
+    };
+}
+
+/*
+  Every metric the server exports.  Durations are in seconds, as Prometheus
+  convention expects.
+*/
+function createMetrics() {
+    const metrics = {
+        httpRequests: createCounter({
+            name: 'clarity_http_requests_total',
+            help: 'HTTP requests by method, route pattern and status code.',
+            labelNames: ['method', 'route', 'status'],
+        }),
+        httpDuration: createHistogram({
+            name: 'clarity_http_request_duration_seconds',
+            help: 'Time from request to the end of the response (whole stream for SSE).',
+            labelNames: ['method', 'route'],
+        }),
+        upstreamLatency: createHistogram({
+            name: 'clarity_upstream_latency_seconds',
+            help: 'Time for an upstream model to produce a complete answer, including enforcement retries.',
+            labelNames: ['provider', 'model'],
+        }),
+        timeToFirstToken: createHistogram({
+            name: 'clarity_time_to_first_token_seconds',
+            help: 'Time until the first streamed token of an answer.',
+            labelNames: ['provider', 'model'],
+            buckets: [0.1, 0.25, 0.5, 1, 2, 5, 10],
+        }),
+        tokens: createCounter({
+            name: 'clarity_tokens_total',
+            help: 'LLM tokens used, by provider and kind (prompt or completion).',
+            labelNames: ['provider', 'kind'],
+        }),
+        cacheLookups: createCounter({
+            name: 'clarity_cache_lookups_total',
+            help: 'Response cache lookups by result (hit, miss, bypass).',
+            labelNames: ['result'],
+        }),
+        redactions: createCounter({
+            name: 'clarity_redactions_total',
+            help: 'Personal details masked before an upstream call, by type.',
+            labelNames: ['type'],
+        }),
+        safetyDecisions: createCounter({
+            name: 'clarity_safety_decisions_total',
+            help: 'Safety check outcomes by category (none when allowed) and deciding stage (rules or model).',
+            labelNames: ['category', 'source'],
+        }),
+        uploads: createCounter({
+            name: 'clarity_uploads_total',
+            help: 'Files uploaded to /api/clarify/file, by document type and outcome (ok or rejected).',
+            labelNames: ['type', 'outcome'],
+        }),
+        rateLimitRejections: createCounter({
+            name: 'clarity_rate_limit_rejections_total',
+            help: 'Requests refused by a rate limit or token quota.',
+            labelNames: ['route', 'unit'],
+        }),
+        uptime: createGauge({
+            name: 'clarity_process_uptime_seconds',
+            help: 'Seconds since the server process started.',
+            collect: () => process.uptime(),
+        }),
+    };
+
+    return {
+        ...metrics,
+        contentType: 'text/plain; version=0.0.4; charset=utf-8',
+        render: () => `${Object.values(metrics).map((metric) => metric.render()).join('\n')}\n`,
+    };
+}
+
+module.exports = { DEFAULT_BUCKETS, createCounter, createHistogram, createGauge, createMetrics };
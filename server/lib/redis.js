@@ -0,0 +1,179 @@
+const net = require('net');
+
+/*
+  Minimal Redis (RESP2) client — just enough for the cache and rate-limit
+  stores, without pulling in a full client library.  Works against Redis,
+  Valkey, KeyDB, Dragonfly or any local stand-in that speaks RESP.
+
+    const redis = createRedisClient('redis://:secret@localhost:6379/0');
+    await redis.command('SET', 'k', 'v', 'PX', 1000);
+
+  Commands are pipelined over one connection and answered in order.  The
+  connection is opened lazily and re-opened on the next command after a
+  drop; commands in flight when it drops are rejected.  A command left
+  unanswered for `commandTimeoutMs` drops the connection too, so a Redis
+  that accepts connections and then hangs cannot stall its callers.
+*/
+
+class RedisError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'RedisError';
+    }
+}
+
+function encodeCommand(args) {
+    let out = `*${args.length}\r\n`;
+    for (const arg of args) {
+        const str = String(arg);
+        out += `$${Buffer.byteLength(str)}\r\n${str}\r\n`;
+    }
+    return out;
+}
+
+/*
+  Parse one reply from `buf` starting at `offset`.
+  Returns [value, nextOffset], or null if the buffer holds only part of it.
+*/
+function parseReply(buf, offset) {
+    const lineEnd = buf.indexOf('\r\n', offset);
+    if (lineEnd === -1) return null;
+
+    const type = String.fromCharCode(buf[offset]);
+    const line = buf.toString('utf8', offset + 1, lineEnd);
+    const next = lineEnd + 2;
+
+    switch (type) {
+        case '+': return [line, next];
+        case '-': return [new RedisError(line), next];
+        case ':': return [Number(line), next];
+        case '$': {
+            const length = Number(line);
+            if (length === -1) return [null, next];
+            if (buf.length < next + length + 2) return null;
+            return [buf.toString('utf8', next, next + length), next + length + 2];
+        }
+        case '*': {
+            const count = Number(line);
+            if (count === -1) return [null, next];
+            const items = [];
+            let cursor = next;
+            for (let i = 0; i < count; i++) {
+                const parsed = parseReply(buf, cursor);
+                if (!parsed) return null;
+                items.push(parsed[0]);
+                cursor = parsed[1];
+            }
+            return [items, cursor];
+        }
+        default:
+            throw new RedisError(`Unexpected RESP type byte "${type}"`);
+    }
+}
+
+function createRedisClient(url = 'redis://localhost:6379', { connectTimeoutMs = 2000, commandTimeoutMs = 2000 } = {}) {
+    const { hostname, port, password, username, pathname } = new URL(url);
+    const db = Number(pathname.slice(1)) || 0;
+
+    let socket = null;
+    let ready = null;
+    let buffer = Buffer.alloc(0);
+    const pending = [];
+
+    function failAll(error) {
+        while (pending.length) pending.shift().reject(error);
+        // Part of a reply from the dead connection must not prefix the next one's
+        buffer = Buffer.alloc(0);
+        socket = null;
+        ready = null;
+    }
+
+    function send(args) {
+        const own = socket;
+        if (!own) return Promise.reject(new RedisError('Redis connection closed'));
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                own.destroy(new RedisError(`Redis command timed out after ${commandTimeoutMs}ms`));
+            }, commandTimeoutMs);
+            timer.unref();
+            pending.push({
+                resolve: (value) => {
+                    clearTimeout(timer);
+                    resolve(value);
+                },
+                reject: (error) => {
+                    clearTimeout(timer);
+                    reject(error);
+                },
+            });
+            own.write(encodeCommand(args));
+        });
+    }
+
+    function connect() {
+        ready = new Promise((resolve, reject) => {
+            const own = net.createConnection({ host: hostname || 'localhost', port: Number(port) || 6379 });
+            socket = own;
+            own.setNoDelay(true);
+            own.setTimeout(connectTimeoutMs, () => own.destroy(new RedisError('Redis connection timed out')));
+
+            /*
+              Events from a connection that has already been given up on are
+              ignored: by then a reconnect may have replaced it, and its late
+              'close' must not fail the new connection's commands.
+            */
+            own.on('data', (chunk) => {
+                if (socket !== own) return;
+                buffer = buffer.length ? Buffer.concat([buffer, chunk]) : chunk;
+                let parsed;
+                while (buffer.length && (parsed = parseReply(buffer, 0))) {
+                    const [value, next] = parsed;
+                    buffer = buffer.subarray(next);
+                    const waiter = pending.shift();
+                    if (!waiter) continue;
+                    if (value instanceof RedisError) waiter.reject(value);
+                    else waiter.resolve(value);
+                }
+            });
+
+            own.on('error', (error) => {
+                reject(error);
+                if (socket === own) failAll(error);
+            });
+            own.on('close', () => {
+                reject(new RedisError('Redis connection closed'));
+                if (socket === own) failAll(new RedisError('Redis connection closed'));
+            });
+
+            own.on('connect', async () => {
+                own.setTimeout(0);
+                try {
+                    if (password) {
+                        await send(username ? ['AUTH', decodeURIComponent(username), decodeURIComponent(password)] : ['AUTH', decodeURIComponent(password)]);
+                    }
+                    if (db) await send(['SELECT', db]);
+                    resolve();
+                } catch (error) {
+                    reject(error);
+                    own.destroy();
+                }
+            });
+        });
+        // A failed connect is reported to the waiting command, not as an unhandled rejection
+        ready.catch(() => {});
+        return ready;
+    }
+
+    return {
+        async command(...args) {
+            await (ready || connect());
+            return send(args);
+        },
+
+        close() {
+            if (socket) socket.end();
+        },
+    };
+}
+
+module.exports = { createRedisClient, RedisError, encodeCommand, parseReply };
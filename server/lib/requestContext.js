@@ -0,0 +1,65 @@
+const { randomUUID } = require('crypto');
+
+/*
+  First middleware of the app.  For every request it:
+
+    - assigns req.id — the caller's X-Request-Id when it looks like one (so
+      a proxy or client can correlate its own logs), else a fresh UUID — and
+      returns it in the X-Request-Id response header
+    - hangs req.log off the logger, with requestId on every line
+    - on completion, writes one `request` log line and records the HTTP
+      request metrics
+
+  Routes are labelled by their pattern ("/api/clarify/batch"), never the raw
+  URL, so unknown paths cannot blow up metric cardinality.
+*/
+
+const INCOMING_ID = /^[\w.:-]{1,64}$/;
+
+function routeLabel(req) {
+    if (!req.route) return 'unmatched';
+    const path = `${req.baseUrl}${req.route.path}`;
+    return path.length > 1 ? path.replace(/\/$/, '') : path;
+}
+
+function createRequestContext({ logger, metrics }) {
+    return (req, res, next) => {
+        const incoming = req.get('X-Request-Id');
+        req.id = incoming && INCOMING_ID.test(incoming) ? incoming : randomUUID();
+        req.log = logger.child({ requestId: req.id });
+        res.setHeader('X-Request-Id', req.id);
+
+        const started = process.hrtime.bigint();
+        let logged = false;
+
+        // `finish` when the response completes, `close` alone when the client left first
+        const done = () => {
+            if (logged) return;
+            logged = true;
+
+            const seconds = Number(process.hrtime.bigint() - started) / 1e9;
+            const route = routeLabel(req);
+            const status = res.writableFinished ? res.statusCode : 499;
+            metrics.httpRequests.inc({ method: req.method, route, status });
+            metrics.httpDuration.observe({ method: req.method, route }, seconds);
+
+            const fields = {
+                method: req.method,
+                route,
+                // Without the query string, which may carry user input
+                path: req.originalUrl.split('?')[0],
+                status,
+                durationMs: Math.round(seconds * 1000),
+                keyId: req.apiKey?.id,
+            };
+            if (status >= 500) req.log.error('request', fields);
+            else req.log.info('request', fields);
+        };
+        res.on('finish', done);
+        res.on('close', done);
+
+        next();
+    };
+}
+
+module.exports = { createRequestContext };
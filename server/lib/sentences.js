@@ -0,0 +1,56 @@
+/*
+  Sentence helpers shared by output validation and evaluation.
+
+  A deliberately small heuristic, not an NLP tokenizer: a sentence ends at
+  . ! ? ؟ or । followed by whitespace (or the end of the text), except after
+  common abbreviations and between digits ("3.5", "v1.2").  Chinese and
+  Japanese full-width 。！？ end a sentence without any space after them.
+
+  Chinese, Japanese and Thai do not put spaces between words, so their
+  words are estimated at two characters each.
+*/
+
+const ABBREVIATIONS = new Set([
+    'e.g', 'i.e', 'etc', 'vs', 'mr', 'mrs', 'ms', 'dr', 'prof', 'sr', 'jr', 'st', 'approx',
+]);
+
+// "No." abbreviates "number" only before one ("No. 5"); otherwise it is the word no ending a sentence
+const NUMBER_ABBREVIATION = 'no';
+
+function splitSentences(text) {
+    const normalized = String(text).replace(/\s+/g, ' ').trim();
+    if (!normalized) return [];
+
+    const sentences = [];
+    let start = 0;
+    const terminator = /[.!?؟।]+(?=\s|$)|[。！？]+/g;
+
+    let match;
+    while ((match = terminator.exec(normalized)) !== null) {
+        const end = match.index + match[0].length;
+        const lastWord = normalized.slice(start, match.index).split(' ').pop().toLowerCase();
+        if (match[0] === '.' && ABBREVIATIONS.has(lastWord)) continue;
+        if (match[0] === '.' && lastWord === NUMBER_ABBREVIATION && /^ \d/.test(normalized.slice(end))) continue;
+
+        sentences.push(normalized.slice(start, end).trim());
+        start = end;
+    }
+
+    const rest = normalized.slice(start).trim();
+    if (rest) sentences.push(rest);
+    return sentences;
+}
+
+const UNSPACED_RUN = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Thai}]+/gu;
+const CHARS_PER_UNSPACED_WORD = 2;
+
+function countWords(text) {
+    let words = 0;
+    const spaced = String(text).replace(UNSPACED_RUN, (run) => {
+        words += Math.ceil([...run].length / CHARS_PER_UNSPACED_WORD);
+        return ' ';
+    });
+    return words + spaced.trim().split(/\s+/).filter((word) => /[\p{L}\p{N}]/u.test(word)).length;
+}
+
+module.exports = { splitSentences, countWords };
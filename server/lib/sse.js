@@ -0,0 +1,144 @@
+/*
+  Server-Sent Events writer for /api/clarify.
+
+  Protocol 2 (the default) uses named events; every payload that belongs to
+  one answer carries its `candidate` index (0 when n = 1):
+
+    event: start    { protocol, requestId, mode, n, inputLanguage, outputLanguage, file? }
+                    inputLanguage: the detected language code of the text,
+                    null when unsure; outputLanguage: the code the answer
+                    is written in, null for "same as the input"
+                    file: { name, type, text } for POST /api/clarify/file,
+                    `text` being what was extracted from the upload
+    event: meta     upstream picked: { candidate, provider, model, promptVersion, fallback, cached, redacted,
+                                       redactions?, chunks?, temperature?, experiment? }
+                    answer checked:  { candidate, mode, violations, action, unresolved }
+    event: progress { candidate, stage, completed, total }
+                    long input only: "map" as chunks are read, then
+                    "reduce" before the answer streams
+    event: token    { candidate, text }
+    event: replace  { candidate, text }      enforcement changed the streamed answer
+    event: error    { candidate, code, message }
+    event: safety   { category, title, message, resources?, note? }
+                    the input was flagged (crisis, abuse, injection) and
+                    is not clarified; sent instead of every answer
+    event: done     { requestId, provider, model, promptVersion, experiment?, safety?, chunks?, latencyMs, usage, candidates }
+
+  `experiment` is { id, variant } when the request was assigned to an A/B
+  variant (see experiments/index.js).
+
+  plus a `: heartbeat` comment every heartbeatMs, so proxies and load
+  balancers don't close a stream that is waiting on a slow upstream.
+
+  Protocol 1 is the original stream of unnamed `data:` payloads ending in
+  `data: [DONE]`, kept for clients written against it (request body
+  `"protocol": 1`).  It has no start/done events and no mid-stream errors
+  for single answers.
+*/
+
+const PROTOCOL_VERSIONS = [1, 2];
+const LATEST_PROTOCOL = 2;
+const DEFAULT_HEARTBEAT_MS = 15_000;
+
+function createEventStream(res, {
+    protocol = LATEST_PROTOCOL,
+    requestId,
+    mode,
+    n = 1,
+    inputLanguage = null,
+    outputLanguage = null,
+    file = null,
+    heartbeatMs = DEFAULT_HEARTBEAT_MS,
+}) {
+    let started = false;
+    let heartbeat = null;
+
+    const stopHeartbeat = () => {
+        clearInterval(heartbeat);
+        heartbeat = null;
+    };
+    res.on('close', stopHeartbeat);
+
+    const write = (chunk) => {
+        if (!res.writableEnded) res.write(chunk);
+    };
+
+    const send = protocol === 1
+        // v1 tags payloads only when there are several answers to tell apart
+        ? (_event, { candidate, ...payload }) => write(`data: ${JSON.stringify(n > 1 ? { candidate, ...payload } : payload)}\n\n`)
+        : (event, payload) => write(`event: ${event}\ndata: ${JSON.stringify(payload)}\n\n`);
+
+    return {
+        get opened() {
+            return started;
+        },
+
+        /*
+          Send the headers and the start event.  Deferred until the first
+          upstream has answered, so errors before that point can still be
+          returned as a plain JSON response with a proper status code.
+        */
+        open({ cache }) {
+            if (started) return;
+            started = true;
+            res.setHeader('X-Cache', cache);
+            res.setHeader('Content-Type', 'text/event-stream');
+            res.setHeader('Connection', 'keep-alive');
+
+            if (protocol === 1) return;
+            send('start', { protocol, requestId, mode, n, inputLanguage, outputLanguage, ...(file && { file }) });
+            if (heartbeatMs > 0) {
+                heartbeat = setInterval(() => write(': heartbeat\n\n'), heartbeatMs);
+                heartbeat.unref();
+            }
+        },
+
+        meta(candidate, meta) {
+            send('meta', protocol === 1 ? { candidate, meta } : { candidate, ...meta });
+        },
+
+        // Not part of protocol 1
+        progress(candidate, { stage, completed, total }) {
+            if (protocol === 1) return;
+            send('progress', { candidate, stage, completed, total });
+        },
+
+        token(candidate, text) {
+            send('token', { candidate, text });
+        },
+
+        replace(candidate, text) {
+            // v1 called this field `replace`
+            send('replace', protocol === 1 ? { candidate, replace: text } : { candidate, text });
+        },
+
+        error(candidate, { code, message }) {
+            if (protocol === 1) {
+                if (n > 1) send('error', { candidate, error: message });
+                return;
+            }
+            send('error', { candidate, code, message });
+        },
+
+        // Protocol 1 sends it as a `{ "safety": … }` payload
+        safety(response) {
+            send('safety', protocol === 1 ? { safety: response } : response);
+        },
+
+        /*
+          End the stream.  ok: false means every answer failed; v1 then ends
+          without [DONE], as it always has, so old clients see a broken stream.
+        */
+        done(summary, { ok = true } = {}) {
+            stopHeartbeat();
+            if (protocol === 1) {
+                if (ok) write('data: [DONE]\n\n');
+            } else {
+                send('done', { requestId, ...summary });
+            }
+            res.end();
+        },
+    };
+}
+
+module.exports = { PROTOCOL_VERSIONS, LATEST_PROTOCOL, createEventStream };
@@ -0,0 +1,43 @@
+/*
+  Rough token estimate, used to pre-check token quotas before the real
+  usage is known and when a provider reports none, and to measure input
+  limits.
+
+  Tokenizers split English into about 4 characters per token, but scripts
+  they saw less of into far smaller pieces: a Chinese, Japanese, Korean,
+  Hindi or Thai character is about a token of its own, and Cyrillic, Greek,
+  Arabic or Hebrew about two characters per token.  Characters of those
+  scripts are weighted accordingly; everything else counts at
+  CHARS_PER_TOKEN.  Erring high is the safe side for limits and quotas.
+
+  Clients get CHARS_PER_TOKEN and SCRIPT_WEIGHTS from GET /api/limits, so
+  they count the way the server does.
+*/
+const CHARS_PER_TOKEN = 4;
+
+// Unicode script names (as in \p{Script=…}) and the tokens one of their characters costs
+const SCRIPT_WEIGHTS = [
+    { scripts: ['Han', 'Hiragana', 'Katakana', 'Hangul'], tokensPerChar: 1 },
+    { scripts: ['Devanagari', 'Bengali', 'Gurmukhi', 'Gujarati', 'Tamil', 'Telugu', 'Kannada', 'Malayalam', 'Sinhala', 'Thai', 'Lao', 'Khmer', 'Myanmar'], tokensPerChar: 1 },
+    { scripts: ['Cyrillic', 'Greek', 'Arabic', 'Hebrew', 'Armenian', 'Georgian'], tokensPerChar: 0.5 },
+];
+
+const WEIGHTED = SCRIPT_WEIGHTS.map(({ scripts, tokensPerChar }) => ({
+    pattern: new RegExp(`[${scripts.map((script) => `\\p{Script=${script}}`).join('')}]`, 'gu'),
+    tokensPerChar,
+}));
+
+function estimateTokens(text) {
+    let tokens = 0;
+    let rest = text.length;
+    for (const { pattern, tokensPerChar } of WEIGHTED) {
+        const matches = text.match(pattern);
+        if (!matches) continue;
+        tokens += matches.length * tokensPerChar;
+        // Characters outside the BMP (rarer Han) are two code units
+        rest -= matches.join('').length;
+    }
+    return Math.ceil(tokens + rest / CHARS_PER_TOKEN);
+}
+
+module.exports = { CHARS_PER_TOKEN, SCRIPT_WEIGHTS, estimateTokens };
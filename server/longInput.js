@@ -0,0 +1,109 @@
+const { splitSentences } = require('./lib/sentences');
+const { estimateTokens } = require('./lib/tokens');
+const { sha256 } = require('./lib/hash');
+
+/*
+  Map-reduce for inputs too long to clarify in one pass (journal entries,
+  meeting transcripts, email threads).
+
+    map     the text is split into chunks of at most chunkTokens, and the
+            core issue of each chunk is extracted with MAP_PROMPT
+    reduce  the extracted issues, in order, become the input of the normal
+            mode prompt, which streams the one clarifying sentence
+
+  Chunks break at paragraph ends where possible, then at sentence ends, and
+  only split a sentence that is longer than a whole chunk.
+*/
+
+const MAP_PROMPT = [
+    'You read one part of a longer text someone wrote about their own situation.',
+    'Extract the core issue this part raises, in one or two plain sentences.',
+    'Write it in the language the part is written in.',
+    'Keep names, numbers and placeholders such as [NAME_1] exactly as written.',
+    'If this part raises nothing of substance (greetings, signatures, small talk), reply with: nothing.',
+    'Reply with only the extracted issue.',
+].join('\n');
+
+// Hashed into the cache key of map results, so a wording change never replays old ones
+const MAP_PROMPT_HASH = sha256(MAP_PROMPT).slice(0, 16);
+const MAP_MAX_TOKENS = 120;
+const MAP_TEMPERATURE = 0.2;
+
+// Cut a run of text with no sentence breaks at the last space that fits
+function hardSplit(text, maxChars) {
+    const pieces = [];
+    let rest = text;
+    while (rest.length > maxChars) {
+        const space = rest.lastIndexOf(' ', maxChars);
+        const cut = space > maxChars / 2 ? space : maxChars;
+        pieces.push(rest.slice(0, cut).trim());
+        rest = rest.slice(cut).trim();
+    }
+    if (rest) pieces.push(rest);
+    return pieces;
+}
+
+// Chunks of at most maxTokens (estimated), in order, together covering the whole text
+function splitIntoChunks(text, maxTokens) {
+    const fits = (piece) => estimateTokens(piece) <= maxTokens;
+    // Characters per chunk at this piece's own rate — far fewer for CJK than for English
+    const maxCharsOf = (piece) => Math.max(1, Math.floor(maxTokens * piece.length / estimateTokens(piece)));
+
+    // Units small enough for one chunk, each with the separator that preceded it
+    const units = [];
+    for (const paragraph of text.split(/\n\s*\n/).map((part) => part.trim()).filter(Boolean)) {
+        if (fits(paragraph)) {
+            units.push({ text: paragraph, separator: '\n\n' });
+            continue;
+        }
+        splitSentences(paragraph)
+            .flatMap((sentence) => (fits(sentence) ? [sentence] : hardSplit(sentence, maxCharsOf(sentence))))
+            .forEach((piece, index) => units.push({ text: piece, separator: index === 0 ? '\n\n' : ' ' }));
+    }
+
+    const chunks = [];
+    let current = '';
+    for (const { text: unit, separator } of units) {
+        const joined = current ? `${current}${separator}${unit}` : unit;
+        if (current && estimateTokens(joined) > maxTokens) {
+            chunks.push(current);
+            current = unit;
+        } else {
+            current = joined;
+        }
+    }
+    if (current) chunks.push(current);
+    return chunks;
+}
+
+const isEmptyNote = (note) => !note || /^nothing\.?$/i.test(note);
+
+// The reduce step's input: what each part is about, in reading order
+function reduceInput(notes) {
+    const kept = notes.filter((note) => !isEmptyNote(note));
+    const lines = (kept.length > 0 ? kept : notes).map((note, index) => `${index + 1}. ${note}`);
+    return [
+        'My text was too long to read at once, so here are the core issues of its parts, in order:',
+        '',
+        ...lines,
+    ].join('\n');
+}
+
+/*
+  Tokens the map step adds on top of a single-pass answer, for quota
+  pre-checks: every chunk is read once more with the map prompt and
+  answered with up to MAP_MAX_TOKENS.
+*/
+function mapTokenEstimate(chunkCount) {
+    return chunkCount * (estimateTokens(MAP_PROMPT) + MAP_MAX_TOKENS);
+}
+
+module.exports = {
+    MAP_PROMPT,
+    MAP_PROMPT_HASH,
+    MAP_MAX_TOKENS,
+    MAP_TEMPERATURE,
+    splitIntoChunks,
+    reduceInput,
+    mapTokenEstimate,
+};
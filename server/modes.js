@@ -0,0 +1,143 @@
+const { sha256 } = require('./lib/hash');
+const { loadPromptSetFromEnv } = require('./prompts');
+
+/*
+  Clarification modes.  Each mode is one distillation style served by the
+  same /api/clarify pipeline and differs only in:
+
+    - its system prompt (task + goal, plus any rule/style overrides), read
+      from the versioned prompt set in prompts/
+    - its token budget and temperature
+    - the validation limits its output is checked against (outputPolicy.js)
+
+  Prompts are rendered once at module load and never re-built per request.
+*/
+
+// ─── Prompt template ──────────────────────────────────────────────────────────
+
+const bullets = (lines) => lines.map((line) => `- ${line}`).join('\n');
+
+// Shared list with a mode's additions and removals applied
+const adjust = (base, add = [], drop = []) => [...base.filter((line) => !drop.includes(line)), ...add];
+
+function renderPrompt(set, { task, goal, addRules, dropRules, addStyle, dropStyle }) {
+    return `You are Clarity AI.
+
+Your task: ${task}
+
+Strict rules:
+${bullets(adjust(set.rules, addRules, dropRules))}
+
+Writing style:
+${bullets(adjust(set.style, addStyle, dropStyle))}
+
+Goal: ${goal}`;
+}
+
+// ─── Mode definitions ─────────────────────────────────────────────────────────
+
+const DEFAULT_MODE = 'core-issue';
+
+// Everything about a mode except its wording, which lives in the prompt set
+const MODE_SETTINGS = {
+    'core-issue': {
+        label: 'Core issue',
+        maxTokens: 128,
+        temperature: 0.3,
+        validation: { maxSentences: 1, maxWords: 40 },
+    },
+    'core-question': {
+        label: 'Core question',
+        maxTokens: 96,
+        temperature: 0.3,
+        validation: { maxSentences: 1, maxWords: 30, endsWith: '?' },
+    },
+    decision: {
+        label: 'Decision to make',
+        maxTokens: 128,
+        temperature: 0.3,
+        validation: { maxSentences: 1, maxWords: 40 },
+    },
+    feeling: {
+        label: 'Underlying feeling',
+        maxTokens: 96,
+        temperature: 0.4,
+        validation: { maxSentences: 1, maxWords: 35 },
+    },
+    'next-step': {
+        label: 'Next concrete step',
+        maxTokens: 96,
+        temperature: 0.3,
+        // The next-step prompt drops the "do not advise" rule, so advice is allowed
+        validation: { maxSentences: 1, maxWords: 30, allowAdvice: true },
+    },
+    tldr: {
+        label: 'TL;DR for a manager',
+        maxTokens: 128,
+        temperature: 0.2,
+        validation: { maxSentences: 1, maxWords: 45 },
+    },
+};
+
+/*
+  Combine a prompt set with the mode settings.  promptVersion is the set's
+  version ("v1"), reported with every answer; promptHash is a short content
+  hash of the rendered prompt, so cached answers from other wording are
+  never served for this one.  Throws if the set lacks a mode.
+*/
+function buildModes(set) {
+    return Object.fromEntries(
+        Object.entries(MODE_SETTINGS).map(([id, settings]) => {
+            const wording = set.modes[id];
+            if (!wording) throw new Error(`Prompt set ${set.version} has no prompt for mode "${id}"`);
+            const systemPrompt = renderPrompt(set, wording);
+            return [id, {
+                id,
+                label: settings.label,
+                systemPrompt,
+                promptVersion: set.version,
+                promptHash: sha256(systemPrompt).slice(0, 12),
+                forbiddenPhrases: set.forbiddenPhrases ?? [],
+                maxTokens: settings.maxTokens,
+                temperature: settings.temperature,
+                validation: settings.validation,
+            }];
+        }),
+    );
+}
+
+const PROMPT_SET = loadPromptSetFromEnv();
+const PROMPT_VERSION = PROMPT_SET.version;
+const MODES = buildModes(PROMPT_SET);
+
+const MODE_IDS = Object.keys(MODES);
+
+// ─── Refinement ───────────────────────────────────────────────────────────────
+
+/*
+  Follow-up turn asking the model to improve on its own previous answer.  The
+  mode's system prompt still applies, so only the delta is spelled out here.
+  Guidance is the user's free-text note on what was wrong ("too vague",
+  "focus on the deadline"); without it the model is asked to sharpen.
+*/
+function refinementMessage(guidance) {
+    const direction = guidance
+        ? `The user's feedback on that answer: "${guidance}"\nAddress this feedback directly.`
+        : 'The user wants it sharper: more specific to their situation and less generic.';
+    return `Improve your previous answer.\n${direction}\n\nDo not repeat the previous answer or merely reword it. Follow all the original rules and reply with only the improved sentence.`;
+}
+
+function getMode(id = DEFAULT_MODE) {
+    // hasOwn guards against ids like "__proto__" resolving to Object.prototype
+    return typeof id === 'string' && Object.hasOwn(MODES, id) ? MODES[id] : null;
+}
+
+module.exports = {
+    DEFAULT_MODE,
+    PROMPT_VERSION,
+    MODES,
+    MODE_IDS,
+    buildModes,
+    getMode,
+    refinementMessage,
+};
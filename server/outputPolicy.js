@@ -0,0 +1,150 @@
+const { splitSentences, countWords } = require('./lib/sentences');
+const { QUESTION_MARKS } = require('./languages');
+
+/*
+  Server-side enforcement of the output contract promised in the UI
+  ("One sentence output guaranteed") and spelled out in every mode prompt.
+
+  Each rule can detect a violation and, where it is safe to do so, repair it
+  mechanically.  Anything that cannot be repaired without changing meaning
+  (advice, an over-long sentence, an empty answer) is flagged for
+  regeneration instead.
+
+  Rules are checked against the language the answer was asked for (an
+  entry of languages.js, or null when it is "whatever the input is in"),
+  so a question may end in ؟ or ？ where that language uses one.
+*/
+
+// ─── Rules ────────────────────────────────────────────────────────────────────
+
+const BULLET_LINE = /^\s*(?:[-*•‣▪]|\d+[.)])\s+/m;
+const EMOJI = /[\p{Extended_Pictographic}\u{1F1E6}-\u{1F1FF}]️?/gu;
+const SELF_REFERENCE_PREFIX = /^\s*(?:as\s+(?:clarity\s+ai|an?\s+(?:ai|assistant|language\s+model))|here(?:'s|\s+is)\s+(?:the|your|my)\s+(?:sentence|clarification|answer))\s*[,:—-]\s*/i;
+
+/*
+  The model talking about itself — "as an AI", "I'm a language model", "I
+  can't assist with…", "I'd suggest…".  Plain first person ("I think my
+  manager hates me") is left alone: answers restate the user's own words.
+*/
+const SELF_REFERENCE = new RegExp([
+    'as\\s+(?:clarity\\s+ai|an?\\s+(?:ai|assistant|language\\s+model))',
+    "i(?:['’]m|\\s+am)\\s+(?:just\\s+|only\\s+)?an?\\s+(?:ai|assistant|language\\s+model)",
+    "i\\s+(?:can(?:['’]|no)t|am\\s+(?:unable|not\\s+able)\\s+to)\\s+(?:assist|provide|answer|clarify|help\\s+with\\s+(?:this|that))",
+    "i(?:['’]d|\\s+would)\\s+(?:suggest|recommend|advise)",
+].map((part) => `\\b${part}\\b`).join('|'), 'i');
+const TRAILING_PUNCTUATION = /[.!?…。！？؟;]*$/;
+
+/*
+  Advice is an instruction to the user at the start of a sentence: "You
+  should…", "Try talking…", "Make sure to…", "I recommend…".  Describing a
+  situation in second person ("You need to decide whether…", "You feel
+  trapped because you must choose…") is what decision and feeling answers
+  do, so it is not advice.
+*/
+const ADVICE = /(?:^|[.!?]\s+)["'“‘]?(?:you\s+(?:should|ought\s+to|might\s+want\s+to|could\s+try)|(?:try|consider)\s+\w+ing|(?:make\s+sure|remember)\s+(?:to|that)|(?:don['’]t|do\s+not)\s+\w+|i\s+(?:recommend|suggest|advise)|it(?:['’]s|\s+is)\s+(?:important|essential|best)\s+to)\b/i;
+
+const RULES = [
+    {
+        id: 'empty',
+        test: (text) => !text.trim(),
+    },
+    {
+        id: 'bullets',
+        test: (text) => BULLET_LINE.test(text),
+        repair: (text) => text
+            .split('\n')
+            .map((line) => line.replace(BULLET_LINE, '').trim())
+            .filter(Boolean)
+            .join(' '),
+    },
+    {
+        id: 'emoji',
+        test: (text) => new RegExp(EMOJI.source, 'u').test(text),
+        repair: (text) => text.replace(EMOJI, '').replace(/\s{2,}/g, ' ').trim(),
+    },
+    {
+        id: 'self-reference',
+        test: (text) => SELF_REFERENCE.test(text) || SELF_REFERENCE_PREFIX.test(text),
+        // Only a leading "As Clarity AI, …" wrapper can be cut safely
+        repair: (text) => {
+            const stripped = text.replace(SELF_REFERENCE_PREFIX, '');
+            return stripped.charAt(0).toUpperCase() + stripped.slice(1);
+        },
+    },
+    {
+        id: 'advice',
+        test: (text, mode) => !mode.validation.allowAdvice && ADVICE.test(text),
+    },
+    {
+        id: 'too-many-sentences',
+        test: (text, mode) => splitSentences(text).length > mode.validation.maxSentences,
+        repair: (text, mode) => splitSentences(text).slice(0, mode.validation.maxSentences).join(' '),
+    },
+    {
+        id: 'too-long',
+        test: (text, mode) => countWords(text) > mode.validation.maxWords,
+    },
+    {
+        id: 'wrong-ending',
+        test: (text, mode, language) => Boolean(mode.validation.endsWith)
+            && !endingsFor(mode, language).some((ending) => text.trim().endsWith(ending)),
+        repair: (text, mode, language) => text.trim().replace(TRAILING_PUNCTUATION, endingsFor(mode, language)[0]),
+    },
+];
+
+// The endings a mode's answer may have in this language, preferred first
+function endingsFor(mode, language) {
+    const { endsWith } = mode.validation;
+    if (endsWith !== '?') return [endsWith];
+    return language ? [language.questionMark ?? '?'] : QUESTION_MARKS;
+}
+
+// ─── Public API ───────────────────────────────────────────────────────────────
+
+/* Ids of every rule the text breaks for this mode (empty array = valid). */
+function checkOutput(mode, text, language = null) {
+    return RULES.filter((rule) => rule.test(text, mode, language)).map((rule) => rule.id);
+}
+
+/*
+  Detect, then repair what can be repaired.
+
+  Returns:
+    text         — the (possibly repaired) output
+    violations   — every rule that fired on the ORIGINAL text
+    unresolved   — rules still broken after repair → caller should regenerate
+*/
+function enforceOutput(mode, original, language = null) {
+    const violations = checkOutput(mode, original, language);
+    let text = original.trim();
+
+    for (const rule of RULES) {
+        if (rule.repair && violations.includes(rule.id) && rule.test(text, mode, language)) {
+            text = rule.repair(text, mode, language).trim();
+        }
+    }
+
+    return { text, violations, unresolved: checkOutput(mode, text, language) };
+}
+
+const RULE_DESCRIPTIONS = {
+    'empty': 'The answer was empty.',
+    'bullets': 'Do not use bullet points or lists.',
+    'emoji': 'Do not use emojis.',
+    'self-reference': 'Do not refer to yourself.',
+    'advice': 'Do not give advice or tell the user what to do.',
+    'too-many-sentences': 'Write exactly ONE sentence.',
+    'too-long': 'Keep it shorter.',
+    'wrong-ending': 'Follow the required ending punctuation.',
+};
+
+/*
+  Follow-up user turn sent when asking the model to try again, naming the
+  rules its previous answer broke.
+*/
+function correctionMessage(violations) {
+    const reasons = violations.map((id) => `- ${RULE_DESCRIPTIONS[id]}`).join('\n');
+    return `Your previous answer broke these rules:\n${reasons}\n\nReply again with only the corrected sentence.`;
+}
+
+module.exports = { RULES, checkOutput, enforceOutput, correctionMessage };
@@ -0,0 +1,75 @@
+const fs = require('fs');
+const path = require('path');
+
+/*
+  Versioned prompt sets.  Each file in this directory (v1.json, v2.json, …)
+  holds the complete wording for every mode:
+
+    {
+      version, description,
+      rules: [...], style: [...],        shared by every mode
+      forbiddenPhrases: [...],           scored by the eval harness
+      modes: {
+        <mode id>: { task, goal, addRules?, dropRules?, addStyle?, dropStyle? }
+      }
+    }
+
+  A wording change is a new file, never an edit to a shipped one, so every
+  answer (and every eval report) can name the exact prompt behind it.
+
+    PROMPT_VERSION = version served by the API (default: the highest vN file)
+*/
+
+const PROMPTS_DIR = __dirname;
+const VERSION_FILE = /^v(\d+)\.json$/;
+
+const isStringList = (value) => Array.isArray(value) && value.every((item) => typeof item === 'string');
+
+// Every available version, oldest first
+function listPromptVersions(dir = PROMPTS_DIR) {
+    return fs.readdirSync(dir)
+        .map((file) => VERSION_FILE.exec(file))
+        .filter(Boolean)
+        .sort((a, b) => Number(a[1]) - Number(b[1]))
+        .map((match) => `v${match[1]}`);
+}
+
+function validatePromptSet(set, source) {
+    const fail = (message) => {
+        throw new Error(`Invalid prompt set ${source}: ${message}`);
+    };
+    if (typeof set.version !== 'string' || !set.version) fail('"version" must be a non-empty string');
+    if (!isStringList(set.rules) || !isStringList(set.style)) fail('"rules" and "style" must be string arrays');
+    if (set.forbiddenPhrases !== undefined && !isStringList(set.forbiddenPhrases)) fail('"forbiddenPhrases" must be a string array');
+    if (!set.modes || typeof set.modes !== 'object') fail('"modes" must be an object');
+
+    for (const [id, mode] of Object.entries(set.modes)) {
+        if (typeof mode.task !== 'string' || typeof mode.goal !== 'string') fail(`mode "${id}" needs "task" and "goal"`);
+        for (const key of ['addRules', 'dropRules', 'addStyle', 'dropStyle']) {
+            if (mode[key] !== undefined && !isStringList(mode[key])) fail(`mode "${id}": "${key}" must be a string array`);
+        }
+    }
+    return set;
+}
+
+/*
+  Load a prompt set by version ("v2") or by file path (a draft that has not
+  been given a version yet — handy for evals).  Throws on unknown versions
+  and malformed files, so a bad deploy fails at startup.
+*/
+function loadPromptSet(versionOrPath, { dir = PROMPTS_DIR } = {}) {
+    const file = versionOrPath.endsWith('.json')
+        ? path.resolve(versionOrPath)
+        : path.join(dir, `${versionOrPath}.json`);
+
+    if (!fs.existsSync(file)) {
+        throw new Error(`Unknown prompt version "${versionOrPath}". Available: ${listPromptVersions(dir).join(', ')}`);
+    }
+    return validatePromptSet(JSON.parse(fs.readFileSync(file, 'utf8')), file);
+}
+
+function loadPromptSetFromEnv(env = process.env) {
+    return loadPromptSet(env.PROMPT_VERSION || listPromptVersions().at(-1));
+}
+
+module.exports = { PROMPTS_DIR, listPromptVersions, loadPromptSet, loadPromptSetFromEnv };
@@ -0,0 +1,123 @@
+const { createCircuitBreaker } = require('../lib/circuitBreaker');
+const { ProviderError } = require('./http');
+
+/*
+  Ordered fallback chain of providers/models.
+
+  `open()` tries each upstream in turn until one produces its first chunk.
+  An upstream is skipped when its circuit breaker is open, and the chain
+  moves on to the next one when the attempt fails with a retryable error:
+
+    - 429 (rate limited) or any 5xx
+    - no first chunk within `timeoutMs`
+    - network failure (no HTTP status at all)
+
+  Anything else (400, 401, …) is a request or configuration problem that the
+  next upstream would not fix, so it is thrown straight away.
+
+  Fallback only happens BEFORE the first token — once text has been sent to
+  the client, switching models would splice two different answers together.
+*/
+
+class UpstreamTimeoutError extends Error {
+    constructor(provider, timeoutMs) {
+        super(`${provider.name}/${provider.model} sent nothing within ${timeoutMs} ms`);
+        this.name = 'UpstreamTimeoutError';
+        this.status = 504;
+    }
+}
+
+function isRetryable(error) {
+    if (error instanceof UpstreamTimeoutError) return true;
+    if (error.status === undefined) return true;
+    return error.status === 429 || error.status >= 500;
+}
+
+function createProviderChain(providers, {
+    timeoutMs = 10_000,
+    failureThreshold,
+    cooldownMs,
+    logger = console,
+} = {}) {
+    if (providers.length === 0) throw new Error('Provider chain needs at least one provider');
+
+    const upstreams = providers.map((provider) => ({
+        provider,
+        breaker: createCircuitBreaker({ failureThreshold, cooldownMs }),
+    }));
+
+    /*
+      Start one provider's stream and wait for its first chunk, aborting the
+      attempt if it takes longer than timeoutMs.  Returns the live iterator and
+      the pre-fetched first result so nothing is lost.
+    */
+    async function attempt(provider, request) {
+        const controller = new AbortController();
+        const signal = request.signal
+            ? AbortSignal.any([request.signal, controller.signal])
+            : controller.signal;
+
+        const timer = setTimeout(() => controller.abort(new UpstreamTimeoutError(provider, timeoutMs)), timeoutMs);
+        try {
+            const iterator = provider.stream({ ...request, signal })[Symbol.asyncIterator]();
+            const first = await Promise.race([
+                iterator.next(),
+                new Promise((_, reject) => {
+                    controller.signal.addEventListener('abort', () => reject(controller.signal.reason), { once: true });
+                }),
+            ]);
+            return { iterator, first };
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    return {
+        upstreams,
+
+        async open(request) {
+            let lastError = null;
+
+            for (const { provider, breaker } of upstreams) {
+                if (!provider.configured || !breaker.canRequest()) continue;
+
+                try {
+                    const { iterator, first } = await attempt(provider, request);
+                    breaker.recordSuccess();
+
+                    return {
+                        provider,
+                        fallback: provider !== upstreams[0].provider,
+                        chunks: (async function* () {
+                            for (let next = first; !next.done; next = await iterator.next()) {
+                                yield next.value;
+                            }
+                        })(),
+                    };
+                } catch (error) {
+                    if (request.signal?.aborted) {
+                        breaker.release();
+                        throw error;
+                    }
+                    if (!isRetryable(error)) {
+                        // Upstream answered, just not happily — it is still healthy
+                        breaker.recordSuccess();
+                        throw error;
+                    }
+
+                    breaker.recordFailure();
+                    lastError = error;
+                    logger.warn('[provider-chain] upstream failed, trying next', {
+                        provider: provider.name,
+                        model: provider.model,
+                        reason: error.status ?? error.name,
+                    });
+                }
+            }
+
+            throw lastError || new ProviderError('No LLM provider is currently available', { status: 503 });
+        },
+    };
+}
+
+module.exports = { createProviderChain, isRetryable, UpstreamTimeoutError };
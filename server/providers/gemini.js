@@ -0,0 +1,67 @@
+const { postStream, readSSE } = require('./http');
+
+const GEMINI_BASE_URL = 'https://generativelanguage.googleapis.com/v1beta';
+
+/*
+  Google Gemini via the REST streamGenerateContent endpoint (alt=sse).
+  Called directly with fetch rather than @google/generative-ai so the server
+  does not carry a second vendor SDK for one endpoint.
+
+  Gemini has no "system" role in `contents`: the system prompt goes in
+  systemInstruction, and assistant turns use the role name "model".
+*/
+function toGeminiRequest(messages, { maxTokens, temperature }) {
+    const system = messages.filter((m) => m.role === 'system').map((m) => m.content).join('\n\n');
+    const contents = messages
+        .filter((m) => m.role !== 'system')
+        .map((m) => ({
+            role: m.role === 'assistant' ? 'model' : 'user',
+            parts: [{ text: m.content }],
+        }));
+
+    return {
+        ...(system && { systemInstruction: { parts: [{ text: system }] } }),
+        contents,
+        generationConfig: { maxOutputTokens: maxTokens, temperature },
+    };
+}
+
+function createGeminiProvider({ apiKey, model = 'gemini-1.5-flash' } = {}) {
+    return {
+        name: 'gemini',
+        model,
+        configured: Boolean(apiKey),
+
+        async *stream({ messages, maxTokens, temperature, signal }) {
+            const url = `${GEMINI_BASE_URL}/models/${encodeURIComponent(model)}:streamGenerateContent?alt=sse`;
+            const res = await postStream(url, {
+                provider: 'gemini',
+                // Header instead of ?key= so the key never lands in proxy access logs
+                headers: { 'x-goog-api-key': apiKey },
+                body: toGeminiRequest(messages, { maxTokens, temperature }),
+                signal,
+            });
+
+            let usage = null;
+            for await (const event of readSSE(res.body)) {
+                const parts = event.candidates?.[0]?.content?.parts || [];
+                for (const part of parts) {
+                    if (part.text) yield { text: part.text };
+                }
+                // usageMetadata is cumulative — keep the last one seen
+                if (event.usageMetadata) usage = event.usageMetadata;
+            }
+
+            if (usage) {
+                yield {
+                    usage: {
+                        promptTokens: usage.promptTokenCount,
+                        completionTokens: usage.candidatesTokenCount,
+                    },
+                };
+            }
+        },
+    };
+}
+
+module.exports = { createGeminiProvider };
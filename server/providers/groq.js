@@ -0,0 +1,49 @@
+const Groq = require('groq-sdk');
+const { ProviderError } = require('./http');
+
+/*
+  Groq provider — the original backend.  The SDK client is created once per
+  provider instance (i.e. once at module load) rather than per request, so
+  the HTTP agent is reused across calls.  The SDK throws on construction
+  without a key, so an unconfigured provider gets no client and fails at
+  call time instead of crashing the whole server at boot.
+*/
+function createGroqProvider({ apiKey, model = 'llama-3.1-8b-instant' } = {}) {
+    const client = apiKey ? new Groq({ apiKey }) : null;
+
+    return {
+        name: 'groq',
+        model,
+        configured: Boolean(apiKey),
+
+        async *stream({ messages, maxTokens, temperature, signal }) {
+            if (!client) throw new ProviderError('GROQ_API_KEY is not set', { status: 500, provider: 'groq' });
+
+            const stream = await client.chat.completions.create({
+                messages,
+                model,
+                max_tokens: maxTokens,
+                temperature,
+                stream: true,
+            }, { signal });
+
+            for await (const chunk of stream) {
+                const content = chunk.choices[0]?.delta?.content || '';
+                if (content) yield { text: content };
+
+                // Groq reports token usage on the final chunk under x_groq
+                const usage = chunk.x_groq?.usage;
+                if (usage) {
+                    yield {
+                        usage: {
+                            promptTokens: usage.prompt_tokens,
+                            completionTokens: usage.completion_tokens,
+                        },
+                    };
+                }
+            }
+        },
+    };
+}
+
+module.exports = { createGroqProvider };
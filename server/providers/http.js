@@ -0,0 +1,105 @@
+/*
+  Shared HTTP helpers for providers that talk to an upstream over plain
+  fetch() instead of a vendor SDK (Gemini, OpenAI-compatible servers).
+  Node 18+ ships fetch globally, so no extra dependency is needed.
+*/
+
+/*
+  Error thrown for any non-2xx upstream response.  `status` mirrors the
+  shape of the Groq SDK's APIError so the route handler can treat every
+  provider's failures the same way (429 → busy, anything else → 500).
+*/
+class ProviderError extends Error {
+    constructor(message, { status, provider } = {}) {
+        super(message);
+        this.name = 'ProviderError';
+        this.status = status;
+        this.provider = provider;
+    }
+}
+
+async function postStream(url, { headers = {}, body, signal, provider }) {
+    const res = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: JSON.stringify(body),
+        signal,
+    });
+
+    if (!res.ok) {
+        /*
+          Read the body for the server log only — callers must never forward
+          this message to the client (it may echo request details back).
+        */
+        let detail = '';
+        try { detail = (await res.text()).slice(0, 200); } catch { /* ignore */ }
+        throw new ProviderError(`${provider} responded ${res.status}: ${detail}`, {
+            status: res.status,
+            provider,
+        });
+    }
+
+    return res;
+}
+
+/*
+  Parse a text/event-stream body into the JSON payload of each `data:` line.
+  Buffers across chunk boundaries so an event split between two network
+  reads is reassembled before parsing.  Stops at the OpenAI-style
+  `data: [DONE]` sentinel.
+
+  Lines may end in LF, CRLF or CR (the SSE spec allows all three; Gemini's
+  alt=sse stream uses CRLF), so line endings are normalized to LF before
+  looking for the blank line that ends an event.  A CR at the very end of
+  the buffer is held back: it may be the first half of a CRLF split across
+  two reads.
+*/
+const DONE = Symbol('done');
+
+async function* readSSE(body) {
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    // Complete events at the front of the buffer: the JSON of each data line, or the DONE sentinel
+    function* takeEvents() {
+        let boundary;
+        while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+            const rawEvent = buffer.slice(0, boundary);
+            buffer = buffer.slice(boundary + 2);
+
+            for (const line of rawEvent.split('\n')) {
+                if (!line.startsWith('data:')) continue;
+                const data = line.slice(5).trim();
+                if (!data) continue;
+                if (data === '[DONE]') {
+                    yield DONE;
+                    return;
+                }
+                try {
+                    yield JSON.parse(data);
+                } catch {
+                    // Ignore keep-alive or malformed lines rather than failing the stream
+                }
+            }
+        }
+    }
+
+    for await (const chunk of body) {
+        const text = buffer + decoder.decode(chunk, { stream: true });
+        const carry = text.endsWith('\r') ? '\r' : '';
+        buffer = text.slice(0, text.length - carry.length).replace(/\r\n?/g, '\n') + carry;
+        for (const event of takeEvents()) {
+            if (event === DONE) return;
+            yield event;
+        }
+    }
+
+    // The body has ended, so a held-back CR was a line ending on its own
+    buffer = buffer.replace(/\r/g, '\n');
+    for (const event of takeEvents()) {
+        if (event === DONE) return;
+        yield event;
+    }
+}
+
+module.exports = { ProviderError, postStream, readSSE };
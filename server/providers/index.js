@@ -0,0 +1,113 @@
+const { createGroqProvider } = require('./groq');
+const { createGeminiProvider } = require('./gemini');
+const { createOpenAIProvider } = require('./openai');
+const { createMockProvider } = require('./mock');
+const { createProviderChain } = require('./chain');
+const { ProviderError } = require('./http');
+
+/*
+  Provider registry.  Every provider exposes the same shape:
+
+    {
+      name:       'groq' | 'gemini' | 'openai' | 'mock',
+      model:      string,
+      configured: boolean,           // has the credentials/URL it needs
+      stream({ messages, maxTokens, temperature, signal })
+        → async iterable of { text } | { usage: { promptTokens, completionTokens } }
+    }
+
+  The /api/clarify handler only ever talks to this interface, so adding a
+  provider means adding one factory here — the SSE framing stays untouched.
+*/
+const FACTORIES = {
+    groq: (env, model) => createGroqProvider({
+        apiKey: env.GROQ_API_KEY,
+        model,
+    }),
+    gemini: (env, model) => createGeminiProvider({
+        apiKey: env.GEMINI_API_KEY,
+        model,
+    }),
+    openai: (env, model) => createOpenAIProvider({
+        apiKey: env.OPENAI_API_KEY,
+        baseURL: env.OPENAI_BASE_URL,
+        model,
+    }),
+    mock: (env, model) => createMockProvider({
+        model,
+        delayMs: parseInt(env.MOCK_DELAY_MS, 10) || 0,
+    }),
+};
+
+const PROVIDER_NAMES = Object.keys(FACTORIES);
+
+/*
+  Build a provider by name.  `model` is optional — each factory falls back
+  to its own sensible default when it is undefined.
+*/
+function createProvider(name, { env = process.env, model } = {}) {
+    const factory = FACTORIES[name];
+    if (!factory) {
+        throw new Error(`Unknown LLM provider "${name}". Expected one of: ${PROVIDER_NAMES.join(', ')}`);
+    }
+    return factory(env, model || undefined);
+}
+
+/*
+  Provider selected by configuration:
+    LLM_PROVIDER = groq (default) | gemini | openai | mock
+    LLM_MODEL    = optional model override for that provider
+*/
+function createProviderFromEnv(env = process.env) {
+    return createProvider(env.LLM_PROVIDER || 'groq', { env, model: env.LLM_MODEL });
+}
+
+/*
+  "groq:llama-3.3-70b-versatile, gemini, mock" → [{ name, model }, …]
+  Only the first colon separates provider from model, because model ids
+  themselves may contain colons (Ollama tags such as "llama3.1:8b").
+*/
+function parseProviderList(spec = '') {
+    return spec
+        .split(',')
+        .map((entry) => entry.trim())
+        .filter(Boolean)
+        .map((entry) => {
+            const colon = entry.indexOf(':');
+            return colon === -1
+                ? { name: entry, model: undefined }
+                : { name: entry.slice(0, colon), model: entry.slice(colon + 1) };
+        });
+}
+
+/*
+  Fallback chain selected by configuration: the primary provider from
+  LLM_PROVIDER/LLM_MODEL, followed by every entry in LLM_FALLBACKS.
+
+    LLM_FALLBACKS             = e.g. "groq:llama-3.3-70b-versatile,gemini,mock"
+    LLM_TIMEOUT_MS            = time allowed for an upstream's first token (10000)
+    BREAKER_FAILURE_THRESHOLD = consecutive failures that open a breaker (3)
+    BREAKER_COOLDOWN_MS       = how long an open breaker refuses calls (30000)
+*/
+function createProviderChainFromEnv(env = process.env, { logger } = {}) {
+    const providers = [
+        createProviderFromEnv(env),
+        ...parseProviderList(env.LLM_FALLBACKS).map(({ name, model }) => createProvider(name, { env, model })),
+    ];
+
+    return createProviderChain(providers, {
+        timeoutMs: parseInt(env.LLM_TIMEOUT_MS, 10) || undefined,
+        failureThreshold: parseInt(env.BREAKER_FAILURE_THRESHOLD, 10) || undefined,
+        cooldownMs: parseInt(env.BREAKER_COOLDOWN_MS, 10) || undefined,
+        logger,
+    });
+}
+
+module.exports = {
+    PROVIDER_NAMES,
+    ProviderError,
+    createProvider,
+    createProviderFromEnv,
+    createProviderChainFromEnv,
+    parseProviderList,
+};
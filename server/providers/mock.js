@@ -0,0 +1,71 @@
+const { estimateTokens } = require('../lib/tokens');
+
+/*
+  Deterministic offline provider.  Produces a plausible single sentence from
+  the user's message without any network call or API key, so the full
+  SSE path can be developed and exercised on a laptop or in CI.
+
+  Same input → same output, every time.  Tokens are streamed word by word
+  with an optional delay (MOCK_DELAY_MS) to mimic real streaming latency.
+*/
+
+const MAX_WORDS = 24;
+
+function mockSentence(input) {
+    const firstClause = String(input)
+        .replace(/\s+/g, ' ')
+        .trim()
+        .split(/(?<=[.!?])\s|[;:\n]/)[0]
+        .replace(/[.!?,\s]+$/, '');
+
+    const words = firstClause.split(' ').filter(Boolean).slice(0, MAX_WORDS);
+    if (words.length === 0) return 'The core issue is not yet clear.';
+
+    // Lower-case the leading word so it reads mid-sentence — but never "I" / "I'm"
+    if (!/^I(\b|')/.test(words[0])) {
+        words[0] = words[0].charAt(0).toLowerCase() + words[0].slice(1);
+    }
+    return `The core issue is that ${words.join(' ')}.`;
+}
+
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+    const onAbort = () => {
+        clearTimeout(timer);
+        reject(signal.reason);
+    };
+    // One sleep per word: the listener must go with its timer, or they pile up on the signal
+    const timer = setTimeout(() => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+});
+
+function createMockProvider({ model = 'mock-1', delayMs = 0 } = {}) {
+    return {
+        name: 'mock',
+        model,
+        configured: true,
+
+        async *stream({ messages, signal }) {
+            // Follow-up turns (corrections, refinements) reuse the original text
+            const firstUser = messages.find((m) => m.role === 'user');
+            const sentence = mockSentence(firstUser?.content || '');
+
+            const words = sentence.split(' ');
+            for (let i = 0; i < words.length; i++) {
+                if (delayMs > 0) await sleep(delayMs, signal);
+                yield { text: i === 0 ? words[i] : ` ${words[i]}` };
+            }
+
+            yield {
+                usage: {
+                    promptTokens: estimateTokens(messages.map((m) => m.content).join('')),
+                    completionTokens: estimateTokens(sentence),
+                },
+            };
+        },
+    };
+}
+
+module.exports = { createMockProvider, mockSentence };
@@ -0,0 +1,53 @@
+const { postStream, readSSE } = require('./http');
+
+/*
+  Any server that speaks the OpenAI /v1/chat/completions streaming dialect:
+  OpenAI itself, a local Ollama (http://localhost:11434/v1) or a llama.cpp
+  server (http://localhost:8081/v1).  Local servers usually ignore the API
+  key, so it is optional — but one of the two must be set: the default
+  address alone does not make the provider configured, so an unset
+  `openai` fallback is skipped rather than tried against a local Ollama.
+*/
+const DEFAULT_BASE_URL = 'http://localhost:11434/v1';
+
+function createOpenAIProvider({ apiKey, baseURL, model = 'llama3.1' } = {}) {
+    const url = `${(baseURL || DEFAULT_BASE_URL).replace(/\/+$/, '')}/chat/completions`;
+
+    return {
+        name: 'openai',
+        model,
+        configured: Boolean(baseURL || apiKey),
+
+        async *stream({ messages, maxTokens, temperature, signal }) {
+            const res = await postStream(url, {
+                provider: 'openai',
+                headers: apiKey ? { Authorization: `Bearer ${apiKey}` } : {},
+                body: {
+                    model,
+                    messages,
+                    max_tokens: maxTokens,
+                    temperature,
+                    stream: true,
+                    stream_options: { include_usage: true },
+                },
+                signal,
+            });
+
+            for await (const event of readSSE(res.body)) {
+                const content = event.choices?.[0]?.delta?.content || '';
+                if (content) yield { text: content };
+
+                if (event.usage) {
+                    yield {
+                        usage: {
+                            promptTokens: event.usage.prompt_tokens,
+                            completionTokens: event.usage.completion_tokens,
+                        },
+                    };
+                }
+            }
+        },
+    };
+}
+
+module.exports = { createOpenAIProvider };
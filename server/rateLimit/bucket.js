@@ -0,0 +1,25 @@
+/*
+  Token-bucket arithmetic shared by the memory store and (as Lua) the Redis
+  store, so both behave identically.
+
+  The bucket refills continuously at refillPerMs up to capacity.  A request
+  costing `cost` is allowed if that many tokens are available; `force`
+  takes them regardless (the balance may go negative — debt that later
+  refills must pay off first).  cost 0 is a read-only peek.
+
+  ttlMs is how long the state must be kept: the time to refill from the new
+  level, after which a missing bucket (full) means the same thing.  A
+  fixed TTL would forget a debt that takes longer than that to pay off.
+*/
+function takeFromBucket(state, { capacity, refillPerMs, cost, force, now }) {
+    const elapsed = state ? Math.max(0, now - state.updatedAt) : 0;
+    let tokens = state ? Math.min(capacity, state.tokens + elapsed * refillPerMs) : capacity;
+
+    const allowed = force || tokens >= cost;
+    if (allowed) tokens -= cost;
+
+    const ttlMs = Math.max(1, Math.ceil((capacity - tokens) / refillPerMs));
+    return { allowed, tokens, ttlMs, state: { tokens, updatedAt: now } };
+}
+
+module.exports = { takeFromBucket };
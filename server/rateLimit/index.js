@@ -0,0 +1,167 @@
+const { createLimiter } = require('./limiter');
+const { createMemoryRateLimitStore } = require('./memoryStore');
+const { createRedisRateLimitStore } = require('./redisStore');
+
+/*
+  Rate limits for /api/clarify, selected by configuration:
+
+    RATE_LIMIT_ALGORITHM   = sliding-window (default) | token-bucket
+    RATE_LIMIT_STORE       = memory (default) | redis   (redis uses REDIS_URL)
+    RATE_LIMIT_MAX_REQS    = requests per window per client (default 10)
+    RATE_LIMIT_WINDOW_MS   = request window (default 60000)
+    TOKEN_QUOTA            = LLM tokens per quota window per client (default 0 = off)
+    TOKEN_QUOTA_WINDOW_MS  = token quota window (default 3600000)
+
+  Returns { requests, tokens, requestsFor, check } — `tokens` is null when
+  the quota is off; requestsFor(apiKey) gives the request limiter for a
+  caller; check() runs both limits for one request.  Other routes take the
+  request limit as middleware (createRateLimitMiddleware).
+*/
+function createRateLimitsFromEnv(env = process.env, { logger = console } = {}) {
+    const storeKind = env.RATE_LIMIT_STORE || 'memory';
+    let store;
+    switch (storeKind) {
+        case 'memory':
+            store = createMemoryRateLimitStore();
+            break;
+        case 'redis':
+            store = createRedisRateLimitStore({ url: env.REDIS_URL });
+            break;
+        default:
+            throw new Error(`Unknown RATE_LIMIT_STORE "${storeKind}". Expected one of: memory, redis`);
+    }
+
+    const algorithm = env.RATE_LIMIT_ALGORITHM || 'sliding-window';
+    const tokenQuota = parseInt(env.TOKEN_QUOTA, 10) || 0;
+
+    const requests = createLimiter({
+        algorithm,
+        store,
+        prefix: 'req',
+        unit: 'requests',
+        limit: parseInt(env.RATE_LIMIT_MAX_REQS, 10) || 10,
+        windowMs: parseInt(env.RATE_LIMIT_WINDOW_MS, 10) || 60_000,
+    });
+
+    /*
+      API keys may carry their own { maxReqs, windowMs }.  One limiter per
+      distinct config, created on first use; the limit key (key id vs IP) is
+      chosen by the caller.
+    */
+    const perKey = new Map();
+    function requestsFor(apiKey) {
+        const config = apiKey?.rateLimit;
+        if (!config) return requests;
+
+        const id = `${config.maxReqs}/${config.windowMs}`;
+        if (!perKey.has(id)) {
+            perKey.set(id, createLimiter({
+                algorithm,
+                store,
+                prefix: `req${id}`,
+                unit: 'requests',
+                limit: config.maxReqs,
+                windowMs: config.windowMs,
+            }));
+        }
+        return perKey.get(id);
+    }
+
+    const tokens = tokenQuota > 0
+        ? createLimiter({
+            algorithm,
+            store,
+            prefix: 'tok',
+            unit: 'tokens',
+            limit: tokenQuota,
+            windowMs: parseInt(env.TOKEN_QUOTA_WINDOW_MS, 10) || 60 * 60_000,
+        })
+        : null;
+
+    /*
+      Take one request from the caller's limit and peek the token quota with
+      an estimate (the real usage is charged once the answer is complete).
+      countRequest: false only peeks the quota, for a request already
+      counted.
+      Resolves to the list of decisions; any one with allowed: false refuses
+      the request.  A store outage must not take the whole API down, so
+      errors fail open with no decisions — logged on `log`, the request's
+      logger when the caller has one.
+    */
+    async function check({ apiKey, limitKey, tokenEstimate, countRequest = true, log = logger }) {
+        try {
+            const decisions = countRequest ? [await requestsFor(apiKey).hit(limitKey)] : [];
+            if (tokens) decisions.push(await tokens.peek(limitKey, tokenEstimate));
+            return decisions;
+        } catch (error) {
+            log.error('[rate-limit] store error', { err: error });
+            return [];
+        }
+    }
+
+    return {
+        store,
+        requests,
+        requestsFor,
+        tokens,
+        check,
+    };
+}
+
+/*
+  Keyed callers are limited per key (with the key's own limit, if it has
+  one); anonymous callers per IP.
+*/
+function limitKeyFor(req) {
+    return req.apiKey
+        ? `key:${req.apiKey.id}`
+        : `ip:${req.ip || req.socket?.remoteAddress || 'unknown'}`;
+}
+
+/*
+  Request limit for the routes around a clarification (feedback, share
+  links): the caller's request limit, API-key overrides included, counted
+  per route so rating or sharing an answer does not use up a
+  clarification.  No token quota — these routes make no model calls.
+  Fails open on store errors, like check().
+*/
+function createRateLimitMiddleware(rateLimits, { route, metrics = null }) {
+    return async (req, res, next) => {
+        let decision;
+        try {
+            decision = await rateLimits.requestsFor(req.apiKey).hit(`${route}:${limitKeyFor(req)}`);
+        } catch (error) {
+            req.log.error('[rate-limit] store error', { err: error });
+            return next();
+        }
+        setRateLimitHeaders(res, [decision]);
+        if (decision.allowed) return next();
+
+        metrics?.rateLimitRejections.inc({ route, unit: decision.unit });
+        return res
+            .status(429)
+            .set('Retry-After', String(Math.max(1, Math.ceil(decision.resetMs / 1000))))
+            .json({ error: 'Too many requests. Please wait a moment and try again.' });
+    };
+}
+
+/*
+  Standard RateLimit-* headers (IETF httpapi draft) so clients can show the
+  remaining quota.  With several limits in play, the headers describe the
+  one that refused the request, else the one closest to running out;
+  RateLimit-Policy lists all of them.
+*/
+function setRateLimitHeaders(res, decisions) {
+    if (decisions.length === 0) return;
+
+    const tightest = decisions.find((d) => !d.allowed)
+        || decisions.reduce((a, b) => (b.remaining / b.limit < a.remaining / a.limit ? b : a));
+    res.setHeader('RateLimit-Limit', String(tightest.limit));
+    res.setHeader('RateLimit-Remaining', String(tightest.remaining));
+    res.setHeader('RateLimit-Reset', String(Math.ceil(tightest.resetMs / 1000)));
+    res.setHeader('RateLimit-Policy', decisions
+        .map((d) => `${d.limit};w=${Math.ceil(d.windowMs / 1000)}${d.unit ? `;comment="${d.unit}"` : ''}`)
+        .join(', '));
+}
+
+module.exports = { createRateLimitsFromEnv, createRateLimitMiddleware, limitKeyFor, setRateLimitHeaders };
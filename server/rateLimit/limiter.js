@@ -0,0 +1,116 @@
+/*
+  A limiter enforces `limit` units per `windowMs` for each key (client IP,
+  API key…).  Units are requests for the request limiter and LLM tokens for
+  the token quota.  Every method resolves to the same decision shape:
+
+    { allowed, limit, remaining, resetMs, windowMs, unit }
+
+    hit(key, cost = 1)   take `cost` units if they fit; refuse otherwise
+    peek(key, cost = 1)  would `cost` units fit right now? (takes nothing)
+    charge(key, cost)    take `cost` units unconditionally — used to bill
+                         the real token usage once an answer has finished
+
+  Two algorithms:
+
+    sliding-window  Weighted sum of the current and previous fixed windows.
+                    Smooths the burst a fixed window allows at its boundary
+                    while costing only two counters per key.
+    token-bucket    Bucket of `limit` units refilled continuously over
+                    `windowMs`.  Allows short bursts up to `limit`, then a
+                    steady rate.
+*/
+
+function createSlidingWindowLimiter({ store, limit, windowMs, prefix, unit, now = Date.now }) {
+    async function decide(key, cost, { consume, force }) {
+        const t = now();
+        const window = Math.floor(t / windowMs);
+        const elapsed = t - window * windowMs;
+        const currentKey = `${prefix}:${key}:${window}`;
+
+        const [previous, current] = await Promise.all([
+            store.get(`${prefix}:${key}:${window - 1}`),
+            store.get(currentKey),
+        ]);
+        let used = previous * (1 - elapsed / windowMs) + current;
+
+        /*
+          Check-then-increment is not atomic across instances: two requests
+          racing on the last unit may both pass.  Over-admitting by one is an
+          acceptable trade for staying on plain GET/INCRBY.
+        */
+        const allowed = force || used + cost <= limit;
+        if (allowed && consume && cost > 0) {
+            // Kept for two windows: the next window still weighs this one
+            await store.incr(currentKey, cost, windowMs * 2);
+            used += cost;
+        }
+
+        return {
+            allowed,
+            limit,
+            remaining: Math.max(0, Math.floor(limit - used)),
+            resetMs: windowMs - elapsed,
+            windowMs,
+            unit,
+        };
+    }
+
+    return {
+        limit,
+        windowMs,
+        hit: (key, cost = 1) => decide(key, cost, { consume: true, force: false }),
+        peek: (key, cost = 1) => decide(key, cost, { consume: false, force: false }),
+        charge: (key, cost) => decide(key, cost, { consume: true, force: true }),
+    };
+}
+
+function createTokenBucketLimiter({ store, limit, windowMs, prefix, unit }) {
+    const refillPerMs = limit / windowMs;
+
+    async function decide(key, cost, { consume, force }) {
+        const bucketKey = `${prefix}:${key}`;
+        const { allowed, tokens } = await store.takeFromBucket(bucketKey, {
+            capacity: limit,
+            refillPerMs,
+            // A peek is a take of nothing: it refills and reports without spending
+            cost: consume ? cost : 0,
+            force,
+        });
+
+        const fits = consume ? allowed : tokens >= cost;
+        // Refused: time until `cost` units are back.  Allowed: time until full.
+        const missing = fits ? limit - tokens : cost - tokens;
+
+        return {
+            allowed: fits,
+            limit,
+            remaining: Math.max(0, Math.floor(tokens)),
+            resetMs: Math.max(0, Math.ceil(missing / refillPerMs)),
+            windowMs,
+            unit,
+        };
+    }
+
+    return {
+        limit,
+        windowMs,
+        hit: (key, cost = 1) => decide(key, cost, { consume: true, force: false }),
+        peek: (key, cost = 1) => decide(key, cost, { consume: false, force: false }),
+        charge: (key, cost) => decide(key, cost, { consume: true, force: true }),
+    };
+}
+
+const ALGORITHMS = {
+    'sliding-window': createSlidingWindowLimiter,
+    'token-bucket': createTokenBucketLimiter,
+};
+
+function createLimiter({ algorithm = 'sliding-window', ...options }) {
+    const factory = ALGORITHMS[algorithm];
+    if (!factory) {
+        throw new Error(`Unknown rate-limit algorithm "${algorithm}". Expected one of: ${Object.keys(ALGORITHMS).join(', ')}`);
+    }
+    return factory(options);
+}
+
+module.exports = { createLimiter };
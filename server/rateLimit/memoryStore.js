@@ -0,0 +1,51 @@
+const { takeFromBucket } = require('./bucket');
+
+/*
+  In-process rate-limit state.  Fine for a single instance; resets on
+  restart and is not shared between instances — use the Redis store for that.
+*/
+function createMemoryRateLimitStore({ now = Date.now } = {}) {
+    const counters = new Map(); // key → { value, expiresAt }
+    const buckets = new Map();  // key → { tokens, updatedAt, expiresAt }
+
+    /*
+      Prune stale entries periodically so the Maps don't grow without bound
+      in long-running deployments.  unref() so the timer never keeps the
+      process alive on its own.
+    */
+    setInterval(() => {
+        const t = now();
+        for (const map of [counters, buckets]) {
+            for (const [key, entry] of map) {
+                if (t >= entry.expiresAt) map.delete(key);
+            }
+        }
+    }, 5 * 60_000).unref();
+
+    return {
+        kind: 'memory',
+
+        async get(key) {
+            const entry = counters.get(key);
+            return entry && now() < entry.expiresAt ? entry.value : 0;
+        },
+
+        async incr(key, amount, ttlMs) {
+            const t = now();
+            const entry = counters.get(key);
+            const value = (entry && t < entry.expiresAt ? entry.value : 0) + amount;
+            counters.set(key, { value, expiresAt: entry && t < entry.expiresAt ? entry.expiresAt : t + ttlMs });
+            return value;
+        },
+
+        async takeFromBucket(key, options) {
+            const t = now();
+            const entry = buckets.get(key);
+            const { allowed, tokens, ttlMs, state } = takeFromBucket(entry && t < entry.expiresAt ? entry : null, { ...options, now: t });
+            buckets.set(key, { ...state, expiresAt: t + ttlMs });
+            return { allowed, tokens };
+        },
+    };
+}
+
+module.exports = { createMemoryRateLimitStore };
@@ -0,0 +1,60 @@
+const { createRedisClient } = require('../lib/redis');
+
+/*
+  Rate-limit state in Redis (or any RESP server with EVAL support), shared
+  by every server instance.  Counters use INCRBY + PEXPIRE; the token bucket
+  runs as a Lua script so read-refill-take-write is atomic.
+
+  Keep the Lua below in step with bucket.js.
+*/
+const TAKE_FROM_BUCKET = `
+local capacity = tonumber(ARGV[1])
+local refill   = tonumber(ARGV[2])
+local cost     = tonumber(ARGV[3])
+local force    = ARGV[4] == '1'
+local now      = tonumber(ARGV[5])
+
+local state  = redis.call('HMGET', KEYS[1], 'tokens', 'updatedAt')
+local tokens = capacity
+if state[1] then
+    local elapsed = math.max(0, now - tonumber(state[2]))
+    tokens = math.min(capacity, tonumber(state[1]) + elapsed * refill)
+end
+
+local allowed = force or tokens >= cost
+if allowed then tokens = tokens - cost end
+
+redis.call('HSET', KEYS[1], 'tokens', tostring(tokens), 'updatedAt', tostring(now))
+-- Kept until it has refilled, debt included
+redis.call('PEXPIRE', KEYS[1], math.max(1, math.ceil((capacity - tokens) / refill)))
+return { allowed and 1 or 0, tostring(tokens) }
+`;
+
+function createRedisRateLimitStore({ url, prefix = 'clarity:rl:', now = Date.now } = {}) {
+    const redis = createRedisClient(url);
+
+    return {
+        kind: 'redis',
+
+        async get(key) {
+            return Number(await redis.command('GET', prefix + key)) || 0;
+        },
+
+        async incr(key, amount, ttlMs) {
+            const value = await redis.command('INCRBY', prefix + key, amount);
+            // Only the first increment of a window sets its expiry
+            if (value === amount) await redis.command('PEXPIRE', prefix + key, ttlMs);
+            return value;
+        },
+
+        async takeFromBucket(key, { capacity, refillPerMs, cost, force }) {
+            const [allowed, tokens] = await redis.command(
+                'EVAL', TAKE_FROM_BUCKET, 1, prefix + key,
+                capacity, refillPerMs, cost, force ? 1 : 0, now(),
+            );
+            return { allowed: allowed === 1, tokens: Number(tokens) };
+        },
+    };
+}
+
+module.exports = { createRedisRateLimitStore };
@@ -0,0 +1,124 @@
+/*
+  Pattern detectors for personal details in user text.  Each one finds a
+  single kind of value and returns its matches; redaction/index.js decides
+  which detectors run, in what order, and what the matches are replaced
+  with.
+
+  Every detector errs towards precision over recall — a masked ordinary word
+  costs answer quality on every request, a missed name only reaches the
+  upstream the way it always used to.  Names in particular are only taken
+  where the text itself says it is a name (a title, "my name is", "my boss
+  Sarah", "Sarah said"), plus any listed in REDACT_NAMES.
+*/
+
+// ─── Helpers ──────────────────────────────────────────────────────────────────
+
+const digitsOf = (value) => value.replace(/\D/g, '');
+
+// Card numbers carry a Luhn check digit; random digit runs mostly fail it
+function passesLuhn(digits) {
+    let sum = 0;
+    for (let index = 0; index < digits.length; index++) {
+        let digit = Number(digits[digits.length - 1 - index]);
+        if (index % 2 === 1) {
+            digit *= 2;
+            if (digit > 9) digit -= 9;
+        }
+        sum += digit;
+    }
+    return sum % 10 === 0;
+}
+
+// 2024-10-19, 19/10/2024, 10.19.24 — digit groups that are dates, not phone numbers
+const DATE_LIKE = /^(?:\d{4}[-./]\d{1,2}[-./]\d{1,2}|\d{1,2}[-./]\d{1,2}[-./]\d{2,4})$/;
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// ─── Names ────────────────────────────────────────────────────────────────────
+
+const NAME = "[A-Z][a-z]+(?:[-'][A-Z]?[a-z]+)?";
+const FULL_NAME = `${NAME}(?: ${NAME})?`;
+
+const TITLES = 'Mr|Mrs|Ms|Mx|Miss|Dr|Prof';
+const INTRODUCTIONS = "[Mm]y name is|[Mm]y name's|[Ii] am called|[Ii]'m called|named|called";
+const RELATIONS = [
+    'best friend', 'friend', 'boss', 'manager', 'supervisor', 'colleague', 'coworker', 'co-worker',
+    'teammate', 'client', 'wife', 'husband', 'partner', 'girlfriend', 'boyfriend', 'fiancé', 'fiancée', 'ex',
+    'mom', 'mum', 'mother', 'dad', 'father', 'son', 'daughter', 'sister', 'brother', 'cousin', 'aunt', 'uncle',
+    'roommate', 'flatmate', 'neighbor', 'neighbour', 'landlord', 'therapist', 'doctor', 'teacher', 'coach',
+].join('|');
+const SPEECH = 'said|says|told|tells|asked|asks|texted|emailed|messaged|called|thinks|wants|keeps|never|always';
+
+// Capitalised words that start sentences far more often than they name anyone
+const NOT_NAMES = new Set([
+    'I', 'He', 'She', 'They', 'We', 'You', 'It', 'Everyone', 'Everybody', 'Someone', 'Somebody', 'Nobody',
+    'Anyone', 'People', 'This', 'That', 'Then', 'And', 'But', 'So', 'Also', 'Maybe', 'Who', 'What', 'Which',
+    'My', 'Our', 'Their', 'His', 'Her', 'The', 'Mom', 'Mum', 'Dad', 'Boss', 'Management', 'Work', 'Today',
+    'Yesterday', 'Nothing', 'Something', 'Life', 'God', 'Honestly', 'Apparently', 'Finally',
+]);
+
+const NAME_PATTERNS = [
+    // Dr. Smith, Ms Jane Doe — the title stays, the name goes
+    new RegExp(`(?<=\\b(?:${TITLES})\\.? )${FULL_NAME}\\b`, 'g'),
+    new RegExp(`(?<=\\b(?:${INTRODUCTIONS}) )${FULL_NAME}\\b`, 'g'),
+    new RegExp(`(?<=\\b[Mm]y (?:${RELATIONS}),? )${FULL_NAME}\\b`, 'g'),
+    new RegExp(`\\b${NAME}(?= (?:${SPEECH})\\b)`, 'g'),
+];
+
+// ─── Detectors ────────────────────────────────────────────────────────────────
+
+/*
+  Each detector: { type, find(text) → string[] }.  `type` names the
+  placeholder ([EMAIL_1]); matches are returned in order of appearance and
+  may repeat.
+*/
+function patternDetector(type, pattern, accept = () => true) {
+    return {
+        type,
+        find: (text) => [...text.matchAll(pattern)].map(([match]) => match).filter(accept),
+    };
+}
+
+const DETECTORS = {
+    url: patternDetector('URL', /\b(?:https?:\/\/|www\.)[^\s<>"']*[^\s<>"'.,;:!?)\]]/gi),
+
+    email: patternDetector('EMAIL', /[\w.'+-]+@[\w-]+(?:\.[\w-]+)*\.[a-z]{2,}\b/gi),
+
+    // 13-19 digits, optionally grouped by spaces or dashes
+    card: patternDetector('CARD', /(?<![\d-])\d(?:[ -]?\d){12,18}(?![\d-])/g, (match) => passesLuhn(digitsOf(match))),
+
+    /*
+      +44 7700 900123, (555) 123-4567, 555.123.4567: 7 to 15 digits and not a
+      date.  An ungrouped run needs 10, so order and ticket numbers survive.
+    */
+    phone: patternDetector(
+        'PHONE',
+        /(?<![\w+])(?:\+\d{1,3}[ .-]?)?(?:\(\d{1,4}\)[ .-]?)?\d{2,5}(?:[ .-]?\d{2,5}){1,4}(?!\w)/g,
+        (match) => {
+            const digits = digitsOf(match).length;
+            const grouped = digits !== match.length;
+            return digits >= (grouped ? 7 : 10) && digits <= 15 && !DATE_LIKE.test(match);
+        },
+    ),
+
+    // Word by word, so "Sarah" alone is masked too once "Sarah Jones" was found
+    name: {
+        type: 'NAME',
+        find: (text) => NAME_PATTERNS
+            .flatMap((pattern) => [...text.matchAll(pattern)])
+            .sort((a, b) => a.index - b.index)
+            .map(([match]) => match.split(' '))
+            .filter(([first]) => !NOT_NAMES.has(first))
+            .flat(),
+    },
+};
+
+const DETECTOR_IDS = Object.keys(DETECTORS);
+
+// Names the deployment always masks (REDACT_NAMES), matched as whole words in any case
+function listedNamesDetector(names) {
+    const pattern = new RegExp(`(?<!\\w)(?:${names.map(escapeRegExp).join('|')})(?!\\w)`, 'gi');
+    return patternDetector('NAME', pattern);
+}
+
+module.exports = { DETECTORS, DETECTOR_IDS, listedNamesDetector, passesLuhn };
@@ -0,0 +1,152 @@
+const { DETECTORS, DETECTOR_IDS, listedNamesDetector } = require('./detectors');
+
+/*
+  PII redaction in front of the provider call.  Personal details in the
+  user's text are swapped for typed placeholders ([EMAIL_1], [NAME_2], …)
+  before anything is sent upstream, and the placeholders the model repeats
+  are put back in its answer.
+
+    REDACT          = detectors to run, in order (default url,email,card,phone,name)
+                      | off
+    REDACT_RESTORE  = types put back in the answer (default url,email,phone,name)
+                      | none.  The rest show as a label such as "[card number]".
+    REDACT_NAMES    = comma-separated names that are always masked, on top of
+                      the ones the name detector finds
+
+  A redaction session covers one request: the same value always gets the
+  same placeholder, in the input and in every earlier answer of a
+  refinement, so the model sees one consistent conversation.
+*/
+
+const DEFAULT_RESTORE = ['url', 'email', 'phone', 'name'];
+
+// Shown for a placeholder whose type is not restored, or that the model made up
+const LABELS = {
+    URL: '[link]',
+    EMAIL: '[email]',
+    CARD: '[card number]',
+    PHONE: '[phone number]',
+    NAME: '[name]',
+};
+
+const PLACEHOLDER = /\[([A-Z]+)_\d+\]/g;
+
+// The tail of a chunk that may be the first half of a placeholder ("[NAM")
+const PARTIAL_PLACEHOLDER = /\[[A-Z]*(?:_\d*)?$/;
+const MAX_PLACEHOLDER_LENGTH = 16;
+
+// Appended to the system prompt whenever the input was redacted
+const PLACEHOLDER_NOTE = 'Some personal details in the text were replaced with placeholders such as [NAME_1] or '
+    + '[EMAIL_1].  Keep any placeholder you use exactly as written and never guess what it stands for.';
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+function createSession(pipeline, restoreTypes) {
+    const placeholders = new Map();   // value → placeholder
+    const originals = new Map();      // placeholder → { type, value }
+    const counts = {};
+
+    function placeholderFor(type, value) {
+        let placeholder = placeholders.get(value);
+        if (!placeholder) {
+            counts[type] = (counts[type] ?? 0) + 1;
+            placeholder = `[${type}_${counts[type]}]`;
+            placeholders.set(value, placeholder);
+            originals.set(placeholder, { type, value });
+        }
+        return placeholder;
+    }
+
+    // Every known value, wherever it appears — also where no detector would fire again
+    function replaceKnown(text) {
+        if (placeholders.size === 0) return text;
+        const values = [...placeholders.keys()].sort((a, b) => b.length - a.length);
+        const pattern = new RegExp(`(?<!\\w)(?:${values.map(escapeRegExp).join('|')})(?!\\w)`, 'g');
+        return text.replace(pattern, (value) => placeholders.get(value));
+    }
+
+    function restore(text) {
+        return text.replace(PLACEHOLDER, (placeholder, type) => {
+            const original = originals.get(placeholder);
+            if (original && restoreTypes.has(type)) return original.value;
+            return LABELS[type] ?? placeholder;
+        });
+    }
+
+    return {
+        // `text` with every detected value replaced by its placeholder
+        redact(text) {
+            let redacted = text;
+            for (const detector of pipeline) {
+                for (const value of detector.find(redacted)) placeholderFor(detector.type, value);
+                redacted = replaceKnown(redacted);
+            }
+            return redacted;
+        },
+
+        restore,
+
+        /*
+          restore() for an answer arriving in chunks.  A placeholder split
+          across two chunks is held back until it is complete; flush() returns
+          whatever is still held when the stream ends.
+        */
+        restorer() {
+            let held = '';
+            return {
+                push(chunk) {
+                    const text = held + chunk;
+                    const partial = text.match(PARTIAL_PLACEHOLDER);
+                    const cut = partial && partial[0].length < MAX_PLACEHOLDER_LENGTH ? partial.index : text.length;
+                    held = text.slice(cut);
+                    return restore(text.slice(0, cut));
+                },
+                flush() {
+                    const text = held;
+                    held = '';
+                    return restore(text);
+                },
+            };
+        },
+
+        get redacted() {
+            return placeholders.size > 0;
+        },
+
+        // Distinct values masked, by type: { email: 1, name: 2 }
+        counts() {
+            return Object.fromEntries(Object.entries(counts).map(([type, count]) => [type.toLowerCase(), count]));
+        },
+    };
+}
+
+function createRedactor({ detectors = DETECTOR_IDS, restore = DEFAULT_RESTORE, names = [] } = {}) {
+    const pipeline = detectors.map((id) => DETECTORS[id]);
+    if (names.length > 0) pipeline.push(listedNamesDetector(names));
+    const restoreTypes = new Set(restore.map((type) => type.toUpperCase()));
+
+    return {
+        start: () => createSession(pipeline, restoreTypes),
+    };
+}
+
+const parseList = (value) => value.split(',').map((item) => item.trim()).filter(Boolean);
+
+// null when REDACT=off and no names are listed
+function createRedactorFromEnv(env = process.env) {
+    const detectors = env.REDACT === 'off' ? [] : parseList(env.REDACT || DETECTOR_IDS.join(','));
+    const restore = env.REDACT_RESTORE === 'none' ? [] : parseList(env.REDACT_RESTORE || DEFAULT_RESTORE.join(','));
+    const names = parseList(env.REDACT_NAMES || '');
+
+    for (const [variable, ids] of [['REDACT', detectors], ['REDACT_RESTORE', restore]]) {
+        const unknown = ids.find((id) => !DETECTOR_IDS.includes(id));
+        if (unknown) {
+            throw new Error(`Unknown ${variable} entry "${unknown}". Expected any of: ${DETECTOR_IDS.join(', ')}`);
+        }
+    }
+
+    if (detectors.length === 0 && names.length === 0) return null;
+    return createRedactor({ detectors, restore, names });
+}
+
+module.exports = { createRedactor, createRedactorFromEnv, PLACEHOLDER_NOTE };
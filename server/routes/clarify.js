@@ -0,0 +1,836 @@
+const path = require('path');
+const express = require('express');
+const { DEFAULT_MODE, MODE_IDS, getMode } = require('../modes');
+const { limitKeyFor, setRateLimitHeaders } = require('../rateLimit');
+const { CHARS_PER_TOKEN, estimateTokens } = require('../lib/tokens');
+const { mapTokenEstimate } = require('../longInput');
+const { PROTOCOL_VERSIONS, LATEST_PROTOCOL, createEventStream } = require('../lib/sse');
+const { DocumentError } = require('../documents');
+const { AUTO_LANGUAGE, LANGUAGE_CODES, getLanguage, detectLanguage } = require('../languages');
+
+/*
+  POST /api/clarify        one text → SSE stream of the answer (or of n
+                           candidate answers, tagged by index); see lib/sse.js
+                           for the event protocol
+  POST /api/clarify/file   one uploaded document → the same SSE stream as
+                           POST /api/clarify, for its extracted text
+  POST /api/clarify/batch  many texts → NDJSON stream of per-item results
+
+  All share input validation, rate limiting, the safety check and usage
+  accounting; the clarification itself is clarify.js.
+
+  Input length is measured in estimated tokens: up to maxInputTokens, and
+  anything over chunkTokens is read in chunks (see longInput.js).
+
+  The answer is written in the input's language unless the request names an
+  outputLanguage (see languages.js).
+*/
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/*
+  Candidates after the first are sampled progressively hotter than the mode's
+  own temperature, so they differ in phrasing rather than repeating it.
+*/
+const CANDIDATE_TEMPERATURE_STEP = 0.3;
+const MAX_CANDIDATE_TEMPERATURE = 1.2;
+
+function candidateTemperature(mode, candidate) {
+    const temperature = Math.min(MAX_CANDIDATE_TEMPERATURE, mode.temperature + candidate * CANDIDATE_TEMPERATURE_STEP);
+    return Number(temperature.toFixed(2));
+}
+
+// Client-facing code and message for a failed answer — never the raw upstream error
+function errorEventFor(error) {
+    if (error.status === 429 || error.status === 503) {
+        return { code: 'busy', message: 'System busy. Please try again in a moment.' };
+    }
+    if (error.status === 504) {
+        return { code: 'timeout', message: 'The model took too long to answer.' };
+    }
+    return { code: 'upstream_error', message: 'Failed to clarify text' };
+}
+
+function sumUsage(usages) {
+    return usages.reduce((total, usage) => ({
+        promptTokens: total.promptTokens + usage.promptTokens,
+        completionTokens: total.completionTokens + usage.completionTokens,
+        totalTokens: total.totalTokens + usage.totalTokens,
+        estimated: total.estimated || usage.estimated,
+    }), { promptTokens: 0, completionTokens: 0, totalTokens: 0, estimated: false });
+}
+
+// Client-chosen id the web client keeps in localStorage (X-Client-Id)
+const CLIENT_ID = /^[\w-]{8,64}$/;
+
+function createClarifyRouter({
+    clarifier,
+    experiments = null,
+    safety = null,
+    documents = null,
+    rateLimits,
+    usage,
+    metrics = null,
+    maxInputTokens,
+    chunkTokens,
+    maxRefineTurns = 5,
+    maxGuidanceLength = 500,
+    maxCandidates = 3,
+    batchMaxItems = 100,
+    batchConcurrency = 3,
+    batchMaxWaitMs = 60_000,
+}) {
+    const router = express.Router();
+
+    // ── Shared helpers ─────────────────────────────────────────────────────────
+
+    /*
+      Validate one input.  Returns { text, mode, inputLanguage, language } or
+      { status, error } — the same checks and messages for a single request
+      and for each batch item.  inputLanguage is the detected code (or null);
+      language is the languages.js entry to answer in, null for "the input's
+      own" when detection could not tell.
+    */
+    function validateInput({ text, mode: modeId = DEFAULT_MODE, outputLanguage = AUTO_LANGUAGE }, apiKey) {
+        if (!text || typeof text !== 'string') {
+            return { status: 400, error: 'Text input is required' };
+        }
+
+        const mode = getMode(modeId);
+        if (!mode) {
+            return { status: 400, error: `Unknown mode. Expected one of: ${MODE_IDS.join(', ')}` };
+        }
+
+        if (apiKey?.modes && !apiKey.modes.includes(mode.id)) {
+            return { status: 403, error: `This API key may not use the "${mode.id}" mode` };
+        }
+
+        if (outputLanguage !== AUTO_LANGUAGE && !getLanguage(outputLanguage)) {
+            return { status: 400, error: `Unknown outputLanguage. Expected "${AUTO_LANGUAGE}" or one of: ${LANGUAGE_CODES.join(', ')}` };
+        }
+
+        const trimmed = text.trim();
+
+        if (!trimmed) {
+            return { status: 400, error: 'Text input must not be empty' };
+        }
+
+        if (estimateTokens(trimmed) > maxInputTokens) {
+            return {
+                status: 400,
+                error: `Input exceeds the maximum of ${maxInputTokens} tokens (about ${maxInputTokens * CHARS_PER_TOKEN} characters of English)`,
+            };
+        }
+
+        const inputLanguage = detectLanguage(trimmed);
+        return {
+            text: trimmed,
+            mode,
+            inputLanguage,
+            language: getLanguage(outputLanguage === AUTO_LANGUAGE ? inputLanguage : outputLanguage),
+        };
+    }
+
+    /*
+      Validate the refinement chain of a single request: `previous` is the
+      list of earlier answers, oldest first, as { output, guidance? } objects
+      (a bare string is an answer without guidance).  Returns { previous } or
+      { status, error }.
+    */
+    function validatePrevious(previous) {
+        if (previous === undefined) return { previous: [] };
+        if (!Array.isArray(previous)) {
+            return { status: 400, error: 'previous must be an array of earlier answers' };
+        }
+        if (previous.length > maxRefineTurns) {
+            return { status: 400, error: `previous may hold at most ${maxRefineTurns} earlier answers` };
+        }
+
+        const turns = [];
+        for (const turn of previous) {
+            const { output, guidance } = typeof turn === 'string' ? { output: turn } : (turn ?? {});
+            if (typeof output !== 'string' || !output.trim() || estimateTokens(output) > maxInputTokens) {
+                return { status: 400, error: 'Each earlier answer needs a non-empty output string' };
+            }
+            if (guidance !== undefined && guidance !== null && typeof guidance !== 'string') {
+                return { status: 400, error: 'guidance must be a string' };
+            }
+            if (guidance && guidance.length > maxGuidanceLength) {
+                return { status: 400, error: `guidance exceeds maximum allowed length of ${maxGuidanceLength} characters` };
+            }
+            turns.push({ output: output.trim(), guidance: guidance?.trim() || null });
+        }
+        return { previous: turns };
+    }
+
+    /*
+      Identity for sticky experiment assignment: an API key, else the id the
+      client keeps for itself, else the IP.  Self-declared ids only steer
+      assignment — never rate limits.
+    */
+    function clientIdFor(req) {
+        if (req.apiKey) return `key:${req.apiKey.id}`;
+        const clientId = req.get('X-Client-Id');
+        return clientId && CLIENT_ID.test(clientId) ? `client:${clientId}` : limitKeyFor(req);
+    }
+
+    const isLong = (text) => estimateTokens(text) > chunkTokens;
+
+    /*
+      Estimate for the token-quota pre-check: prompt + the longest possible
+      answer, plus the map calls of a long input.
+    */
+    const tokenEstimate = (text, mode, previous = []) => estimateTokens(
+        mode.systemPrompt + text + previous.map((turn) => turn.output + (turn.guidance || '')).join(''),
+    ) + mode.maxTokens + (isLong(text) ? mapTokenEstimate(Math.ceil(estimateTokens(text) / chunkTokens)) : 0);
+
+    /*
+      Record one finished answer: metrics and a log line, real token usage
+      charged against the quota, and the usage log.  Never fails a request:
+      the answer has already been delivered.
+    */
+    async function settle({ req, limitKey, mode, input, result }) {
+        const upstream = { provider: result.provider, model: result.model };
+        metrics?.cacheLookups.inc({ result: result.cache.toLowerCase() });
+        if (!result.cached) {
+            metrics?.upstreamLatency.observe(upstream, result.latencyMs / 1000);
+            if (result.firstTokenMs !== null) metrics?.timeToFirstToken.observe(upstream, result.firstTokenMs / 1000);
+            metrics?.tokens.inc({ provider: result.provider, kind: 'prompt' }, result.usage.promptTokens);
+            metrics?.tokens.inc({ provider: result.provider, kind: 'completion' }, result.usage.completionTokens);
+            for (const [type, count] of Object.entries(result.redactions ?? {})) metrics?.redactions.inc({ type }, count);
+        }
+        req.log.info('clarified', {
+            mode: mode.id,
+            inputLanguage: input.inputLanguage,
+            outputLanguage: input.language?.code ?? null,
+            ...upstream,
+            promptVersion: result.promptVersion,
+            fallback: result.fallback,
+            cache: result.cache,
+            chunks: result.chunks,
+            // Counts by type only — never the masked values
+            redactions: result.redactions,
+            action: result.action,
+            latencyMs: result.latencyMs,
+            firstTokenMs: result.firstTokenMs,
+            tokens: result.tokensUsed,
+        });
+
+        if (rateLimits.tokens && result.tokensUsed > 0) {
+            await rateLimits.tokens.charge(limitKey, result.tokensUsed)
+                .catch((error) => req.log.error('[/api/clarify] token quota charge failed', { err: error }));
+        }
+        try {
+            await usage.record({
+                keyId: req.apiKey?.id ?? null,
+                mode: mode.id,
+                provider: result.provider,
+                model: result.model,
+                tokens: result.tokensUsed,
+                cached: result.cached,
+            });
+        } catch (error) {
+            req.log.error('[/api/clarify] usage record failed', { err: error });
+        }
+    }
+
+    /*
+      Log and count one safety decision — every one, allowed or not, by
+      category and rule id but never with the text — and charge the tokens
+      of a model check like any other upstream call.
+    */
+    async function recordSafety({ req, route, limitKey, mode, decision }) {
+        const category = decision.category ?? 'none';
+        const fields = {
+            route,
+            mode: mode.id,
+            category,
+            source: decision.source,
+            rules: decision.rules,
+            modelCheck: decision.modelCheck,
+            policyVersion: safety.policyVersion,
+            ...(decision.error && { err: decision.error }),
+        };
+        if (decision.category || decision.error) req.log.warn('safety', fields);
+        else req.log.info('safety', fields);
+        metrics?.safetyDecisions.inc({ category, source: decision.source });
+
+        if (!decision.usage) return;
+        const tokens = decision.usage.promptTokens + decision.usage.completionTokens;
+        metrics?.tokens.inc({ provider: decision.provider, kind: 'prompt' }, decision.usage.promptTokens);
+        metrics?.tokens.inc({ provider: decision.provider, kind: 'completion' }, decision.usage.completionTokens);
+        if (rateLimits.tokens) {
+            await rateLimits.tokens.charge(limitKey, tokens)
+                .catch((error) => req.log.error(`[${route}] token quota charge failed`, { err: error }));
+        }
+        await usage.record({
+            keyId: req.apiKey?.id ?? null,
+            mode: mode.id,
+            provider: decision.provider,
+            model: decision.model,
+            tokens,
+            cached: false,
+        }).catch((error) => req.log.error(`[${route}] usage record failed`, { err: error }));
+    }
+
+    /*
+      Never forward raw error.message to the client — it can leak internal
+      details (API keys in stack traces, internal hostnames, etc.).  The
+      logger keeps the message out of production logs as well.
+    */
+    function logProviderError(req, route, error) {
+        req.log.error(`[${route}] provider error`, { err: error });
+    }
+
+    function countRejection(route, refused) {
+        metrics?.rateLimitRejections.inc({ route, unit: refused.unit ?? 'requests' });
+    }
+
+    function refuseOverLimit(res, route, refused) {
+        countRejection(route, refused);
+        /*
+          Retry-After tells the client (browser, curl, automated scripts) exactly
+          how many seconds to wait before retrying.  Without it, clients have no
+          signal and may retry immediately, generating more 429s in a loop.
+        */
+        return res
+            .status(429)
+            .set('Retry-After', String(Math.max(1, Math.ceil(refused.resetMs / 1000))))
+            .json({
+                error: refused.unit === 'tokens'
+                    ? 'Usage quota reached. Please try again later.'
+                    : 'Too many requests. Please wait a moment and try again.',
+            });
+    }
+
+    // ── POST /api/clarify ──────────────────────────────────────────────────────
+
+    /*
+      One clarification, streamed.  `body` is the JSON request body, or the
+      form fields plus the extracted text of an upload; `file` describes the
+      upload and is echoed in the start event.  An upload has had its request
+      counted before it was read (requestCounted), so only the token quota
+      is checked here.
+    */
+    async function clarifyOne(req, res, body, { file = null, requestCounted = false } = {}) {
+        /*
+          Cache-Control: no-store — prevent CDN edges, reverse proxies, or shared
+          caches from storing and re-serving user-specific AI responses.
+          Without this, a cached response for one user could be served to another.
+        */
+        res.setHeader('Cache-Control', 'no-store');
+
+        // Set by the request middleware; quoted in the start/done events and the logs
+        const requestId = req.id;
+
+        // ── Input validation ───────────────────────────────────────────────────
+        const input = validateInput(body, req.apiKey);
+        if (input.error) {
+            return res.status(input.status).json({ error: input.error });
+        }
+        const { text, language } = input;
+
+        const refinement = validatePrevious(body.previous);
+        if (refinement.error) {
+            return res.status(refinement.status).json({ error: refinement.error });
+        }
+        const { previous } = refinement;
+
+        const count = body.n ?? 1;
+        if (!Number.isInteger(count) || count < 1 || count > maxCandidates) {
+            return res.status(400).json({ error: `n must be an integer from 1 to ${maxCandidates}` });
+        }
+        // Each candidate would read the whole long text again
+        if (count > 1 && isLong(text)) {
+            return res.status(400).json({ error: `n > 1 is only available for inputs up to ${chunkTokens} tokens` });
+        }
+
+        const protocol = body.protocol ?? LATEST_PROTOCOL;
+        if (!PROTOCOL_VERSIONS.includes(protocol)) {
+            return res.status(400).json({ error: `protocol must be one of: ${PROTOCOL_VERSIONS.join(', ')}` });
+        }
+
+        // ── Experiment assignment ──────────────────────────────────────────────
+        // A variant may bring its own prompt, temperature and upstream
+        const assignment = experiments?.assign({ mode: input.mode, clientId: clientIdFor(req) }) ?? null;
+        const mode = assignment?.mode ?? input.mode;
+        const variantClarifier = assignment?.clarifier ?? clarifier;
+        const experiment = assignment ? { id: assignment.experiment, variant: assignment.variant } : null;
+
+        // ── Rate limiting ──────────────────────────────────────────────────────
+        // Runs after validation so malformed requests don't burn quota
+        const limitKey = limitKeyFor(req);
+        const decisions = await rateLimits.check({
+            apiKey: req.apiKey,
+            limitKey,
+            // One request, but every candidate is a full model call
+            tokenEstimate: tokenEstimate(text, mode, previous) * count,
+            countRequest: !requestCounted,
+            log: req.log,
+        });
+        if (!requestCounted) setRateLimitHeaders(res, decisions);
+
+        const refused = decisions.find((decision) => !decision.allowed);
+        if (refused) return refuseOverLimit(res, '/api/clarify', refused);
+
+        // Once per request; each upstream call adds its own tokens (settle, recordSafety)
+        await usage.countRequest(req.apiKey?.id ?? null)
+            .catch((error) => req.log.error('[/api/clarify] usage record failed', { err: error }));
+
+        /*
+          Abort the upstream call if the client disconnects — no point paying for
+          tokens nobody will read.
+        */
+        const upstreamAbort = new AbortController();
+        res.on('close', () => {
+            if (!res.writableEnded) upstreamAbort.abort();
+        });
+
+        const stream = createEventStream(res, {
+            protocol,
+            requestId,
+            mode: mode.id,
+            n: count,
+            inputLanguage: input.inputLanguage,
+            outputLanguage: language?.code ?? null,
+            file,
+        });
+        const started = Date.now();
+
+        // ── Safety check ───────────────────────────────────────────────────────
+        /*
+          A flagged input is answered with a `safety` event in place of every
+          answer: still a stream, so clients need no second response format.
+        */
+        if (safety) {
+            let decision;
+            try {
+                decision = await safety.check({
+                    texts: [text, ...previous.map((turn) => turn.guidance).filter(Boolean)],
+                    signal: upstreamAbort.signal,
+                });
+            } catch {
+                // Client went away during the model check
+                return;
+            }
+            await recordSafety({ req, route: '/api/clarify', limitKey, mode, decision });
+
+            if (decision.category) {
+                stream.open({ cache: 'BYPASS' });
+                stream.safety(decision.response);
+                stream.done({
+                    provider: null,
+                    model: null,
+                    promptVersion: mode.promptVersion,
+                    safety: decision.category,
+                    latencyMs: Date.now() - started,
+                    usage: sumUsage([]),
+                    candidates: [],
+                });
+                return;
+            }
+        }
+
+        const runCandidate = async (candidate) => {
+            /*
+              An experiment's `mode` already carries its variant's temperature,
+              so candidates spread upwards from it.  A single answer passes only
+              a variant's own temperature (none outside experiments): an explicit
+              temperature keeps it out of the response cache, which does not
+              tell temperatures apart.
+            */
+            const temperature = count > 1 ? candidateTemperature(mode, candidate) : assignment?.temperature;
+            const candidateStarted = Date.now();
+            let firstTokenMs = null;
+
+            const result = await variantClarifier.clarify({
+                text,
+                mode,
+                refine: body.refine === true,
+                previous,
+                language,
+                temperature,
+                signal: upstreamAbort.signal,
+                // Long input: the stream opens early, so the client can show how far the reading got
+                onProgress: ({ cache, ...progress }) => {
+                    stream.open({ cache });
+                    stream.progress(candidate, progress);
+                },
+                onStart: ({ cache, ...meta }) => {
+                    // Headers go out once, for whichever candidate starts first
+                    stream.open({ cache });
+                    // Which upstream actually answered — clients ignore unknown keys
+                    stream.meta(candidate, {
+                        ...meta,
+                        ...(count > 1 && { temperature }),
+                        ...(experiment && { experiment }),
+                    });
+                },
+                onToken: (content) => {
+                    firstTokenMs ??= Date.now() - candidateStarted;
+                    stream.token(candidate, content);
+                },
+            });
+
+            /*
+              If enforcement changed the answer after it was streamed, a `replace`
+              event tells the client to swap the whole answer; the final meta
+              event says which rules fired.
+            */
+            if (result.text !== result.streamed) {
+                stream.replace(candidate, result.text);
+            }
+            stream.meta(candidate, {
+                mode: mode.id,
+                violations: result.violations,
+                action: result.action,
+                unresolved: result.unresolved,
+            });
+            return { ...result, latencyMs: Date.now() - candidateStarted, firstTokenMs };
+        };
+
+        const outcomes = await Promise.allSettled(Array.from({ length: count }, (_, candidate) => runCandidate(candidate)));
+        const results = outcomes.filter((outcome) => outcome.status === 'fulfilled').map((outcome) => outcome.value);
+
+        // Client went away — nothing to report and nobody to report it to
+        if (upstreamAbort.signal.aborted) return;
+
+        outcomes.forEach((outcome) => {
+            if (outcome.status === 'rejected') logProviderError(req, '/api/clarify', outcome.reason);
+        });
+
+        if (experiment) {
+            for (const outcome of outcomes) {
+                const result = outcome.value;
+                experiments.record({
+                    experiment: experiment.id,
+                    variant: experiment.variant,
+                    mode: mode.id,
+                    ...(result
+                        ? {
+                            latencyMs: result.latencyMs,
+                            firstTokenMs: result.firstTokenMs,
+                            violations: result.violations.length > 0,
+                            cached: result.cached,
+                            error: false,
+                        }
+                        : { error: true }),
+                }).catch((error) => req.log.error('[/api/clarify] experiment record failed', { err: error }));
+            }
+        }
+
+        /*
+          Nothing was streamed yet: answer with a plain HTTP error instead.  Once
+          the stream is open, failures are reported as `error` events and the
+          stream still ends with `done`, so the client can always tell a
+          finished answer from a broken one.
+        */
+        if (!stream.opened) {
+            const { reason: error } = outcomes[0];
+            if (error.status === 429 || error.status === 503) {
+                return res.status(429).json({ error: 'System busy. Please try again in a moment.' });
+            }
+            return res.status(500).json({ error: 'Failed to clarify text' });
+        }
+
+        outcomes.forEach((outcome, candidate) => {
+            if (outcome.status === 'rejected') stream.error(candidate, errorEventFor(outcome.reason));
+        });
+
+        const [first] = results;
+        stream.done({
+            provider: first?.provider ?? null,
+            model: first?.model ?? null,
+            promptVersion: mode.promptVersion,
+            ...(experiment && { experiment }),
+            // Personal details were masked before the upstream call
+            redacted: results.some((result) => result.redacted),
+            ...(first?.chunks && { chunks: first.chunks }),
+            latencyMs: Date.now() - started,
+            usage: sumUsage(results.map((result) => result.usage)),
+            candidates: outcomes.map((outcome, candidate) => (outcome.status === 'fulfilled'
+                ? {
+                    candidate,
+                    provider: outcome.value.provider,
+                    model: outcome.value.model,
+                    fallback: outcome.value.fallback,
+                    cached: outcome.value.cached,
+                    latencyMs: outcome.value.latencyMs,
+                    firstTokenMs: outcome.value.firstTokenMs,
+                    usage: outcome.value.usage,
+                }
+                : { candidate, error: errorEventFor(outcome.reason).code })),
+        }, { ok: results.length > 0 });
+
+        for (const result of results) await settle({ req, limitKey, mode, input, result });
+    }
+
+    router.post('/', (req, res) => clarifyOne(req, res, req.body ?? {}));
+
+    // ── POST /api/clarify/file ─────────────────────────────────────────────────
+
+    /*
+      A document instead of pasted text: multipart/form-data with the file in
+      a `file` field, and mode, n, protocol, refine and outputLanguage as
+      optional fields.
+      The extracted text takes the same path as a JSON request — validation,
+      rate limits, safety, clarification — and comes back in the start event
+      as file.text, so the client can show it and refine the answer.
+    */
+    router.post('/file', async (req, res) => {
+        res.setHeader('Cache-Control', 'no-store');
+        if (!documents) {
+            return res.status(404).json({ error: 'File upload is disabled' });
+        }
+        if (!Buffer.isBuffer(req.body) || !req.is('multipart/form-data')) {
+            return res.status(415).json({ error: 'Expected a multipart/form-data upload' });
+        }
+
+        /*
+          Count the request before reading the file: parsing a document is the
+          expensive part, so a client over its limit must not get that far.
+          The token quota is peeked again once the text is known.
+        */
+        const decisions = await rateLimits.check({
+            apiKey: req.apiKey,
+            limitKey: limitKeyFor(req),
+            tokenEstimate: 0,
+            log: req.log,
+        });
+        setRateLimitHeaders(res, decisions);
+        const refused = decisions.find((decision) => !decision.allowed);
+        if (refused) return refuseOverLimit(res, '/api/clarify', refused);
+
+        let upload;
+        let extracted;
+        try {
+            upload = documents.parseUpload(req.body, req.get('Content-Type'));
+            extracted = await documents.read(upload.file);
+        } catch (error) {
+            const type = upload ? documents.typeOf(upload.file) ?? 'unknown' : 'unknown';
+            metrics?.uploads.inc({ type, outcome: 'rejected' });
+            // Anything but a DocumentError is a file the extractor tripped over
+            if (!(error instanceof DocumentError)) {
+                req.log.warn('[/api/clarify/file] extraction failed', { type, err: error });
+                return res.status(422).json({ error: 'The file could not be read' });
+            }
+            req.log.info('[/api/clarify/file] upload rejected', { type, status: error.status, reason: error.message });
+            return res.status(error.status).json({ error: error.message });
+        }
+
+        const { fields, file } = upload;
+        metrics?.uploads.inc({ type: extracted.type, outcome: 'ok' });
+        // Size and type only — file names often carry personal details
+        req.log.info('upload', { type: extracted.type, bytes: file.data.length, characters: extracted.text.length });
+
+        return clarifyOne(req, res, {
+            text: extracted.text,
+            mode: fields.mode || undefined,
+            n: fields.n === undefined ? undefined : Number(fields.n),
+            protocol: fields.protocol === undefined ? undefined : Number(fields.protocol),
+            refine: fields.refine === 'true',
+            outputLanguage: fields.outputLanguage || undefined,
+        }, {
+            file: { name: path.basename(file.filename || 'upload').slice(0, 200), type: extracted.type, text: extracted.text },
+            requestCounted: true,
+        });
+    });
+
+    // ── POST /api/clarify/batch ────────────────────────────────────────────────
+
+    /*
+      Items arrive either as JSON
+      { mode?, outputLanguage?, items: [{ id?, text, mode?, outputLanguage? } | "text"] }
+      or as an NDJSON upload (Content-Type: application/x-ndjson), one item
+      per line.  Returns [{ id, text, mode, outputLanguage }] or { error }.
+    */
+    function parseBatch(req) {
+        let items;
+        let defaultMode = DEFAULT_MODE;
+        let defaultLanguage = AUTO_LANGUAGE;
+
+        if (typeof req.body === 'string') {
+            items = req.body.split('\n').filter((line) => line.trim()).map((line, index) => {
+                try {
+                    return JSON.parse(line);
+                } catch {
+                    return { id: index, parseError: 'Line is not valid JSON' };
+                }
+            });
+        } else if (req.body && Array.isArray(req.body.items)) {
+            items = req.body.items;
+            if (req.body.mode !== undefined) defaultMode = req.body.mode;
+            if (req.body.outputLanguage !== undefined) defaultLanguage = req.body.outputLanguage;
+        } else {
+            return { error: 'Expected { "items": [...] } or an application/x-ndjson body' };
+        }
+
+        if (items.length === 0) return { error: 'Batch must contain at least one item' };
+        if (items.length > batchMaxItems) return { error: `Batch exceeds maximum of ${batchMaxItems} items` };
+
+        return {
+            items: items.map((item, index) => (typeof item === 'string'
+                ? { id: index, text: item, mode: defaultMode, outputLanguage: defaultLanguage }
+                : {
+                    id: item?.id ?? index,
+                    text: item?.text,
+                    mode: item?.mode ?? defaultMode,
+                    outputLanguage: item?.outputLanguage ?? defaultLanguage,
+                    parseError: item?.parseError,
+                })),
+        };
+    }
+
+    router.post('/batch', async (req, res) => {
+        res.setHeader('Cache-Control', 'no-store');
+
+        const batch = parseBatch(req);
+        if (batch.error) {
+            return res.status(400).json({ error: batch.error });
+        }
+
+        const limitKey = limitKeyFor(req);
+        const aborted = new AbortController();
+        res.on('close', () => {
+            if (!res.writableEnded) aborted.abort();
+        });
+
+        res.setHeader('Content-Type', 'application/x-ndjson; charset=utf-8');
+        const writeLine = (payload) => res.write(`${JSON.stringify(payload)}\n`);
+
+        /*
+          Each item takes its own turn through the caller's rate limits.  When a
+          limit refuses, the worker waits for it to reset (up to batchMaxWaitMs in
+          total) instead of failing the item — a batch is expected to take as
+          long as the caller's quota requires.
+        */
+        async function waitForQuota(text, mode) {
+            const deadline = Date.now() + batchMaxWaitMs;
+            for (;;) {
+                const decisions = await rateLimits.check({
+                    apiKey: req.apiKey,
+                    limitKey,
+                    tokenEstimate: tokenEstimate(text, mode),
+                    log: req.log,
+                });
+                const refused = decisions.find((decision) => !decision.allowed);
+                if (!refused) return null;
+
+                const waitMs = Math.max(250, refused.resetMs);
+                if (Date.now() + waitMs > deadline || aborted.signal.aborted) return refused;
+                await sleep(waitMs);
+            }
+        }
+
+        async function processItem(item) {
+            const started = Date.now();
+            const line = { id: item.id, output: null, error: null, ms: 0 };
+
+            const input = item.parseError ? { error: item.parseError } : validateInput(item, req.apiKey);
+            if (input.error) {
+                return { ...line, error: input.error };
+            }
+
+            const refused = await waitForQuota(input.text, input.mode);
+            if (refused) {
+                countRejection('/api/clarify/batch', refused);
+                return {
+                    ...line,
+                    error: refused.unit === 'tokens' ? 'Usage quota reached' : 'Rate limited',
+                    ms: Date.now() - started,
+                };
+            }
+            await usage.countRequest(req.apiKey?.id ?? null)
+                .catch((error) => req.log.error('[/api/clarify/batch] usage record failed', { err: error }));
+
+            // A flagged item gets the safety response instead of an output
+            if (safety) {
+                const decision = await safety.check({ texts: [input.text], signal: aborted.signal });
+                await recordSafety({ req, route: '/api/clarify/batch', limitKey, mode: input.mode, decision });
+                if (decision.category) {
+                    return { ...line, mode: input.mode.id, safety: decision.response, ms: Date.now() - started };
+                }
+            }
+
+            try {
+                // Timed from the upstream call, not from any wait for quota
+                const callStarted = Date.now();
+                let firstTokenMs = null;
+                const result = await clarifier.clarify({
+                    text: input.text,
+                    mode: input.mode,
+                    language: input.language,
+                    signal: aborted.signal,
+                    onToken: () => {
+                        firstTokenMs ??= Date.now() - callStarted;
+                    },
+                });
+                await settle({
+                    req,
+                    limitKey,
+                    mode: input.mode,
+                    input,
+                    result: { ...result, latencyMs: Date.now() - callStarted, firstTokenMs },
+                });
+                return {
+                    ...line,
+                    output: result.text,
+                    mode: input.mode.id,
+                    inputLanguage: input.inputLanguage,
+                    outputLanguage: input.language?.code ?? null,
+                    model: result.model,
+                    promptVersion: result.promptVersion,
+                    cached: result.cached,
+                    redacted: result.redacted,
+                    ...(result.chunks && { chunks: result.chunks }),
+                    violations: result.violations,
+                    ms: Date.now() - started,
+                };
+            } catch (error) {
+                if (aborted.signal.aborted) throw error;
+                logProviderError(req, '/api/clarify/batch', error);
+                return {
+                    ...line,
+                    error: error.status === 429 || error.status === 503 ? 'System busy' : 'Failed to clarify text',
+                    ms: Date.now() - started,
+                };
+            }
+        }
+
+        // Bounded worker pool: results are written in completion order, tagged by id
+        const started = Date.now();
+        let next = 0;
+        let failed = 0;
+        let flagged = 0;
+        async function worker() {
+            while (next < batch.items.length && !aborted.signal.aborted) {
+                const result = await processItem(batch.items[next++]);
+                if (result.error) failed += 1;
+                if (result.safety) flagged += 1;
+                writeLine(result);
+            }
+        }
+
+        try {
+            await Promise.all(Array.from({ length: Math.min(batchConcurrency, batch.items.length) }, worker));
+        } catch {
+            // Client disconnected mid-batch
+            return;
+        }
+
+        writeLine({
+            summary: {
+                total: batch.items.length,
+                succeeded: batch.items.length - failed - flagged,
+                failed,
+                flagged,
+                ms: Date.now() - started,
+            },
+        });
+        return res.end();
+    });
+
+    return router;
+}
+
+module.exports = { createClarifyRouter };
@@ -0,0 +1,76 @@
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+const { getMode } = require('../modes');
+const { AUTO_LANGUAGE, getLanguage } = require('../languages');
+
+const SDK_DIR = path.join(__dirname, '..', '..', 'sdk', 'src');
+
+/*
+  Embedding without a build step:
+
+    GET /sdk/index.js         the JS SDK (ES module)
+    GET /sdk/clarity-box.js   the <clarity-box> web component
+    GET /embed                a page holding one <clarity-box>, for an
+                              iframe.  ?mode= and ?outputLanguage= set the
+                              box; an API key goes in the fragment
+                              (#key=…), which never reaches server logs.
+
+  /embed may be framed by the server itself and by EMBED_ORIGINS
+  (Content-Security-Policy frame-ancestors); it drops the X-Frame-Options
+  header that every other response carries.
+*/
+function createEmbedRouter({ policy, logger }) {
+    const router = express.Router();
+
+    if (fs.existsSync(SDK_DIR)) {
+        router.use('/sdk', express.static(SDK_DIR, {
+            maxAge: '1h',
+            setHeaders: (res) => {
+                // Module scripts are fetched with CORS, from whichever page loads them
+                res.setHeader('Access-Control-Allow-Origin', '*');
+                res.setHeader('Cross-Origin-Resource-Policy', 'cross-origin');
+            },
+        }));
+    } else {
+        logger.warn('SDK sources not found; /sdk and /embed are not served', { dir: SDK_DIR });
+        return router;
+    }
+
+    router.get('/embed', (req, res) => {
+        const mode = getMode(req.query.mode);
+        if (!mode) return res.status(400).json({ error: 'Unknown mode' });
+
+        const outputLanguage = req.query.outputLanguage ?? AUTO_LANGUAGE;
+        if (outputLanguage !== AUTO_LANGUAGE && !getLanguage(outputLanguage)) {
+            return res.status(400).json({ error: 'Unknown outputLanguage' });
+        }
+
+        res.removeHeader('X-Frame-Options');
+        res.setHeader('Content-Security-Policy', `frame-ancestors ${policy.frameAncestors}`);
+        res.setHeader('Cache-Control', 'no-cache');
+        // mode and outputLanguage are known ids from here on, safe to put in an attribute
+        res.type('html').send(`<!doctype html>
+<html>
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>Clarity AI</title>
+<style>body { margin: 0; padding: 0.5rem; font-family: system-ui, sans-serif; }</style>
+<script type="module" src="/sdk/clarity-box.js"></script>
+</head>
+<body>
+<clarity-box api="/" mode="${mode.id}" output-language="${outputLanguage}"></clarity-box>
+<script>
+  const key = new URLSearchParams(location.hash.slice(1)).get('key');
+  if (key) document.querySelector('clarity-box').setAttribute('api-key', key);
+</script>
+</body>
+</html>
+`);
+    });
+
+    return router;
+}
+
+module.exports = { createEmbedRouter };
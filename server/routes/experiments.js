@@ -0,0 +1,49 @@
+const express = require('express');
+
+/*
+  GET /api/experiments      every configured experiment with its report
+  GET /api/experiments/:id  one experiment
+
+  Per variant: answers served, error, violation and cache-hit rates,
+  latency (avg/p50/p95 of uncached answers), time to first token, and the
+  thumbs up/down approval from feedback tagged with that variant.
+
+  Operator-only: server.js mounts it behind METRICS_TOKEN, like /metrics.
+*/
+function createExperimentsRouter({ experiments, feedbackStore }) {
+    const router = express.Router();
+
+    async function feedbackByExperiment() {
+        const stats = await feedbackStore.stats();
+        return stats.byExperiment ?? {};
+    }
+
+    router.get('/', async (req, res) => {
+        res.setHeader('Cache-Control', 'no-store');
+        try {
+            const feedback = await feedbackByExperiment();
+            return res.json({
+                experiments: experiments.experiments.map((experiment) => experiments.report(experiment.id, feedback[experiment.id])),
+            });
+        } catch (error) {
+            req.log.error('[/api/experiments] report failed', { err: error });
+            return res.status(500).json({ error: 'Failed to build experiment report' });
+        }
+    });
+
+    router.get('/:id', async (req, res) => {
+        res.setHeader('Cache-Control', 'no-store');
+        try {
+            const report = experiments.report(req.params.id, (await feedbackByExperiment())[req.params.id]);
+            if (!report) return res.status(404).json({ error: 'Unknown experiment' });
+            return res.json(report);
+        } catch (error) {
+            req.log.error('[/api/experiments] report failed', { err: error });
+            return res.status(500).json({ error: 'Failed to build experiment report' });
+        }
+    });
+
+    return router;
+}
+
+module.exports = { createExperimentsRouter };
@@ -0,0 +1,112 @@
+const express = require('express');
+const { getMode } = require('../modes');
+const { sha256 } = require('../lib/hash');
+const { estimateTokens } = require('../lib/tokens');
+
+const RATINGS = new Set(['up', 'down', null]);
+const EXPERIMENT_ID = /^[\w.-]{1,64}$/;
+const MAX_OUTPUT_LENGTH = 2000;
+const MAX_COMMENT_LENGTH = 500;
+
+/*
+  Thumbs up/down feedback on clarifications.
+
+  POST /api/feedback        record one rating event; API key and request
+                            limit as for /api/clarify
+  GET  /api/feedback/stats  approval summary, overall and per mode/model;
+                            behind METRICS_TOKEN like /metrics
+
+  The raw input is hashed on arrival and never stored — the hash is enough
+  to group repeat ratings of the same answer.  `rating: null` retracts an
+  earlier rating (the client's toggle-off).
+
+  A body with `rejected` is a preference instead of a rating: the user saw
+  several candidate answers (n > 1) and picked `output` over the rejected
+  ones.  `temperature` is the chosen candidate's sampling temperature.
+
+  `experiment: { id, variant }` — echoed from the answer's SSE metadata —
+  credits the rating to an A/B variant for GET /api/experiments.
+*/
+function createFeedbackRouter({ store, authenticate, rateLimit, requireMetricsToken, maxInputTokens, maxCandidates = 3 }) {
+    const router = express.Router();
+
+    const isOutput = (value) => typeof value === 'string' && value.trim() && value.length <= MAX_OUTPUT_LENGTH;
+
+    router.post('/', authenticate, rateLimit, async (req, res) => {
+        const { input, output, mode, provider, model, rating = null, comment, rejected, temperature, experiment } = req.body;
+
+        if (typeof input !== 'string' || !input.trim() || estimateTokens(input) > maxInputTokens) {
+            return res.status(400).json({ error: 'A valid input is required' });
+        }
+        if (!isOutput(output)) {
+            return res.status(400).json({ error: 'A valid output is required' });
+        }
+        if (!RATINGS.has(rating)) {
+            return res.status(400).json({ error: 'Rating must be "up", "down" or null' });
+        }
+        if (mode !== undefined && !getMode(mode)) {
+            return res.status(400).json({ error: 'Unknown mode' });
+        }
+        if (comment !== undefined && (typeof comment !== 'string' || comment.length > MAX_COMMENT_LENGTH)) {
+            return res.status(400).json({ error: `Comment must be at most ${MAX_COMMENT_LENGTH} characters` });
+        }
+
+        const isExperimentId = (value) => typeof value === 'string' && EXPERIMENT_ID.test(value);
+        if (experiment !== undefined && !(isExperimentId(experiment?.id) && isExperimentId(experiment?.variant))) {
+            return res.status(400).json({ error: 'experiment must be { id, variant }' });
+        }
+
+        const preference = rejected !== undefined;
+        if (preference) {
+            if (!Array.isArray(rejected) || rejected.length === 0 || rejected.length >= maxCandidates
+                || !rejected.every(isOutput)) {
+                return res.status(400).json({ error: `rejected must list 1 to ${maxCandidates - 1} other candidate outputs` });
+            }
+            if (rating !== null) {
+                return res.status(400).json({ error: 'A preference carries no rating' });
+            }
+            if (temperature !== undefined && (typeof temperature !== 'number' || temperature < 0 || temperature > 2)) {
+                return res.status(400).json({ error: 'temperature must be a number from 0 to 2' });
+            }
+        }
+
+        const record = {
+            createdAt: new Date().toISOString(),
+            kind: preference ? 'preference' : 'rating',
+            inputHash: sha256(input.trim()),
+            output: output.trim(),
+            mode: mode ?? null,
+            provider: typeof provider === 'string' ? provider.slice(0, 50) : null,
+            model: typeof model === 'string' ? model.slice(0, 100) : null,
+            rating,
+            comment: comment?.trim() || null,
+            ...(experiment && { experiment: experiment.id, variant: experiment.variant }),
+            ...(preference && {
+                rejected: rejected.map((text) => text.trim()),
+                temperature: temperature ?? null,
+            }),
+        };
+
+        try {
+            await store.add(record);
+            return res.status(201).json({ ok: true });
+        } catch (error) {
+            req.log.error('[/api/feedback] store error', { err: error });
+            return res.status(500).json({ error: 'Failed to record feedback' });
+        }
+    });
+
+    router.get('/stats', requireMetricsToken, async (req, res) => {
+        try {
+            res.setHeader('Cache-Control', 'no-store');
+            return res.json({ store: store.kind, ...(await store.stats()) });
+        } catch (error) {
+            req.log.error('[/api/feedback/stats] store error', { err: error });
+            return res.status(500).json({ error: 'Failed to read feedback stats' });
+        }
+    });
+
+    return router;
+}
+
+module.exports = { createFeedbackRouter };
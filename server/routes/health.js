@@ -0,0 +1,51 @@
+const express = require('express');
+
+/*
+  Probes for orchestrators (Kubernetes, Docker, Render, …):
+
+    GET /healthz  liveness — the process is up and serving HTTP.  Never
+                  checks dependencies: restarting the server would not fix
+                  an upstream outage.
+    GET /readyz   readiness — some provider in the chain has the
+                  credentials it needs and a breaker that is not open, and
+                  the server is not shutting down.  503 otherwise, so a load
+                  balancer routes traffic elsewhere.
+
+  Neither probe calls an upstream model: probes run every few seconds and
+  must cost nothing.
+*/
+function createHealthRouter({ providerChain, isShuttingDown = () => false }) {
+    const router = express.Router();
+
+    router.get('/healthz', (_req, res) => {
+        res.setHeader('Cache-Control', 'no-store');
+        res.json({ status: 'ok', uptimeSeconds: Math.round(process.uptime()) });
+    });
+
+    router.get('/readyz', (_req, res) => {
+        res.setHeader('Cache-Control', 'no-store');
+
+        const providers = providerChain.upstreams.map(({ provider, breaker }) => ({
+            name: provider.name,
+            model: provider.model,
+            configured: provider.configured,
+            breaker: breaker.state,
+        }));
+        const available = providers.some((provider) => provider.configured && provider.breaker !== 'open');
+        const shuttingDown = isShuttingDown();
+        const ready = available && !shuttingDown;
+
+        res.status(ready ? 200 : 503).json({
+            status: ready ? 'ready' : 'not_ready',
+            checks: {
+                providers: available ? 'ok' : 'no configured provider is available',
+                shutdown: shuttingDown ? 'in progress' : 'ok',
+            },
+            providers,
+        });
+    });
+
+    return router;
+}
+
+module.exports = { createHealthRouter };
@@ -0,0 +1,123 @@
+const express = require('express');
+const { getMode } = require('../modes');
+const { detectLanguage } = require('../languages');
+const { estimateTokens } = require('../lib/tokens');
+const { renderSharePage, renderMissingPage } = require('../share/page');
+
+const MAX_OUTPUT_LENGTH = 2000;
+
+/*
+  Share links.
+
+    POST   /api/share      { output, input?, mode?, expiresInDays? } → 201
+                           { id, url, deleteToken, expiresAt }.  Leave out
+                           `input` to share the answer only.
+    GET    /api/share/:id  the share as JSON; 404 once expired or deleted
+    DELETE /api/share/:id  with X-Delete-Token: <deleteToken> → 204
+    GET    /s/:id          the link itself: an HTML page with per-share
+                           Open Graph tags (share/page.js)
+
+  Links are built on shares.publicUrl (SHARE_URL).  Without one they are
+  paths (/s/:id) for the client to resolve against the server's address —
+  never the request's Host header, which the client controls.
+
+  POST /api/share takes `rateLimit` (the request limit) after
+  `authenticate`, and answers 503 once the store holds its maximum.
+*/
+function createShareRouter({ shares, authenticate, rateLimit, maxInputTokens }) {
+    const router = express.Router();
+    const { publicUrl, appUrl } = shares;
+
+    const linkFor = (id) => `${publicUrl ?? ''}/s/${id}`;
+
+    // Everything but the deletion token's hash
+    const toPublic = ({ deleteTokenHash: _hash, ...share }) => share;
+
+    router.post('/api/share', authenticate, rateLimit, async (req, res) => {
+        const { output, input, mode, expiresInDays = shares.defaultDays } = req.body;
+
+        if (typeof output !== 'string' || !output.trim() || output.length > MAX_OUTPUT_LENGTH) {
+            return res.status(400).json({ error: 'A valid output is required' });
+        }
+        if (input !== undefined && input !== null
+            && (typeof input !== 'string' || !input.trim() || estimateTokens(input) > maxInputTokens)) {
+            return res.status(400).json({ error: 'input must be the text that was clarified' });
+        }
+        if (mode !== undefined && !getMode(mode)) {
+            return res.status(400).json({ error: 'Unknown mode' });
+        }
+        if (!Number.isInteger(expiresInDays) || expiresInDays < 1 || expiresInDays > shares.maxDays) {
+            return res.status(400).json({ error: `expiresInDays must be a whole number from 1 to ${shares.maxDays}` });
+        }
+
+        try {
+            const created = await shares.create({
+                output: output.trim(),
+                input: input?.trim() || null,
+                mode: mode ?? null,
+                language: detectLanguage(output),
+                days: expiresInDays,
+            });
+            if (!created) {
+                req.log.warn('[/api/share] share store full');
+                return res.status(503).json({ error: 'No more share links can be made right now. Please try again later.' });
+            }
+            const { record, deleteToken } = created;
+            req.log.info('share created', { shareId: record.id, withInput: record.input !== null, days: expiresInDays });
+            return res.status(201).json({
+                id: record.id,
+                url: linkFor(record.id),
+                deleteToken,
+                expiresAt: record.expiresAt,
+            });
+        } catch (error) {
+            req.log.error('[/api/share] store error', { err: error });
+            return res.status(500).json({ error: 'Failed to create the share' });
+        }
+    });
+
+    router.get('/api/share/:id', async (req, res) => {
+        try {
+            const share = await shares.get(req.params.id);
+            res.setHeader('Cache-Control', 'no-cache');
+            if (!share) return res.status(404).json({ error: 'This link has expired or was deleted' });
+            return res.json(toPublic(share));
+        } catch (error) {
+            req.log.error('[/api/share] store error', { err: error });
+            return res.status(500).json({ error: 'Failed to read the share' });
+        }
+    });
+
+    router.delete('/api/share/:id', async (req, res) => {
+        const token = req.get('X-Delete-Token');
+        if (!token) return res.status(401).json({ error: 'X-Delete-Token is required' });
+        try {
+            const outcome = await shares.remove(req.params.id, token);
+            if (outcome === 'not_found') return res.status(404).json({ error: 'This link has expired or was deleted' });
+            if (outcome === 'forbidden') return res.status(403).json({ error: 'Wrong deletion token' });
+            req.log.info('share deleted', { shareId: req.params.id });
+            return res.status(204).end();
+        } catch (error) {
+            req.log.error('[/api/share] store error', { err: error });
+            return res.status(500).json({ error: 'Failed to delete the share' });
+        }
+    });
+
+    router.get('/s/:id', async (req, res) => {
+        try {
+            const share = await shares.get(req.params.id);
+            // og:url must be absolute, so it is left out without SHARE_URL
+            const url = publicUrl && linkFor(req.params.id);
+            res.setHeader('Cache-Control', 'no-cache');
+            if (!share) return res.status(404).type('html').send(renderMissingPage({ url, appUrl }));
+            return res.type('html').send(renderSharePage(toPublic(share), { url, appUrl }));
+        } catch (error) {
+            req.log.error('[/s] store error', { err: error });
+            return res.status(500).type('text').send('Failed to read the share');
+        }
+    });
+
+    return router;
+}
+
+module.exports = { createShareRouter };
@@ -0,0 +1,172 @@
+const fs = require('fs');
+const path = require('path');
+const { estimateTokens } = require('../lib/tokens');
+
+/*
+  Safety classification in front of the clarification.  An input that
+  describes a crisis (suicide, self-harm), threatens someone, or tries to
+  instruct the model is not clarified: the caller gets a `safety` response
+  instead — support resources for a crisis, a short explanation otherwise.
+
+  Two stages:
+
+    rules   regular expressions per category from the policy file, run
+            locally on every input and on refinement guidance
+    model   optional: inputs the rules let through are classified by the
+            primary upstream (one word, a few tokens).  Fails open — if the
+            check errors or times out, the input is allowed and the failure
+            logged.  The text is redacted first, like any upstream call.
+
+    SAFETY                   = on (default) | off
+    SAFETY_POLICY_FILE       = rules and responses (default safety/policy.json)
+    SAFETY_MODEL_CHECK       = off (default) | on
+    SAFETY_MODEL_TIMEOUT_MS  = time limit for the model check (default 3000)
+
+  The categories are fixed because clients render each one differently; the
+  rules and wording behind them are the policy file's.  The shipped policy
+  is English only: other languages are caught by the model check alone,
+  and every response is in English.
+*/
+
+const CATEGORIES = ['crisis', 'abuse', 'injection'];
+const DEFAULT_POLICY_FILE = path.join(__dirname, 'policy.json');
+const DEFAULT_MODEL_TIMEOUT_MS = 3000;
+
+function validatePolicy(policy, source) {
+    const fail = (message) => {
+        throw new Error(`Invalid safety policy ${source}: ${message}`);
+    };
+    if (!policy.categories || typeof policy.categories !== 'object') fail('"categories" must be an object');
+
+    return {
+        version: String(policy.version ?? ''),
+        classifierPrompt: policy.classifier?.prompt ?? null,
+        categories: Object.entries(policy.categories).map(([category, { rules = [], response } = {}]) => {
+            if (!CATEGORIES.includes(category)) fail(`unknown category "${category}". Expected one of: ${CATEGORIES.join(', ')}`);
+            if (typeof response?.message !== 'string') fail(`category "${category}" needs a response message`);
+            return {
+                category,
+                response,
+                rules: rules.map((rule) => {
+                    if (typeof rule.id !== 'string' || typeof rule.pattern !== 'string') fail(`category "${category}": every rule needs an id and a pattern`);
+                    try {
+                        return { id: rule.id, pattern: new RegExp(rule.pattern, 'im') };
+                    } catch (error) {
+                        fail(`rule "${rule.id}": ${error.message}`);
+                    }
+                }),
+            };
+        }),
+    };
+}
+
+function loadPolicy(file = DEFAULT_POLICY_FILE) {
+    return validatePolicy(JSON.parse(fs.readFileSync(file, 'utf8')), file);
+}
+
+/*
+  `providerChain` is only needed with modelCheck; `redactor` masks the text
+  before it goes to the model.  check() resolves to a decision:
+
+    { category, source, rules, response, modelCheck, provider?, model?, usage? }
+
+  `category` is null when the input is allowed; `source` says which stage
+  decided (rules | model); `rules` lists the rule ids that matched;
+  `response` is what the client is shown, { category, title, message,
+  resources?, note? }.  `modelCheck` is skipped | none | <category> | error.
+*/
+function createSafety({ policy, providerChain = null, redactor = null, modelCheck = false, modelTimeoutMs = DEFAULT_MODEL_TIMEOUT_MS }) {
+    const byCategory = new Map(policy.categories.map((entry) => [entry.category, entry]));
+    const useModel = modelCheck && Boolean(providerChain) && Boolean(policy.classifierPrompt);
+
+    const responseFor = (category) => ({ category, ...byCategory.get(category).response });
+
+    function matchRules(texts) {
+        for (const { category, rules } of policy.categories) {
+            const matched = rules.filter(({ pattern }) => texts.some((text) => pattern.test(text))).map(({ id }) => id);
+            if (matched.length > 0) return { category, rules: matched };
+        }
+        return null;
+    }
+
+    async function classify(texts, signal) {
+        const session = redactor?.start();
+        const text = texts.map((value) => (session ? session.redact(value) : value)).join('\n\n');
+        const timeout = AbortSignal.timeout(modelTimeoutMs);
+        const request = {
+            messages: [
+                { role: 'system', content: policy.classifierPrompt },
+                { role: 'user', content: text },
+            ],
+            maxTokens: 5,
+            temperature: 0,
+            signal: signal ? AbortSignal.any([signal, timeout]) : timeout,
+        };
+
+        const { provider, chunks } = await providerChain.open(request);
+        let answer = '';
+        let usage = null;
+        for await (const { text: content, usage: reported } of chunks) {
+            if (reported) usage = reported;
+            if (content) answer += content;
+        }
+
+        const word = answer.trim().toLowerCase().match(/[a-z]+/)?.[0];
+        return {
+            category: byCategory.has(word) ? word : null,
+            provider: provider.name,
+            model: provider.model,
+            usage: usage ?? {
+                promptTokens: estimateTokens(policy.classifierPrompt + text),
+                completionTokens: estimateTokens(answer),
+            },
+        };
+    }
+
+    return {
+        policyVersion: policy.version,
+        modelCheck: useModel,
+
+        // `texts`: the input and any refinement guidance
+        async check({ texts, signal }) {
+            const matched = matchRules(texts);
+            if (matched) {
+                return { ...matched, source: 'rules', response: responseFor(matched.category), modelCheck: 'skipped' };
+            }
+            if (!useModel) {
+                return { category: null, source: 'rules', rules: [], response: null, modelCheck: 'skipped' };
+            }
+
+            try {
+                const { category, provider, model, usage } = await classify(texts, signal);
+                return {
+                    category,
+                    source: 'model',
+                    rules: [],
+                    response: category ? responseFor(category) : null,
+                    modelCheck: category ?? 'none',
+                    provider,
+                    model,
+                    usage,
+                };
+            } catch (error) {
+                if (signal?.aborted) throw error;
+                return { category: null, source: 'rules', rules: [], response: null, modelCheck: 'error', error };
+            }
+        },
+    };
+}
+
+// null when SAFETY=off
+function createSafetyFromEnv(env = process.env, { providerChain, redactor = null } = {}) {
+    if (env.SAFETY === 'off') return null;
+    return createSafety({
+        policy: loadPolicy(env.SAFETY_POLICY_FILE || DEFAULT_POLICY_FILE),
+        providerChain,
+        redactor,
+        modelCheck: env.SAFETY_MODEL_CHECK === 'on',
+        modelTimeoutMs: parseInt(env.SAFETY_MODEL_TIMEOUT_MS, 10) || DEFAULT_MODEL_TIMEOUT_MS,
+    });
+}
+
+module.exports = { CATEGORIES, createSafety, createSafetyFromEnv, loadPolicy };
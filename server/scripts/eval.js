@@ -0,0 +1,173 @@
+#!/usr/bin/env node
+require('dotenv').config({ quiet: true });
+const fs = require('fs');
+const { parseArgs } = require('util');
+const { createProvider } = require('../providers');
+const { createProviderChain } = require('../providers/chain');
+const { listPromptVersions, loadPromptSet } = require('../prompts');
+const { createLogger } = require('../lib/logger');
+const { DATASET_FILE, loadDataset, runEval, diffRuns } = require('../eval');
+
+/*
+  Offline prompt evaluation.  Runs the golden dataset (eval/golden.jsonl)
+  through a prompt version and model, scores each output against the
+  prompt's rules, and with --compare prints a diff report between two
+  versions.  The mock provider needs no API key or network.
+
+    npm run eval -- --prompt v1
+    npm run eval -- --prompt v1 --compare v2
+    npm run eval -- --prompt v2 --provider groq --model llama-3.3-70b-versatile --out v2-groq.json
+    npm run eval -- --baseline v2-groq.json --compare prompts/draft.json --provider groq
+*/
+
+const USAGE = `Usage:
+  eval [--prompt <version|file>] [--compare <version|file>] [--baseline <run.json>]
+       [--provider mock] [--model <id>] [--dataset <file>] [--concurrency 3]
+       [--json] [--out <file>] [--fail-on-regression]
+
+Prompt versions: ${listPromptVersions().join(', ')}`;
+
+function fail(message) {
+    console.error(message);
+    process.exit(1);
+}
+
+let parsed;
+try {
+    parsed = parseArgs({
+        options: {
+            'prompt': { type: 'string' },
+            'compare': { type: 'string' },
+            'baseline': { type: 'string' },
+            'provider': { type: 'string', default: 'mock' },
+            'model': { type: 'string' },
+            'dataset': { type: 'string', default: DATASET_FILE },
+            'concurrency': { type: 'string', default: '3' },
+            'json': { type: 'boolean', default: false },
+            'out': { type: 'string' },
+            'fail-on-regression': { type: 'boolean', default: false },
+            'help': { type: 'boolean', short: 'h', default: false },
+        },
+    });
+} catch (error) {
+    fail(`${error.message}\n\n${USAGE}`);
+}
+const { values } = parsed;
+
+if (values.help) {
+    console.log(USAGE);
+    process.exit(0);
+}
+
+const concurrency = Number(values.concurrency);
+if (!Number.isInteger(concurrency) || concurrency <= 0) fail('--concurrency must be a positive integer');
+if (values.baseline && values.prompt) fail('--baseline replaces --prompt; pass one or the other');
+if (values.baseline && !values.compare) fail('--baseline needs --compare');
+
+// ─── Report formatting ────────────────────────────────────────────────────
+
+const percent = (ratio) => `${(ratio * 100).toFixed(1)}%`;
+const signed = (value, digits = 1) => (value > 0 ? '+' : '') + value.toFixed(digits);
+const row = (cells) => cells.map((cell, index) => String(cell).padEnd(index === 0 ? 22 : 14)).join('').trimEnd();
+
+function formatRun(run) {
+    const { summary } = run;
+    const lines = [
+        `Prompt ${run.promptVersion} · ${run.model} · ${summary.total} inputs`,
+        '',
+        row(['pass rate', `${percent(summary.passRate)} (${summary.passed}/${summary.total - summary.errors})`]),
+        row(['avg words', summary.avgWords.toFixed(1)]),
+        row(['avg sentences', summary.avgSentences.toFixed(2)]),
+        row(['avg latency', `${Math.round(summary.avgLatencyMs)} ms`]),
+    ];
+    if (summary.errors) lines.push(row(['errors', summary.errors]));
+    for (const [rule, count] of Object.entries(summary.byRule)) lines.push(row([`  ${rule}`, count]));
+
+    const failures = run.results.filter((result) => result.error || !result.pass);
+    if (failures.length) {
+        lines.push('', 'Failing items');
+        for (const result of failures) {
+            lines.push(`  ${result.id} [${result.mode}] ${result.error ?? result.violations.join(', ')}`);
+            if (result.output) lines.push(`      ${result.output}`);
+        }
+    }
+    return lines.join('\n');
+}
+
+function formatItems(title, entries, diff) {
+    if (entries.length === 0) return [];
+    const lines = ['', `${title} (${entries.length})`];
+    for (const { id, mode, before, after } of entries) {
+        const verdict = (result) => (result.pass ? 'pass' : result.violations.join(', '));
+        lines.push(`  ${id} [${mode}]`);
+        lines.push(`      ${diff.base.promptVersion}: ${before.output}  (${verdict(before)})`);
+        lines.push(`      ${diff.candidate.promptVersion}: ${after.output}  (${verdict(after)})`);
+    }
+    return lines;
+}
+
+function formatDiff(diff) {
+    const { base, candidate, delta } = diff;
+    const lines = [
+        `Prompt ${base.promptVersion} (${base.model}) → ${candidate.promptVersion} (${candidate.model}) · ${candidate.summary.total} inputs`,
+        '',
+        row(['', base.promptVersion, candidate.promptVersion, 'Δ']),
+        row(['pass rate', percent(base.summary.passRate), percent(candidate.summary.passRate), `${signed(delta.passRate * 100)} pts`]),
+        row(['avg words', base.summary.avgWords.toFixed(1), candidate.summary.avgWords.toFixed(1), signed(delta.avgWords)]),
+        row(['avg sentences', base.summary.avgSentences.toFixed(2), candidate.summary.avgSentences.toFixed(2), signed(delta.avgSentences, 2)]),
+        row(['avg latency ms', Math.round(base.summary.avgLatencyMs), Math.round(candidate.summary.avgLatencyMs), signed(delta.avgLatencyMs, 0)]),
+    ];
+    for (const [rule, change] of Object.entries(delta.byRule)) {
+        lines.push(row([`  ${rule}`, base.summary.byRule[rule] ?? 0, candidate.summary.byRule[rule] ?? 0, signed(change, 0)]));
+    }
+    lines.push(
+        ...formatItems('Regressed', diff.regressed, diff),
+        ...formatItems('Fixed', diff.fixed, diff),
+        ...formatItems('Changed wording, same verdict', diff.changed, diff),
+        '',
+        `${diff.unchanged} unchanged`,
+    );
+    return lines.join('\n');
+}
+
+// ─── Main ─────────────────────────────────────────────────────────────────
+
+async function main() {
+    const dataset = loadDataset(values.dataset);
+
+    let provider;
+    try {
+        provider = createProvider(values.provider, { model: values.model });
+    } catch (error) {
+        fail(error.message);
+    }
+    if (!provider.configured) fail(`Provider "${values.provider}" is not configured — set its API key in the environment`);
+
+    // Upstream warnings would interleave with the report; errors land on each item instead
+    const logger = createLogger({ level: 'error' });
+    const providerChain = createProviderChain([provider], { logger });
+
+    const run = async (versionOrPath) => {
+        const promptSet = loadPromptSet(versionOrPath);
+        if (!values.json) process.stderr.write(`Running ${promptSet.version} on ${dataset.length} inputs…\n`);
+        return runEval({ promptSet, providerChain, dataset, concurrency, logger });
+    };
+
+    const base = values.baseline
+        ? JSON.parse(fs.readFileSync(values.baseline, 'utf8'))
+        : await run(values.prompt || listPromptVersions().at(-1));
+    if (!values.compare) {
+        if (values.out) fs.writeFileSync(values.out, `${JSON.stringify(base, null, 2)}\n`);
+        console.log(values.json ? JSON.stringify(base, null, 2) : formatRun(base));
+        return;
+    }
+
+    const candidate = await run(values.compare);
+    const diff = diffRuns(base, candidate);
+    if (values.out) fs.writeFileSync(values.out, `${JSON.stringify({ ...diff, runs: [base, candidate] }, null, 2)}\n`);
+    console.log(values.json ? JSON.stringify(diff, null, 2) : formatDiff(diff));
+
+    if (values['fail-on-regression'] && diff.regressed.length > 0) process.exitCode = 1;
+}
+
+main().catch((error) => fail(error.message));
@@ -0,0 +1,114 @@
+#!/usr/bin/env node
+require('dotenv').config({ quiet: true });
+const { parseArgs } = require('util');
+const { MODE_IDS } = require('../modes');
+const { createApiKeysFromEnv } = require('../apiKeys');
+
+/*
+  Admin CLI for API keys.  Edits the same key file the server reads, so
+  changes apply to a running server within a second.
+
+    npm run keys -- create --name "support-bot" [--max-reqs 60 --window-ms 60000]
+                           [--modes core-issue,tldr] [--monthly-tokens 500000]
+    npm run keys -- list
+    npm run keys -- revoke <id>
+    npm run keys -- usage [--month 2026-10]
+*/
+
+const USAGE = `Usage:
+  keys create --name <name> [--max-reqs N --window-ms MS] [--modes a,b] [--monthly-tokens N]
+  keys list
+  keys revoke <id>
+  keys usage [--month YYYY-MM]`;
+
+function fail(message) {
+    console.error(message);
+    process.exit(1);
+}
+
+function positiveInt(value, flag) {
+    const n = Number(value);
+    if (!Number.isInteger(n) || n <= 0) fail(`--${flag} must be a positive integer`);
+    return n;
+}
+
+const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+        'name': { type: 'string' },
+        'max-reqs': { type: 'string' },
+        'window-ms': { type: 'string' },
+        'modes': { type: 'string' },
+        'monthly-tokens': { type: 'string' },
+        'month': { type: 'string' },
+    },
+});
+
+const [command, ...args] = positionals;
+const { keys, usage } = createApiKeysFromEnv();
+
+switch (command) {
+    case 'create': {
+        if (!values.name) fail('--name is required');
+
+        let rateLimit = null;
+        if (values['max-reqs']) {
+            rateLimit = {
+                maxReqs: positiveInt(values['max-reqs'], 'max-reqs'),
+                windowMs: values['window-ms'] ? positiveInt(values['window-ms'], 'window-ms') : 60_000,
+            };
+        }
+
+        let modes = null;
+        if (values.modes) {
+            modes = values.modes.split(',').map((m) => m.trim()).filter(Boolean);
+            const unknown = modes.filter((m) => !MODE_IDS.includes(m));
+            if (unknown.length) fail(`Unknown mode(s): ${unknown.join(', ')}. Expected: ${MODE_IDS.join(', ')}`);
+        }
+
+        const { key, record } = keys.create({
+            name: values.name,
+            rateLimit,
+            modes,
+            monthlyTokenCap: values['monthly-tokens'] ? positiveInt(values['monthly-tokens'], 'monthly-tokens') : null,
+        });
+
+        console.log(JSON.stringify(record, null, 2));
+        console.log(`\nAPI key (shown once — store it now):\n${key}`);
+        break;
+    }
+
+    case 'list':
+        console.table(keys.list().map((k) => ({
+            id: k.id,
+            name: k.name,
+            created: k.createdAt.slice(0, 10),
+            revoked: k.revokedAt ? k.revokedAt.slice(0, 10) : '',
+            limit: k.rateLimit ? `${k.rateLimit.maxReqs}/${k.rateLimit.windowMs}ms` : 'default',
+            modes: k.modes ? k.modes.join(',') : 'all',
+            monthlyTokens: k.monthlyTokenCap ?? 'unlimited',
+        })));
+        break;
+
+    case 'revoke':
+        if (!args[0]) fail('Usage: keys revoke <id>');
+        if (!keys.revoke(args[0])) fail(`No key with id ${args[0]}`);
+        console.log(`Revoked ${args[0]}`);
+        break;
+
+    case 'usage': {
+        const names = Object.fromEntries(keys.list().map((k) => [k.id, k.name]));
+        const { month, byKey } = usage.summary(values.month);
+        console.log(`Usage for ${month}`);
+        console.table(Object.entries(byKey).map(([keyId, u]) => ({
+            key: `${keyId} (${names[keyId] ?? 'deleted'})`,
+            requests: u.requests,
+            cached: u.cached,
+            tokens: u.tokens,
+        })));
+        break;
+    }
+
+    default:
+        fail(USAGE);
+}
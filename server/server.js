@@ -1,117 +1,266 @@
 require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
-const Groq = require('groq-sdk');
+const { createProviderChainFromEnv } = require('./providers');
+const { DEFAULT_MODE, PROMPT_VERSION, MODES, MODE_IDS } = require('./modes');
+const { AUTO_LANGUAGE, LANGUAGES } = require('./languages');
+const { createClarifier } = require('./clarify');
+const { createFeedbackStoreFromEnv } = require('./feedback');
+const { createFeedbackRouter } = require('./routes/feedback');
+const { createClarifyRouter } = require('./routes/clarify');
+const { createCacheFromEnv } = require('./cache');
+const { createRedactorFromEnv } = require('./redaction');
+const { createSafetyFromEnv } = require('./safety');
+const { createDocumentReaderFromEnv } = require('./documents');
+const { createRateLimitsFromEnv, createRateLimitMiddleware } = require('./rateLimit');
+const { createApiKeysFromEnv, createAuthMiddleware } = require('./apiKeys');
+const { createHealthRouter } = require('./routes/health');
+const { createExperimentsRouter } = require('./routes/experiments');
+const { createExperimentsFromEnv } = require('./experiments');
+const { createEmbedPolicyFromEnv } = require('./embed');
+const { createEmbedRouter } = require('./routes/embed');
+const { createShareServiceFromEnv } = require('./share');
+const { createShareRouter } = require('./routes/share');
+const { createLoggerFromEnv } = require('./lib/logger');
+const { createMetrics } = require('./lib/metrics');
+const { createRequestContext } = require('./lib/requestContext');
+const { CHARS_PER_TOKEN, SCRIPT_WEIGHTS } = require('./lib/tokens');
 
 // ─── Constants ────────────────────────────────────────────────────────────────
 
 const PORT = parseInt(process.env.PORT, 10) || 8080;
 
 /*
-  Max input length enforced on the backend independently of the frontend cap.
-  Prevents crafted requests (curl, Postman, scrapers) from bypassing the UI
-  and submitting huge payloads that would waste Groq tokens and API quota.
+  Input limits, in estimated tokens (lib/tokens.js) so they follow what a
+  request costs rather than its characters.  Inputs up to CHUNK_TOKENS are
+  read in one pass; longer ones, up to MAX_INPUT_TOKENS, are map-reduced
+  (longInput.js).  The web client reads both from GET /api/limits instead of
+  keeping its own copy, and the backend enforces them regardless, so crafted
+  requests (curl, Postman, scrapers) cannot submit huge payloads either.
 */
-const MAX_INPUT_LENGTH = 5000;
+const MAX_INPUT_TOKENS = parseInt(process.env.MAX_INPUT_TOKENS, 10) || 12_000;
+const CHUNK_TOKENS = parseInt(process.env.CHUNK_TOKENS, 10) || 1250;
 
 /*
-  In-memory rate limiter: tracks how many requests each IP has made in the
-  current window.  Keeps a single Map in process memory — fine for a
-  single-instance deployment.  No external dep required.
+  Body limit for everything but batches: the longest input, at up to 3 bytes
+  per character once UTF-8 and JSON-escaped, plus room for refinement turns.
+*/
+const BODY_LIMIT = MAX_INPUT_TOKENS * CHARS_PER_TOKEN * 3 + 16 * 1024;
 
-  windowMs  = 60 000 ms (1 minute)
-  maxReqs   = 10 requests per window per IP
+/*
+  Batch endpoint limits.  The body limit is sized for BATCH_MAX_ITEMS
+  single-pass inputs (CHUNK_TOKENS each), plus JSON overhead.
 */
-const RATE_WINDOW_MS = 60_000;
-const RATE_MAX_REQS = 10;
-const rateLimitMap = new Map(); // ip → { count, resetAt }
-
-function isRateLimited(ip) {
-    const now = Date.now();
-    const entry = rateLimitMap.get(ip);
-
-    if (!entry || now >= entry.resetAt) {
-        // Fresh window
-        rateLimitMap.set(ip, { count: 1, resetAt: now + RATE_WINDOW_MS });
-        return false;
-    }
+const BATCH_MAX_ITEMS = parseInt(process.env.BATCH_MAX_ITEMS, 10) || 100;
+const BATCH_CONCURRENCY = parseInt(process.env.BATCH_CONCURRENCY, 10) || 3;
+const BATCH_BODY_LIMIT = '1mb';
 
-    entry.count += 1;
-    if (entry.count > RATE_MAX_REQS) return true;
-    return false;
-}
+// Candidate answers one request may ask for (`n`); each is a full model call
+const MAX_CANDIDATES = 3;
+
+// ─── Observability ────────────────────────────────────────────────────────────
 
 /*
-  Prune stale entries periodically so the Map doesn't grow without bound
-  in long-running deployments.  Runs every 5 minutes.
+  JSON-lines logs (LOG_LEVEL) and the Prometheus series behind GET /metrics.
+  METRICS_TOKEN, when set, must be sent as a Bearer token to read /metrics —
+  leave it unset only where the endpoint is not publicly reachable.
 */
-setInterval(() => {
-    const now = Date.now();
-    for (const [ip, entry] of rateLimitMap) {
-        if (now >= entry.resetAt) rateLimitMap.delete(ip);
+const logger = createLoggerFromEnv();
+const metrics = createMetrics();
+const METRICS_TOKEN = process.env.METRICS_TOKEN || '';
+
+// Guards /metrics and the other operator-only reports
+function requireMetricsToken(req, res, next) {
+    if (METRICS_TOKEN && req.get('Authorization') !== `Bearer ${METRICS_TOKEN}`) {
+        return res.status(401).json({ error: 'Metrics token required' });
     }
-}, 5 * 60_000);
+    return next();
+}
+
+// Set on SIGTERM so /readyz turns traffic away while requests drain
+let shuttingDown = false;
+
+// ─── Rate limiting ────────────────────────────────────────────────────────────
+
+/*
+  Per-client request limit plus an optional LLM-token quota, so a 5000-char
+  request costs more than a 10-char one.  In-memory sliding window by default;
+  see rateLimit/index.js for algorithms, the Redis store and the env vars.
+*/
+const rateLimits = createRateLimitsFromEnv(process.env, { logger });
+
+// ─── API keys ─────────────────────────────────────────────────────────────────
+
+/*
+  Optional Bearer-key auth with per-key limits, allowed modes and monthly
+  token caps, plus a usage log of who consumed what.  Keys are managed with
+  `npm run keys` (scripts/keys.js).
+*/
+const apiKeys = createApiKeysFromEnv(process.env, { logger });
+const authenticate = createAuthMiddleware(apiKeys);
+
+// ─── LLM provider ─────────────────────────────────────────────────────────────
+
+/*
+  Providers are created once at module load.  Creating them per-request would
+  re-read the env vars and re-instantiate the HTTP agent on every call.
+  LLM_PROVIDER (groq | gemini | openai | mock) is tried first, then each entry
+  of LLM_FALLBACKS in order on 429 / 5xx / timeout — see providers/chain.js.
+*/
+const providerChain = createProviderChainFromEnv(process.env, { logger });
+
+// ─── Feedback store ───────────────────────────────────────────────────────────
 
-// ─── Groq client ──────────────────────────────────────────────────────────────
+/*
+  Thumbs up/down events from the client.  JSONL file by default; see
+  feedback/index.js for FEEDBACK_STORE options.
+*/
+const feedbackStore = createFeedbackStoreFromEnv();
+
+// ─── Response cache ───────────────────────────────────────────────────────────
+
+/*
+  Identical questions from different visitors are answered once.  In-process
+  LRU by default; see cache/index.js for CACHE_BACKEND options.  null when
+  caching is turned off.
+*/
+const responseCache = createCacheFromEnv(process.env, { logger });
+
+// ─── PII redaction ────────────────────────────────────────────────────────────
+
+/*
+  Emails, phone numbers, card numbers, URLs and names are masked before the
+  text leaves for the upstream, and put back in the answer.  On by default;
+  see redaction/index.js for REDACT options.  null when turned off.
+*/
+const redactor = createRedactorFromEnv();
+
+// ─── Content safety ───────────────────────────────────────────────────────────
+
+/*
+  Crisis language, threats and prompt injection are answered with a safety
+  response (support resources, or an explanation) instead of a
+  clarification.  Local rules always; a model check only with
+  SAFETY_MODEL_CHECK=on.  See safety/index.js.
+*/
+const safety = createSafetyFromEnv(process.env, { providerChain, redactor });
+
+// ─── Document upload ──────────────────────────────────────────────────────────
 
 /*
-  Groq client is created once at module load.  Creating it per-request would
-  re-read the env var and re-instantiate the HTTP agent on every call.
+  POST /api/clarify/file reads .txt, .md, .docx, .pdf and .eml files
+  locally and clarifies their text.  UPLOAD_MAX_BYTES caps the file size;
+  see documents/index.js.  null when UPLOAD=off.
 */
-const groq = new Groq({ apiKey: process.env.GROQ_API_KEY });
+const documents = createDocumentReaderFromEnv();
 
-// ─── System prompt ────────────────────────────────────────────────────────────
+// ─── Share links ──────────────────────────────────────────────────────────────
 
 /*
-  The system prompt is a module-level constant.  Keeping it out of the request
-  handler means it's never re-allocated or re-parsed on every API call.
+  POST /api/share stores an answer (and, if the user chooses, its input)
+  behind a short link that expires; GET /s/:id renders it with Open Graph
+  tags for link previews.  See share/index.js.  null when SHARE=off.
 */
-const SYSTEM_PROMPT = `You are Clarity AI.
+const shares = createShareServiceFromEnv(process.env, { logger });
 
-Your task: State the core issue, intent, or confusion in the user's message as ONE clear sentence.
+// ─── Clarification pipeline ───────────────────────────────────────────────────
 
-Strict rules:
-- Focus on the user's situation, not the topic.
-- Do NOT explain concepts or give background information.
-- Do NOT teach, advise, or educate.
-- Do NOT generalize.
-- Do NOT use academic or instructional language.
-- Do NOT refer to yourself.
-- Do NOT describe the user abstractly.
+/*
+  ENFORCE_MAX_RETRIES: how many times a rule-breaking answer is sent back to
+  the model before the best mechanical repair is accepted.  Each retry is a
+  full extra upstream call, so keep this small.
+*/
+const clarifierFor = (chain) => createClarifier({
+    providerChain: chain,
+    responseCache,
+    redactor,
+    logger,
+    chunkTokens: CHUNK_TOKENS,
+    enforceMaxRetries: parseInt(process.env.ENFORCE_MAX_RETRIES, 10) || 1,
+});
+const clarifier = clarifierFor(providerChain);
 
-Writing style:
-- Plain, natural English.
-- Human and direct.
-- Professional and calm.
-- Exactly ONE sentence.
-- No emojis.
-- No bullet points.
+// ─── Experiments ──────────────────────────────────────────────────────────────
 
-Goal: Reveal what is unclear or causing difficulty for the user, as simply as possible.`;
+/*
+  A/B tests of prompt versions, models and temperatures on live traffic.
+  None unless EXPERIMENTS_FILE exists; see experiments/index.js.
+*/
+const experiments = createExperimentsFromEnv(process.env, { clarifier, createClarifier: clarifierFor, logger });
+
+// ─── Embedding ────────────────────────────────────────────────────────────────
+
+/*
+  Browser access from other sites: CORS_ORIGIN lists the origins that may
+  call the API (default any), EMBED_ORIGINS the ones that may also frame
+  GET /embed.  The SDK and <clarity-box> are served from /sdk unless
+  EMBED=off; see embed.js.
+*/
+const embedPolicy = createEmbedPolicyFromEnv();
 
 // ─── Express app ──────────────────────────────────────────────────────────────
 
 const app = express();
 
+// Request id, per-request logger and HTTP metrics — first, so every response is counted
+app.use(createRequestContext({ logger, metrics }));
+
 /*
   CORS must be configured before express.json() so that OPTIONS pre-flight
   requests are answered correctly.  If express.json() runs first on an OPTIONS
   request the body-parser will reject the empty body before CORS can respond.
 */
 app.use(cors({
-    origin: process.env.CORS_ORIGIN || '*',
-    methods: ['POST', 'GET', 'OPTIONS'],
-    allowedHeaders: ['Content-Type'],
+    origin: embedPolicy.corsOrigin,
+    methods: ['POST', 'GET', 'DELETE', 'OPTIONS'],
+    allowedHeaders: ['Content-Type', 'Authorization', 'X-Request-Id', 'X-Client-Id', 'X-Delete-Token'],
+    // Let browser clients read these on cross-origin responses
+    exposedHeaders: [
+        'X-Request-Id',
+        'X-Cache',
+        'Retry-After',
+        'RateLimit-Limit',
+        'RateLimit-Remaining',
+        'RateLimit-Reset',
+        'RateLimit-Policy',
+    ],
 }));
 
+/*
+  Batch uploads carry many inputs, so that one route gets its own larger body
+  limit (JSON or NDJSON).  Registered before the global parser, which skips
+  bodies that have already been parsed.
+*/
+app.use(
+    '/api/clarify/batch',
+    express.json({ limit: BATCH_BODY_LIMIT }),
+    express.text({ type: 'application/x-ndjson', limit: BATCH_BODY_LIMIT }),
+);
+
+/*
+  Uploads are read raw and parsed by the route (documents/multipart.js).
+  The body limit leaves room for the form fields around the file; a body
+  over it gets the same JSON 413 as a file over UPLOAD_MAX_BYTES.
+*/
+if (documents) {
+    app.use(
+        '/api/clarify/file',
+        express.raw({ type: 'multipart/form-data', limit: documents.maxBytes + 64 * 1024 }),
+        (error, _req, res, next) => {
+            if (error.type !== 'entity.too.large') return next(error);
+            res.status(413).json({ error: `File exceeds the maximum of ${Math.floor(documents.maxBytes / 1024)} kB` });
+        },
+    );
+}
+
 app.use(express.json({
     /*
-      Limit request body to 16 kB.  express.json() default is 100 kB which is
-      far more than needed for a single-sentence input tool.  Tighter limit:
+      Limit request body to what the longest allowed input needs (BODY_LIMIT)
+      rather than a fixed size:
         - Rejects oversized bodies early (before any route handler runs)
         - Mitigates JSON payload DoS attacks
     */
-    limit: '16kb',
+    limit: BODY_LIMIT,
 }));
 
 // ─── Security headers (minimal, no external dep) ──────────────────────────────
@@ -137,104 +286,86 @@ app.get('/', (_req, res) => {
     res.send('Clarity AI backend running');
 });
 
-app.post('/api/clarify', async (req, res) => {
-    // ── Rate limiting ──────────────────────────────────────────────────────────
-    const clientIp = req.ip || req.socket?.remoteAddress || 'unknown';
-    if (isRateLimited(clientIp)) {
-        /*
-          Retry-After tells the client (browser, curl, automated scripts) exactly
-          how many seconds to wait before retrying.  Without it, clients have no
-          signal and may retry immediately, generating more 429s in a loop.
-          RATE_WINDOW_MS / 1000 gives the worst-case wait (start of a fresh window).
-        */
-        res
-            .status(429)
-            .set('Retry-After', String(RATE_WINDOW_MS / 1000))
-            .json({ error: 'Too many requests. Please wait a moment and try again.' });
-        return;
-    }
+if (embedPolicy.enabled) app.use(createEmbedRouter({ policy: embedPolicy, logger }));
 
-    /*
-      Cache-Control: no-store — prevent CDN edges, reverse proxies, or shared
-      caches from storing and re-serving user-specific AI responses.
-      Without this, a cached response for one user could be served to another.
-    */
+app.use(createHealthRouter({ providerChain, isShuttingDown: () => shuttingDown }));
+
+app.get('/metrics', requireMetricsToken, (_req, res) => {
     res.setHeader('Cache-Control', 'no-store');
+    res.type(metrics.contentType).send(metrics.render());
+});
 
-    // ── Input validation ───────────────────────────────────────────────────────
-    const { text } = req.body;
+/*
+  Modes the client can offer in its selector.  Prompts stay server-side —
+  only ids and labels are exposed.
+*/
+app.get('/api/modes', (_req, res) => {
+    res.json({
+        default: DEFAULT_MODE,
+        promptVersion: PROMPT_VERSION,
+        modes: MODE_IDS.map((id) => ({ id, label: MODES[id].label })),
+    });
+});
 
-    if (!text || typeof text !== 'string') {
-        return res.status(400).json({ error: 'Text input is required' });
-    }
+/*
+  Languages an answer can be forced into (request field outputLanguage);
+  "auto", the default, answers in the language of the input.
+*/
+app.get('/api/languages', (_req, res) => {
+    res.json({
+        default: AUTO_LANGUAGE,
+        languages: LANGUAGES.map(({ code, name }) => ({ code, name })),
+    });
+});
 
-    const trimmed = text.trim();
+/*
+  The input limits, so clients count the way the server does instead of
+  keeping their own.  `upload` is null when file upload is turned off.
+*/
+app.get('/api/limits', (_req, res) => {
+    res.json({
+        maxInputTokens: MAX_INPUT_TOKENS,
+        chunkTokens: CHUNK_TOKENS,
+        charsPerToken: CHARS_PER_TOKEN,
+        scriptWeights: SCRIPT_WEIGHTS,
+        upload: documents && { maxBytes: documents.maxBytes, extensions: documents.supportedExtensions },
+    });
+});
 
-    if (!trimmed) {
-        return res.status(400).json({ error: 'Text input must not be empty' });
-    }
+app.use('/api/clarify', authenticate, createClarifyRouter({
+    clarifier,
+    experiments,
+    safety,
+    documents,
+    rateLimits,
+    usage: apiKeys.usage,
+    metrics,
+    maxInputTokens: MAX_INPUT_TOKENS,
+    chunkTokens: CHUNK_TOKENS,
+    maxCandidates: MAX_CANDIDATES,
+    batchMaxItems: BATCH_MAX_ITEMS,
+    batchConcurrency: BATCH_CONCURRENCY,
+}));
 
-    if (trimmed.length > MAX_INPUT_LENGTH) {
-        return res.status(400).json({
-            error: `Input exceeds maximum allowed length of ${MAX_INPUT_LENGTH} characters`,
-        });
-    }
+app.use('/api/experiments', requireMetricsToken, createExperimentsRouter({ experiments, feedbackStore }));
 
-    // ── Groq API call ──────────────────────────────────────────────────────────
-    try {
-        const stream = await groq.chat.completions.create({
-            messages: [
-                { role: 'system', content: SYSTEM_PROMPT },
-                { role: 'user', content: trimmed },
-            ],
-            model: 'llama-3.1-8b-instant',
-            /*
-              max_tokens keeps the response short (one sentence ≈ 30-80 tokens).
-              Without this cap, Groq can return up to 8k tokens — massive latency
-              waste for a use case that needs exactly one sentence.
-            */
-            max_tokens: 128,
-            /*
-              temperature: 0.3 — slightly lower than default (1.0).
-              Produces more deterministic, focused output for an analysis task.
-              Does not change behaviour in a user-visible way.
-            */
-            temperature: 0.3,
-            stream: true,
-        });
-
-        // Set up Server-Sent Events
-        res.setHeader('Content-Type', 'text/event-stream');
-        res.setHeader('Connection', 'keep-alive');
-
-        for await (const chunk of stream) {
-            const content = chunk.choices[0]?.delta?.content || '';
-            if (content) {
-                res.write(`data: ${JSON.stringify({ text: content })}\n\n`);
-            }
-        }
-        res.write('data: [DONE]\n\n');
-        return res.end();
-
-    } catch (error) {
-        /*
-          Never forward raw error.message to the client in production — it can
-          leak internal details (API keys in stack traces, internal hostnames, etc.)
-          Log sanitised info at the server level only.
-        */
-        if (process.env.NODE_ENV !== 'production') {
-            console.error('[/api/clarify] Groq API error:', error.message);
-        } else {
-            console.error('[/api/clarify] Groq API error:', error.status ?? 'unknown status');
-        }
-
-        if (error.status === 429) {
-            return res.status(429).json({ error: 'System busy. Please try again in a moment.' });
-        }
-
-        return res.status(500).json({ error: 'Failed to clarify text' });
-    }
-});
+app.use('/api/feedback', createFeedbackRouter({
+    store: feedbackStore,
+    authenticate,
+    rateLimit: createRateLimitMiddleware(rateLimits, { route: '/api/feedback', metrics }),
+    requireMetricsToken,
+    maxInputTokens: MAX_INPUT_TOKENS,
+    maxCandidates: MAX_CANDIDATES,
+}));
+
+if (shares) {
+    app.use(createShareRouter({
+        shares,
+        authenticate,
+        rateLimit: createRateLimitMiddleware(rateLimits, { route: '/api/share', metrics }),
+        maxInputTokens: MAX_INPUT_TOKENS,
+    }));
+}
 
 // ─── 404 handler ──────────────────────────────────────────────────────────────
 
@@ -245,7 +376,11 @@ app.use((_req, res) => {
 // ─── Start server ─────────────────────────────────────────────────────────────
 
 const server = app.listen(PORT, () => {
-    console.log(`Clarity AI server running on port ${PORT}`);
+    logger.info('server started', {
+        port: PORT,
+        promptVersion: PROMPT_VERSION,
+        providers: providerChain.upstreams.map(({ provider }) => `${provider.name}/${provider.model}`),
+    });
 });
 
 // ─── Graceful shutdown ────────────────────────────────────────────────────────
@@ -256,18 +391,19 @@ const server = app.listen(PORT, () => {
     3. Exit cleanly
 
   Without this, an abrupt SIGKILL mid-request can send a broken response to
-  the client and leave the rateLimitMap in an inconsistent state.
+  the client and cut off usage charging for answers still in flight.
 */
 function shutdown() {
-    console.log('Clarity AI server shutting down…');
+    shuttingDown = true;
+    logger.info('server shutting down');
     server.close(() => {
-        console.log('All connections closed. Exiting.');
+        logger.info('all connections closed, exiting');
         process.exit(0);
     });
 
     // Force exit if connections are still open after 10 s
     setTimeout(() => {
-        console.error('Forced shutdown after timeout.');
+        logger.error('forced shutdown after timeout');
         process.exit(1);
     }, 10_000).unref(); // .unref() prevents this timer from keeping the process alive
 }
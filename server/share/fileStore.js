@@ -0,0 +1,69 @@
+const fs = require('fs');
+const path = require('path');
+
+/*
+  One JSON file per share in a directory (data/shares/<id>.json).  Creating
+  and deleting a share touches only its own file, so there is no snapshot
+  to rewrite and nothing to lose on a crash; writes go through a temp file
+  and a rename.  Ids are checked by the caller (share/index.js) before they
+  become file names.  The number of files is read once at start-up and
+  kept up to date from there.
+*/
+function createFileShareStore({ dir, logger = console }) {
+    fs.mkdirSync(dir, { recursive: true });
+    const fileFor = (id) => path.join(dir, `${id}.json`);
+    let count = fs.readdirSync(dir).filter((name) => name.endsWith('.json')).length;
+
+    return {
+        kind: 'file',
+
+        async get(id) {
+            try {
+                return JSON.parse(await fs.promises.readFile(fileFor(id), 'utf8'));
+            } catch (error) {
+                if (error.code === 'ENOENT') return null;
+                throw error;
+            }
+        },
+
+        async put(record) {
+            const file = fileFor(record.id);
+            const tmp = `${file}.tmp`;
+            await fs.promises.writeFile(tmp, JSON.stringify(record), { encoding: 'utf8', mode: 0o600 });
+            await fs.promises.rename(tmp, file);
+            count++;
+        },
+
+        async delete(id) {
+            try {
+                await fs.promises.unlink(fileFor(id));
+                count--;
+                return true;
+            } catch (error) {
+                if (error.code === 'ENOENT') return false;
+                throw error;
+            }
+        },
+
+        async sweep(now = Date.now()) {
+            let removed = 0;
+            for (const name of await fs.promises.readdir(dir)) {
+                if (!name.endsWith('.json')) continue;
+                const id = name.slice(0, -'.json'.length);
+                try {
+                    const record = await this.get(id);
+                    if (record && Date.parse(record.expiresAt) <= now && await this.delete(id)) removed++;
+                } catch (error) {
+                    logger.warn('[share] skipping unreadable share', { file: name, err: error });
+                }
+            }
+            return removed;
+        },
+
+        async count() {
+            return count;
+        },
+    };
+}
+
+module.exports = { createFileShareStore };
@@ -0,0 +1,141 @@
+const path = require('path');
+const crypto = require('crypto');
+const { sha256 } = require('../lib/hash');
+const { createMemoryShareStore } = require('./memoryStore');
+const { createFileShareStore } = require('./fileStore');
+
+/*
+  Shareable links to a clarification (POST /api/share, GET /s/:id).
+
+    SHARE               = on (default) | off
+    SHARE_STORE         = file (default) | memory
+    SHARE_DIR           = directory of the file store (default data/shares)
+    SHARE_TTL_DAYS      = lifetime of a link unless the request asks for
+                          another (default 30)
+    SHARE_MAX_TTL_DAYS  = longest lifetime a request may ask for (default 365)
+    SHARE_MAX_COUNT     = most live shares kept at once (default 100000)
+    SHARE_URL           = public address links are built on (default: none,
+                          links are paths such as /s/<id>)
+    SHARE_APP_URL       = web app that opens links in its read-only view;
+                          without it GET /s/:id shows the share itself
+
+  A share holds the answer and, only if the user chose to include it, the
+  text behind it.  Every share expires; expired ones are never served and
+  are removed hourly.  Whoever created a share gets a deletion token once —
+  only its hash is stored, as with API keys.  Once SHARE_MAX_COUNT shares
+  are live, new ones are refused until some expire or are deleted; with the
+  request limit on POST /api/share, that bounds what callers can store.
+
+  Share record:
+    { id, output, input | null, mode, language, createdAt, expiresAt, deleteTokenHash }
+*/
+
+const DATA_DIR = path.join(__dirname, '..', 'data');
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SWEEP_INTERVAL_MS = 60 * 60 * 1000;
+
+// 6 random bytes → 8 URL-safe characters; ids from requests must match before they reach a store
+const SHARE_ID = /^[\w-]{8}$/;
+
+// An address without its trailing slash, so paths can be appended; null when unset
+function parseBaseUrl(value, variable) {
+    if (!value) return null;
+    try {
+        return new URL(value).href.replace(/\/+$/, '');
+    } catch {
+        throw new Error(`Invalid ${variable} "${value}". Expected a URL such as https://clarity.example.com`);
+    }
+}
+
+function createShareService({ store, defaultDays = 30, maxDays = 365, maxCount = 100_000, publicUrl = null, appUrl = null, logger = console }) {
+    const sweep = () => store.sweep().catch((error) => logger.error('[share] sweep failed', { err: error }));
+    setInterval(sweep, SWEEP_INTERVAL_MS).unref();
+
+    async function find(id) {
+        if (typeof id !== 'string' || !SHARE_ID.test(id)) return null;
+        const record = await store.get(id);
+        if (!record) return null;
+        if (Date.parse(record.expiresAt) <= Date.now()) {
+            await store.delete(id);
+            return null;
+        }
+        return record;
+    }
+
+    return {
+        defaultDays,
+        maxDays,
+        publicUrl,
+        appUrl,
+
+        /*
+          Returns { record, deleteToken } — the token is not recoverable later —
+          or null when maxCount shares are live.
+        */
+        async create({ output, input = null, mode, language = null, days = defaultDays }) {
+            // Expired shares still on disk count until the hourly sweep; clear them first
+            if (await store.count() >= maxCount) await store.sweep();
+            if (await store.count() >= maxCount) return null;
+
+            const now = Date.now();
+            const deleteToken = crypto.randomBytes(18).toString('base64url');
+            const record = {
+                id: crypto.randomBytes(6).toString('base64url'),
+                output,
+                input,
+                mode,
+                language,
+                createdAt: new Date(now).toISOString(),
+                expiresAt: new Date(now + days * DAY_MS).toISOString(),
+                deleteTokenHash: sha256(deleteToken),
+            };
+            await store.put(record);
+            return { record, deleteToken };
+        },
+
+        // The live share with this id, or null when there is none or it has expired
+        get: find,
+
+        /* 'deleted', 'not_found', or 'forbidden' when the token does not match. */
+        async remove(id, deleteToken) {
+            const record = await find(id);
+            if (!record) return 'not_found';
+            const expected = Buffer.from(record.deleteTokenHash, 'hex');
+            const presented = Buffer.from(sha256(deleteToken ?? ''), 'hex');
+            if (!crypto.timingSafeEqual(expected, presented)) return 'forbidden';
+            await store.delete(id);
+            return 'deleted';
+        },
+    };
+}
+
+function createShareServiceFromEnv(env = process.env, { logger = console } = {}) {
+    if (env.SHARE === 'off') return null;
+
+    const kind = env.SHARE_STORE || 'file';
+    let store;
+    switch (kind) {
+        case 'file':
+            store = createFileShareStore({ dir: env.SHARE_DIR || path.join(DATA_DIR, 'shares'), logger });
+            break;
+        case 'memory':
+            store = createMemoryShareStore();
+            break;
+        default:
+            throw new Error(`Unknown SHARE_STORE "${kind}". Expected one of: file, memory`);
+    }
+
+    const maxDays = parseInt(env.SHARE_MAX_TTL_DAYS, 10) || 365;
+    const defaultDays = Math.min(parseInt(env.SHARE_TTL_DAYS, 10) || 30, maxDays);
+    return createShareService({
+        store,
+        defaultDays,
+        maxDays,
+        maxCount: parseInt(env.SHARE_MAX_COUNT, 10) || 100_000,
+        publicUrl: parseBaseUrl(env.SHARE_URL, 'SHARE_URL'),
+        appUrl: parseBaseUrl(env.SHARE_APP_URL, 'SHARE_APP_URL'),
+        logger,
+    });
+}
+
+module.exports = { SHARE_ID, createShareService, createShareServiceFromEnv };
@@ -0,0 +1,37 @@
+/*
+  Process-local share store.  Lost on restart — meant for development and
+  for running the server with no writable disk.
+*/
+function createMemoryShareStore() {
+    const records = new Map();
+
+    return {
+        kind: 'memory',
+
+        async get(id) {
+            return records.get(id) ?? null;
+        },
+
+        async put(record) {
+            records.set(record.id, record);
+        },
+
+        async delete(id) {
+            return records.delete(id);
+        },
+
+        async sweep(now = Date.now()) {
+            let removed = 0;
+            for (const [id, record] of records) {
+                if (Date.parse(record.expiresAt) <= now && records.delete(id)) removed++;
+            }
+            return removed;
+        },
+
+        async count() {
+            return records.size;
+        },
+    };
+}
+
+module.exports = { createMemoryShareStore };
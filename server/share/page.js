@@ -0,0 +1,115 @@
+const { getMode } = require('../modes');
+
+/*
+  The HTML behind a share link (GET /s/:id).  Link previews (Slack,
+  LinkedIn, iMessage, …) do not run scripts, so the Open Graph and Twitter
+  tags — the same ones client/index.html carries for the app — are written
+  here per share: the answer becomes the description, the mode the title.
+  The input is never put in a tag, so a preview shows only the answer.
+
+  With an appUrl, people are sent on to the web app's read-only view
+  (/s/:id); without one this page shows the share itself.
+*/
+
+const SITE_NAME = 'Clarity AI';
+const DESCRIPTION_LENGTH = 300;
+
+const escapeHtml = (value) => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+function truncate(text, length) {
+    return text.length <= length ? text : `${text.slice(0, length - 1).trimEnd()}…`;
+}
+
+function metaTags({ url, title, description, image, type }) {
+    const tags = [
+        ['name', 'description', description],
+        ['name', 'robots', 'noindex'],
+        ['property', 'og:type', type],
+        ['property', 'og:site_name', SITE_NAME],
+        ['property', 'og:url', url],
+        ['property', 'og:title', title],
+        ['property', 'og:description', description],
+        ['property', 'og:image', image],
+        ['name', 'twitter:card', 'summary'],
+        ['name', 'twitter:title', title],
+        ['name', 'twitter:description', description],
+    ];
+    return tags
+        .filter(([, , content]) => content)
+        .map(([attribute, name, content]) => `<meta ${attribute}="${name}" content="${escapeHtml(content)}">`)
+        .join('\n');
+}
+
+function renderDocument({ lang = 'en', title, head, body }) {
+    return `<!doctype html>
+<html lang="${escapeHtml(lang)}" dir="auto">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+${head}
+<style>
+  body { margin: 0; min-height: 100vh; display: grid; place-items: center; padding: 1.5rem; box-sizing: border-box;
+         font-family: Inter, system-ui, sans-serif; background: #0a0a0a; color: #f3f4f6; }
+  main { max-width: 40rem; }
+  .label { font-size: 0.75rem; font-weight: 600; letter-spacing: 0.08em; text-transform: uppercase; color: #10b981; }
+  .output { font-size: 1.5rem; line-height: 1.5; margin: 1rem 0 1.5rem; }
+  details, footer { color: #9ca3af; font-size: 0.875rem; }
+  a { color: #10b981; }
+</style>
+</head>
+<body>
+<main>
+${body}
+</main>
+</body>
+</html>
+`;
+}
+
+/*
+  share: the public record from GET /api/share/:id.  url is the link itself
+  (or null when there is no public address), appUrl the web app's address
+  (or null).
+*/
+function renderSharePage(share, { url, appUrl = null }) {
+    const modeLabel = getMode(share.mode)?.label;
+    const title = modeLabel ? `${SITE_NAME} — ${modeLabel}` : SITE_NAME;
+    const viewUrl = appUrl && `${appUrl}/s/${share.id}`;
+    const head = [
+        metaTags({
+            url,
+            title,
+            description: truncate(share.output, DESCRIPTION_LENGTH),
+            image: appUrl && `${appUrl}/clarity-logo.svg`,
+            type: 'article',
+        }),
+        // A script, not a meta refresh: link preview crawlers must stay on this page
+        viewUrl && `<script>location.replace(${JSON.stringify(viewUrl).replace(/</g, '\\u003c')});</script>`,
+    ].filter(Boolean).join('\n');
+
+    const body = [
+        `<p class="label">${escapeHtml(modeLabel || SITE_NAME)}</p>`,
+        `<p class="output" dir="auto">${escapeHtml(share.output)}</p>`,
+        share.input && `<details><summary>Original text</summary><p dir="auto" style="white-space: pre-wrap">${escapeHtml(share.input)}</p></details>`,
+        `<footer>Shared from ${viewUrl ? `<a href="${escapeHtml(viewUrl)}">${SITE_NAME}</a>` : SITE_NAME} · expires ${escapeHtml(share.expiresAt.slice(0, 10))}</footer>`,
+    ].filter(Boolean).join('\n');
+
+    return renderDocument({ lang: share.language || 'en', title, head, body });
+}
+
+function renderMissingPage({ url, appUrl = null }) {
+    const description = 'This link has expired or was deleted.';
+    return renderDocument({
+        title: SITE_NAME,
+        head: metaTags({ url, title: SITE_NAME, description, image: appUrl && `${appUrl}/clarity-logo.svg`, type: 'website' }),
+        body: `<p class="label">${SITE_NAME}</p>\n<p class="output">${description}</p>${appUrl ? `\n<footer><a href="${escapeHtml(appUrl)}/">Clarify your own thoughts</a></footer>` : ''}`,
+    });
+}
+
+module.exports = { renderSharePage, renderMissingPage };
@@ -0,0 +1,104 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createFileCache } = require('../cache/fileCache');
+const { createMemoryCache } = require('../cache/memoryCache');
+const { cacheKey, normalizeText } = require('../cache');
+const { createClarifier } = require('../clarify');
+const { createProviderChain } = require('../providers/chain');
+const { createMockProvider } = require('../providers/mock');
+const { getMode } = require('../modes');
+const { captureLogger } = require('./helpers');
+
+function tempDir(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'clarity-cache-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return dir;
+}
+
+test('an unreadable cache snapshot is logged as JSON and ignored', async (t) => {
+    const file = path.join(tempDir(t), 'cache.json');
+    fs.writeFileSync(file, 'not json');
+    const { logger, lines } = captureLogger();
+
+    const cache = createFileCache({ file, maxEntries: 10, logger });
+    assert.equal(await cache.get('anything'), null);
+    assert.equal(lines.length, 1);
+    assert.equal(lines[0].level, 'warn');
+    assert.equal(lines[0].msg, '[cache] ignoring unreadable snapshot');
+    assert.equal(lines[0].err.name, 'SyntaxError');
+});
+
+const KEY = { text: 'I keep rewriting this email.', mode: 'core-issue', provider: 'mock', model: 'mock-1', promptHash: 'abc' };
+
+test('normalizeText folds case, Unicode form and whitespace', () => {
+    assert.equal(normalizeText('  I keep\n\tREWRITING   this ｅｍａｉｌ. '), 'i keep rewriting this email.');
+    assert.equal(normalizeText('Cafe\u0301'), normalizeText('Café'));
+});
+
+test('cacheKey matches for normalized-equal text and differs for everything that changes the answer', () => {
+    const key = cacheKey(KEY);
+    assert.match(key, /^[0-9a-f]{64}$/);
+    assert.equal(cacheKey({ ...KEY, text: 'i keep  rewriting this EMAIL.' }), key);
+    assert.equal(cacheKey({ ...KEY, language: 'auto' }), key);
+    for (const change of [{ text: 'I keep rewriting this letter.' }, { mode: 'tldr' }, { provider: 'openai' }, { model: 'mock-2' }, { promptHash: 'abd' }, { language: 'fr' }]) {
+        assert.notEqual(cacheKey({ ...KEY, ...change }), key, JSON.stringify(change));
+    }
+});
+
+test('the memory cache evicts the least recently used entry', async () => {
+    const cache = createMemoryCache({ maxEntries: 2 });
+    await cache.set('a', 1, 60_000);
+    await cache.set('b', 2, 60_000);
+    assert.equal(await cache.get('a'), 1); // a is now the most recent
+    await cache.set('c', 3, 60_000);
+    assert.equal(await cache.get('b'), null);
+    assert.equal(await cache.get('a'), 1);
+    assert.equal(await cache.get('c'), 3);
+});
+
+test('the memory cache expires entries after their TTL', async () => {
+    let clock = 1_000;
+    const cache = createMemoryCache({ now: () => clock });
+    await cache.set('a', 1, 500);
+    clock += 499;
+    assert.equal(await cache.get('a'), 1);
+    clock += 1;
+    assert.equal(await cache.get('a'), null);
+    assert.deepEqual(cache.dump(), []);
+});
+
+test('the file cache snapshot survives a restart', async (t) => {
+    const file = path.join(tempDir(t), 'cache.json');
+    const cache = createFileCache({ file, maxEntries: 10, saveDelayMs: 0 });
+    await cache.set('a', { output: 'One sentence.' }, 60_000);
+
+    for (let tries = 0; !fs.existsSync(file) && tries < 100; tries++) await new Promise((resolve) => setTimeout(resolve, 10));
+    const reopened = createFileCache({ file, maxEntries: 10 });
+    assert.deepEqual(await reopened.get('a'), { output: 'One sentence.' });
+});
+
+test('the clarifier answers a repeated input from the cache and a refinement from the model', async () => {
+    const provider = createMockProvider();
+    let calls = 0;
+    const counted = { ...provider, stream: (request) => { calls++; return provider.stream(request); } };
+    const responseCache = { ...createMemoryCache(), ttlMs: 60_000 };
+    const { clarify } = createClarifier({ providerChain: createProviderChain([counted]), responseCache });
+    const mode = getMode('core-issue');
+
+    const first = await clarify({ text: 'I keep rewriting this email.', mode });
+    assert.equal(first.cache, 'MISS');
+    await new Promise((resolve) => setImmediate(resolve)); // the store is not awaited
+
+    const second = await clarify({ text: '  i keep rewriting THIS email. ', mode });
+    assert.equal(second.cache, 'HIT');
+    assert.equal(second.text, first.text);
+    assert.equal(second.tokensUsed, 0);
+    assert.equal(calls, 1);
+
+    const refined = await clarify({ text: 'I keep rewriting this email.', mode, refine: true });
+    assert.equal(refined.cache, 'BYPASS');
+    assert.equal(calls, 2);
+});
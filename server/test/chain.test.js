@@ -0,0 +1,160 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createProviderChain, UpstreamTimeoutError } = require('../providers/chain');
+const { createCircuitBreaker } = require('../lib/circuitBreaker');
+const { createProvider } = require('../providers');
+const { captureLogger } = require('./helpers');
+
+const REQUEST = { messages: [{ role: 'user', content: 'Hello' }] };
+
+/*
+  An upstream that plays `script` on each call: an Error is thrown, 'hang'
+  never answers, and a string is streamed word by word.  A string followed
+  by an Error (['Half an', error]) fails after the first chunk.
+*/
+function upstream(name, ...script) {
+    let calls = 0;
+    return {
+        get calls() {
+            return calls;
+        },
+        name,
+        model: `${name}-1`,
+        configured: true,
+        async *stream({ signal }) {
+            const steps = [script[Math.min(calls++, script.length - 1)]].flat();
+            for (const step of steps) {
+                if (step instanceof Error) throw step;
+                if (step === 'hang') {
+                    await new Promise((_, reject) => signal.addEventListener('abort', () => reject(signal.reason), { once: true }));
+                }
+                for (const word of step.split(' ')) yield { text: word };
+            }
+        },
+    };
+}
+
+const httpError = (status) => Object.assign(new Error(`HTTP ${status}`), { status });
+
+// The streamed words, joined back into the text
+async function read(opened) {
+    const words = [];
+    for await (const { text } of opened.chunks) words.push(text);
+    return words.join(' ');
+}
+
+test('a retryable failure before the first token falls over to the next upstream', async () => {
+    const { logger, lines } = captureLogger();
+    const primary = upstream('primary', httpError(503));
+    const backup = upstream('backup', 'Fine');
+    const chain = createProviderChain([primary, backup], { logger });
+
+    const opened = await chain.open(REQUEST);
+    assert.equal(opened.provider, backup);
+    assert.equal(opened.fallback, true);
+    assert.equal(await read(opened), 'Fine');
+    assert.deepEqual(lines.map(({ msg, provider, reason }) => ({ msg, provider, reason })), [
+        { msg: '[provider-chain] upstream failed, trying next', provider: 'primary', reason: 503 },
+    ]);
+});
+
+test('an upstream that sends nothing in time is abandoned for the next', async () => {
+    const { logger, lines } = captureLogger();
+    const chain = createProviderChain([upstream('slow', 'hang'), upstream('backup', 'Fine')], { timeoutMs: 20, logger });
+
+    assert.equal(await read(await chain.open(REQUEST)), 'Fine');
+    assert.equal(lines[0].reason, 504);
+});
+
+test('a request error is thrown without trying the next upstream', async () => {
+    const backup = upstream('backup', 'Fine');
+    const chain = createProviderChain([upstream('primary', httpError(400)), backup], { logger: captureLogger().logger });
+
+    await assert.rejects(chain.open(REQUEST), { status: 400 });
+    assert.equal(backup.calls, 0);
+    assert.equal(chain.upstreams[0].breaker.state, 'closed');
+});
+
+test('there is no fallover once the first token has been sent', async () => {
+    const backup = upstream('backup', 'Fine');
+    const chain = createProviderChain([upstream('primary', ['Half an', httpError(503)]), backup]);
+
+    const opened = await chain.open(REQUEST);
+    assert.equal(opened.fallback, false);
+    await assert.rejects(read(opened), { status: 503 });
+    assert.equal(backup.calls, 0);
+});
+
+test('every upstream failing ends with the last error, and none at all with a 503', async () => {
+    const chain = createProviderChain([upstream('a', httpError(502)), upstream('b', httpError(429))], { logger: captureLogger().logger });
+    await assert.rejects(chain.open(REQUEST), { status: 429 });
+
+    const unconfigured = createProviderChain([{ ...upstream('off'), configured: false }]);
+    await assert.rejects(unconfigured.open(REQUEST), { status: 503, message: 'No LLM provider is currently available' });
+    assert.throws(() => createProviderChain([]), /at least one provider/);
+
+    // The openai provider's default address alone is not a configuration
+    assert.equal(createProvider('openai', { env: {} }).configured, false);
+    assert.equal(createProvider('openai', { env: { OPENAI_BASE_URL: 'http://localhost:11434/v1' } }).configured, true);
+    assert.equal(createProvider('openai', { env: { OPENAI_API_KEY: 'sk-test' } }).configured, true);
+    assert.equal(new UpstreamTimeoutError({ name: 'x', model: 'y' }, 5).status, 504);
+});
+
+test('the breaker opens after the threshold and lets one trial through after the cooldown', () => {
+    let clock = 0;
+    const breaker = createCircuitBreaker({ failureThreshold: 2, cooldownMs: 1000, now: () => clock });
+
+    breaker.recordFailure();
+    assert.equal(breaker.canRequest(), true);
+    breaker.recordFailure();
+    assert.equal(breaker.state, 'open');
+    assert.equal(breaker.canRequest(), false);
+
+    clock = 1000;
+    assert.equal(breaker.state, 'half-open');
+    assert.equal(breaker.canRequest(), true);
+    assert.equal(breaker.canRequest(), false, 'only one trial at a time');
+
+    // A failed trial re-opens it for another cooldown
+    breaker.recordFailure();
+    assert.equal(breaker.state, 'open');
+    clock = 1999;
+    assert.equal(breaker.canRequest(), false);
+
+    clock = 2000;
+    assert.equal(breaker.canRequest(), true);
+    breaker.recordSuccess();
+    assert.equal(breaker.state, 'closed');
+    breaker.recordFailure();
+    assert.equal(breaker.state, 'closed', 'the failure count starts again after a success');
+});
+
+test('a trial that ends without a verdict frees the breaker for the next one', () => {
+    let clock = 0;
+    const breaker = createCircuitBreaker({ failureThreshold: 1, cooldownMs: 10, now: () => clock });
+    breaker.recordFailure();
+    clock = 10;
+    assert.equal(breaker.canRequest(), true);
+    breaker.release();
+    assert.equal(breaker.canRequest(), true);
+});
+
+test('the chain skips an upstream with an open breaker and returns to it once it recovers', async () => {
+    const primary = upstream('primary', httpError(500), httpError(500), 'Back again');
+    const backup = upstream('backup', 'Fine');
+    const chain = createProviderChain([primary, backup], { failureThreshold: 2, cooldownMs: 30, logger: captureLogger().logger });
+
+    await read(await chain.open(REQUEST));
+    await read(await chain.open(REQUEST));
+    assert.equal(chain.upstreams[0].breaker.state, 'open');
+
+    assert.equal((await chain.open(REQUEST)).provider, backup);
+    assert.equal(primary.calls, 2, 'an open breaker is not called');
+
+    await new Promise((resolve) => setTimeout(resolve, 40));
+    const recovered = await chain.open(REQUEST);
+    assert.equal(recovered.provider, primary);
+    assert.equal(recovered.fallback, false);
+    assert.equal(await read(recovered), 'Back again');
+    assert.equal(chain.upstreams[0].breaker.state, 'closed');
+});
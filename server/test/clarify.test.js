@@ -0,0 +1,342 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('events');
+const express = require('express');
+const { createClarifier } = require('../clarify');
+const { createClarifyRouter } = require('../routes/clarify');
+const { createProviderChain } = require('../providers/chain');
+const { createMockProvider, mockSentence } = require('../providers/mock');
+const { createRateLimitsFromEnv } = require('../rateLimit');
+const { createEventStream } = require('../lib/sse');
+const { createTestApp, listen, postJson } = require('./helpers');
+
+const TEXT = 'I keep rewriting this email. It never feels right.';
+const silent = { warn() {}, error() {} };
+
+// The mock provider, with every request it was sent kept in `requests`
+function recordingProvider(provider = createMockProvider()) {
+    const requests = [];
+    return {
+        requests,
+        provider: {
+            ...provider,
+            stream: (request) => {
+                requests.push(request);
+                return provider.stream(request);
+            },
+        },
+    };
+}
+
+// A provider that fails before its first token
+const failingProvider = (status) => ({
+    name: 'broken',
+    model: 'broken-1',
+    configured: true,
+    async *stream() {
+        throw Object.assign(new Error('upstream down'), { status });
+    },
+});
+
+async function startClarify({ providers = [createMockProvider()], ...options } = {}) {
+    const clarifier = createClarifier({
+        providerChain: createProviderChain(providers, { logger: silent }),
+        responseCache: null,
+        logger: silent,
+    });
+    const app = createTestApp(
+        '/api/clarify',
+        (req, _res, next) => {
+            req.id = 'test-request';
+            next();
+        },
+        express.text({ type: 'application/x-ndjson' }),
+        createClarifyRouter({
+            clarifier,
+            rateLimits: createRateLimitsFromEnv({}, { logger: silent }),
+            usage: { countRequest: async () => {}, record: async () => {} },
+            maxInputTokens: 1000,
+            chunkTokens: 500,
+            ...options,
+        }),
+    );
+    return listen(app);
+}
+
+// [{ event, data }] of a protocol 2 stream; `data` is parsed
+function parseEvents(body) {
+    return body.split('\n\n').filter((block) => block.startsWith('event:')).map((block) => {
+        const [, event] = block.match(/^event: (.+)$/m);
+        const [, data] = block.match(/^data: (.+)$/m);
+        return { event, data: JSON.parse(data) };
+    });
+}
+
+test('protocol 2 streams start, meta, tokens, checked meta and done', async (t) => {
+    const server = await startClarify();
+    t.after(server.close);
+
+    const response = await postJson(`${server.url}/api/clarify`, { text: TEXT, mode: 'core-issue' });
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get('content-type'), 'text/event-stream');
+    assert.equal(response.headers.get('x-cache'), 'BYPASS');
+    assert.equal(response.headers.get('cache-control'), 'no-store');
+
+    const events = parseEvents(await response.text());
+    assert.deepEqual(events.map(({ event }) => event).filter((event, i, all) => event !== all[i - 1]), ['start', 'meta', 'token', 'meta', 'done']);
+
+    const [start, upstream] = events;
+    assert.deepEqual(start.data, { protocol: 2, requestId: 'test-request', mode: 'core-issue', n: 1, inputLanguage: 'en', outputLanguage: 'en' });
+    assert.equal(upstream.data.provider, 'mock');
+    assert.equal(upstream.data.cached, false);
+
+    const tokens = events.filter(({ event }) => event === 'token');
+    assert.ok(tokens.every(({ data }) => data.candidate === 0));
+    assert.equal(tokens.map(({ data }) => data.text).join(''), mockSentence(TEXT));
+
+    const checked = events.at(-2).data;
+    assert.equal(checked.mode, 'core-issue');
+    assert.deepEqual(checked.unresolved, []);
+
+    const { data: done } = events.at(-1);
+    assert.equal(done.requestId, 'test-request');
+    assert.equal(done.provider, 'mock');
+    assert.equal(done.candidates.length, 1);
+    assert.ok(done.usage.totalTokens > 0);
+});
+
+test('protocol 1 sends unnamed payloads and ends with [DONE]', async (t) => {
+    const server = await startClarify();
+    t.after(server.close);
+
+    const body = await (await postJson(`${server.url}/api/clarify`, { text: TEXT, protocol: 1 })).text();
+    assert.doesNotMatch(body, /^event:/m);
+    const payloads = body.trim().split('\n\n').map((block) => block.replace(/^data: /, ''));
+    assert.equal(payloads.at(-1), '[DONE]');
+    const tokens = payloads.slice(0, -1).map((payload) => JSON.parse(payload)).filter((payload) => 'text' in payload);
+    assert.equal(tokens.map(({ text }) => text).join(''), mockSentence(TEXT));
+    assert.ok(tokens.every((payload) => !('candidate' in payload)));
+});
+
+test('invalid requests get a JSON 400 before any stream opens', async (t) => {
+    const server = await startClarify();
+    t.after(server.close);
+
+    for (const [body, message] of [
+        [{ text: '' }, /Text input is required/],
+        [{ text: TEXT, mode: 'summary' }, /Unknown mode/],
+        [{ text: TEXT, protocol: 3 }, /protocol must be one of: 1, 2/],
+        [{ text: TEXT, outputLanguage: 'xx' }, /Unknown outputLanguage/],
+        [{ text: 'word '.repeat(2000) }, /Input exceeds the maximum of 1000 tokens/],
+    ]) {
+        const response = await postJson(`${server.url}/api/clarify`, body);
+        assert.equal(response.status, 400, JSON.stringify(body).slice(0, 80));
+        assert.match((await response.json()).error, message);
+    }
+});
+
+test('an upstream failure before the first token is a plain HTTP error', async (t) => {
+    const busy = await startClarify({ providers: [failingProvider(503)] });
+    t.after(busy.close);
+    const response = await postJson(`${busy.url}/api/clarify`, { text: TEXT });
+    assert.equal(response.status, 429);
+    assert.deepEqual(await response.json(), { error: 'System busy. Please try again in a moment.' });
+
+    const broken = await startClarify({ providers: [failingProvider(400)] });
+    t.after(broken.close);
+    assert.equal((await postJson(`${broken.url}/api/clarify`, { text: TEXT })).status, 500);
+});
+
+test('the event stream writes heartbeats while waiting and stops them at done', async () => {
+    const chunks = [];
+    const res = Object.assign(new EventEmitter(), {
+        headers: {},
+        writableEnded: false,
+        setHeader(name, value) {
+            this.headers[name] = value;
+        },
+        write: (chunk) => chunks.push(chunk),
+        end() {
+            this.writableEnded = true;
+        },
+    });
+    const stream = createEventStream(res, { requestId: 'r1', mode: 'tldr', heartbeatMs: 10 });
+    assert.equal(stream.opened, false);
+    stream.open({ cache: 'MISS' });
+    assert.equal(res.headers['X-Cache'], 'MISS');
+
+    await new Promise((resolve) => setTimeout(resolve, 35));
+    stream.error(0, { code: 'busy', message: 'System busy.' });
+    stream.done({ candidates: [] });
+    const written = chunks.length;
+    await new Promise((resolve) => setTimeout(resolve, 25));
+
+    assert.equal(chunks.length, written);
+    assert.ok(chunks.filter((chunk) => chunk === ': heartbeat\n\n').length >= 2);
+    assert.equal(chunks.find((chunk) => chunk.startsWith('event: error')), 'event: error\ndata: {"candidate":0,"code":"busy","message":"System busy."}\n\n');
+    assert.equal(chunks.at(-1), 'event: done\ndata: {"requestId":"r1","candidates":[]}\n\n');
+});
+
+test('a refinement replays the earlier answers and the guidance after the text', async (t) => {
+    const { provider, requests } = recordingProvider();
+    const server = await startClarify({ providers: [provider] });
+    t.after(server.close);
+
+    const response = await postJson(`${server.url}/api/clarify`, {
+        text: TEXT,
+        refine: true,
+        previous: ['The core issue is the email.', { output: 'The core issue is that you doubt the email.', guidance: '  focus on the deadline ' }],
+    });
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get('x-cache'), 'BYPASS');
+    await response.text();
+
+    const [{ messages }] = requests;
+    assert.deepEqual(messages.slice(1).map(({ role }) => role), ['user', 'assistant', 'user', 'assistant', 'user']);
+    assert.equal(messages[1].content, TEXT);
+    assert.equal(messages[2].content, 'The core issue is the email.');
+    assert.match(messages[3].content, /sharper/);
+    assert.equal(messages[4].content, 'The core issue is that you doubt the email.');
+    assert.match(messages[5].content, /"focus on the deadline"/);
+});
+
+test('malformed refinement chains are refused', async (t) => {
+    const server = await startClarify({ maxRefineTurns: 2, maxGuidanceLength: 20 });
+    t.after(server.close);
+
+    for (const [previous, message] of [
+        ['not a list', /previous must be an array/],
+        [['one', 'two', 'three'], /at most 2 earlier answers/],
+        [[{ output: '  ' }], /non-empty output string/],
+        [[{ output: 'An answer.', guidance: 42 }], /guidance must be a string/],
+        [[{ output: 'An answer.', guidance: 'x'.repeat(21) }], /maximum allowed length of 20/],
+    ]) {
+        const response = await postJson(`${server.url}/api/clarify`, { text: TEXT, previous });
+        assert.equal(response.status, 400);
+        assert.match((await response.json()).error, message);
+    }
+});
+
+test('n candidates stream side by side, each at its own temperature', async (t) => {
+    const { provider, requests } = recordingProvider();
+    const server = await startClarify({ providers: [provider], maxCandidates: 3 });
+    t.after(server.close);
+
+    const events = parseEvents(await (await postJson(`${server.url}/api/clarify`, { text: TEXT, mode: 'core-issue', n: 3 })).text());
+    assert.equal(events[0].data.n, 3);
+
+    const upstream = events.filter(({ event, data }) => event === 'meta' && 'provider' in data);
+    assert.deepEqual(upstream.map(({ data }) => [data.candidate, data.temperature]).sort(), [[0, 0.3], [1, 0.6], [2, 0.9]]);
+    assert.deepEqual(requests.map(({ temperature }) => temperature).sort(), [0.3, 0.6, 0.9]);
+
+    for (const candidate of [0, 1, 2]) {
+        const text = events.filter(({ event, data }) => event === 'token' && data.candidate === candidate).map(({ data }) => data.text).join('');
+        assert.equal(text, mockSentence(TEXT));
+    }
+    const { data: done } = events.at(-1);
+    assert.deepEqual(done.candidates.map(({ candidate }) => candidate), [0, 1, 2]);
+});
+
+test('a failed candidate is reported as an error event while the others finish', async (t) => {
+    const mock = createMockProvider();
+    const flaky = {
+        ...mock,
+        // The third candidate (highest temperature) fails upstream
+        stream: (request) => (request.temperature > 0.8 ? failingProvider(400).stream() : mock.stream(request)),
+    };
+    const server = await startClarify({ providers: [flaky] });
+    t.after(server.close);
+
+    const events = parseEvents(await (await postJson(`${server.url}/api/clarify`, { text: TEXT, n: 3 })).text());
+    const errors = events.filter(({ event }) => event === 'error');
+    assert.deepEqual(errors.map(({ data }) => data.candidate), [2]);
+    const { data: done } = events.at(-1);
+    assert.equal(done.candidates[2].error, errors[0].data.code);
+    assert.equal(done.candidates.filter((candidate) => !candidate.error).length, 2);
+});
+
+test('n is bounded, and long inputs get one answer only', async (t) => {
+    const server = await startClarify({ maxCandidates: 3, chunkTokens: 20 });
+    t.after(server.close);
+
+    for (const n of [0, 4, 1.5, '2']) {
+        const response = await postJson(`${server.url}/api/clarify`, { text: TEXT, n });
+        assert.equal(response.status, 400);
+        assert.match((await response.json()).error, /n must be an integer from 1 to 3/);
+    }
+    const long = await postJson(`${server.url}/api/clarify`, { text: `${TEXT} `.repeat(10), n: 2 });
+    assert.equal(long.status, 400);
+    assert.match((await long.json()).error, /only available for inputs up to 20 tokens/);
+});
+
+// Result lines of a batch response, and its summary line
+async function readBatch(response) {
+    const lines = (await response.text()).trim().split('\n').map((line) => JSON.parse(line));
+    return { results: lines.slice(0, -1), summary: lines.at(-1).summary };
+}
+
+test('a batch answers every item on its own line, tagged by id', async (t) => {
+    const server = await startClarify();
+    t.after(server.close);
+
+    const response = await postJson(`${server.url}/api/clarify/batch`, {
+        mode: 'tldr',
+        items: [TEXT, { id: 'b', text: 'We missed the launch date again.', mode: 'core-issue' }, { id: 'c', text: '' }, { id: 'd', text: TEXT, mode: 'summary' }],
+    });
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get('content-type'), 'application/x-ndjson; charset=utf-8');
+
+    const { results, summary } = await readBatch(response);
+    const byId = Object.fromEntries(results.map((result) => [result.id, result]));
+    assert.deepEqual(Object.keys(byId).sort(), ['0', 'b', 'c', 'd']);
+    assert.equal(byId[0].mode, 'tldr');
+    assert.equal(byId[0].output, mockSentence(TEXT));
+    assert.equal(byId.b.mode, 'core-issue');
+    assert.equal(byId.b.output, mockSentence('We missed the launch date again.'));
+    assert.match(byId.c.error, /Text input is required/);
+    assert.match(byId.d.error, /Unknown mode/);
+    assert.deepEqual({ ...summary, ms: 0 }, { total: 4, succeeded: 2, failed: 2, flagged: 0, ms: 0 });
+});
+
+test('an NDJSON batch reads one item per line and flags lines that are not JSON', async (t) => {
+    const server = await startClarify();
+    t.after(server.close);
+
+    const response = await fetch(`${server.url}/api/clarify/batch`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/x-ndjson' },
+        body: `${JSON.stringify({ id: 'a', text: TEXT })}\n\nnot json\n`,
+    });
+    const { results, summary } = await readBatch(response);
+    assert.deepEqual(results.map(({ id, error }) => [id, error]).sort(), [[1, 'Line is not valid JSON'], ['a', null]]);
+    assert.equal(summary.succeeded, 1);
+});
+
+test('batch items wait for the rate limit to reset, up to batchMaxWaitMs', async (t) => {
+    const limits = () => createRateLimitsFromEnv({ RATE_LIMIT_MAX_REQS: '1', RATE_LIMIT_WINDOW_MS: '300' }, { logger: silent });
+    const patient = await startClarify({ rateLimits: limits(), batchConcurrency: 1 });
+    t.after(patient.close);
+    const waited = await readBatch(await postJson(`${patient.url}/api/clarify/batch`, { items: [TEXT, TEXT] }));
+    assert.equal(waited.summary.succeeded, 2);
+    assert.ok(waited.summary.ms >= 250);
+
+    const hasty = await startClarify({ rateLimits: limits(), batchConcurrency: 1, batchMaxWaitMs: 0 });
+    t.after(hasty.close);
+    const refused = await readBatch(await postJson(`${hasty.url}/api/clarify/batch`, { items: [TEXT, TEXT] }));
+    assert.deepEqual(refused.results.map(({ error }) => error), [null, 'Rate limited']);
+});
+
+test('empty, oversized and shapeless batches are refused', async (t) => {
+    const server = await startClarify({ batchMaxItems: 2 });
+    t.after(server.close);
+
+    for (const [body, message] of [
+        [{ items: [] }, /at least one item/],
+        [{ items: ['a', 'b', 'c'] }, /maximum of 2 items/],
+        [{ text: TEXT }, /Expected \{ "items": \[\.\.\.\] \}/],
+    ]) {
+        const response = await postJson(`${server.url}/api/clarify/batch`, body);
+        assert.equal(response.status, 400);
+        assert.match((await response.json()).error, message);
+    }
+});
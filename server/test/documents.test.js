@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const { createDocumentReader, DocumentError } = require('../documents');
+const { createClarifyRouter } = require('../routes/clarify');
+const { createRateLimitsFromEnv } = require('../rateLimit');
+const { createTestApp, listen } = require('./helpers');
+
+const textFile = (text, filename = 'notes.txt') => ({ filename, contentType: 'text/plain', data: Buffer.from(text) });
+
+function multipartBody(file, fields = {}) {
+    const boundary = 'test-boundary';
+    const parts = Object.entries(fields).map(([name, value]) => `--${boundary}\r\nContent-Disposition: form-data; name="${name}"\r\n\r\n${value}\r\n`);
+    parts.push(`--${boundary}\r\nContent-Disposition: form-data; name="file"; filename="${file.filename}"\r\nContent-Type: ${file.contentType}\r\n\r\n`);
+    return {
+        contentType: `multipart/form-data; boundary=${boundary}`,
+        body: Buffer.concat([Buffer.from(parts.join('')), file.data, Buffer.from(`\r\n--${boundary}--\r\n`)]),
+    };
+}
+
+test('read() extracts in a worker', async () => {
+    const reader = createDocumentReader();
+    assert.deepEqual(await reader.read(textFile('I keep rewriting this email.')), { type: 'text', text: 'I keep rewriting this email.' });
+});
+
+test('read() passes on the DocumentError thrown in the worker', async () => {
+    const reader = createDocumentReader();
+    await assert.rejects(reader.read(textFile('   ')), (error) => error instanceof DocumentError && error.status === 422);
+    await assert.rejects(reader.read({ ...textFile('text', 'notes.exe'), contentType: 'application/octet-stream' }), (error) => error instanceof DocumentError && error.status === 415);
+});
+
+test('read() stops a worker that runs past the time limit', async () => {
+    const reader = createDocumentReader({ timeoutMs: 1 });
+    await assert.rejects(reader.read(textFile('text')), (error) => error instanceof DocumentError && /too long/.test(error.message));
+});
+
+test('read() runs at most `concurrency` workers and queues the rest', async () => {
+    const reader = createDocumentReader({ concurrency: 1 });
+    const results = await Promise.all(['one', 'two', 'three'].map((text) => reader.read(textFile(text))));
+    assert.deepEqual(results.map((result) => result.text), ['one', 'two', 'three']);
+});
+
+test('POST /file is rate-limited before the upload is parsed', async (t) => {
+    const reader = createDocumentReader();
+    let parsed = 0;
+    const documents = {
+        ...reader,
+        parseUpload: (...args) => {
+            parsed++;
+            return reader.parseUpload(...args);
+        },
+    };
+    const rateLimits = createRateLimitsFromEnv({ RATE_LIMIT_MAX_REQS: '1' }, { logger: { error() {} } });
+    const app = createTestApp(
+        '/api/clarify',
+        express.raw({ type: 'multipart/form-data' }),
+        createClarifyRouter({ clarifier: null, documents, rateLimits, usage: null, maxInputTokens: 1000, chunkTokens: 500 }),
+    );
+    const server = await listen(app);
+    t.after(server.close);
+
+    // The one request of the window is taken
+    await rateLimits.check({ limitKey: 'ip:127.0.0.1', tokenEstimate: 0 });
+
+    const { contentType, body } = multipartBody(textFile('I keep rewriting this email.'));
+    const res = await fetch(`${server.url}/api/clarify/file`, { method: 'POST', headers: { 'Content-Type': contentType }, body });
+    assert.equal(res.status, 429);
+    assert.ok(Number(res.headers.get('retry-after')) >= 1);
+    assert.equal(parsed, 0);
+});
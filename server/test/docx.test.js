@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const zlib = require('zlib');
+const { extractDocx } = require('../documents/docx');
+const { DocumentError } = require('../documents');
+
+const LIMITS = { maxBytes: 1024 * 1024 };
+
+// A ZIP archive of { name: content } entries, deflated unless `stored`; CRCs are left at 0 (never checked)
+function buildZip(entries, { stored = false, flags = 0 } = {}) {
+    const locals = [];
+    const centrals = [];
+    let offset = 0;
+    for (const [name, content] of Object.entries(entries)) {
+        const raw = Buffer.from(content);
+        const data = stored ? raw : zlib.deflateRawSync(raw);
+        const nameBytes = Buffer.from(name);
+
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(0x04034b50, 0);
+        local.writeUInt16LE(flags, 6);
+        local.writeUInt16LE(stored ? 0 : 8, 8);
+        local.writeUInt32LE(data.length, 18);
+        local.writeUInt32LE(raw.length, 22);
+        local.writeUInt16LE(nameBytes.length, 26);
+
+        const central = Buffer.alloc(46);
+        central.writeUInt32LE(0x02014b50, 0);
+        central.writeUInt16LE(flags, 8);
+        central.writeUInt16LE(stored ? 0 : 8, 10);
+        central.writeUInt32LE(data.length, 20);
+        central.writeUInt32LE(raw.length, 24);
+        central.writeUInt16LE(nameBytes.length, 28);
+        central.writeUInt32LE(offset, 42);
+
+        locals.push(local, nameBytes, data);
+        centrals.push(central, nameBytes);
+        offset += local.length + nameBytes.length + data.length;
+    }
+    const directory = Buffer.concat(centrals);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(centrals.length / 2, 8);
+    end.writeUInt16LE(centrals.length / 2, 10);
+    end.writeUInt32LE(directory.length, 12);
+    end.writeUInt32LE(offset, 16);
+    return Buffer.concat([...locals, directory, end]);
+}
+
+const DOCUMENT = [
+    '<w:document><w:body>',
+    '<w:p><w:r><w:t>First</w:t></w:r><w:r><w:t xml:space="preserve"> paragraph &amp; more</w:t></w:r></w:p>',
+    '<w:p><w:r><w:t>Name</w:t><w:tab/><w:t>Value</w:t><w:br/><w:t>Next line</w:t></w:r></w:p>',
+    '</w:body></w:document>',
+].join('');
+
+test('extractDocx reads the runs of word/document.xml', () => {
+    const zip = buildZip({ '[Content_Types].xml': '<Types/>', 'word/document.xml': DOCUMENT });
+    assert.equal(extractDocx(zip, LIMITS), 'First paragraph & more\nName\tValue\nNext line\n');
+});
+
+test('extractDocx reads stored entries', () => {
+    assert.equal(extractDocx(buildZip({ 'word/document.xml': DOCUMENT }, { stored: true }), LIMITS).split('\n')[0], 'First paragraph & more');
+});
+
+test('extractDocx refuses archives without a document, encrypted ones and non-ZIP data', () => {
+    assert.throws(() => extractDocx(buildZip({ 'other.xml': '<x/>' }), LIMITS), /damaged/);
+    assert.throws(() => extractDocx(buildZip({ 'word/document.xml': DOCUMENT }, { flags: 1 }), LIMITS), /Password-protected/);
+    assert.throws(() => extractDocx(Buffer.from('PK not really a zip file at all'), LIMITS), (error) => error instanceof DocumentError);
+});
+
+test('extractDocx stops inflating at maxBytes', () => {
+    const bomb = buildZip({ 'word/document.xml': `<w:t>${'a'.repeat(200_000)}</w:t>` });
+    assert.ok(bomb.length < 2_000);
+    assert.throws(() => extractDocx(bomb, { maxBytes: 10_000 }), (error) => error instanceof DocumentError && error.status === 413);
+});
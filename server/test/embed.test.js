@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const cors = require('cors');
+const express = require('express');
+const { createEmbedPolicy, createEmbedPolicyFromEnv, parseOrigins } = require('../embed');
+const { createEmbedRouter } = require('../routes/embed');
+const { listen } = require('./helpers');
+
+const TOOLS = 'https://tools.example.com';
+
+// CORS, the DENY default and the embed routes, set up the way server.js does
+async function startEmbed(t, env) {
+    const policy = createEmbedPolicyFromEnv(env);
+    const app = express();
+    app.use(cors({ origin: policy.corsOrigin }));
+    app.use((_req, res, next) => {
+        res.setHeader('X-Frame-Options', 'DENY');
+        next();
+    });
+    app.use(createEmbedRouter({ policy, logger: { warn() {} } }));
+    app.get('/api/ping', (_req, res) => res.json({ ok: true }));
+    const server = await listen(app);
+    t.after(server.close);
+    return server.url;
+}
+
+test('origins are reduced to scheme, host and port, and non-URLs stop start-up', () => {
+    assert.deepEqual(parseOrigins(' https://Tools.Example.com/app , http://localhost:5173/,*', 'CORS_ORIGIN'), [
+        TOOLS,
+        'http://localhost:5173',
+        '*',
+    ]);
+    assert.deepEqual(parseOrigins('https://tools.example.com:443', 'EMBED_ORIGINS'), [TOOLS]);
+    assert.deepEqual(parseOrigins(undefined, 'EMBED_ORIGINS'), []);
+    assert.throws(() => parseOrigins('tools.example.com', 'EMBED_ORIGINS'), /Invalid origin "tools.example.com" in EMBED_ORIGINS/);
+    assert.throws(() => parseOrigins('file:///tmp/page.html', 'CORS_ORIGIN'), /Expected an http\(s\) URL/);
+});
+
+test('EMBED_ORIGINS may not be *', () => {
+    assert.throws(() => createEmbedPolicyFromEnv({ EMBED_ORIGINS: '*' }), /EMBED_ORIGINS cannot be \*/);
+    assert.throws(() => createEmbedPolicy({ embedOrigins: [TOOLS, '*'] }), /EMBED_ORIGINS cannot be \*/);
+});
+
+test('the CORS allow list is CORS_ORIGIN plus EMBED_ORIGINS, unless any origin is allowed', () => {
+    assert.equal(createEmbedPolicyFromEnv({}).corsOrigin, '*');
+    assert.equal(createEmbedPolicyFromEnv({ CORS_ORIGIN: '*', EMBED_ORIGINS: TOOLS }).corsOrigin, '*');
+    assert.deepEqual(createEmbedPolicyFromEnv({ CORS_ORIGIN: 'https://app.example.com', EMBED_ORIGINS: TOOLS }).corsOrigin, [
+        'https://app.example.com',
+        TOOLS,
+    ]);
+});
+
+test('only listed origins get CORS headers', async (t) => {
+    const url = await startEmbed(t, { CORS_ORIGIN: 'https://app.example.com', EMBED_ORIGINS: TOOLS });
+
+    for (const origin of ['https://app.example.com', TOOLS]) {
+        const response = await fetch(`${url}/api/ping`, { headers: { Origin: origin } });
+        assert.equal(response.headers.get('Access-Control-Allow-Origin'), origin);
+    }
+    const stranger = await fetch(`${url}/api/ping`, { headers: { Origin: 'https://evil.example' } });
+    assert.equal(stranger.headers.get('Access-Control-Allow-Origin'), null);
+});
+
+test('/embed may be framed by the listed origins, every other response stays DENY', async (t) => {
+    const url = await startEmbed(t, { EMBED_ORIGINS: `${TOOLS},https://wiki.example.com` });
+
+    const embed = await fetch(`${url}/embed?mode=tldr&outputLanguage=de`);
+    assert.equal(embed.status, 200);
+    assert.equal(embed.headers.get('X-Frame-Options'), null);
+    assert.equal(embed.headers.get('Content-Security-Policy'), `frame-ancestors 'self' ${TOOLS} https://wiki.example.com`);
+    assert.match(await embed.text(), /<clarity-box api="\/" mode="tldr" output-language="de">/);
+
+    for (const path of ['/api/ping', '/sdk/index.js']) {
+        const response = await fetch(`${url}${path}`);
+        assert.equal(response.status, 200, path);
+        assert.equal(response.headers.get('X-Frame-Options'), 'DENY', path);
+        assert.equal(response.headers.get('Content-Security-Policy'), null, path);
+    }
+});
+
+test('/embed refuses an unknown mode or outputLanguage', async (t) => {
+    const url = await startEmbed(t, {});
+
+    const mode = await fetch(`${url}/embed?mode=%22%3E%3Cscript%3E`);
+    assert.equal(mode.status, 400);
+    assert.deepEqual(await mode.json(), { error: 'Unknown mode' });
+
+    const language = await fetch(`${url}/embed?outputLanguage=xx`);
+    assert.equal(language.status, 400);
+    assert.deepEqual(await language.json(), { error: 'Unknown outputLanguage' });
+    assert.equal((await fetch(`${url}/embed`)).status, 200);
+});
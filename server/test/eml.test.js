@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { extractEmail } = require('../documents/eml');
+
+const message = (...lines) => Buffer.from(lines.join('\r\n'), 'latin1');
+
+test('extractEmail reads the sender, subject and a plain body', () => {
+    const text = extractEmail(message(
+        'From: Ana <ana@example.com>',
+        'Subject: Quarterly',
+        ' plan',
+        '',
+        'Can we move the review?',
+    ));
+    assert.equal(text, 'From: Ana <ana@example.com>\nSubject: Quarterly plan\n\nCan we move the review?');
+});
+
+test('extractEmail decodes encoded-word headers and quoted-printable bodies', () => {
+    const text = extractEmail(message(
+        'Subject: =?UTF-8?B?UsOpc3Vtw6k=?= =?ISO-8859-1?Q?_caf=E9?=',
+        'Content-Type: text/plain; charset=utf-8',
+        'Content-Transfer-Encoding: quoted-printable',
+        '',
+        'Caf=C3=A9 at n=',
+        'oon',
+    ));
+    assert.equal(text, 'Subject: Résumé café\n\nCafé at noon');
+});
+
+test('extractEmail prefers text/plain in multipart/alternative and skips attachments', () => {
+    const text = extractEmail(message(
+        'Subject: Hi',
+        'Content-Type: multipart/mixed; boundary="outer"',
+        '',
+        '--outer',
+        'Content-Type: multipart/alternative; boundary=inner',
+        '',
+        '--inner',
+        'Content-Type: text/html',
+        '',
+        '<p>HTML version</p>',
+        '--inner',
+        'Content-Type: text/plain',
+        '',
+        'Plain version',
+        '--inner--',
+        '--outer',
+        'Content-Type: text/plain',
+        'Content-Disposition: attachment; filename="notes.txt"',
+        '',
+        'Attached notes',
+        '--outer--',
+    ));
+    assert.equal(text, 'Subject: Hi\n\nPlain version');
+});
+
+test('extractEmail turns an HTML-only body into text', () => {
+    const text = extractEmail(message(
+        'Content-Type: text/html; charset=utf-8',
+        'Content-Transfer-Encoding: base64',
+        '',
+        Buffer.from('<p>First</p><p>Second &amp; last</p>').toString('base64'),
+    ));
+    assert.equal(text, 'First\nSecond & last\n');
+});
@@ -0,0 +1,116 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const { loadDataset, scoreOutput, runEval, diffRuns } = require('../eval');
+const { loadPromptSet } = require('../prompts');
+const { buildModes } = require('../modes');
+const { createProviderChain } = require('../providers/chain');
+const { createMockProvider } = require('../providers/mock');
+
+const silent = { warn() {}, error() {} };
+
+const GOLDEN = [
+    '# a tiny golden set',
+    '{"id":"email","text":"I keep rewriting this email. It is never right."}',
+    '',
+    '{"id":"launch","mode":"tldr","text":"We planned to launch on the 15th but marketing wants two more features."}',
+    '{"id":"typo","mode":"nope","text":"Hello there."}',
+].join('\n');
+
+// The golden set, plus a draft of v2 that forbids the mock's own opening words
+function setUp(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'eval-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const dataset = path.join(dir, 'golden.jsonl');
+    fs.writeFileSync(dataset, GOLDEN);
+    const draft = path.join(dir, 'draft.json');
+    const v2 = loadPromptSet('v2');
+    fs.writeFileSync(draft, JSON.stringify({ ...v2, version: 'draft', forbiddenPhrases: [...v2.forbiddenPhrases, 'core issue'] }));
+    return { dataset, draft };
+}
+
+const run = (promptSet, dataset) => runEval({
+    promptSet,
+    providerChain: createProviderChain([createMockProvider()], { logger: silent }),
+    dataset: loadDataset(dataset),
+    logger: silent,
+});
+
+test('the dataset skips blank lines and comments, and names the line it cannot read', (t) => {
+    const { dataset } = setUp(t);
+    assert.deepEqual(loadDataset(dataset).map(({ id, mode }) => `${id}:${mode}`), ['email:core-issue', 'launch:tldr', 'typo:nope']);
+
+    fs.writeFileSync(dataset, '{"id":"a","text":"Fine."}\n{"id":"b"}\n');
+    assert.throws(() => loadDataset(dataset), /golden\.jsonl:2: "text" is required/);
+});
+
+test('forbidden phrases match whole words only, next to the output policy checks', () => {
+    const modes = buildModes(loadPromptSet('v2'));
+    assert.deepEqual(scoreOutput(modes['core-issue'], "There's one thing you keep putting off."), {
+        pass: true,
+        sentences: 1,
+        words: 7,
+        violations: [],
+        forbidden: [],
+    });
+
+    const score = scoreOutput(modes['core-issue'], "Here's the thing. In summary, you are stuck.");
+    assert.equal(score.pass, false);
+    assert.deepEqual(score.forbidden, ['in summary', "here's"]);
+    assert.ok(score.violations.includes('forbidden-phrase'));
+    assert.equal(score.sentences, 2);
+});
+
+test('a run scores every item as the model wrote it, and records errors per item', async (t) => {
+    const { dataset } = setUp(t);
+    const result = await run(loadPromptSet('v2'), dataset);
+
+    assert.deepEqual([result.promptVersion, result.model], ['v2', 'mock/mock-1']);
+    const [email, launch, typo] = result.results;
+    assert.equal(email.output, 'The core issue is that I keep rewriting this email.');
+    assert.deepEqual([email.pass, email.words, email.sentences, email.violations], [true, 10, 1, []]);
+    assert.equal(launch.mode, 'tldr');
+    assert.equal(launch.words, 18);
+    assert.deepEqual(typo, { id: 'typo', mode: 'nope', error: 'Unknown mode "nope"' });
+
+    const { summary } = result;
+    assert.deepEqual([summary.total, summary.errors, summary.passed, summary.passRate], [3, 1, 2, 1]);
+    assert.equal(summary.avgWords, 14);
+    assert.deepEqual(summary.byRule, {});
+});
+
+test('the diff lists the items a candidate prompt regressed, with the change per rule', async (t) => {
+    const { dataset, draft } = setUp(t);
+    const base = await run(loadPromptSet('v2'), dataset);
+    const candidate = await run(loadPromptSet(draft), dataset);
+    const diff = diffRuns(base, candidate);
+
+    assert.deepEqual(diff.regressed.map(({ id }) => id), ['email', 'launch']);
+    assert.deepEqual(diff.regressed[0].after.forbidden, ['core issue']);
+    assert.deepEqual([diff.fixed, diff.changed, diff.unchanged], [[], [], 0]);
+    assert.equal(diff.delta.passRate, -1);
+    assert.deepEqual(diff.delta.byRule, { 'forbidden-phrase': 2 });
+
+    const same = diffRuns(base, await run(loadPromptSet('v2'), dataset));
+    assert.deepEqual([same.regressed.length, same.unchanged], [0, 2]);
+});
+
+test('npm run eval prints the diff report and fails on a regression when asked', async (t) => {
+    const { dataset, draft } = setUp(t);
+    const script = path.join(__dirname, '..', 'scripts', 'eval.js');
+    const args = [script, '--dataset', dataset, '--prompt', 'v2', '--compare', draft, '--fail-on-regression'];
+
+    const failed = await promisify(execFile)(process.execPath, args, { timeout: 30000 }).catch((error) => error);
+    assert.equal(failed.code, 1);
+    const lines = failed.stdout.split('\n');
+    assert.equal(lines[0], 'Prompt v2 (mock/mock-1) → draft (mock/mock-1) · 3 inputs');
+    assert.match(failed.stdout, /^pass rate {13}100\.0% {8}0\.0% {10}-100\.0 pts$/m);
+    assert.match(failed.stdout, /^ {2}forbidden-phrase {4}0 {13}2 {13}\+2$/m);
+    assert.ok(lines.includes('Regressed (2)'));
+    assert.ok(lines.includes('      draft: The core issue is that I keep rewriting this email.  (forbidden-phrase)'));
+    assert.equal(lines.at(-2), '0 unchanged');
+});
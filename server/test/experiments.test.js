@@ -0,0 +1,161 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createExperimentsFromEnv, pickByWeight } = require('../experiments');
+const { createClarifier } = require('../clarify');
+const { createClarifyRouter } = require('../routes/clarify');
+const { createProviderChain } = require('../providers/chain');
+const { createMockProvider } = require('../providers/mock');
+const { createRateLimitsFromEnv } = require('../rateLimit');
+const { getMode } = require('../modes');
+const { createTestApp, listen, postJson } = require('./helpers');
+
+const silent = { warn() {}, error() {} };
+
+const EXPERIMENT = {
+    id: 'warmer',
+    modes: ['core-issue'],
+    variants: [
+        { id: 'control', weight: 3 },
+        { id: 'warm', weight: 1, temperature: 0.5 },
+    ],
+};
+
+// The mock provider, with every request it was sent kept in `requests`
+function recordingProvider() {
+    const mock = createMockProvider();
+    const requests = [];
+    return {
+        requests,
+        provider: {
+            ...mock,
+            stream: (request) => {
+                requests.push(request);
+                return mock.stream(request);
+            },
+        },
+    };
+}
+
+// Experiments from `experiments` in a temporary EXPERIMENTS_FILE, over the mock provider
+function setUp(t, experiments = [EXPERIMENT]) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'experiments-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const file = path.join(dir, 'experiments.json');
+    fs.writeFileSync(file, JSON.stringify({ experiments }));
+
+    const { provider, requests } = recordingProvider();
+    const clarifier = createClarifier({ providerChain: createProviderChain([provider]), responseCache: null, logger: silent });
+    const logFile = path.join(dir, 'experiments.jsonl');
+    const created = createExperimentsFromEnv({ EXPERIMENTS_FILE: file, EXPERIMENT_LOG_FILE: logFile }, { clarifier, logger: silent });
+    return { experiments: created, clarifier, requests, logFile };
+}
+
+// An X-Client-Id that sticky assignment puts on `variantId`
+function clientOn(experiments, variantId) {
+    for (let i = 0; ; i++) {
+        const clientId = `browser-${i}`;
+        if (experiments.assign({ mode: getMode('core-issue'), clientId: `client:${clientId}` }).variant === variantId) return clientId;
+    }
+}
+
+test('sticky assignment keeps a client on its variant and follows the weights', (t) => {
+    const { experiments } = setUp(t);
+    const mode = getMode('core-issue');
+
+    for (const clientId of ['client:a', 'client:b', 'key:k1']) {
+        const first = experiments.assign({ mode, clientId }).variant;
+        for (let i = 0; i < 5; i++) assert.equal(experiments.assign({ mode, clientId }).variant, first);
+    }
+
+    const counts = { control: 0, warm: 0 };
+    for (let i = 0; i < 2000; i++) counts[experiments.assign({ mode, clientId: `client:${i}` }).variant] += 1;
+    const share = counts.control / 2000;
+    assert.ok(share > 0.7 && share < 0.8, `control got ${share} of clients, expected about 0.75`);
+
+    assert.equal(experiments.assign({ mode: getMode('tldr'), clientId: 'client:a' }), null, 'modes outside the experiment');
+});
+
+test('pickByWeight splits [0, 1) in proportion to the weights', () => {
+    const variants = [{ id: 'a', weight: 1 }, { id: 'b', weight: 3 }];
+    assert.deepEqual([0, 0.24, 0.25, 0.99].map((point) => pickByWeight(variants, point).id), ['a', 'a', 'b', 'b']);
+});
+
+test('a variant carries its temperature into the mode, and a paused experiment assigns nothing', (t) => {
+    const { experiments } = setUp(t);
+    const assignment = experiments.assign({ mode: getMode('core-issue'), clientId: `client:${clientOn(experiments, 'warm')}` });
+    assert.deepEqual([assignment.experiment, assignment.temperature, assignment.mode.temperature], ['warmer', 0.5, 0.5]);
+
+    const { experiments: paused } = setUp(t, [{ ...EXPERIMENT, enabled: false }]);
+    assert.equal(paused.assign({ mode: getMode('core-issue'), clientId: 'client:a' }), null);
+});
+
+test('malformed experiments are refused at start-up', (t) => {
+    assert.throws(() => setUp(t, [{ ...EXPERIMENT, variants: [EXPERIMENT.variants[0]] }]), /needs at least two variants/);
+    assert.throws(() => setUp(t, [{ ...EXPERIMENT, assignment: 'round-robin' }]), /"assignment" must be one of: sticky, random/);
+    assert.throws(() => setUp(t, [{ ...EXPERIMENT, variants: [{ id: 'a', weight: 0 }, { id: 'b', weight: 1 }] }]), /"a" needs a positive weight/);
+});
+
+test('candidates of a variant spread from its temperature and every answer is logged', async (t) => {
+    const { experiments, clarifier, requests, logFile } = setUp(t);
+    const app = createTestApp('/api/clarify', createClarifyRouter({
+        clarifier,
+        experiments,
+        rateLimits: createRateLimitsFromEnv({}, { logger: silent }),
+        usage: { countRequest: async () => {}, record: async () => {} },
+        maxInputTokens: 1000,
+        chunkTokens: 500,
+    }));
+    const server = await listen(app);
+    t.after(server.close);
+
+    const clientId = clientOn(experiments, 'warm');
+    const body = await (await postJson(`${server.url}/api/clarify`, { text: 'I keep rewriting this email.', n: 2 }, { 'X-Client-Id': clientId })).text();
+
+    assert.deepEqual(requests.map(({ temperature }) => temperature).sort(), [0.5, 0.8]);
+    const done = JSON.parse(body.match(/^event: done\ndata: (.+)$/m)[1]);
+    assert.deepEqual(done.experiment, { id: 'warmer', variant: 'warm' });
+
+    // Exposures are written after the response; wait for both
+    for (let tries = 0; tries < 50 && experiments.report('warmer').variants[1].answers < 2; tries++) {
+        await new Promise((resolve) => setTimeout(resolve, 10));
+    }
+    const lines = fs.readFileSync(logFile, 'utf8').trim().split('\n').map((line) => JSON.parse(line));
+    assert.deepEqual(lines.map(({ experiment, variant, mode, error }) => ({ experiment, variant, mode, error })), [
+        { experiment: 'warmer', variant: 'warm', mode: 'core-issue', error: false },
+        { experiment: 'warmer', variant: 'warm', mode: 'core-issue', error: false },
+    ]);
+});
+
+test('the report aggregates exposures and feedback per variant', async (t) => {
+    const { experiments } = setUp(t);
+    const served = { experiment: 'warmer', mode: 'core-issue' };
+    await experiments.record({ ...served, variant: 'control', latencyMs: 100, firstTokenMs: 40, violations: false, cached: false, error: false });
+    await experiments.record({ ...served, variant: 'control', latencyMs: 300, firstTokenMs: 60, violations: true, cached: false, error: false });
+    await experiments.record({ ...served, variant: 'control', latencyMs: 5, firstTokenMs: null, violations: false, cached: true, error: false });
+    await experiments.record({ ...served, variant: 'control', error: true });
+    await experiments.record({ ...served, variant: 'warm', latencyMs: 200, firstTokenMs: 50, violations: false, cached: false, error: false });
+    await experiments.record({ ...served, experiment: 'other', variant: 'warm', error: true });
+
+    const approval = { up: 3, down: 1, total: 4, approvalRate: 0.75 };
+    const report = experiments.report('warmer', { warm: approval });
+    assert.deepEqual([report.id, report.assignment, report.modes], ['warmer', 'sticky', ['core-issue']]);
+
+    const [control, warm] = report.variants;
+    assert.equal(control.answers, 4);
+    assert.equal(control.errorRate, 0.25);
+    assert.equal(control.violationRate, 0.333);
+    assert.equal(control.cacheHitRate, 0.333);
+    assert.deepEqual(control.latencyMs, { avg: 200, p50: 100, p95: 300 });
+    assert.deepEqual(control.firstTokenMs, { avg: 50 });
+    assert.equal(control.feedback.total, 0);
+
+    assert.equal(warm.answers, 1);
+    assert.equal(warm.errorRate, 0);
+    assert.equal(warm.temperature, 0.5);
+    assert.deepEqual(warm.feedback, approval);
+
+    assert.equal(experiments.report('missing'), null);
+});
@@ -0,0 +1,128 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createFeedbackRouter } = require('../routes/feedback');
+const { createMemoryFeedbackStore } = require('../feedback/memoryStore');
+const { createJsonlFeedbackStore } = require('../feedback/jsonlStore');
+const { createRateLimitsFromEnv, createRateLimitMiddleware } = require('../rateLimit');
+const { createAuthMiddleware } = require('../apiKeys');
+const { createTestApp, listen, postJson } = require('./helpers');
+
+const RATING = { input: 'I keep rewriting this email.', output: 'You want the email to sound sure of itself.', mode: 'core-issue', rating: 'up' };
+
+async function startFeedback({ maxReqs = 10 } = {}) {
+    const store = createMemoryFeedbackStore();
+    const rateLimits = createRateLimitsFromEnv({ RATE_LIMIT_MAX_REQS: String(maxReqs) });
+    const app = createTestApp('/api/feedback', createFeedbackRouter({
+        store,
+        authenticate: createAuthMiddleware({ keys: { verify: () => null }, usage: {}, required: false }),
+        rateLimit: createRateLimitMiddleware(rateLimits, { route: '/api/feedback' }),
+        requireMetricsToken: (req, res, next) => (req.get('Authorization') === 'Bearer secret'
+            ? next()
+            : res.status(401).json({ error: 'Metrics token required' })),
+        maxInputTokens: 100,
+    }));
+    return { store, rateLimits, server: await listen(app) };
+}
+
+test('feedback is recorded and counted in the stats', async (t) => {
+    const { server } = await startFeedback();
+    t.after(server.close);
+
+    const response = await postJson(`${server.url}/api/feedback`, RATING);
+    assert.equal(response.status, 201);
+
+    const stats = await fetch(`${server.url}/api/feedback/stats`, { headers: { Authorization: 'Bearer secret' } });
+    assert.equal(stats.status, 200);
+    const summary = await stats.json();
+    assert.equal(summary.store, 'memory');
+    assert.equal(summary.up, 1);
+    assert.equal(summary.byMode['core-issue'].total, 1);
+});
+
+test('feedback is refused once the request limit is used up', async (t) => {
+    const { server } = await startFeedback({ maxReqs: 2 });
+    t.after(server.close);
+
+    assert.equal((await postJson(`${server.url}/api/feedback`, RATING)).status, 201);
+    assert.equal((await postJson(`${server.url}/api/feedback`, RATING)).status, 201);
+    const refused = await postJson(`${server.url}/api/feedback`, RATING);
+    assert.equal(refused.status, 429);
+    assert.ok(Number(refused.headers.get('Retry-After')) >= 1);
+    assert.equal(refused.headers.get('RateLimit-Remaining'), '0');
+});
+
+test('feedback counts against its own budget, not the clarification limit', async (t) => {
+    const { server, rateLimits } = await startFeedback({ maxReqs: 1 });
+    t.after(server.close);
+
+    assert.equal((await postJson(`${server.url}/api/feedback`, RATING)).status, 201);
+    const [decision] = await rateLimits.check({ apiKey: null, limitKey: 'ip:127.0.0.1', tokenEstimate: 0 });
+    assert.equal(decision.allowed, true);
+});
+
+test('an invalid API key is refused before anything is stored', async (t) => {
+    const { server } = await startFeedback();
+    t.after(server.close);
+
+    const response = await postJson(`${server.url}/api/feedback`, RATING, { Authorization: 'Bearer nope' });
+    assert.equal(response.status, 401);
+});
+
+test('feedback stats need the metrics token', async (t) => {
+    const { server } = await startFeedback();
+    t.after(server.close);
+
+    assert.equal((await fetch(`${server.url}/api/feedback/stats`)).status, 401);
+});
+
+test('invalid feedback is rejected', async (t) => {
+    const { server } = await startFeedback();
+    t.after(server.close);
+
+    assert.equal((await postJson(`${server.url}/api/feedback`, { ...RATING, rating: 'meh' })).status, 400);
+    assert.equal((await postJson(`${server.url}/api/feedback`, { ...RATING, input: '' })).status, 400);
+    assert.equal((await postJson(`${server.url}/api/feedback`, { ...RATING, rejected: [], rating: null })).status, 400);
+});
+
+test('a pick among candidates is recorded as a preference', async (t) => {
+    const { server, store } = await startFeedback();
+    t.after(server.close);
+
+    const preference = { ...RATING, rating: null, rejected: ['You doubt the email.'], temperature: 0.6 };
+    assert.equal((await postJson(`${server.url}/api/feedback`, preference)).status, 201);
+    const stats = await store.stats();
+    assert.equal(stats.preferences.total, 1);
+    assert.equal(stats.preferences.byTemperature['0.6'], 1);
+
+    for (const body of [
+        { ...preference, rejected: [] },
+        { ...preference, rejected: ['a', 'b', 'c'] },
+        { ...preference, rating: 'up' },
+        { ...preference, temperature: 3 },
+    ]) {
+        assert.equal((await postJson(`${server.url}/api/feedback`, body)).status, 400, JSON.stringify(body));
+    }
+});
+
+test('the JSON Lines store counts the last rating per answer and skips a torn line', async (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'feedback-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const file = path.join(dir, 'feedback.jsonl');
+    const store = createJsonlFeedbackStore({ file });
+
+    const answer = { inputHash: 'abc', output: RATING.output, mode: 'core-issue', provider: 'mock', model: 'mock-1' };
+    await store.add({ ...answer, rating: 'up' });
+    await store.add({ ...answer, rating: 'down', comment: 'Too vague.' });
+    await store.add({ ...answer, output: 'Another answer.', rating: 'up', experiment: 'tone', variant: 'b' });
+    await store.add({ kind: 'preference', mode: 'decision', temperature: 0.7 });
+    fs.appendFileSync(file, '{"inputHash":"torn');
+
+    const summary = await store.stats();
+    assert.deepEqual([summary.up, summary.down, summary.comments], [1, 1, 1]);
+    assert.equal(summary.byModel['mock/mock-1'].total, 2);
+    assert.equal(summary.byExperiment.tone.b.up, 1);
+    assert.deepEqual(summary.preferences, { total: 1, byMode: { decision: 1 }, byTemperature: { 0.7: 1 } });
+});
@@ -0,0 +1,43 @@
+const express = require('express');
+const { createLogger } = require('../lib/logger');
+
+/*
+  Shared by the route tests: an app with req.log set the way
+  createRequestContext sets it (silent), listening on a free port.
+*/
+function createTestApp(...handlers) {
+    const app = express();
+    const logger = createLogger({ level: 'silent' });
+    app.use((req, _res, next) => {
+        req.log = logger;
+        next();
+    });
+    app.use(express.json());
+    app.use(...handlers);
+    return app;
+}
+
+// A JSON logger whose lines are kept, parsed, in `lines`
+function captureLogger(fields = {}) {
+    const lines = [];
+    const logger = createLogger({ level: 'debug', fields, write: (line) => lines.push(JSON.parse(line)) });
+    return { logger, lines };
+}
+
+async function listen(app) {
+    const server = await new Promise((resolve) => {
+        const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    return {
+        url: `http://127.0.0.1:${server.address().port}`,
+        close: () => new Promise((resolve) => server.close(resolve)),
+    };
+}
+
+const postJson = (url, body, headers = {}) => fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(body),
+});
+
+module.exports = { captureLogger, createTestApp, listen, postJson };
@@ -0,0 +1,30 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { readSSE } = require('../providers/http');
+
+// A fetch body stand-in: an async iterable of byte chunks
+async function collect(chunks) {
+    const events = [];
+    for await (const event of readSSE(chunks.map((chunk) => Buffer.from(chunk)))) events.push(event);
+    return events;
+}
+
+test('readSSE parses LF-delimited events', async () => {
+    assert.deepEqual(await collect(['data: {"n":1}\n\ndata: {"n":2}\n\n']), [{ n: 1 }, { n: 2 }]);
+});
+
+test('readSSE parses CRLF-delimited events (Gemini alt=sse)', async () => {
+    assert.deepEqual(await collect(['data: {"n":1}\r\n\r\ndata: {"n":2}\r\n\r\n']), [{ n: 1 }, { n: 2 }]);
+});
+
+test('readSSE reassembles a CRLF split across two reads', async () => {
+    assert.deepEqual(await collect(['data: {"n":1}\r', '\n\r', '\ndata: {"n":2}\r\n', '\r\n']), [{ n: 1 }, { n: 2 }]);
+});
+
+test('readSSE accepts bare CR line endings', async () => {
+    assert.deepEqual(await collect(['data: {"n":1}\r\r']), [{ n: 1 }]);
+});
+
+test('readSSE stops at [DONE] and skips malformed data', async () => {
+    assert.deepEqual(await collect(['data: not json\n\ndata: {"n":1}\n\ndata: [DONE]\n\ndata: {"n":2}\n\n']), [{ n: 1 }]);
+});
@@ -0,0 +1,103 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { LANGUAGE_CODES, getLanguage, detectLanguage, languageInstruction } = require('../languages');
+const { createClarifier } = require('../clarify');
+const { createClarifyRouter } = require('../routes/clarify');
+const { createProviderChain } = require('../providers/chain');
+const { createMockProvider } = require('../providers/mock');
+const { createRateLimitsFromEnv } = require('../rateLimit');
+const { createTestApp, listen, postJson } = require('./helpers');
+
+const silent = { warn() {}, error() {} };
+
+// One ordinary worry per supported language
+const SAMPLES = {
+    en: 'I keep rewriting this email and it is never right for me.',
+    es: 'No sé qué hacer con mi trabajo, estoy muy cansada de todo.',
+    fr: 'Je ne sais pas si je suis prêt pour ce travail, mais mon chef dit que oui.',
+    de: 'Ich weiß nicht, ob ich das Angebot annehmen soll, aber mein Chef sagt ja.',
+    it: 'Non so cosa fare con il mio lavoro, sono stanca e ho paura.',
+    pt: 'Eu não sei se estou pronta para mudar de emprego, mas minha mãe diz que sim.',
+    nl: 'Ik weet niet of ik de baan moet nemen, maar mijn partner wil dat het doorgaat.',
+    pl: 'Nie wiem, czy to jest dobra praca, ale mam dość i jestem zmęczona.',
+    tr: 'Bu işi bırakmak istiyorum ama ne yapacağımı bilmiyorum, çok yorgunum.',
+    sv: 'Jag vet inte om jag ska ta jobbet, men min chef säger att det är bra.',
+    ru: 'Я не знаю, стоит ли мне менять работу.',
+    uk: 'Я не знаю, чи варто мені змінювати роботу.',
+    el: 'Δεν ξέρω αν πρέπει να αλλάξω δουλειά.',
+    ar: 'لا أعرف إذا كان علي تغيير وظيفتي.',
+    he: 'אני לא יודע אם כדאי לי להחליף עבודה.',
+    fa: 'نمی‌دانم باید کارم را عوض کنم یا نه.',
+    hi: 'मुझे नहीं पता कि मुझे नौकरी बदलनी चाहिए या नहीं।',
+    zh: '我不知道是否应该换工作。',
+    ja: '仕事を変えるべきかどうか分かりません。',
+    ko: '직장을 바꿔야 할지 모르겠어요.',
+    th: 'ฉันไม่รู้ว่าควรเปลี่ยนงานหรือไม่',
+};
+
+test('every supported language is detected, by its script or its function words', () => {
+    assert.deepEqual(Object.keys(SAMPLES).sort(), [...LANGUAGE_CODES].sort());
+    for (const [code, text] of Object.entries(SAMPLES)) assert.equal(detectLanguage(text), code, text);
+});
+
+test('short, wordless or evenly mixed input is not given a language', () => {
+    for (const text of ['', 'OK', '12345 !!! 678', 'Deadline Friday', 'the and der die', 'Meeting tomorrow, Besprechung morgen']) {
+        assert.equal(detectLanguage(text), null, JSON.stringify(text));
+    }
+    // Only the start of a long input is read
+    assert.equal(detectLanguage(`${SAMPLES.de} `.repeat(100) + SAMPLES.ja.repeat(200)), 'de');
+});
+
+test('the instruction names the answer language, or asks to match the input', () => {
+    assert.equal(languageInstruction(getLanguage('fr')), "Write the sentence in French, even if the user's message is in another language.");
+    assert.equal(languageInstruction(null), "Write the sentence in the same language as the user's message.");
+    assert.equal(getLanguage('xx'), null);
+});
+
+async function startClarify(t) {
+    const mock = createMockProvider();
+    const requests = [];
+    const provider = {
+        ...mock,
+        stream: (request) => {
+            requests.push(request);
+            return mock.stream(request);
+        },
+    };
+    const app = createTestApp('/api/clarify', createClarifyRouter({
+        clarifier: createClarifier({ providerChain: createProviderChain([provider]), responseCache: null, logger: silent }),
+        rateLimits: createRateLimitsFromEnv({}, { logger: silent }),
+        usage: { countRequest: async () => {}, record: async () => {} },
+        maxInputTokens: 1000,
+        chunkTokens: 500,
+    }));
+    const server = await listen(app);
+    t.after(server.close);
+    return { url: `${server.url}/api/clarify`, requests };
+}
+
+const startEvent = (body) => JSON.parse(body.match(/^event: start\ndata: (.+)$/m)[1]);
+
+test('outputLanguage auto answers in the detected language and says so in the prompt', async (t) => {
+    const { url, requests } = await startClarify(t);
+
+    const start = startEvent(await (await postJson(url, { text: SAMPLES.es })).text());
+    assert.deepEqual([start.inputLanguage, start.outputLanguage], ['es', 'es']);
+    assert.match(requests[0].messages[0].content, /Write the sentence in Spanish, even if/);
+
+    const unknown = startEvent(await (await postJson(url, { text: 'Deadline Friday', outputLanguage: 'auto' })).text());
+    assert.deepEqual([unknown.inputLanguage, unknown.outputLanguage], [null, null]);
+    assert.match(requests[1].messages[0].content, /in the same language as the user's message/);
+});
+
+test('a chosen outputLanguage wins over the input language', async (t) => {
+    const { url, requests } = await startClarify(t);
+
+    const start = startEvent(await (await postJson(url, { text: SAMPLES.en, outputLanguage: 'ja' })).text());
+    assert.deepEqual([start.inputLanguage, start.outputLanguage], ['en', 'ja']);
+    assert.match(requests[0].messages[0].content, /Write the sentence in Japanese/);
+
+    const refused = await postJson(url, { text: SAMPLES.en, outputLanguage: 'klingon' });
+    assert.equal(refused.status, 400);
+    assert.match((await refused.json()).error, /Unknown outputLanguage/);
+});
@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { getEventListeners } = require('events');
+const { createMockProvider, mockSentence } = require('../providers/mock');
+const { estimateTokens } = require('../lib/tokens');
+
+async function run(provider, messages, signal) {
+    let text = '';
+    let usage = null;
+    for await (const chunk of provider.stream({ messages, signal })) {
+        if (chunk.text) text += chunk.text;
+        if (chunk.usage) usage = chunk.usage;
+    }
+    return { text, usage };
+}
+
+test('mock provider streams the same sentence for the same input', async () => {
+    const provider = createMockProvider();
+    const messages = [{ role: 'system', content: 'Be clear.' }, { role: 'user', content: 'I keep rewriting this email. It never feels right.' }];
+    const first = await run(provider, messages);
+    assert.equal(first.text, mockSentence('I keep rewriting this email. It never feels right.'));
+    assert.equal(first.text, 'The core issue is that I keep rewriting this email.');
+    assert.deepEqual(await run(provider, messages), first);
+});
+
+test('mock provider reports usage with the shared token estimate', async () => {
+    const messages = [{ role: 'user', content: '私はこの仕事を辞めるべきか悩んでいます' }];
+    const { text, usage } = await run(createMockProvider(), messages);
+    assert.equal(usage.promptTokens, estimateTokens(messages[0].content));
+    assert.equal(usage.completionTokens, estimateTokens(text));
+});
+
+test('a delayed mock stream leaves no abort listeners behind and stops when aborted', async () => {
+    const provider = createMockProvider({ delayMs: 1 });
+    const messages = [{ role: 'user', content: 'I keep rewriting this email and it never feels right to me.' }];
+
+    const controller = new AbortController();
+    await run(provider, messages, controller.signal);
+    assert.equal(getEventListeners(controller.signal, 'abort').length, 0);
+
+    const aborting = new AbortController();
+    const reading = run(provider, messages, aborting.signal);
+    setTimeout(() => aborting.abort(new Error('client left')), 3);
+    await assert.rejects(reading, /client left/);
+});
@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { MODE_IDS, buildModes, getMode, refinementMessage } = require('../modes');
+const { listPromptVersions, loadPromptSet } = require('../prompts');
+
+test('every shipped prompt set has a prompt for every mode', () => {
+    for (const version of listPromptVersions()) {
+        const modes = buildModes(loadPromptSet(version));
+        assert.deepEqual(Object.keys(modes), MODE_IDS, version);
+        for (const mode of Object.values(modes)) {
+            assert.equal(mode.promptVersion, version);
+            assert.match(mode.systemPrompt, /^You are Clarity AI\./);
+        }
+    }
+});
+
+test('modes apply their rule additions and removals to the shared lists', () => {
+    const set = loadPromptSet('v1');
+    const modes = buildModes(set);
+    const advice = 'Do NOT teach, advise, or educate.';
+    assert.ok(modes['core-issue'].systemPrompt.includes(`- ${advice}`));
+    assert.ok(set.modes['next-step'].dropRules.includes(advice));
+    assert.ok(!modes['next-step'].systemPrompt.includes(advice));
+    for (const rule of set.modes.feeling.addRules) assert.ok(modes.feeling.systemPrompt.includes(`- ${rule}`));
+});
+
+test('the prompt hash follows the wording', () => {
+    const set = loadPromptSet('v1');
+    const edited = structuredClone(set);
+    edited.modes.tldr.goal += ' Keep it short.';
+    const before = buildModes(set);
+    const after = buildModes(edited);
+    assert.notEqual(after.tldr.promptHash, before.tldr.promptHash);
+    assert.equal(after['core-issue'].promptHash, before['core-issue'].promptHash);
+});
+
+test('a prompt set missing a mode or malformed is refused', (t) => {
+    const set = loadPromptSet('v1');
+    const partial = structuredClone(set);
+    delete partial.modes.decision;
+    assert.throws(() => buildModes(partial), /no prompt for mode "decision"/);
+
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'prompts-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const file = path.join(dir, 'draft.json');
+    fs.writeFileSync(file, JSON.stringify({ ...set, rules: 'not a list' }));
+    assert.throws(() => loadPromptSet(file), /"rules" and "style" must be string arrays/);
+    assert.throws(() => loadPromptSet('v999'), /Unknown prompt version "v999"/);
+});
+
+test('getMode knows only the defined modes', () => {
+    assert.equal(getMode().id, 'core-issue');
+    assert.equal(getMode('tldr').validation.maxWords, 45);
+    assert.equal(getMode('__proto__'), null);
+    assert.equal(getMode('summary'), null);
+    assert.equal(getMode(42), null);
+});
+
+test('refinementMessage passes on the guidance or asks for a sharper answer', () => {
+    assert.match(refinementMessage('focus on the deadline'), /"focus on the deadline"/);
+    assert.match(refinementMessage(), /sharper/);
+});
@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseMultipart } = require('../documents/multipart');
+const { DocumentError } = require('../documents');
+
+const CONTENT_TYPE = 'multipart/form-data; boundary=----form';
+
+const body = (...parts) => Buffer.from(`${parts.map((part) => `------form\r\n${part}\r\n`).join('')}------form--\r\n`, 'latin1');
+
+test('parseMultipart separates fields from files', () => {
+    const { fields, files } = parseMultipart(body(
+        'Content-Disposition: form-data; name="mode"\r\n\r\ntldr',
+        'Content-Disposition: form-data; name="file"; filename="notes.txt"\r\nContent-Type: text/plain\r\n\r\nline one\r\nline two',
+    ), CONTENT_TYPE);
+    assert.deepEqual(fields, { mode: 'tldr' });
+    assert.equal(files.length, 1);
+    assert.equal(files[0].field, 'file');
+    assert.equal(files[0].filename, 'notes.txt');
+    assert.equal(files[0].contentType, 'text/plain');
+    assert.equal(files[0].data.toString(), 'line one\r\nline two');
+});
+
+test('parseMultipart keeps binary file data byte for byte', () => {
+    const bytes = Buffer.from([0, 1, 0xff, 0x0d, 0x0a, 0x2d, 0x2d]);
+    const raw = Buffer.concat([
+        Buffer.from('------form\r\nContent-Disposition: form-data; name="file"; filename="a.bin"\r\n\r\n'),
+        bytes,
+        Buffer.from('\r\n------form--\r\n'),
+    ]);
+    assert.deepEqual(parseMultipart(raw, CONTENT_TYPE).files[0].data, bytes);
+});
+
+test('parseMultipart prefers the RFC 5987 filename* and reads a quoted boundary', () => {
+    const { files } = parseMultipart(body(
+        'Content-Disposition: form-data; name="file"; filename="plain.txt"; filename*=UTF-8\'\'r%C3%A9sum%C3%A9.txt\r\n\r\nx',
+    ), 'multipart/form-data; boundary="----form"');
+    assert.equal(files[0].filename, 'résumé.txt');
+});
+
+test('parseMultipart falls back to the plain filename when filename* is malformed', () => {
+    const { files } = parseMultipart(body(
+        'Content-Disposition: form-data; name="file"; filename="plain.txt"; filename*=UTF-8\'\'r%E9sum%zz.txt\r\n\r\nx',
+    ), CONTENT_TYPE);
+    assert.equal(files[0].filename, 'plain.txt');
+});
+
+test('parseMultipart refuses a body without a boundary or with a cut-off part', () => {
+    const isBadRequest = (error) => error instanceof DocumentError && error.status === 400;
+    assert.throws(() => parseMultipart(body('Content-Disposition: form-data; name="a"\r\n\r\nb'), 'multipart/form-data'), isBadRequest);
+    assert.throws(() => parseMultipart(Buffer.from('------form\r\nContent-Disposition: form-data; name="a"\r\n\r\nb'), CONTENT_TYPE), isBadRequest);
+    assert.throws(() => parseMultipart(Buffer.from('no delimiter here'), CONTENT_TYPE), isBadRequest);
+});
@@ -0,0 +1,122 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const { createCounter, createHistogram, createMetrics } = require('../lib/metrics');
+const { createLogger, createLoggerFromEnv } = require('../lib/logger');
+const { createRequestContext } = require('../lib/requestContext');
+const { createHealthRouter } = require('../routes/health');
+const { createProviderChain } = require('../providers/chain');
+const { createMockProvider } = require('../providers/mock');
+const { captureLogger, listen } = require('./helpers');
+
+const UUID = /^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/;
+
+// The request line and metrics are written on `finish`, which can trail the response
+async function until(condition) {
+    for (let tries = 0; tries < 50 && !condition(); tries++) await new Promise((resolve) => setTimeout(resolve, 5));
+}
+
+test('counters render in the Prometheus text format, with escaped labels', () => {
+    const counter = createCounter({ name: 'clarity_things_total', help: 'Things.', labelNames: ['kind'] });
+    counter.inc({ kind: 'a' });
+    counter.inc({ kind: 'a' }, 2);
+    counter.inc({ kind: 'say "hi"\\\n' });
+    assert.equal(counter.render(), [
+        '# HELP clarity_things_total Things.',
+        '# TYPE clarity_things_total counter',
+        'clarity_things_total{kind="a"} 3',
+        'clarity_things_total{kind="say \\"hi\\"\\\\\\n"} 1',
+    ].join('\n'));
+});
+
+test('histograms render cumulative buckets, +Inf, sum and count', () => {
+    const histogram = createHistogram({ name: 'clarity_wait_seconds', help: 'Waits.', labelNames: ['route'], buckets: [0.1, 1] });
+    histogram.observe({ route: '/x' }, 0.05);
+    histogram.observe({ route: '/x' }, 0.5);
+    histogram.observe({ route: '/x' }, 3);
+    assert.equal(histogram.render(), [
+        '# HELP clarity_wait_seconds Waits.',
+        '# TYPE clarity_wait_seconds histogram',
+        'clarity_wait_seconds_bucket{route="/x",le="0.1"} 1',
+        'clarity_wait_seconds_bucket{route="/x",le="1"} 2',
+        'clarity_wait_seconds_bucket{route="/x",le="+Inf"} 3',
+        'clarity_wait_seconds_sum{route="/x"} 3.55',
+        'clarity_wait_seconds_count{route="/x"} 3',
+    ].join('\n'));
+});
+
+test('requests are counted and logged by route pattern, with their request id', async (t) => {
+    const metrics = createMetrics();
+    const { logger, lines } = captureLogger();
+    const app = express();
+    app.use(createRequestContext({ logger, metrics }));
+    app.get('/api/items/:id', (req, res) => {
+        req.log.info('looked up');
+        res.json({ id: req.params.id });
+    });
+    const server = await listen(app);
+    t.after(server.close);
+
+    const echoed = await fetch(`${server.url}/api/items/42?secret=1`, { headers: { 'X-Request-Id': 'proxy-7f3a:1' } });
+    assert.equal(echoed.headers.get('X-Request-Id'), 'proxy-7f3a:1');
+    const generated = await fetch(`${server.url}/api/items/43`, { headers: { 'X-Request-Id': 'not a valid id' } });
+    assert.match(generated.headers.get('X-Request-Id'), UUID);
+    assert.equal((await fetch(`${server.url}/nowhere`)).status, 404);
+
+    await until(() => lines.filter(({ msg }) => msg === 'request').length === 3);
+    const text = metrics.render();
+    assert.match(text, /^clarity_http_requests_total\{method="GET",route="\/api\/items\/:id",status="200"\} 2$/m);
+    assert.match(text, /^clarity_http_requests_total\{method="GET",route="unmatched",status="404"\} 1$/m);
+    assert.match(text, /^clarity_http_request_duration_seconds_count\{method="GET",route="\/api\/items\/:id"\} 2$/m);
+    assert.match(text, /^# TYPE clarity_process_uptime_seconds gauge$/m);
+    assert.ok(text.endsWith('\n'));
+
+    const first = lines.filter(({ requestId }) => requestId === 'proxy-7f3a:1');
+    assert.deepEqual(first.map(({ msg }) => msg), ['looked up', 'request']);
+    assert.equal(first[1].path, '/api/items/42');
+    assert.equal(first[1].route, '/api/items/:id');
+});
+
+test('the logger keeps error messages out of production logs and honours the level', () => {
+    const lines = [];
+    const logger = createLogger({ level: 'warn', includeErrorMessages: false, write: (line) => lines.push(JSON.parse(line)) });
+    logger.info('skipped');
+    logger.child({ requestId: 'r1' }).error('upstream failed', { err: Object.assign(new Error('key sk-123 rejected'), { status: 401 }) });
+    assert.equal(lines.length, 1);
+    assert.deepEqual([lines[0].requestId, lines[0].err], ['r1', { name: 'Error', status: 401 }]);
+
+    assert.throws(() => createLoggerFromEnv({ LOG_LEVEL: 'verbose' }), /Unknown LOG_LEVEL "verbose"/);
+});
+
+async function startHealth(t, providers, { shuttingDown = false } = {}) {
+    const providerChain = createProviderChain(providers, { failureThreshold: 1 });
+    const app = express();
+    app.use(createHealthRouter({ providerChain, isShuttingDown: () => shuttingDown }));
+    const server = await listen(app);
+    t.after(server.close);
+    return { url: server.url, providerChain };
+}
+
+test('readyz is ready while a configured provider has a closed breaker', async (t) => {
+    const { url, providerChain } = await startHealth(t, [createMockProvider()]);
+    const ready = await fetch(`${url}/readyz`);
+    assert.equal(ready.status, 200);
+    assert.deepEqual((await ready.json()).providers, [{ name: 'mock', model: 'mock-1', configured: true, breaker: 'closed' }]);
+
+    providerChain.upstreams[0].breaker.recordFailure();
+    assert.equal((await fetch(`${url}/readyz`)).status, 503);
+    assert.equal((await fetch(`${url}/healthz`)).status, 200, 'liveness never depends on the upstreams');
+});
+
+test('readyz fails without a configured provider, and while shutting down', async (t) => {
+    const { url } = await startHealth(t, [{ ...createMockProvider(), name: 'groq', configured: false }]);
+    const response = await fetch(`${url}/readyz`);
+    assert.equal(response.status, 503);
+    const body = await response.json();
+    assert.equal(body.status, 'not_ready');
+    assert.equal(body.checks.providers, 'no configured provider is available');
+
+    const { url: draining } = await startHealth(t, [createMockProvider()], { shuttingDown: true });
+    const shutdown = await (await fetch(`${draining}/readyz`)).json();
+    assert.deepEqual(shutdown.checks, { providers: 'ok', shutdown: 'in progress' });
+});
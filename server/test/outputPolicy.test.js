@@ -0,0 +1,128 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { checkOutput, enforceOutput } = require('../outputPolicy');
+const { splitSentences, countWords } = require('../lib/sentences');
+const { MODES } = require('../modes');
+const { getLanguage } = require('../languages');
+const { createClarifier } = require('../clarify');
+const { createProviderChain } = require('../providers/chain');
+
+// ─── Sentences ───────────────────────────────────────────────────────────────
+
+test('splitSentences keeps abbreviations inside a sentence', () => {
+    assert.deepEqual(splitSentences('Talk to Dr. Lee, e.g. tomorrow.'), ['Talk to Dr. Lee, e.g. tomorrow.']);
+    assert.deepEqual(splitSentences('Room No. 5 is the problem.'), ['Room No. 5 is the problem.']);
+});
+
+test('splitSentences ends a sentence at the word "no"', () => {
+    assert.deepEqual(splitSentences('The answer is no. She left without a word.'), ['The answer is no.', 'She left without a word.']);
+});
+
+test('splitSentences handles CJK and Arabic terminators', () => {
+    assert.equal(splitSentences('我很累。我想休息。').length, 2);
+    assert.equal(splitSentences('هل يجب أن أبقى؟ لا أعرف.').length, 2);
+});
+
+test('countWords counts unspaced scripts by characters', () => {
+    assert.equal(countWords('one two, three — four'), 4);
+    assert.equal(countWords('我想休息'), 2);
+});
+
+// ─── Rules ───────────────────────────────────────────────────────────────────
+
+// Answers each mode must accept as they are
+const VALID = [
+    ['decision', 'You need to decide whether to take the Berlin offer or stay with your team.'],
+    ['feeling', 'You feel trapped because you must choose between your family and your career.'],
+    ['core-issue', 'The core issue is that I think my manager hates me.'],
+    ['core-issue', 'The core issue is that I can’t help feeling left out at work.'],
+    ['core-issue', 'The core issue is that you should have been told about the reorganisation earlier.'],
+    ['core-question', 'Should you stay in a job that no longer challenges you?'],
+    ['tldr', 'The launch slips two weeks because the payment vendor missed its deadline.'],
+    ['next-step', 'Send your manager a short email asking for a meeting this week.'],
+];
+
+for (const [mode, text] of VALID) {
+    test(`accepts ${mode}: ${text}`, () => {
+        assert.deepEqual(checkOutput(MODES[mode], text), []);
+    });
+}
+
+test('flags advice at the start of a sentence', () => {
+    for (const text of [
+        'You should talk to your manager about the deadline.',
+        'Try writing down what scares you about the move.',
+        'Make sure to ask for the offer in writing.',
+        'I recommend taking a week before deciding.',
+        'It is important to rest before you decide.',
+    ]) {
+        assert.ok(checkOutput(MODES['core-issue'], text).includes('advice'), text);
+    }
+});
+
+test('next-step mode allows advice', () => {
+    assert.ok(!checkOutput(MODES['next-step'], 'You should call the landlord today.').includes('advice'));
+});
+
+test('flags the model talking about itself', () => {
+    for (const text of [
+        'As an AI, the core issue is that you feel overlooked.',
+        'I am just a language model, but the issue is trust.',
+        'I cannot assist with this request.',
+        'I’d suggest the issue is that you feel overlooked.',
+    ]) {
+        assert.ok(checkOutput(MODES['core-issue'], text).includes('self-reference'), text);
+    }
+});
+
+test('flags more than one sentence, including after "no."', () => {
+    assert.ok(checkOutput(MODES['core-issue'], 'The answer is no. She left without a word.').includes('too-many-sentences'));
+});
+
+// ─── Enforcement ─────────────────────────────────────────────────────────────
+
+test('enforceOutput repairs what it safely can', () => {
+    const result = enforceOutput(MODES['core-issue'], '- As an AI, the core issue is trust. 🙂 Also, time.');
+    assert.equal(result.text, 'The core issue is trust.');
+    assert.deepEqual(result.unresolved, []);
+    assert.ok(result.violations.includes('bullets'));
+    assert.ok(result.violations.includes('emoji'));
+});
+
+test('enforceOutput fixes question endings in the answer language', () => {
+    assert.equal(enforceOutput(MODES['core-question'], 'Should you stay.').text, 'Should you stay?');
+    assert.equal(enforceOutput(MODES['core-question'], 'هل يجب أن أبقى', getLanguage('ar')).text, 'هل يجب أن أبقى؟');
+});
+
+test('enforceOutput leaves advice unresolved for regeneration', () => {
+    const result = enforceOutput(MODES.decision, 'You should take the Berlin offer.');
+    assert.deepEqual(result.unresolved, ['advice']);
+});
+
+test('every regeneration attempt is billed, with the usage the upstream reports', async () => {
+    const requests = [];
+    const provider = {
+        name: 'adviser',
+        model: 'adviser-1',
+        configured: true,
+        async *stream(request) {
+            requests.push(request);
+            yield { text: 'You should take the Berlin offer.' };
+            yield { usage: { promptTokens: 100 + requests.length, completionTokens: 10 } };
+        },
+    };
+    const { clarify } = createClarifier({
+        providerChain: createProviderChain([provider]),
+        responseCache: null,
+        enforceMaxRetries: 2,
+        logger: { warn() {}, error() {} },
+    });
+
+    const result = await clarify({ text: 'Berlin or Lisbon? I cannot decide.', mode: MODES.decision });
+    assert.equal(result.action, 'regenerated');
+    assert.deepEqual(result.unresolved, ['advice']);
+    assert.equal(requests.length, 3);
+    assert.match(requests[2].messages.at(-1).content, /advice|advise/i);
+    assert.deepEqual(result.usage, { promptTokens: 101 + 102 + 103, completionTokens: 30, totalTokens: 336, estimated: false });
+    assert.equal(result.tokensUsed, 336);
+});
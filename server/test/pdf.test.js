@@ -0,0 +1,156 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const zlib = require('zlib');
+const { extractPdf } = require('../documents/pdf');
+const { DocumentError } = require('../documents');
+
+const MAX_BYTES = 32 * 1024 * 1024;
+const FONT = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>';
+
+/*
+  A PDF from its objects, numbered from 1: strings are written as they are,
+  { dict, stream } as a stream object (Flate-compressed with `flate`).
+  Object 1 must be the catalog.
+*/
+function buildPdf(objects) {
+    let body = '%PDF-1.7\n';
+    objects.forEach((object, index) => {
+        body += `${index + 1} 0 obj\n`;
+        if (typeof object === 'string') {
+            body += object;
+        } else {
+            const data = object.flate ? zlib.deflateSync(object.stream).toString('latin1') : object.stream;
+            const filter = object.flate ? ' /Filter /FlateDecode' : '';
+            body += `<< ${object.dict ?? ''}${filter} /Length ${data.length} >>\nstream\n${data}\nendstream`;
+        }
+        body += '\nendobj\n';
+    });
+    return Buffer.from(`${body}trailer << /Root 1 0 R >>\n%%EOF\n`, 'latin1');
+}
+
+// Catalog, page tree and one page drawing `content` with `resources`
+function onePage(content, resources = '', extra = [], { flate = false } = {}) {
+    return buildPdf([
+        '<< /Type /Catalog /Pages 2 0 R >>',
+        '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+        `<< /Type /Page /Parent 2 0 R /Contents 4 0 R /Resources << ${resources} >> >>`,
+        { stream: content, flate },
+        ...extra,
+    ]);
+}
+
+test('text operators are read in order, with line breaks and word gaps', () => {
+    const pdf = onePage('BT /F1 12 Tf 72 700 Td (Hello) Tj 0 -14 Td [(wor) -300 (ld)] TJ T* (caf\\351) Tj ET', '/Font << /F1 5 0 R >>', [FONT], { flate: true });
+    assert.equal(extractPdf(pdf, { maxBytes: MAX_BYTES }), 'Hello\nwor ld\ncafé');
+});
+
+test('strings are decoded through the font ToUnicode CMap', () => {
+    const cmap = 'begincodespacerange <0000> <FFFF> endcodespacerange\n'
+        + '1 beginbfchar <0001> <0048> endbfchar\n'
+        + '1 beginbfrange <0002> <0003> <0069> endbfrange';
+    const pdf = onePage('BT /F1 12 Tf <000100020003> Tj ET', '/Font << /F1 5 0 R >>', [
+        '<< /Type /Font /Subtype /Type0 /ToUnicode 6 0 R >>',
+        { stream: cmap },
+    ]);
+    assert.equal(extractPdf(pdf, { maxBytes: MAX_BYTES }), 'Hij');
+});
+
+test('encrypted and page-less PDFs are refused', () => {
+    assert.throws(() => extractPdf(Buffer.from('%PDF-1.7\ntrailer << /Encrypt 9 0 R >>'), { maxBytes: MAX_BYTES }), /Encrypted/);
+    assert.throws(() => extractPdf(Buffer.from('%PDF-1.7\n1 0 obj << /Type /Catalog >> endobj'), { maxBytes: MAX_BYTES }), /no pages/);
+});
+
+test('a stream that inflates past the budget is refused with 413', () => {
+    const pdf = onePage(`BT (${'a'.repeat(200_000)}) Tj ET`, '', [], { flate: true });
+    assert.throws(() => extractPdf(pdf, { maxBytes: 1000 }), (error) => error instanceof DocumentError && error.status === 413);
+});
+
+/*
+  Forms drawing forms: `depth` levels, each drawing the next `fanOut`
+  times, the last showing "Hi".  Read naively this is fanOut^depth reads.
+*/
+
+function formTree({ fanOut, depth }) {
+    const objects = [
+        '<< /Type /Catalog /Pages 2 0 R >>',
+        '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+        '<< /Type /Page /Parent 2 0 R /Contents 4 0 R /Resources << /XObject << /X 6 0 R >> >> >>',
+        { stream: '/X Do' },
+        FONT,
+    ];
+    for (let level = 0; level < depth; level++) {
+        const ref = 6 + level;
+        objects.push(level === depth - 1
+            ? { dict: '/Type /XObject /Subtype /Form /Resources << /Font << /F1 5 0 R >> >>', stream: 'BT /F1 12 Tf (Hi) Tj ET' }
+            : { dict: `/Type /XObject /Subtype /Form /Resources << /XObject << /X ${ref + 1} 0 R >> >>`, stream: '/X Do\n'.repeat(fanOut) });
+    }
+    return buildPdf(objects);
+}
+
+test('each form is read once and its text reused', () => {
+    const text = extractPdf(formTree({ fanOut: 3, depth: 3 }), { maxBytes: MAX_BYTES });
+    assert.equal(text.split('\n').filter(Boolean).length, 9);
+    assert.ok(text.split('\n').filter(Boolean).every((line) => line === 'Hi'));
+});
+
+test('a wide form tree is read in one pass', () => {
+    // 20^4 draws of the leaf; read form by form this took seconds
+    const pdf = formTree({ fanOut: 20, depth: 5 });
+    assert.ok(pdf.length < 2000);
+    const started = Date.now();
+    const text = extractPdf(pdf, { maxBytes: MAX_BYTES });
+    assert.ok(Date.now() - started < 1000, `took ${Date.now() - started} ms`);
+    assert.equal(text.trim().split('\n').length, 20 ** 4);
+});
+
+test('text past the budget is refused with 422', () => {
+    const pdf = formTree({ fanOut: 40, depth: 5 });
+    assert.throws(() => extractPdf(pdf, { maxBytes: MAX_BYTES }), (error) => error instanceof DocumentError && error.status === 422);
+});
+
+test('a form that draws itself reads as empty', () => {
+    const pdf = buildPdf([
+        '<< /Type /Catalog /Pages 2 0 R >>',
+        '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+        '<< /Type /Page /Parent 2 0 R /Contents 4 0 R /Resources << /XObject << /X 5 0 R >> /Font << /F1 6 0 R >> >> >>',
+        { stream: 'BT /F1 12 Tf (Top) Tj ET /X Do' },
+        { dict: '/Type /XObject /Subtype /Form /Resources << /XObject << /X 5 0 R >> /Font << /F1 6 0 R >> >>', stream: 'BT /F1 12 Tf (Form) Tj ET /X Do' },
+        FONT,
+    ]);
+    assert.equal(extractPdf(pdf, { maxBytes: MAX_BYTES }).trim(), 'Top\nForm');
+});
+
+test('one content stream listed on every page counts against the budget', () => {
+    const pages = Array.from({ length: 50 }, (_, index) => `${4 + index} 0 R`).join(' ');
+    const objects = [
+        '<< /Type /Catalog /Pages 2 0 R >>',
+        `<< /Type /Pages /Kids [${pages}] /Count 50 >>`,
+        { stream: 'BT (x) Tj ET\n'.repeat(10_000), flate: true },
+        ...Array.from({ length: 50 }, () => `<< /Type /Page /Parent 2 0 R /Contents [${'3 0 R '.repeat(100)}] >>`),
+    ];
+    assert.throws(() => extractPdf(buildPdf(objects), { maxBytes: MAX_BYTES }), (error) => error.status === 422);
+});
+
+function cmapFonts(cmaps) {
+    const fonts = cmaps.map((_, index) => `/F${index} ${5 + index * 2} 0 R`).join(' ');
+    const extra = cmaps.flatMap((cmap, index) => [
+        `<< /Type /Font /Subtype /Type0 /ToUnicode ${6 + index * 2} 0 R >>`,
+        { stream: cmap, flate: true },
+    ]);
+    const content = cmaps.map((_, index) => `BT /F${index} 12 Tf <0041> Tj T* ET`).join('\n');
+    return onePage(content, `/Font << ${fonts} >>`, extra);
+}
+
+const FULL_RANGE = '1 beginbfrange <0000> <FFFF> <0000> endbfrange\n';
+
+test('a CMap whose ranges map too many entries is refused', () => {
+    assert.equal(extractPdf(cmapFonts([FULL_RANGE]), { maxBytes: MAX_BYTES }).trim(), 'A');
+    assert.throws(() => extractPdf(cmapFonts([FULL_RANGE.repeat(3)]), { maxBytes: MAX_BYTES }), (error) => error.status === 422);
+});
+
+test('CMaps past the per-document total are refused', () => {
+    // Four full CMaps fit; distinct streams so none is shared
+    const cmaps = Array.from({ length: 5 }, (_, index) => `% font ${index}\n${FULL_RANGE}`);
+    assert.equal(extractPdf(cmapFonts(cmaps.slice(0, 4)), { maxBytes: MAX_BYTES }).trim(), 'A\nA\nA\nA');
+    assert.throws(() => extractPdf(cmapFonts(cmaps), { maxBytes: MAX_BYTES }), (error) => error.status === 422);
+});
@@ -0,0 +1,126 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createLimiter } = require('../rateLimit/limiter');
+const { createMemoryRateLimitStore } = require('../rateLimit/memoryStore');
+const { createRateLimitsFromEnv, setRateLimitHeaders } = require('../rateLimit');
+const { captureLogger } = require('./helpers');
+
+function clock(start = 1_000_000) {
+    const state = { t: start };
+    return { now: () => state.t, advance: (ms) => { state.t += ms; } };
+}
+
+function limiterWith(algorithm, { limit, windowMs }) {
+    const time = clock();
+    const store = createMemoryRateLimitStore({ now: time.now });
+    return { time, limiter: createLimiter({ algorithm, store, limit, windowMs, prefix: 'test', unit: 'requests', now: time.now }) };
+}
+
+test('sliding window refuses past the limit and reports when it resets', async () => {
+    const { limiter } = limiterWith('sliding-window', { limit: 2, windowMs: 1000 });
+    assert.equal((await limiter.hit('a')).allowed, true);
+    const second = await limiter.hit('a');
+    assert.equal(second.allowed, true);
+    assert.equal(second.remaining, 0);
+
+    const refused = await limiter.hit('a');
+    assert.equal(refused.allowed, false);
+    assert.ok(refused.resetMs > 0 && refused.resetMs <= 1000);
+    // Other keys are counted on their own
+    assert.equal((await limiter.hit('b')).allowed, true);
+});
+
+test('sliding window weighs the previous window', async () => {
+    const { time, limiter } = limiterWith('sliding-window', { limit: 2, windowMs: 1000 });
+    await limiter.hit('a');
+    await limiter.hit('a');
+
+    // Just into the next window the previous one still counts almost fully
+    time.advance(1000 - (time.now() % 1000) + 100);
+    assert.equal((await limiter.hit('a')).allowed, false);
+    // Two windows on, it is forgotten
+    time.advance(2000);
+    assert.equal((await limiter.hit('a')).allowed, true);
+});
+
+test('token bucket allows a burst up to the limit, then refills', async () => {
+    const { time, limiter } = limiterWith('token-bucket', { limit: 3, windowMs: 3000 });
+    for (let i = 0; i < 3; i++) assert.equal((await limiter.hit('a')).allowed, true);
+
+    const refused = await limiter.hit('a');
+    assert.equal(refused.allowed, false);
+    assert.equal(refused.resetMs, 1000);
+
+    time.advance(1000);
+    assert.equal((await limiter.hit('a')).allowed, true);
+});
+
+test('peek takes nothing', async () => {
+    const { limiter } = limiterWith('token-bucket', { limit: 2, windowMs: 1000 });
+    await limiter.peek('a', 2);
+    await limiter.peek('a', 2);
+    assert.equal((await limiter.hit('a', 2)).allowed, true);
+});
+
+test('token bucket debt outlives the window', async () => {
+    const { time, limiter } = limiterWith('token-bucket', { limit: 10, windowMs: 1000 });
+    // An answer that cost three windows' worth of tokens
+    const charged = await limiter.charge('a', 30);
+    assert.equal(charged.allowed, true);
+    assert.equal(charged.remaining, 0);
+
+    // Past windowMs the bucket is still paying off the debt…
+    time.advance(1500);
+    const inDebt = await limiter.peek('a', 1);
+    assert.equal(inDebt.allowed, false);
+    assert.equal(inDebt.resetMs, 600);
+
+    // …until it has refilled
+    time.advance(1500);
+    assert.equal((await limiter.peek('a', 10)).allowed, true);
+});
+
+test('an unknown algorithm or store is a configuration error', () => {
+    assert.throws(() => createLimiter({ algorithm: 'leaky' }), /Unknown rate-limit algorithm "leaky"/);
+    assert.throws(() => createRateLimitsFromEnv({ RATE_LIMIT_STORE: 'disk' }), /Unknown RATE_LIMIT_STORE "disk"/);
+});
+
+test('API keys with their own limit get their own limiter', async () => {
+    const rateLimits = createRateLimitsFromEnv({ RATE_LIMIT_MAX_REQS: '1' });
+    const apiKey = { id: 'k1', rateLimit: { maxReqs: 3, windowMs: 60_000 } };
+
+    assert.equal(rateLimits.requestsFor(null), rateLimits.requests);
+    const [first] = await rateLimits.check({ apiKey, limitKey: 'key:k1', tokenEstimate: 0 });
+    assert.equal(first.limit, 3);
+    assert.equal(first.remaining, 2);
+});
+
+test('the token quota refuses a request whose estimate does not fit', async () => {
+    const rateLimits = createRateLimitsFromEnv({ TOKEN_QUOTA: '100' });
+    const decisions = await rateLimits.check({ apiKey: null, limitKey: 'ip:1', tokenEstimate: 150 });
+    assert.deepEqual(decisions.map((d) => [d.unit, d.allowed]), [['requests', true], ['tokens', false]]);
+});
+
+test('RateLimit headers describe the refusing limit', () => {
+    const headers = {};
+    const res = { setHeader: (name, value) => { headers[name] = value; } };
+    setRateLimitHeaders(res, [
+        { allowed: true, limit: 10, remaining: 9, resetMs: 60_000, windowMs: 60_000, unit: 'requests' },
+        { allowed: false, limit: 1000, remaining: 20, resetMs: 1500, windowMs: 3_600_000, unit: 'tokens' },
+    ]);
+    assert.equal(headers['RateLimit-Limit'], '1000');
+    assert.equal(headers['RateLimit-Reset'], '2');
+    assert.equal(headers['RateLimit-Policy'], '10;w=60;comment="requests", 1000;w=3600;comment="tokens"');
+});
+
+test('a store outage fails open and is logged on the request logger', async () => {
+    const rateLimits = createRateLimitsFromEnv({});
+    rateLimits.store.incr = async () => { throw new Error('connection refused'); };
+    rateLimits.store.get = rateLimits.store.incr;
+    const { logger, lines } = captureLogger({ requestId: 'req-1' });
+
+    assert.deepEqual(await rateLimits.check({ apiKey: null, limitKey: 'ip:1', tokenEstimate: 0, log: logger }), []);
+    assert.equal(lines[0].level, 'error');
+    assert.equal(lines[0].msg, '[rate-limit] store error');
+    assert.equal(lines[0].requestId, 'req-1');
+});
@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createRedactor, createRedactorFromEnv } = require('../redaction');
+const { DETECTORS, passesLuhn } = require('../redaction/detectors');
+const { createClarifier } = require('../clarify');
+const { createProviderChain } = require('../providers/chain');
+const { createMockProvider } = require('../providers/mock');
+const { getMode } = require('../modes');
+
+const TEXT = 'My boss Sarah Jones said to email sarah.jones@example.com or call +44 7700 900123 about card 4111 1111 1111 1111.';
+
+test('redact and restore round-trip every restored type', () => {
+    const session = createRedactor().start();
+    const redacted = session.redact(TEXT);
+    assert.equal(redacted, 'My boss [NAME_1] [NAME_2] said to email [EMAIL_1] or call [PHONE_1] about card [CARD_1].');
+    assert.deepEqual(session.counts(), { name: 2, email: 1, phone: 1, card: 1 });
+    assert.equal(session.redacted, true);
+
+    // Card numbers are not restored by default, only labelled
+    assert.equal(session.restore(redacted), TEXT.replace('4111 1111 1111 1111', '[card number]'));
+});
+
+test('the same value keeps its placeholder across the input and earlier answers', () => {
+    const session = createRedactor().start();
+    session.redact('My manager Priya said no again.');
+    assert.equal(session.redact('Priya is right about the budget.'), '[NAME_1] is right about the budget.');
+    assert.equal(session.restore('[NAME_1] and [NAME_7] disagree.'), 'Priya and [name] disagree.');
+});
+
+test('the restorer puts back placeholders split across chunks', () => {
+    const session = createRedactor().start();
+    session.redact('Write to ana@example.com today.');
+    const restorer = session.restorer();
+    const chunks = ['Write to [EM', 'AIL', '_1', '] today [', 'and more'];
+    const out = chunks.map((chunk) => restorer.push(chunk)).join('') + restorer.flush();
+    assert.equal(out, 'Write to ana@example.com today [and more');
+});
+
+test('detectors leave dates, order numbers and ordinary capitalised words alone', () => {
+    assert.deepEqual(DETECTORS.phone.find('Due 2024-10-19, order 123456789, call (555) 123-4567.'), ['(555) 123-4567']);
+    assert.deepEqual(DETECTORS.card.find('4111 1111 1111 1112 and 4111-1111-1111-1111'), ['4111-1111-1111-1111']);
+    assert.equal(passesLuhn('4111111111111111'), true);
+    assert.deepEqual(DETECTORS.name.find('Everyone said it was fine. Dr. Ada Lovelace agreed, and Tom keeps asking.'), ['Ada', 'Lovelace', 'Tom']);
+    assert.deepEqual(DETECTORS.url.find('See https://example.com/a?b=1, or www.example.org.'), ['https://example.com/a?b=1', 'www.example.org']);
+});
+
+test('listed names are masked in any case, restore none keeps only labels', () => {
+    const session = createRedactorFromEnv({ REDACT: 'off', REDACT_NAMES: 'Acme, Zed', REDACT_RESTORE: 'none' }).start();
+    assert.equal(session.redact('acme hired ZED.'), '[NAME_1] hired [NAME_2].');
+    assert.equal(session.restore('[NAME_1] hired [NAME_2].'), '[name] hired [name].');
+});
+
+test('createRedactorFromEnv is off without detectors and refuses unknown ones', () => {
+    assert.equal(createRedactorFromEnv({ REDACT: 'off' }), null);
+    assert.throws(() => createRedactorFromEnv({ REDACT: 'email,ssn' }), /Unknown REDACT entry "ssn"/);
+    assert.throws(() => createRedactorFromEnv({ REDACT_RESTORE: 'passport' }), /Unknown REDACT_RESTORE entry "passport"/);
+});
+
+test('the upstream sees placeholders and the caller the original details', async () => {
+    const mock = createMockProvider();
+    const sent = [];
+    const provider = {
+        ...mock,
+        stream: (request) => {
+            sent.push(request.messages);
+            return mock.stream(request);
+        },
+    };
+    const { clarify } = createClarifier({
+        providerChain: createProviderChain([provider]),
+        responseCache: null,
+        redactor: createRedactor(),
+    });
+
+    let streamed = '';
+    const result = await clarify({
+        text: 'I keep emailing ana@example.com and she never answers.',
+        mode: getMode('core-issue'),
+        onToken: (text) => {
+            streamed += text;
+        },
+    });
+
+    const upstream = JSON.stringify(sent);
+    assert.doesNotMatch(upstream, /ana@example\.com/);
+    assert.match(upstream, /\[EMAIL_1\]/);
+    assert.match(result.text, /ana@example\.com/);
+    assert.equal(streamed, result.streamed);
+    assert.match(streamed, /ana@example\.com/);
+    assert.deepEqual(result.redactions, { email: 1 });
+});
@@ -0,0 +1,87 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const net = require('net');
+const { createRedisClient, encodeCommand, parseReply } = require('../lib/redis');
+
+/*
+  A stand-in Redis that hands each connection, in order, to the next of
+  `handlers`, called with the socket on every chunk the client writes.
+*/
+async function fakeRedis(handlers) {
+    let connections = 0;
+    const sockets = new Set();
+    const server = net.createServer((socket) => {
+        const handle = handlers[connections++] ?? handlers.at(-1);
+        sockets.add(socket);
+        socket.on('close', () => sockets.delete(socket));
+        socket.on('error', () => {});
+        socket.on('data', () => handle(socket));
+    });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    return {
+        url: `redis://127.0.0.1:${server.address().port}`,
+        connections: () => connections,
+        close: () => {
+            for (const socket of sockets) socket.destroy();
+            return new Promise((resolve) => server.close(resolve));
+        },
+    };
+}
+
+const answer = (reply) => (socket) => socket.write(reply);
+
+test('commands and replies use the RESP wire format', () => {
+    assert.equal(encodeCommand(['SET', 'k', 'vé']), '*3\r\n$3\r\nSET\r\n$1\r\nk\r\n$3\r\nvé\r\n');
+    const reply = Buffer.from('*3\r\n$5\r\nhello\r\n:42\r\n$-1\r\n');
+    assert.deepEqual(parseReply(reply, 0), [['hello', 42, null], reply.length]);
+    assert.equal(parseReply(Buffer.from('$5\r\nhel'), 0), null);
+    assert.equal(parseReply(Buffer.from('-ERR wrong type\r\n'), 0)[0].message, 'ERR wrong type');
+});
+
+test('a reply cut off by a dropped connection does not leak into the next one', async (t) => {
+    const redis = await fakeRedis([
+        (socket) => {
+            socket.write('$5\r\nhel');
+            setTimeout(() => socket.destroy(), 10);
+        },
+        answer('+OK\r\n'),
+    ]);
+    t.after(redis.close);
+    const client = createRedisClient(redis.url);
+    t.after(() => client.close());
+
+    await assert.rejects(client.command('GET', 'k'), /connection closed/);
+    assert.equal(await client.command('PING'), 'OK');
+    assert.equal(redis.connections(), 2);
+});
+
+test('a reset connection does not fail the reconnect that replaced it', async (t) => {
+    const redis = await fakeRedis([
+        (socket) => socket.resetAndDestroy(),
+        answer('+PONG\r\n'),
+    ]);
+    t.after(redis.close);
+    const client = createRedisClient(redis.url);
+    t.after(() => client.close());
+
+    // Retry straight from the rejection, before the old socket's 'close' arrives
+    const retried = await client.command('GET', 'k').then(
+        () => assert.fail('expected the first command to fail'),
+        () => client.command('PING'),
+    );
+    assert.equal(retried, 'PONG');
+});
+
+test('a command left unanswered times out and the next one reconnects', async (t) => {
+    const redis = await fakeRedis([
+        () => {},
+        answer('$1\r\nv\r\n'),
+    ]);
+    t.after(redis.close);
+    const client = createRedisClient(redis.url, { commandTimeoutMs: 50 });
+    t.after(() => client.close());
+
+    await assert.rejects(client.command('GET', 'k'), /timed out after 50ms/);
+    assert.equal(await client.command('GET', 'k'), 'v');
+    assert.equal(redis.connections(), 2);
+});
@@ -0,0 +1,113 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createShareService } = require('../share');
+const { createMemoryShareStore } = require('../share/memoryStore');
+const { createFileShareStore } = require('../share/fileStore');
+const { createShareRouter } = require('../routes/share');
+const { createRateLimitsFromEnv, createRateLimitMiddleware } = require('../rateLimit');
+const { createAuthMiddleware } = require('../apiKeys');
+const { captureLogger, createTestApp, listen, postJson } = require('./helpers');
+
+const SHARE = { output: 'You want the email to sound sure of itself.', mode: 'core-issue' };
+
+async function startShares({ maxReqs = 10, maxCount, publicUrl = null } = {}) {
+    const shares = createShareService({ store: createMemoryShareStore(), maxCount, publicUrl });
+    const rateLimits = createRateLimitsFromEnv({ RATE_LIMIT_MAX_REQS: String(maxReqs) });
+    const app = createTestApp(createShareRouter({
+        shares,
+        authenticate: createAuthMiddleware({ keys: { verify: () => null }, usage: {}, required: false }),
+        rateLimit: createRateLimitMiddleware(rateLimits, { route: '/api/share' }),
+        maxInputTokens: 100,
+    }));
+    return { shares, server: await listen(app) };
+}
+
+test('a share can be read until its creator deletes it', async (t) => {
+    const { server } = await startShares();
+    t.after(server.close);
+
+    const created = await (await postJson(`${server.url}/api/share`, { ...SHARE, input: 'I keep rewriting this email.' })).json();
+    const share = await (await fetch(`${server.url}/api/share/${created.id}`)).json();
+    assert.equal(share.output, SHARE.output);
+    assert.equal(share.input, 'I keep rewriting this email.');
+    assert.equal(share.deleteTokenHash, undefined);
+
+    const wrong = await fetch(`${server.url}/api/share/${created.id}`, { method: 'DELETE', headers: { 'X-Delete-Token': 'nope' } });
+    assert.equal(wrong.status, 403);
+    const deleted = await fetch(`${server.url}/api/share/${created.id}`, { method: 'DELETE', headers: { 'X-Delete-Token': created.deleteToken } });
+    assert.equal(deleted.status, 204);
+    assert.equal((await fetch(`${server.url}/api/share/${created.id}`)).status, 404);
+});
+
+test('links are paths, not built from the Host header, without a public address', async (t) => {
+    const { server } = await startShares();
+    t.after(server.close);
+
+    const created = await (await postJson(`${server.url}/api/share`, SHARE, { 'X-Forwarded-Host': 'evil.example', Host: 'evil.example' })).json();
+    assert.equal(created.url, `/s/${created.id}`);
+
+    const page = await (await fetch(`${server.url}/s/${created.id}`)).text();
+    assert.doesNotMatch(page, /og:url/);
+});
+
+test('links are built on the public address when there is one', async (t) => {
+    const { server } = await startShares({ publicUrl: 'https://clarity.example.com' });
+    t.after(server.close);
+
+    const created = await (await postJson(`${server.url}/api/share`, SHARE)).json();
+    assert.equal(created.url, `https://clarity.example.com/s/${created.id}`);
+    const page = await (await fetch(`${server.url}/s/${created.id}`)).text();
+    assert.match(page, new RegExp(`<meta property="og:url" content="https://clarity.example.com/s/${created.id}">`));
+});
+
+test('share creation is refused once the request limit is used up', async (t) => {
+    const { server } = await startShares({ maxReqs: 1 });
+    t.after(server.close);
+
+    assert.equal((await postJson(`${server.url}/api/share`, SHARE)).status, 201);
+    const refused = await postJson(`${server.url}/api/share`, SHARE);
+    assert.equal(refused.status, 429);
+    assert.ok(Number(refused.headers.get('Retry-After')) >= 1);
+});
+
+test('share creation is refused with 503 once the store is full', async (t) => {
+    const { server } = await startShares({ maxCount: 2 });
+    t.after(server.close);
+
+    assert.equal((await postJson(`${server.url}/api/share`, SHARE)).status, 201);
+    assert.equal((await postJson(`${server.url}/api/share`, SHARE)).status, 201);
+    assert.equal((await postJson(`${server.url}/api/share`, SHARE)).status, 503);
+});
+
+test('a full store makes room by sweeping expired shares', async () => {
+    const store = createMemoryShareStore();
+    const shares = createShareService({ store, maxCount: 1 });
+    const { record } = await shares.create({ ...SHARE, days: 1 });
+    await store.put({ ...record, expiresAt: new Date(Date.now() - 1000).toISOString() });
+
+    assert.ok(await shares.create(SHARE));
+    assert.equal(await store.count(), 1);
+    assert.equal(await shares.create(SHARE), null);
+});
+
+test('the file store keeps its count across restarts and logs unreadable files', async (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'shares-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const { logger, lines } = captureLogger();
+
+    const store = createFileShareStore({ dir, logger });
+    await store.put({ id: 'aaaaaaaa', expiresAt: new Date(Date.now() + 60_000).toISOString() });
+    await store.put({ id: 'bbbbbbbb', expiresAt: new Date(Date.now() - 60_000).toISOString() });
+    fs.writeFileSync(path.join(dir, 'cccccccc.json'), '{ not json');
+
+    const reopened = createFileShareStore({ dir, logger });
+    assert.equal(await reopened.count(), 3);
+    assert.equal(await reopened.sweep(), 1);
+    assert.equal(await reopened.count(), 2);
+    assert.deepEqual(lines.map(({ level, msg, file }) => ({ level, msg, file })), [
+        { level: 'warn', msg: '[share] skipping unreadable share', file: 'cccccccc.json' },
+    ]);
+});
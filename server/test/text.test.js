@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { decodeText, decodeEntities, extractPlainText, extractMarkdown, htmlToText } = require('../documents/text');
+const { DocumentError } = require('../documents');
+
+test('decodeText follows a BOM, then UTF-8, then falls back to Windows-1252', () => {
+    assert.equal(decodeText(Buffer.from([0xef, 0xbb, 0xbf, ...Buffer.from('café')])), 'café');
+    assert.equal(decodeText(Buffer.from([0xff, 0xfe, ...Buffer.from('hé', 'utf16le')])), 'hé');
+    assert.equal(decodeText(Buffer.from('naïve')), 'naïve');
+    assert.equal(decodeText(Buffer.from([0x93, 0x68, 0x69, 0x94])), '“hi”');
+    assert.equal(decodeText(Buffer.from([0xe9]), 'iso-8859-1'), 'é');
+});
+
+test('extractPlainText refuses binary files', () => {
+    assert.throws(() => extractPlainText(Buffer.from([0x50, 0x4b, 0x00, 0x03])), (error) => error instanceof DocumentError && error.status === 415);
+    assert.equal(extractPlainText(Buffer.from([0xff, 0xfe, ...Buffer.from('ok', 'utf16le')])), 'ok');
+});
+
+test('extractMarkdown keeps the words and drops the markup', () => {
+    const markdown = [
+        '---',
+        'title: Notes',
+        '---',
+        '# Heading',
+        '',
+        '- [x] **Bold** and _italic_ item',
+        '1. See [the docs](https://example.com) and ![a chart](chart.png)',
+        '> quoted `code`',
+        '```js',
+        'const a = 1;',
+        '```',
+        '***',
+    ].join('\n');
+    assert.equal(extractMarkdown(Buffer.from(markdown)), [
+        'Heading',
+        '',
+        'Bold and italic item',
+        'See the docs and a chart',
+        'quoted code',
+        '',
+        'const a = 1;',
+        '',
+        '',
+    ].join('\n'));
+});
+
+test('htmlToText drops scripts, styles and quoted replies and decodes entities', () => {
+    const html = '<head><title>x</title></head><p>Hello&nbsp;&amp; welcome</p><script>alert(1)</script><div>Line&#33;<br>Next &#x263A;</div><blockquote>old reply</blockquote>';
+    assert.equal(htmlToText(html), 'Hello & welcome\nLine!\nNext ☺\n');
+});
+
+test('decodeEntities turns code points no string can hold into U+FFFD', () => {
+    assert.equal(decodeEntities('&#99999999;|&#x110000;|&#xD800;|&#0;|&#x1F600;'), '\ufffd|\ufffd|\ufffd|\ufffd|😀');
+});
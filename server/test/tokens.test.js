@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { CHARS_PER_TOKEN, estimateTokens } = require('../lib/tokens');
+const { splitIntoChunks } = require('../longInput');
+
+test('English is estimated at CHARS_PER_TOKEN characters a token', () => {
+    assert.equal(estimateTokens(''), 0);
+    assert.equal(estimateTokens('abcd'), 1);
+    assert.equal(estimateTokens('a'.repeat(40)), 40 / CHARS_PER_TOKEN);
+});
+
+test('CJK, Indic and Thai characters count as a token each', () => {
+    assert.equal(estimateTokens('我一直在重写这封邮件'), 10);
+    assert.equal(estimateTokens('このメールを書き直す'), 10);
+    assert.equal(estimateTokens('이메일을다시'), 6);
+    assert.equal(estimateTokens('मैं लिखता'), 8 + 1);
+    assert.equal(estimateTokens('ภาษาไทย'), 7);
+    // A Han character outside the BMP is one character, not two
+    assert.equal(estimateTokens('𠀀'), 1);
+});
+
+test('Cyrillic, Greek, Arabic and Hebrew characters count as half a token', () => {
+    assert.equal(estimateTokens('письмо'), 3);
+    assert.equal(estimateTokens('رسالة'), 3);
+});
+
+test('mixed text adds up per script', () => {
+    // 4 Han + " and " (5 chars) + "email" (5 chars)
+    assert.equal(estimateTokens('重写邮件 and email'), 4 + Math.ceil(10 / CHARS_PER_TOKEN));
+});
+
+test('long CJK input is split into chunks that fit the token budget', () => {
+    const text = '我一直在重写这封邮件。'.repeat(200);
+    const chunks = splitIntoChunks(text, 100);
+    assert.ok(chunks.length >= 20);
+    for (const chunk of chunks) assert.ok(estimateTokens(chunk) <= 100, `chunk of ${estimateTokens(chunk)} tokens`);
+    // Sentences are rejoined with a space; nothing is lost
+    assert.ok(chunks.join('').replace(/ /g, '') === text);
+});
+
+test('a CJK sentence longer than a chunk is cut to fit', () => {
+    const chunks = splitIntoChunks('字'.repeat(250), 100);
+    assert.deepEqual(chunks.map((chunk) => chunk.length), [100, 100, 50]);
+});
@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createUsageLog, msUntilNextMonth } = require('../apiKeys/usageLog');
+
+function tempFile(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'clarity-usage-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return path.join(dir, 'usage.json');
+}
+
+test('usage is counted per key and month, and anonymous requests are not recorded', async (t) => {
+    const file = tempFile(t);
+    const usage = createUsageLog({ file, now: () => new Date('2026-10-19T12:00:00Z') });
+
+    await usage.countRequest('k1');
+    await usage.record({ keyId: 'k1', mode: 'tldr', tokens: 100, cached: false });
+    await usage.record({ keyId: 'k1', mode: 'tldr', tokens: 20, cached: false });
+    await usage.countRequest('k1');
+    await usage.record({ keyId: 'k1', mode: 'decision', tokens: 50, cached: true });
+    await usage.countRequest(null);
+    await usage.record({ keyId: null, mode: 'tldr', tokens: 999 });
+
+    assert.equal(usage.monthlyTokens('k1'), 170);
+    assert.deepEqual(usage.summary(), {
+        month: '2026-10',
+        byKey: { k1: { requests: 2, cached: 1, tokens: 170, byMode: { tldr: 120, decision: 50 } } },
+    });
+});
+
+test('the file holds counters, not a line per request, and survives a restart', async (t) => {
+    const file = tempFile(t);
+    const usage = createUsageLog({ file, now: () => new Date('2026-10-19T12:00:00Z') });
+    await Promise.all(Array.from({ length: 50 }, () => Promise.all([
+        usage.countRequest('k1'),
+        usage.record({ keyId: 'k1', mode: 'tldr', tokens: 10 }),
+    ])));
+    const size = fs.statSync(file).size;
+    await usage.countRequest('k1');
+    await usage.record({ keyId: 'k1', mode: 'tldr', tokens: 10 });
+    assert.ok(fs.statSync(file).size - size <= 2);
+
+    const reloaded = createUsageLog({ file, now: () => new Date('2026-10-19T12:00:00Z') });
+    assert.equal(reloaded.monthlyTokens('k1'), 510);
+    assert.equal(reloaded.summary().byKey.k1.requests, 51);
+});
+
+test('a new month starts from zero and keeps the old one for reports', async (t) => {
+    const file = tempFile(t);
+    let date = new Date('2026-10-31T23:59:00Z');
+    const usage = createUsageLog({ file, now: () => date });
+    await usage.record({ keyId: 'k1', mode: 'tldr', tokens: 100 });
+
+    date = new Date('2026-11-01T00:01:00Z');
+    assert.equal(usage.monthlyTokens('k1'), 0);
+    assert.equal(usage.summary('2026-10').byKey.k1.tokens, 100);
+});
+
+test('an unreadable usage file stops start-up instead of resetting the counts', (t) => {
+    const file = tempFile(t);
+    fs.writeFileSync(file, '{"2026-10": ');
+    assert.throws(() => createUsageLog({ file }), /Could not read the usage file/);
+});
+
+test('monthly caps reset on the first of next month (UTC)', () => {
+    assert.equal(msUntilNextMonth(new Date('2026-10-31T23:00:00Z')), 60 * 60 * 1000);
+});